@@ -352,7 +352,9 @@ CREATE TRIGGER update_inventory_timestamp BEFORE UPDATE ON inventory FOR EACH RO
 CREATE OR REPLACE FUNCTION log_inventory_movement()
 RETURNS TRIGGER AS $$
 BEGIN
-    IF TG_OP = 'UPDATE' AND OLD.quantity != NEW.quantity THEN
+    -- InventoryService writes its own movements and sets inventory.movement_logged
+    IF TG_OP = 'UPDATE' AND OLD.quantity != NEW.quantity
+       AND COALESCE(current_setting('inventory.movement_logged', true), '') != 'on' THEN
         INSERT INTO inventory_movements (
             product_id, 
             channel_id, 
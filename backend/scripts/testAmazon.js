@@ -0,0 +1,326 @@
+/**
+ * Test Script for the Amazon integration
+ * Runs the SP-API client and adapter against a local stub of the LWA token endpoint and
+ * the Orders, FBA Inventory and Listings Items APIs (NextToken pagination, token refresh,
+ * quantity patches, listing submissions)
+ *
+ * Usage: node scripts/testAmazon.js
+ */
+
+const http = require('http');
+const assert = require('assert');
+const AmazonAdapter = require('../services/channels/amazonAdapter');
+
+const MARKETPLACE_ID = 'A2EUQ1WTGCTBG2';
+const SELLER_ID = 'STUBSELLER';
+const REFRESH_TOKEN = 'Atzr|stub-refresh-token';
+
+/**
+ * Minimal in-memory SP-API seller account with an LWA token endpoint
+ */
+class AmazonStub {
+  constructor() {
+    this.orders = [
+      { AmazonOrderId: '701-0000001', PurchaseDate: '2024-01-02T10:00:00Z', OrderStatus: 'Unshipped', OrderTotal: { Amount: '45.00', CurrencyCode: 'CAD' } },
+      { AmazonOrderId: '701-0000002', PurchaseDate: '2024-01-03T10:00:00Z', OrderStatus: 'Shipped', OrderTotal: { Amount: '12.00', CurrencyCode: 'CAD' } },
+      { AmazonOrderId: '701-0000003', PurchaseDate: '2024-01-04T10:00:00Z', OrderStatus: 'Canceled', OrderTotal: { Amount: '0.00', CurrencyCode: 'CAD' } }
+    ];
+    this.orderItems = {
+      '701-0000001': [
+        { SellerSKU: 'KETTLE-1', Title: 'Kettle', QuantityOrdered: 1, ItemPrice: { Amount: '30.00' }, ItemTax: { Amount: '3.90' } },
+        { SellerSKU: 'MUG-1', Title: 'Mug', QuantityOrdered: 2, ItemPrice: { Amount: '15.00' }, ItemTax: { Amount: '1.95' } }
+      ],
+      '701-0000002': [{ SellerSKU: 'MUG-1', Title: 'Mug', QuantityOrdered: 1, ItemPrice: { Amount: '12.00' } }],
+      '701-0000003': []
+    };
+    this.inventory = [
+      { sellerSku: 'KETTLE-1', fnSku: 'X001', inventoryDetails: { fulfillableQuantity: 8, reservedQuantity: { totalReservedQuantity: 1 } } },
+      { sellerSku: 'MUG-1', fnSku: 'X002', inventoryDetails: { fulfillableQuantity: 20, reservedQuantity: { totalReservedQuantity: 0 } } },
+      { sellerSku: 'LAMP-1', fnSku: 'X003', inventoryDetails: { fulfillableQuantity: 0, reservedQuantity: { totalReservedQuantity: 0 } } }
+    ];
+    this.listings = {
+      'KETTLE-1': {
+        sku: 'KETTLE-1',
+        summaries: [{ asin: 'B00KETTLE1', itemName: 'Kettle', productType: 'KITCHEN', status: ['BUYABLE'] }],
+        attributes: { brand: [{ value: 'Acme' }] },
+        offers: [{ offerType: 'B2C', price: { amount: '30.00' } }],
+        fulfillmentAvailability: [{ fulfillmentChannelCode: 'DEFAULT', quantity: 5 }]
+      },
+      'MUG-1': {
+        sku: 'MUG-1',
+        summaries: [{ asin: 'B00MUG0001', itemName: 'Mug', productType: 'KITCHEN', status: ['DISCOVERABLE'] }],
+        attributes: {},
+        offers: [{ offerType: 'B2C', price: { amount: '7.50' } }],
+        fulfillmentAvailability: [{ fulfillmentChannelCode: 'DEFAULT', quantity: 0 }]
+      }
+    };
+    this.tokensIssued = 0;
+    this.revokedTokens = new Set();
+    this.requests = [];
+  }
+
+  handle(req, res, raw) {
+    const url = new URL(req.url, 'http://stub');
+    this.requests.push(`${req.method} ${url.pathname}`);
+
+    if (req.method === 'POST' && url.pathname === '/auth/o2/token') {
+      const form = new URLSearchParams(raw);
+      if (form.get('grant_type') !== 'refresh_token' || form.get('refresh_token') !== REFRESH_TOKEN) {
+        return this.send(res, 400, { error: 'invalid_grant', error_description: 'The request has an invalid grant parameter : refresh_token' });
+      }
+      this.tokensIssued++;
+      return this.send(res, 200, { access_token: `Atza|stub-${this.tokensIssued}`, token_type: 'bearer', expires_in: 3600 });
+    }
+
+    const token = req.headers['x-amz-access-token'];
+    if (!token || !token.startsWith('Atza|stub-') || this.revokedTokens.has(token)) {
+      return this.send(res, 403, { errors: [{ code: 'Unauthorized', message: 'Access to requested resource is denied.' }] });
+    }
+
+    const body = raw ? JSON.parse(raw) : {};
+    const path = url.pathname;
+
+    if (req.method === 'GET' && path === '/orders/v0/orders') {
+      if (url.searchParams.get('MarketplaceIds') !== MARKETPLACE_ID) {
+        return this.send(res, 400, { errors: [{ code: 'InvalidInput', message: 'Invalid MarketplaceIds' }] });
+      }
+      const page = this.page(this.orders, url.searchParams.get('NextToken'), 2);
+      return this.send(res, 200, { payload: { Orders: page.records, NextToken: page.nextToken } });
+    }
+
+    const itemsMatch = path.match(/^\/orders\/v0\/orders\/([^/]+)\/orderItems$/);
+    if (req.method === 'GET' && itemsMatch) {
+      const page = this.page(this.orderItems[decodeURIComponent(itemsMatch[1])] || [], url.searchParams.get('NextToken'), 1);
+      return this.send(res, 200, { payload: { OrderItems: page.records, NextToken: page.nextToken } });
+    }
+
+    if (req.method === 'GET' && path === '/fba/inventory/v1/summaries') {
+      const page = this.page(this.inventory, url.searchParams.get('nextToken'), 2);
+      return this.send(res, 200, {
+        payload: { inventorySummaries: page.records },
+        pagination: page.nextToken ? { nextToken: page.nextToken } : undefined
+      });
+    }
+
+    const listingMatch = path.match(/^\/listings\/2021-08-01\/items\/([^/]+)(?:\/([^/]+))?$/);
+    if (listingMatch) {
+      if (decodeURIComponent(listingMatch[1]) !== SELLER_ID) {
+        return this.send(res, 403, { errors: [{ code: 'Unauthorized', message: 'Seller mismatch' }] });
+      }
+      const sku = listingMatch[2] && decodeURIComponent(listingMatch[2]);
+
+      if (req.method === 'GET' && !sku) {
+        return this.send(res, 200, { items: Object.values(this.listings) });
+      }
+      if (req.method === 'GET') {
+        return this.listings[sku]
+          ? this.send(res, 200, this.listings[sku])
+          : this.send(res, 404, { errors: [{ code: 'NOT_FOUND', message: `SKU '${sku}' not found` }] });
+      }
+      if (req.method === 'PATCH') {
+        if (!this.listings[sku]) {
+          return this.send(res, 200, { sku, status: 'INVALID', submissionId: 'sub-invalid', issues: [{ message: 'Listing does not exist', severity: 'ERROR' }] });
+        }
+        const availability = body.patches[0].value[0];
+        this.listings[sku].fulfillmentAvailability = [{ fulfillmentChannelCode: 'DEFAULT', quantity: availability.quantity }];
+        return this.send(res, 200, { sku, status: 'ACCEPTED', submissionId: `sub-patch-${sku}`, issues: [] });
+      }
+      if (req.method === 'PUT') {
+        const issues = body.attributes.brand ? [] : [{ message: 'brand is required', severity: 'ERROR' }];
+        return this.send(res, 200, { sku, status: issues.length ? 'INVALID' : 'ACCEPTED', submissionId: `sub-put-${sku}`, issues });
+      }
+    }
+
+    this.send(res, 404, { errors: [{ code: 'NotFound', message: 'Resource not found' }] });
+  }
+
+  page(records, token, size) {
+    const offset = token ? parseInt(token, 10) : 0;
+    return {
+      records: records.slice(offset, offset + size),
+      nextToken: offset + size < records.length ? String(offset + size) : undefined
+    };
+  }
+
+  send(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+
+  listen() {
+    this.server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => this.handle(req, res, raw));
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${this.server.address().port}`));
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+class AmazonTester {
+  constructor() {
+    this.stub = new AmazonStub();
+    this.adapter = new AmazonAdapter();
+    this.apiConfig = null;
+  }
+
+  async testConnection() {
+    const connection = await this.adapter.testConnection(this.apiConfig);
+    assert.strictEqual(connection.marketplaceId, MARKETPLACE_ID);
+    assert.strictEqual(connection.sellerId, SELLER_ID);
+    assert.strictEqual(this.stub.tokensIssued, 1);
+  }
+
+  async testOrdersPagination() {
+    const orders = await this.adapter.fetchOrders(this.apiConfig, { updatedAtMin: '2024-01-01T00:00:00Z' });
+    assert.deepStrictEqual(orders.map(order => order.AmazonOrderId), ['701-0000001', '701-0000002', '701-0000003']);
+    assert.strictEqual(this.stub.requests.filter(request => request === 'GET /orders/v0/orders').length, 2);
+
+    // Order items are paged one per request, so the two-item order takes two calls
+    assert.strictEqual(orders[0].OrderItems.length, 2);
+
+    const order = this.adapter.mapOrder(orders[0]);
+    assert.strictEqual(order.status, 'processing');
+    assert.strictEqual(order.total, 45);
+    assert.strictEqual(order.subtotal, 45);
+    assert.strictEqual(Number(order.tax.toFixed(2)), 5.85);
+    assert.deepStrictEqual(order.items[1], { sku: 'MUG-1', name: 'Mug', quantity: 2, price: 7.5, total: 15 });
+    assert.strictEqual(this.adapter.mapOrder(orders[2]).status, 'cancelled');
+  }
+
+  async testInventoryPagination() {
+    const summaries = await this.adapter.fetchInventory(this.apiConfig);
+    const mapped = summaries.map(summary => this.adapter.mapInventory(summary));
+    assert.deepStrictEqual(mapped.map(level => [level.sku, level.quantity, level.reserved]), [
+      ['KETTLE-1', 8, 1],
+      ['MUG-1', 20, 0],
+      ['LAMP-1', 0, 0]
+    ]);
+  }
+
+  async testListings() {
+    const listings = await this.adapter.fetchProducts(this.apiConfig);
+    const products = listings.map(listing => this.adapter.mapProduct(listing));
+
+    assert.deepStrictEqual(products.map(product => [product.sku, product.channel_sku, product.status]), [
+      ['KETTLE-1', 'B00KETTLE1', 'active'],
+      ['MUG-1', 'B00MUG0001', 'inactive']
+    ]);
+    assert.strictEqual(products[0].price, 30);
+    assert.strictEqual(products[0].brand, 'Acme');
+  }
+
+  async testInventoryPush() {
+    const results = await this.adapter.pushInventory(this.apiConfig, [
+      { sku: 'MUG-1', quantity: 14 },
+      { sku: 'MISSING-1', quantity: 3 }
+    ]);
+
+    assert.deepStrictEqual(results[0], { sku: 'MUG-1', success: true, reference: 'sub-patch-MUG-1' });
+    assert.strictEqual(results[1].success, false);
+    assert.match(results[1].error, /not found/);
+    assert.strictEqual(this.stub.listings['MUG-1'].fulfillmentAvailability[0].quantity, 14);
+  }
+
+  async testTokenRefreshOnRevocation() {
+    const client = this.adapter.createClient(this.apiConfig);
+    await client.getAccessToken();
+    const issued = this.stub.tokensIssued;
+
+    // A token revoked before its expiry is refreshed once and the call retried
+    this.stub.revokedTokens.add(client.accessToken);
+    const orders = await client.getOrders({ lastUpdatedAfter: '2024-01-01T00:00:00Z' });
+    assert.strictEqual(orders.length, 3);
+    assert.strictEqual(this.stub.tokensIssued, issued + 1);
+  }
+
+  async testPublishListing() {
+    const results = await this.adapter.publishListings(this.apiConfig, [{
+      sku: 'LAMP-1',
+      title: 'Desk Lamp',
+      brand: 'Acme',
+      description: 'LED desk lamp',
+      standalone: true,
+      optionAxes: [],
+      attributes: {},
+      variants: [{ sku: 'LAMP-1', price: 49.99, quantity: 5, options: {}, barcode: '012345678905', barcode_type: 'UPC' }]
+    }]);
+
+    assert.deepStrictEqual(results, [{ sku: 'LAMP-1', success: true, status: 'pending', channelSku: 'LAMP-1', reference: 'sub-put-LAMP-1' }]);
+  }
+
+  async testInvalidRefreshToken() {
+    await assert.rejects(
+      this.adapter.testConnection({ ...this.apiConfig, refresh_token: 'Atzr|wrong' }),
+      /LWA token refresh failed: The request has an invalid grant parameter/
+    );
+  }
+
+  async runAllTests() {
+    console.log('📦 Testing Amazon SP-API integration against a local stub\n');
+
+    const baseUrl = await this.stub.listen();
+    this.apiConfig = {
+      base_url: baseUrl,
+      token_url: `${baseUrl}/auth/o2/token`,
+      client_id: 'amzn1.application-oa2-client.stub',
+      client_secret: 'stub-secret',
+      refresh_token: REFRESH_TOKEN,
+      seller_id: SELLER_ID,
+      marketplace_id: MARKETPLACE_ID,
+      max_retries: 2
+    };
+
+    const tests = {
+      connection: () => this.testConnection(),
+      ordersPagination: () => this.testOrdersPagination(),
+      inventoryPagination: () => this.testInventoryPagination(),
+      listings: () => this.testListings(),
+      inventoryPush: () => this.testInventoryPush(),
+      tokenRefreshOnRevocation: () => this.testTokenRefreshOnRevocation(),
+      publishListing: () => this.testPublishListing(),
+      invalidRefreshToken: () => this.testInvalidRefreshToken()
+    };
+    const results = {};
+
+    try {
+      for (const [name, test] of Object.entries(tests)) {
+        try {
+          await test();
+          results[name] = true;
+          console.log(`✅ ${name}`);
+        } catch (error) {
+          results[name] = false;
+          console.error(`❌ ${name}:`, error.message);
+        }
+      }
+    } finally {
+      await this.stub.close();
+    }
+
+    const passed = Object.values(results).filter(Boolean).length;
+    const total = Object.keys(results).length;
+    console.log(`\n🎯 OVERALL: ${passed}/${total} tests passed`);
+
+    return passed === total;
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  new AmazonTester().runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = AmazonTester;
@@ -0,0 +1,157 @@
+/**
+ * Test Script for fulfillment center selection
+ * Runs FulfillmentService.planAllocation over candidate centers shaped like getCandidateCenters
+ * returns them: single-center shipments, splits across centers and backorders
+ *
+ * Usage: node scripts/testFulfillmentPlan.js
+ */
+
+const assert = require('assert');
+const FulfillmentService = require('../services/fulfillmentService');
+
+/**
+ * A candidate center; stock is { productId: [[binLocation, available], ...] }, largest bin first
+ */
+function center(id, { cost, distanceKm, stock = {} }) {
+  const bins = new Map(Object.entries(stock).map(([productId, productBins]) => [
+    productId,
+    productBins.map(([binLocation, available]) => ({ binLocation, available }))
+  ]));
+  return { id, name: `Center ${id}`, cost, distanceKm, bins };
+}
+
+class FulfillmentPlanTester {
+  constructor() {
+    this.fulfillment = new FulfillmentService();
+    this.lines = [
+      { productId: 'tee', sku: 'TEE-M', quantity: 4 },
+      { productId: 'cap', sku: 'CAP-1', quantity: 2 }
+    ];
+  }
+
+  /**
+   * Shipments as [centerId, [[sku, bin, quantity], ...]]
+   */
+  summarize(plan) {
+    return plan.shipments.map(shipment => [
+      shipment.center.id,
+      shipment.picks.map(pick => [pick.sku, pick.binLocation, pick.quantity])
+    ]);
+  }
+
+  async testCompleteCenterPreferred() {
+    // The cheap centers each hold part of the order; one dearer center holds all of it
+    const centers = [
+      center(1, { cost: 5, distanceKm: 10, stock: { tee: [['A1', 4]] } }),
+      center(2, { cost: 5, distanceKm: 10, stock: { cap: [['B1', 2]] } }),
+      center(3, { cost: 20, distanceKm: 900, stock: { tee: [['C1', 3], ['C2', 1]], cap: [['C3', 5]] } })
+    ];
+
+    const plan = this.fulfillment.planAllocation(this.lines, centers);
+    assert.deepStrictEqual(this.summarize(plan), [
+      [3, [['TEE-M', 'C1', 3], ['TEE-M', 'C2', 1], ['CAP-1', 'C3', 2]]]
+    ]);
+    assert.deepStrictEqual(plan.backorders, []);
+
+    // Among complete centers the cheapest wins, then the nearest
+    const complete = { tee: [['X', 4]], cap: [['Y', 2]] };
+    const cheapest = this.fulfillment.planAllocation(this.lines, [
+      center(4, { cost: 12, distanceKm: 50, stock: complete }),
+      center(5, { cost: 8, distanceKm: 400, stock: complete }),
+      center(6, { cost: 8, distanceKm: 300, stock: complete })
+    ]);
+    assert.deepStrictEqual(cheapest.shipments.map(shipment => shipment.center.id), [6]);
+  }
+
+  async testSplitAcrossCenters() {
+    const centers = [
+      center(1, { cost: 10, distanceKm: 100, stock: { tee: [['A1', 3]] } }),
+      center(2, { cost: 6, distanceKm: 200, stock: { tee: [['B1', 1]], cap: [['B2', 2]] } }),
+      center(3, { cost: 1, distanceKm: 5 })
+    ];
+
+    // 1 and 2 both cover three units; the cheaper one ships first and 1 ships the rest
+    const plan = this.fulfillment.planAllocation(this.lines, centers);
+    assert.deepStrictEqual(this.summarize(plan), [
+      [2, [['TEE-M', 'B1', 1], ['CAP-1', 'B2', 2]]],
+      [1, [['TEE-M', 'A1', 3]]]
+    ]);
+    assert.deepStrictEqual(plan.backorders, []);
+
+    // The center covering the most units ships first, however costly
+    const widest = this.fulfillment.planAllocation(this.lines, [
+      center(1, { cost: 1, distanceKm: 5, stock: { cap: [['A1', 2]] } }),
+      center(2, { cost: 30, distanceKm: 800, stock: { tee: [['B1', 4]], cap: [['B2', 1]] } })
+    ]);
+    assert.deepStrictEqual(this.summarize(widest), [
+      [2, [['TEE-M', 'B1', 4], ['CAP-1', 'B2', 1]]],
+      [1, [['CAP-1', 'A1', 1]]]
+    ]);
+  }
+
+  async testBackorderRemainder() {
+    const centers = [
+      center(1, { cost: 5, distanceKm: 10, stock: { tee: [['A1', 2]] } }),
+      center(2, { cost: 5, distanceKm: 20, stock: { tee: [['B1', 1]] } })
+    ];
+
+    const plan = this.fulfillment.planAllocation(this.lines, centers);
+    assert.deepStrictEqual(this.summarize(plan), [
+      [1, [['TEE-M', 'A1', 2]]],
+      [2, [['TEE-M', 'B1', 1]]]
+    ]);
+    assert.deepStrictEqual(plan.backorders, [
+      { productId: 'tee', sku: 'TEE-M', quantity: 1 },
+      { productId: 'cap', sku: 'CAP-1', quantity: 2 }
+    ]);
+
+    // No stock anywhere: nothing ships and every line is backordered
+    const empty = this.fulfillment.planAllocation(this.lines, [center(1, { cost: 5, distanceKm: 10 })]);
+    assert.deepStrictEqual(empty.shipments, []);
+    assert.deepStrictEqual(empty.backorders.map(line => line.quantity), [4, 2]);
+  }
+
+  async runAllTests() {
+    console.log('🏭 Testing fulfillment center selection\n');
+
+    const tests = {
+      completeCenterPreferred: () => this.testCompleteCenterPreferred(),
+      splitAcrossCenters: () => this.testSplitAcrossCenters(),
+      backorderRemainder: () => this.testBackorderRemainder()
+    };
+    const results = {};
+
+    try {
+      for (const [name, test] of Object.entries(tests)) {
+        try {
+          await test();
+          results[name] = true;
+          console.log(`✅ ${name}`);
+        } catch (error) {
+          results[name] = false;
+          console.error(`❌ ${name}:`, error.message);
+        }
+      }
+    } finally {
+      await this.fulfillment.pool.end();
+    }
+
+    const passed = Object.values(results).filter(Boolean).length;
+    const total = Object.keys(results).length;
+    console.log(`\n🎯 OVERALL: ${passed}/${total} tests passed`);
+
+    return passed === total;
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  new FulfillmentPlanTester().runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = FulfillmentPlanTester;
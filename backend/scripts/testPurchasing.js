@@ -0,0 +1,296 @@
+/**
+ * Test Script for purchase order receiving
+ * Runs PurchasingService's receipts, landed cost split and cost_price averaging against an
+ * in-memory stand-in for the purchase order, product and stock tables
+ *
+ * Usage: node scripts/testPurchasing.js
+ */
+
+const assert = require('assert');
+const PurchasingService = require('../services/purchasingService');
+
+/**
+ * Answers the queries receiving makes from in-memory rows; a transaction is a snapshot
+ * restored on ROLLBACK
+ */
+class PurchasingTables {
+  constructor({ order, items, products, inventory = [] }) {
+    this.orders = [order];
+    this.items = items;
+    this.products = products;
+    this.inventory = inventory;
+    this.warehouseStock = [];
+    this.movements = [];
+  }
+
+  async connect() {
+    return { query: (sql, params) => this.query(sql, params), release: () => {} };
+  }
+
+  async query(sql, params = []) {
+    const statement = sql.trim();
+    const tables = ['orders', 'items', 'products', 'inventory', 'warehouseStock', 'movements'];
+
+    if (statement === 'BEGIN') {
+      this.snapshot = JSON.stringify(tables.map(table => this[table]));
+      return { rows: [] };
+    }
+    if (statement === 'ROLLBACK') {
+      JSON.parse(this.snapshot).forEach((rows, index) => { this[tables[index]] = rows; });
+      return { rows: [] };
+    }
+    if (statement === 'COMMIT' || /set_config/.test(statement)) {
+      return { rows: [] };
+    }
+
+    if (/FROM purchase_orders po/.test(statement)) {
+      return { rows: this.orders.filter(order => String(order.id) === params[0] || order.po_number === params[0]).map(order => ({ ...order })) };
+    }
+    if (/FROM suppliers/.test(statement)) {
+      return { rows: [{ id: params[0], name: 'Acme Supply' }] };
+    }
+    if (/FROM purchase_order_items poi/.test(statement)) {
+      return { rows: this.items.filter(item => item.purchase_order_id === params[0]).map(item => ({
+        ...item,
+        outstanding_quantity: Math.max(item.quantity - item.received_quantity, 0)
+      })) };
+    }
+    if (/^UPDATE purchase_order_items/.test(statement)) {
+      const item = this.items.find(candidate => candidate.id === params[0]);
+      item.received_quantity += params[1];
+      if (params[2] !== null) item.landed_unit_cost = params[2];
+      return { rows: [] };
+    }
+    if (/^UPDATE purchase_orders/.test(statement)) {
+      this.orders.find(order => order.id === params[0]).status = params[1];
+      return { rows: [] };
+    }
+
+    if (/^SELECT sku, cost_price FROM products/.test(statement)) {
+      return { rows: this.products.filter(product => product.id === params[0]).map(product => ({ ...product })) };
+    }
+    if (/^UPDATE products SET cost_price/.test(statement)) {
+      // numeric columns come back as strings
+      this.products.find(product => product.id === params[0]).cost_price = params[1].toFixed(2);
+      return { rows: [] };
+    }
+
+    if (/^SELECT id FROM fulfillment_centers/.test(statement)) {
+      return { rows: params[0] === '1' ? [{ id: 1 }] : [] };
+    }
+    if (/^INSERT INTO warehouse_stock/.test(statement)) {
+      const [centerId, productId, binLocation] = params;
+      if (!this.findBin(centerId, productId, binLocation)) {
+        this.warehouseStock.push({
+          id: this.warehouseStock.length + 1, fulfillment_center_id: centerId, product_id: productId,
+          bin_location: binLocation, quantity: 0, allocated_quantity: 0
+        });
+      }
+      return { rows: [] };
+    }
+    if (/^SELECT id, quantity, allocated_quantity as reserved_quantity FROM warehouse_stock/.test(statement)) {
+      const bin = this.findBin(...params);
+      return { rows: [{ id: bin.id, quantity: bin.quantity, reserved_quantity: bin.allocated_quantity }] };
+    }
+    if (/^UPDATE warehouse_stock SET/.test(statement)) {
+      Object.assign(this.warehouseStock.find(bin => bin.id === params[0]), { quantity: params[1], allocated_quantity: params[2] });
+      return { rows: [] };
+    }
+    if (/^INSERT INTO inventory_movements/.test(statement)) {
+      const movement = { id: this.movements.length + 1, product_id: params[0], movement_type: params[4], quantity_change: params[5], reference_id: params[11] };
+      this.movements.push(movement);
+      return { rows: [movement] };
+    }
+
+    // Stock pool (StockAllocationService.getPoolQuantities)
+    if (/^SELECT 1 FROM (inventory|warehouse_stock) .*FOR UPDATE/.test(statement)) {
+      return { rows: [] };
+    }
+    if (/FROM warehouse_stock\s+WHERE product_id::text = ANY/.test(statement)) {
+      return { rows: this.aggregate(this.warehouseStock, params[0], 'allocated_quantity') };
+    }
+    if (/FROM inventory\s+WHERE product_id::text = ANY/.test(statement)) {
+      return { rows: this.aggregate(this.inventory, params[0], 'reserved_quantity') };
+    }
+
+    throw new Error(`Unexpected query: ${statement.split('\n')[0]}`);
+  }
+
+  findBin(centerId, productId, binLocation) {
+    return this.warehouseStock.find(bin => (
+      bin.fulfillment_center_id === centerId && bin.product_id === productId && bin.bin_location === binLocation
+    ));
+  }
+
+  aggregate(rows, productIds, reservedColumn) {
+    const totals = new Map();
+    for (const row of rows.filter(candidate => productIds.includes(candidate.product_id))) {
+      const total = totals.get(row.product_id) || { product_id: row.product_id, quantity: 0, reserved: 0 };
+      total.quantity += row.quantity;
+      total.reserved += row[reservedColumn];
+      totals.set(row.product_id, total);
+    }
+    return [...totals.values()];
+  }
+}
+
+class PurchasingTester {
+  constructor() {
+    this.purchasing = new PurchasingService();
+    this.pool = this.purchasing.db;
+  }
+
+  /**
+   * A sent order for 10 TEE-M at 4.00 and 5 CAP-1 at 12.00 (value 100.00) with 40.00 of
+   * shipping and duty, into warehouse 1; 10 TEE-M are already on hand at 5.00
+   */
+  useTables() {
+    const tables = new PurchasingTables({
+      order: {
+        id: 7, po_number: 'PO-0007', supplier_id: 3, status: 'sent', fulfillment_center_id: 1,
+        shipping_cost: '30.00', duty_cost: '10.00', other_cost: '0.00'
+      },
+      items: [
+        { id: 71, purchase_order_id: 7, product_id: 'tee', sku: 'TEE-M', quantity: 10, received_quantity: 0, unit_cost: '4.00', landed_unit_cost: null },
+        { id: 72, purchase_order_id: 7, product_id: 'cap', sku: 'CAP-1', quantity: 5, received_quantity: 0, unit_cost: '12.00', landed_unit_cost: null }
+      ],
+      products: [{ id: 'tee', sku: 'TEE-M', cost_price: '5.00' }, { id: 'cap', sku: 'CAP-1', cost_price: null }],
+      inventory: [{ product_id: 'tee', channel_id: '1', quantity: 10, reserved_quantity: 0 }]
+    });
+
+    this.purchasing.db = tables;
+    this.purchasing.inventory.db = tables;
+    this.purchasing.allocation.db = tables;
+    return tables;
+  }
+
+  async testLandedCostByValue() {
+    const order = { shipping_cost: '30.00', duty_cost: '10.00', other_cost: null };
+    const items = [
+      { id: 1, quantity: 10, unit_cost: '4.00' },
+      { id: 2, quantity: 5, unit_cost: '12.00' }
+    ];
+
+    // 40.00 spread over 100.00 of value: 40% on top of each unit cost
+    const costs = this.purchasing.getLandedUnitCosts({ ...order, items });
+    assert.deepStrictEqual([...costs], [[1, 5.6], [2, 16.8]]);
+    assert.strictEqual(10 * costs.get(1) + 5 * costs.get(2), 140);
+
+    // A line without a cost has no landed cost while others carry the value
+    const uncosted = this.purchasing.getLandedUnitCosts({ ...order, items: [...items, { id: 3, quantity: 2, unit_cost: null }] });
+    assert.strictEqual(uncosted.get(3), null);
+    assert.strictEqual(uncosted.get(1), 5.6);
+
+    // No line has a cost: the extra costs are spread by quantity
+    const byQuantity = this.purchasing.getLandedUnitCosts({
+      ...order,
+      items: [{ id: 1, quantity: 10, unit_cost: null }, { id: 2, quantity: 5, unit_cost: null }]
+    });
+    assert.deepStrictEqual([...byQuantity], [[1, 2.6667], [2, 2.6667]]);
+  }
+
+  async testPartialThenFullReceipt() {
+    const tables = this.useTables();
+
+    const partial = await this.purchasing.receivePurchaseOrder('PO-0007', { lines: [{ sku: 'TEE-M', quantity: 4 }] });
+    assert.strictEqual(partial.purchaseOrder.status, 'partially_received');
+    assert.deepStrictEqual(partial.purchaseOrder.items.map(item => item.outstanding_quantity), [6, 5]);
+    assert.deepStrictEqual(partial.movements.map(movement => [movement.movement_type, movement.quantity_change, movement.reference_id]), [
+      ['receipt', 4, 'PO-0007']
+    ]);
+    assert.strictEqual(tables.findBin(1, 'tee', '').quantity, 4);
+    assert.strictEqual(tables.items[0].landed_unit_cost, 5.6);
+
+    // More than is outstanding is refused and nothing is written
+    await assert.rejects(
+      this.purchasing.receivePurchaseOrder('PO-0007', { lines: [{ sku: 'CAP-1', quantity: 1 }, { sku: 'TEE-M', quantity: 7 }] }),
+      error => error.statusCode === 409 && /only 6 outstanding/.test(error.message)
+    );
+    assert.strictEqual(tables.items[1].received_quantity, 0);
+    assert.strictEqual(tables.movements.length, 1);
+
+    const full = await this.purchasing.receivePurchaseOrder('PO-0007', {
+      lines: [{ itemId: 71, quantity: 6 }, { itemId: '72', quantity: 5 }]
+    });
+    assert.strictEqual(full.purchaseOrder.status, 'received');
+    assert.deepStrictEqual(full.purchaseOrder.items.map(item => item.outstanding_quantity), [0, 0]);
+    assert.strictEqual(tables.findBin(1, 'tee', '').quantity, 10);
+    assert.strictEqual(tables.findBin(1, 'cap', '').quantity, 5);
+
+    await assert.rejects(
+      this.purchasing.receivePurchaseOrder('PO-0007', { lines: [{ sku: 'TEE-M', quantity: 1 }] }),
+      /PO-0007 is received and can't be received/
+    );
+  }
+
+  async testWeightedAverageCost() {
+    const tables = this.useTables();
+
+    // 10 on hand at 5.00 plus 4 at 5.60 landed
+    const first = await this.purchasing.receivePurchaseOrder('PO-0007', { lines: [{ sku: 'TEE-M', quantity: 4 }] });
+    assert.deepStrictEqual(first.costs, [{ product_id: 'tee', sku: 'TEE-M', previous_cost_price: 5, cost_price: 5.17 }]);
+
+    // Two lines of one product in a batch: the second averages against the units the first added
+    // (14 at 5.17 + 3 at 5.60, then 17 at 5.25 + 3 at 5.60); CAP-1 had no cost, so it takes the landed cost
+    const second = await this.purchasing.receivePurchaseOrder('PO-0007', {
+      lines: [{ sku: 'TEE-M', quantity: 3 }, { sku: 'TEE-M', quantity: 3 }, { sku: 'CAP-1', quantity: 5 }]
+    });
+    assert.deepStrictEqual(second.costs.map(cost => [cost.sku, cost.previous_cost_price, cost.cost_price]), [
+      ['TEE-M', 5.17, 5.25],
+      ['TEE-M', 5.25, 5.3],
+      ['CAP-1', null, 16.8]
+    ]);
+    assert.deepStrictEqual(tables.products.map(product => product.cost_price), ['5.30', '16.80']);
+
+    // Oversold stock doesn't weigh in: the landed cost replaces the current one
+    const client = await tables.connect();
+    const pools = new Map([['tee', { on_hand: -3, reserved: 0, available: -3 }]]);
+    const oversold = await this.purchasing.updateCostPrice(client, 'tee', 2, 6.1, pools);
+    assert.strictEqual(oversold.cost_price, 6.1);
+    assert.strictEqual(pools.get('tee').on_hand, 2);
+  }
+
+  async runAllTests() {
+    console.log('🧾 Testing purchase order receiving\n');
+
+    const tests = {
+      landedCostByValue: () => this.testLandedCostByValue(),
+      partialThenFullReceipt: () => this.testPartialThenFullReceipt(),
+      weightedAverageCost: () => this.testWeightedAverageCost()
+    };
+    const results = {};
+
+    try {
+      for (const [name, test] of Object.entries(tests)) {
+        try {
+          await test();
+          results[name] = true;
+          console.log(`✅ ${name}`);
+        } catch (error) {
+          results[name] = false;
+          console.error(`❌ ${name}:`, error.message);
+        }
+      }
+    } finally {
+      await this.pool.end();
+    }
+
+    const passed = Object.values(results).filter(Boolean).length;
+    const total = Object.keys(results).length;
+    console.log(`\n🎯 OVERALL: ${passed}/${total} tests passed`);
+
+    return passed === total;
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  new PurchasingTester().runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = PurchasingTester;
@@ -0,0 +1,338 @@
+/**
+ * Test Script for the Shopify integration
+ * Runs the Shopify client and adapter against a local stub of the Admin REST API
+ * (pagination, 429 retries, no retries of creates, inventory pushes, webhook subscriptions)
+ *
+ * Usage: node scripts/testShopify.js
+ */
+
+const http = require('http');
+const assert = require('assert');
+const ShopifyAdapter = require('../services/channels/shopifyAdapter');
+
+const ACCESS_TOKEN = 'shpat_stub_token';
+
+/**
+ * Minimal in-memory Shopify shop
+ */
+class ShopifyStub {
+  constructor() {
+    this.products = [
+      {
+        id: 1001, handle: 'classic-tee', title: 'Classic Tee', body_html: '<p>Soft <b>cotton</b></p>',
+        vendor: 'Acme', product_type: 'Apparel', status: 'active', tags: 'summer, cotton',
+        options: [{ name: 'Size' }],
+        variants: [
+          { id: 2001, sku: 'TEE-S', option1: 'S', price: '19.99', barcode: '012345678905', inventory_item_id: 3001, inventory_quantity: 4 },
+          { id: 2002, sku: 'TEE-M', option1: 'M', price: '19.99', barcode: null, inventory_item_id: 3002, inventory_quantity: 7 }
+        ],
+        images: []
+      },
+      {
+        id: 1002, handle: 'mug', title: 'Mug', body_html: '', vendor: 'Acme', product_type: 'Kitchen', status: 'draft',
+        options: [{ name: 'Title' }],
+        variants: [{ id: 2003, sku: 'MUG-1', option1: 'Default Title', price: '9.50', inventory_item_id: 3003, inventory_quantity: 0 }],
+        images: []
+      },
+      {
+        id: 1003, handle: 'cap', title: 'Cap', body_html: '', vendor: 'Acme', product_type: 'Apparel', status: 'active',
+        options: [{ name: 'Title' }],
+        variants: [{ id: 2004, sku: 'CAP-1', option1: 'Default Title', price: '14.00', inventory_item_id: 3004, inventory_quantity: 2 }],
+        images: []
+      }
+    ];
+    this.orders = [
+      {
+        id: 5001, name: '#1001', order_number: 1001, email: 'buyer@example.com', created_at: '2024-01-02T10:00:00Z',
+        financial_status: 'paid', fulfillment_status: null, total_price: '39.98', subtotal_price: '39.98', total_tax: '0.00',
+        currency: 'CAD', customer: { first_name: 'Ada', last_name: 'Buyer' },
+        line_items: [{ sku: 'TEE-S', name: 'Classic Tee - S', quantity: 2, price: '19.99' }]
+      }
+    ];
+    this.levels = new Map([[3001, 4], [3002, 7], [3003, 0], [3004, 2]]);
+    this.webhooks = [];
+    this.requests = [];
+    this.throttleNextOrders = true;
+  }
+
+  handle(req, res, body) {
+    const url = new URL(req.url, 'http://stub');
+    this.requests.push(`${req.method} ${url.pathname}`);
+
+    if (req.headers['x-shopify-access-token'] !== ACCESS_TOKEN) {
+      return this.send(res, 401, { errors: '[API] Invalid API key or access token' });
+    }
+
+    const route = `${req.method} ${url.pathname}`;
+
+    if (route === 'GET /shop.json') {
+      return this.send(res, 200, { shop: { name: 'Stub Shop', myshopify_domain: 'stub-shop.myshopify.com' } });
+    }
+
+    if (route === 'GET /products.json') {
+      return this.sendPage(req, res, url, 'products', this.products);
+    }
+
+    if (route === 'GET /orders.json') {
+      // First orders call is throttled to exercise Retry-After handling
+      if (this.throttleNextOrders) {
+        this.throttleNextOrders = false;
+        return this.send(res, 429, { errors: 'Exceeded 2 calls per second for api client' }, { 'Retry-After': '0.1' });
+      }
+      return this.sendPage(req, res, url, 'orders', this.orders);
+    }
+
+    if (route === 'POST /products.json') {
+      // A 5xx after a create may mean the product was made anyway, so the client must not repeat it
+      return this.send(res, 503, { errors: 'Service Unavailable' });
+    }
+
+    if (route === 'GET /inventory_levels.json') {
+      // Every level is held at location 7001
+      const ids = (url.searchParams.get('inventory_item_ids') || '').split(',').filter(Boolean).map(Number);
+      const locationIds = (url.searchParams.get('location_ids') || '').split(',').filter(Boolean).map(Number);
+      const itemIds = ids.length > 0 ? ids : (locationIds.includes(7001) ? [...this.levels.keys()] : []);
+      const levels = itemIds
+        .filter(id => this.levels.has(id))
+        .map(id => ({ inventory_item_id: id, location_id: 7001, available: this.levels.get(id) }));
+      return this.send(res, 200, { inventory_levels: levels });
+    }
+
+    if (route === 'GET /inventory_items.json') {
+      const ids = (url.searchParams.get('ids') || '').split(',').filter(Boolean).map(Number);
+      const items = this.products
+        .flatMap(product => product.variants)
+        .filter(variant => ids.includes(variant.inventory_item_id))
+        .map(variant => ({ id: variant.inventory_item_id, sku: variant.sku }));
+      return this.send(res, 200, { inventory_items: items });
+    }
+
+    if (route === 'GET /locations.json') {
+      return this.send(res, 200, { locations: [{ id: 7000, active: false }, { id: 7001, active: true }] });
+    }
+
+    if (route === 'POST /inventory_levels/set.json') {
+      if (body.location_id !== 7001) {
+        return this.send(res, 422, { errors: { location_id: ['is not active'] } });
+      }
+      this.levels.set(body.inventory_item_id, body.available);
+      return this.send(res, 200, { inventory_level: { ...body, updated_at: new Date().toISOString() } });
+    }
+
+    if (route === 'GET /webhooks.json') {
+      return this.send(res, 200, { webhooks: this.webhooks });
+    }
+
+    if (route === 'POST /webhooks.json') {
+      const webhook = { id: 9000 + this.webhooks.length + 1, ...body.webhook };
+      this.webhooks.push(webhook);
+      return this.send(res, 201, { webhook });
+    }
+
+    const webhookMatch = url.pathname.match(/^\/webhooks\/(\d+)\.json$/);
+    if (req.method === 'DELETE' && webhookMatch) {
+      this.webhooks = this.webhooks.filter(webhook => String(webhook.id) !== webhookMatch[1]);
+      return this.send(res, 200, {});
+    }
+
+    this.send(res, 404, { errors: 'Not Found' });
+  }
+
+  /**
+   * Page with limit and a Link rel="next" header carrying page_info, like Shopify's cursors
+   */
+  sendPage(req, res, url, rootKey, records) {
+    const limit = parseInt(url.searchParams.get('limit') || '50', 10);
+    const offset = parseInt(url.searchParams.get('page_info') || '0', 10);
+    const headers = { 'X-Shopify-Shop-Api-Call-Limit': '1/40' };
+
+    if (offset + limit < records.length) {
+      const next = `http://${req.headers.host}${url.pathname}?limit=${limit}&page_info=${offset + limit}`;
+      headers.Link = `<${next}>; rel="next"`;
+    }
+
+    this.send(res, 200, { [rootKey]: records.slice(offset, offset + limit) }, headers);
+  }
+
+  send(res, status, payload, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
+  }
+
+  listen() {
+    this.server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => this.handle(req, res, raw ? JSON.parse(raw) : {}));
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${this.server.address().port}`));
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+class ShopifyTester {
+  constructor() {
+    this.stub = new ShopifyStub();
+    this.adapter = new ShopifyAdapter();
+    this.apiConfig = null;
+  }
+
+  async testConnection() {
+    const shop = await this.adapter.testConnection(this.apiConfig);
+    assert.deepStrictEqual(shop, { name: 'Stub Shop', domain: 'stub-shop.myshopify.com' });
+  }
+
+  async testProductPagination() {
+    const products = await this.adapter.fetchProducts(this.apiConfig);
+    assert.deepStrictEqual(products.map(product => product.id), [1001, 1002, 1003]);
+    assert.strictEqual(this.stub.requests.filter(request => request === 'GET /products.json').length, 2);
+
+    const tee = this.adapter.mapProduct(products[0]);
+    assert.strictEqual(tee.parent.sku, 'classic-tee');
+    assert.deepStrictEqual(tee.variants.map(variant => variant.sku), ['TEE-S', 'TEE-M']);
+    assert.deepStrictEqual(tee.variants[0].options, { Size: 'S' });
+    assert.strictEqual(tee.description, 'Soft cotton');
+
+    const mug = this.adapter.mapProduct(products[1]);
+    assert.strictEqual(mug.parent, null);
+    assert.strictEqual(mug.status, 'inactive');
+  }
+
+  async testOrdersWithRetry() {
+    const orders = await this.adapter.fetchOrders(this.apiConfig);
+    assert.strictEqual(orders.length, 1);
+    assert.strictEqual(this.stub.requests.filter(request => request === 'GET /orders.json').length, 2);
+
+    const order = this.adapter.mapOrder(orders[0]);
+    assert.strictEqual(order.status, 'processing');
+    assert.strictEqual(order.customer.name, 'Ada Buyer');
+    assert.deepStrictEqual(order.items[0], { sku: 'TEE-S', name: 'Classic Tee - S', quantity: 2, price: 19.99, total: 39.98 });
+  }
+
+  async testInventory() {
+    const productRequests = () => this.stub.requests.filter(request => request === 'GET /products.json').length;
+    const before = productRequests();
+
+    const levels = await this.adapter.fetchInventory(this.apiConfig);
+    const bySku = Object.fromEntries(levels.map(level => [level.sku, this.adapter.mapInventory(level).quantity]));
+    assert.deepStrictEqual(bySku, { 'TEE-S': 4, 'TEE-M': 7, 'MUG-1': 0, 'CAP-1': 2 });
+
+    // A webhook-scoped fetch resolves just its own item
+    const single = await this.adapter.fetchInventory(this.apiConfig, { inventoryItemIds: [3002] });
+    assert.deepStrictEqual(single.map(level => level.sku), ['TEE-M']);
+
+    // SKUs come from inventory_items, not a catalogue download
+    assert.strictEqual(productRequests(), before);
+  }
+
+  async testInventoryPush() {
+    const results = await this.adapter.pushInventory(this.apiConfig, [
+      { sku: 'TEE-M', quantity: 12 },
+      { sku: 'NOT-ON-SHOPIFY', quantity: 1 }
+    ]);
+
+    assert.deepStrictEqual(results[0], { sku: 'TEE-M', success: true, reference: '3002' });
+    assert.strictEqual(results[1].success, false);
+    assert.strictEqual(this.stub.levels.get(3002), 12);
+
+    // Batches of one push share the SKU lookup, so the catalogue is read once per push
+    const productRequests = () => this.stub.requests.filter(request => request === 'GET /products.json').length;
+    const before = productRequests();
+    const context = {};
+    await this.adapter.pushInventory(this.apiConfig, [{ sku: 'TEE-S', quantity: 3 }], context);
+    await this.adapter.pushInventory(this.apiConfig, [{ sku: 'CAP-1', quantity: 5 }], context);
+
+    assert.deepStrictEqual([this.stub.levels.get(3001), this.stub.levels.get(3004)], [3, 5]);
+    // Two pages of products (page_size 2), fetched for the first batch only
+    assert.strictEqual(productRequests() - before, 2);
+  }
+
+  async testWebhookSubscriptions() {
+    const created = await this.adapter.createWebhookSubscription(this.apiConfig, {
+      topic: 'orders/create',
+      address: 'https://portal.example.com/api/webhooks/shopify'
+    });
+    assert.strictEqual(created.topic, 'orders/create');
+
+    let subscriptions = await this.adapter.listWebhookSubscriptions(this.apiConfig);
+    assert.deepStrictEqual(subscriptions.map(subscription => subscription.id), [created.id]);
+
+    await this.adapter.deleteWebhookSubscription(this.apiConfig, created.id);
+    subscriptions = await this.adapter.listWebhookSubscriptions(this.apiConfig);
+    assert.strictEqual(subscriptions.length, 0);
+  }
+
+  async testCreateNotRetried() {
+    await assert.rejects(
+      this.adapter.createClient(this.apiConfig).createProduct({ title: 'Beanie' }),
+      /Service Unavailable/
+    );
+    assert.strictEqual(this.stub.requests.filter(request => request === 'POST /products.json').length, 1);
+  }
+
+  async testInvalidToken() {
+    await assert.rejects(
+      this.adapter.testConnection({ ...this.apiConfig, access_token: 'wrong' }),
+      /Invalid API key or access token/
+    );
+  }
+
+  async runAllTests() {
+    console.log('🛍️ Testing Shopify integration against a local stub\n');
+
+    const baseUrl = await this.stub.listen();
+    // page_size 2 forces the three stub products across two Link-paginated pages
+    this.apiConfig = { base_url: baseUrl, access_token: ACCESS_TOKEN, page_size: 2, max_retries: 2 };
+
+    const tests = {
+      connection: () => this.testConnection(),
+      productPagination: () => this.testProductPagination(),
+      ordersWithRetry: () => this.testOrdersWithRetry(),
+      inventory: () => this.testInventory(),
+      inventoryPush: () => this.testInventoryPush(),
+      webhookSubscriptions: () => this.testWebhookSubscriptions(),
+      createNotRetried: () => this.testCreateNotRetried(),
+      invalidToken: () => this.testInvalidToken()
+    };
+    const results = {};
+
+    try {
+      for (const [name, test] of Object.entries(tests)) {
+        try {
+          await test();
+          results[name] = true;
+          console.log(`✅ ${name}`);
+        } catch (error) {
+          results[name] = false;
+          console.error(`❌ ${name}:`, error.message);
+        }
+      }
+    } finally {
+      await this.stub.close();
+    }
+
+    const passed = Object.values(results).filter(Boolean).length;
+    const total = Object.keys(results).length;
+    console.log(`\n🎯 OVERALL: ${passed}/${total} tests passed`);
+
+    return passed === total;
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  new ShopifyTester().runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = ShopifyTester;
@@ -0,0 +1,210 @@
+/**
+ * Test Script for the shared stock pool
+ * Runs StockAllocationService and InventoryService order handling against an in-memory
+ * stand-in for the inventory, warehouse_stock and inventory_allocations tables, covering
+ * products stocked on channel rows, in warehouses, and both
+ *
+ * Usage: node scripts/testStockPool.js
+ */
+
+const assert = require('assert');
+const StockAllocationService = require('../services/stockAllocationService');
+const InventoryService = require('../services/inventoryService');
+
+/**
+ * Answers the queries the pool and order paths make from in-memory rows
+ */
+class StockTables {
+  constructor({ inventory = [], warehouseStock = [], allocations = [], movements = [] } = {}) {
+    this.inventory = inventory;
+    this.warehouseStock = warehouseStock;
+    this.allocations = allocations;
+    this.movements = movements;
+  }
+
+  async query(sql, params = []) {
+    const ids = params[0];
+
+    if (/FROM inventory_allocations/.test(sql)) {
+      return { rows: this.sum(this.allocations.filter(row => row.order_id === ids && ['allocated', 'shipped'].includes(row.allocation_status)), 'quantity') };
+    }
+    if (/FROM inventory_movements/.test(sql)) {
+      const [productId, channelId, referenceId] = params;
+      const rows = this.movements.filter(row => row.product_id === productId && row.channel_id === channelId && row.reference_id === referenceId);
+      return { rows: [{
+        reserved: rows.reduce((sum, row) => sum + (row.reserved_change || 0), 0),
+        sold: -rows.filter(row => row.movement_type === 'sale').reduce((sum, row) => sum + row.quantity_change, 0),
+        returned: rows.filter(row => row.movement_type === 'return').reduce((sum, row) => sum + row.quantity_change, 0)
+      }] };
+    }
+    if (/FOR UPDATE/.test(sql)) {
+      return { rows: [] };
+    }
+    if (/FROM warehouse_stock/.test(sql)) {
+      return { rows: this.aggregate(this.warehouseStock.filter(row => ids.includes(row.product_id)), 'allocated_quantity') };
+    }
+    if (/FROM inventory\b/.test(sql)) {
+      return { rows: this.aggregate(this.inventory.filter(row => ids.includes(row.product_id)), 'reserved_quantity') };
+    }
+
+    throw new Error(`Unexpected query: ${sql.trim().split('\n')[0]}`);
+  }
+
+  aggregate(rows, reservedColumn) {
+    const totals = new Map();
+    for (const row of rows) {
+      const total = totals.get(row.product_id) || { product_id: row.product_id, quantity: 0, reserved: 0 };
+      total.quantity += row.quantity;
+      total.reserved += row[reservedColumn];
+      totals.set(row.product_id, total);
+    }
+    return [...totals.values()];
+  }
+
+  sum(rows, column) {
+    const totals = new Map();
+    for (const row of rows) {
+      totals.set(row.product_id, (totals.get(row.product_id) || 0) + row[column]);
+    }
+    return [...totals].map(([product_id, quantity]) => ({ product_id, quantity }));
+  }
+}
+
+class StockPoolTester {
+  constructor() {
+    this.allocation = new StockAllocationService();
+    this.inventory = new InventoryService();
+  }
+
+  async testMixedPool() {
+    const tables = new StockTables({
+      inventory: [
+        { product_id: 'mixed', channel_id: 1, quantity: 5, reserved_quantity: 1 },
+        { product_id: 'mixed', channel_id: 2, quantity: 3, reserved_quantity: 0 },
+        { product_id: 'channel-only', channel_id: 1, quantity: 4, reserved_quantity: 4 }
+      ],
+      warehouseStock: [
+        { product_id: 'mixed', fulfillment_center_id: 1, quantity: 10, allocated_quantity: 2 },
+        { product_id: 'mixed', fulfillment_center_id: 2, quantity: 6, allocated_quantity: 0 },
+        { product_id: 'warehouse-only', fulfillment_center_id: 1, quantity: 7, allocated_quantity: 3 }
+      ]
+    });
+
+    const pools = await this.allocation.getPoolQuantities(
+      ['mixed', 'channel-only', 'warehouse-only', 'unstocked'],
+      { client: tables }
+    );
+
+    // Channel stock still counts once a product also has warehouse bins
+    assert.deepStrictEqual(pools.get('mixed'), { on_hand: 24, reserved: 3, available: 21 });
+    assert.deepStrictEqual(pools.get('channel-only'), { on_hand: 4, reserved: 4, available: 0 });
+    assert.deepStrictEqual(pools.get('warehouse-only'), { on_hand: 7, reserved: 3, available: 4 });
+    assert.deepStrictEqual(pools.get('unstocked'), { on_hand: 0, reserved: 0, available: 0 });
+  }
+
+  async testAdvertisedFromMixedPool() {
+    const pool = { on_hand: 24, reserved: 3, available: 21 };
+    const settings = { overselling_prevention: true, safety_stock_percentage: 0.10 };
+
+    // 21 available - ceil(24 x 10%) safety stock, then half of it, less a buffer of 2
+    assert.strictEqual(this.allocation.advertisedQuantity(pool, null, settings, 'shopify'), 18);
+    assert.strictEqual(this.allocation.advertisedQuantity(pool, { allocation_percent: 50, buffer_quantity: 2 }, settings, 'shopify'), 7);
+  }
+
+  async testOrderReservesOnlyUnallocatedUnits() {
+    const tables = new StockTables({
+      allocations: [
+        { order_id: 'order-1', product_id: 'mixed', quantity: 3, allocation_status: 'allocated' },
+        { order_id: 'order-1', product_id: 'mixed', quantity: 1, allocation_status: 'released' }
+      ]
+    });
+    const applied = this.stubOrderPath(tables, [
+      { productId: 'mixed', sku: 'MIXED-1', quantity: 5 },
+      { productId: 'channel-only', sku: 'CHAN-1', quantity: 2 }
+    ]);
+
+    await this.inventory.reserveOrder({ id: 'order-1', channel_id: 1, external_order_id: 'EXT-1' });
+
+    // 3 of the 5 units are allocated in a warehouse, so the channel row reserves the other 2
+    assert.deepStrictEqual(applied.map(movement => [movement.productId, movement.type, movement.reservedChange]), [
+      ['mixed', 'reserve', 2],
+      ['channel-only', 'reserve', 2]
+    ]);
+  }
+
+  async testShippedFromWarehouseReleasesChannelReservation() {
+    const tables = new StockTables({
+      allocations: [{ order_id: 'order-2', product_id: 'mixed', quantity: 4, allocation_status: 'shipped' }],
+      movements: [{ product_id: 'mixed', channel_id: '1', reference_id: 'order-2', movement_type: 'reserve', reserved_change: 4, quantity_change: 0 }]
+    });
+    const applied = this.stubOrderPath(tables, [{ productId: 'mixed', sku: 'MIXED-1', quantity: 4 }]);
+
+    await this.inventory.fulfillOrder({ id: 'order-2', channel_id: 1, external_order_id: 'EXT-2' });
+
+    // The warehouse shipped every unit: no channel sale, just the earlier reservation released
+    assert.deepStrictEqual(applied.map(movement => [movement.type, movement.quantityChange || 0, movement.reservedChange]), [
+      ['release', 0, -4]
+    ]);
+  }
+
+  /**
+   * Route InventoryService's order path through the in-memory tables, capturing movements
+   */
+  stubOrderPath(tables, lines) {
+    const applied = [];
+    this.inventory.getOrderLines = async () => lines;
+    this.inventory.withTransaction = async work => work(tables);
+    this.inventory.lockInventoryRow = async () => {};
+    this.inventory.applyMovement = async (client, movement) => {
+      applied.push(movement);
+      return movement;
+    };
+    return applied;
+  }
+
+  async runAllTests() {
+    console.log('📦 Testing the shared stock pool with channel and warehouse stock\n');
+
+    const tests = {
+      mixedPool: () => this.testMixedPool(),
+      advertisedFromMixedPool: () => this.testAdvertisedFromMixedPool(),
+      orderReservesOnlyUnallocatedUnits: () => this.testOrderReservesOnlyUnallocatedUnits(),
+      shippedFromWarehouseReleasesChannelReservation: () => this.testShippedFromWarehouseReleasesChannelReservation()
+    };
+    const results = {};
+
+    try {
+      for (const [name, test] of Object.entries(tests)) {
+        try {
+          await test();
+          results[name] = true;
+          console.log(`✅ ${name}`);
+        } catch (error) {
+          results[name] = false;
+          console.error(`❌ ${name}:`, error.message);
+        }
+      }
+    } finally {
+      await this.allocation.db.end();
+      await this.inventory.db.end();
+    }
+
+    const passed = Object.values(results).filter(Boolean).length;
+    const total = Object.keys(results).length;
+    console.log(`\n🎯 OVERALL: ${passed}/${total} tests passed`);
+
+    return passed === total;
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  new StockPoolTester().runAllTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test runner error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = StockPoolTester;
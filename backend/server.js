@@ -6,7 +6,6 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
-const axios = require('axios');
 const path = require('path');
 require('dotenv').config();
 
@@ -19,8 +18,21 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
+// Behind a load balancer, TRUST_PROXY (hop count) makes req.ip the client address (webhook rate limits)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Basic middleware
-app.use(express.json());
+// Inbound webhooks are left unparsed: WebhookHandler reads them raw (signatures are computed
+// over the exact bytes received) under its own body size limit
+const jsonParser = express.json();
+app.use((req, res, next) => {
+  if (req.path.startsWith('/api/webhooks/')) {
+    return next();
+  }
+  jsonParser(req, res, next);
+});
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
@@ -80,7 +92,7 @@ app.get('/api/health', async (req, res) => {
       integrations: {
         shopify: !!process.env.SHOPIFY_ACCESS_TOKEN,
         bestbuy_canada: !!process.env.BESTBUY_CANADA_API_KEY,
-        amazon: false
+        amazon: !!process.env.AMAZON_REFRESH_TOKEN
       }
     });
   } catch (error) {
@@ -456,7 +468,7 @@ app.get('/api/sales/stats', authenticateToken, async (req, res) => {
 // Get sales aggregations
 app.get('/api/sales/aggregations', authenticateToken, async (req, res) => {
   try {
-    const { startDate, endDate, channelName } = req.query;
+    const { startDate, endDate, channelName, channelId } = req.query;
 
     if (!startDate || !endDate) {
       return res.status(400).json({
@@ -465,7 +477,7 @@ app.get('/api/sales/aggregations', authenticateToken, async (req, res) => {
       });
     }
 
-    const aggregations = await salesProcessor.getSalesAggregations(startDate, endDate, channelName);
+    const aggregations = await salesProcessor.getSalesAggregations(startDate, endDate, channelName, channelId);
 
     res.json({
       success: true,
@@ -549,10 +561,10 @@ app.get('/api/orders/:orderId/history', authenticateToken, async (req, res) => {
 app.get('/api/orders/status/:status', authenticateToken, async (req, res) => {
   try {
     const { status } = req.params;
-    const { channelName, page = 1, limit = 50 } = req.query;
+    const { channelName, channelId, page = 1, limit = 50 } = req.query;
     const offset = (page - 1) * limit;
 
-    const orders = await orderManager.getOrdersByStatus(status, channelName, limit, offset);
+    const orders = await orderManager.getOrdersByStatus(status, channelName, limit, offset, channelId);
 
     res.json({
       success: true,
@@ -606,7 +618,7 @@ app.put('/api/orders/bulk-status', authenticateToken, async (req, res) => {
 // Get order analytics
 app.get('/api/orders/analytics', authenticateToken, async (req, res) => {
   try {
-    const { startDate, endDate, channelName } = req.query;
+    const { startDate, endDate, channelName, channelId } = req.query;
 
     if (!startDate || !endDate) {
       return res.status(400).json({
@@ -615,7 +627,7 @@ app.get('/api/orders/analytics', authenticateToken, async (req, res) => {
       });
     }
 
-    const analytics = await orderManager.getOrderAnalytics(startDate, endDate, channelName);
+    const analytics = await orderManager.getOrderAnalytics(startDate, endDate, channelName, channelId);
 
     res.json({
       success: true,
@@ -755,17 +767,14 @@ app.get('/api/products', async (req, res) => {
   }
 });
 
-// Get single product
+// Get single product, with its variants and option axes (or its parent, for a variant)
 app.get('/api/products/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const result = await pool.query(
-      'SELECT * FROM products WHERE id = $1 AND is_active = true',
-      [id]
-    );
+    const product = await productCatalogService.getProduct(id);
     
-    if (result.rows.length === 0) {
+    if (!product) {
       return res.status(404).json({
         success: false,
         message: 'Product not found'
@@ -774,7 +783,7 @@ app.get('/api/products/:id', async (req, res) => {
     
     res.json({
       success: true,
-      data: result.rows[0]
+      data: product
     });
     
   } catch (error) {
@@ -792,7 +801,7 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 // Create new product (protected)
 app.post('/api/products', authenticateToken, async (req, res) => {
   try {
-    const { sku, name, description, brand, category, basePrice, costPrice, weight, dimensions } = req.body;
+    const { sku, name, description, brand, category, basePrice, costPrice, weight, dimensions, parentId, options, optionAxes, barcode, barcodeType, images } = req.body;
     
     if (!sku || !name || !basePrice) {
       return res.status(400).json({
@@ -810,12 +819,28 @@ app.post('/api/products', authenticateToken, async (req, res) => {
       });
     }
     
+    // A variant hangs off a parent product; variants can't have variants of their own
+    if (parentId) {
+      const parent = await pool.query('SELECT parent_id FROM products WHERE id::text = $1', [String(parentId)]);
+      if (parent.rows.length === 0 || parent.rows[0].parent_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'parentId must be an existing parent product'
+        });
+      }
+    }
+    
     const result = await pool.query(
       `INSERT INTO products 
-       (sku, name, description, brand, category, base_price, cost_price, weight, dimensions) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
+       (sku, name, description, brand, category, base_price, cost_price, weight, dimensions,
+        parent_id, options, option_axes, barcode, barcode_type, images) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) 
        RETURNING *`,
-      [sku, name, description, brand, category, basePrice, costPrice, weight, dimensions]
+      [
+        sku, name, description, brand, category, basePrice, costPrice, weight, dimensions,
+        parentId || null, JSON.stringify(options || {}), optionAxes || [],
+        barcode || null, barcodeType || null, JSON.stringify(images || [])
+      ]
     );
     
     res.status(201).json({
@@ -833,6 +858,121 @@ app.post('/api/products', authenticateToken, async (req, res) => {
   }
 });
 
+// Cross-channel product matching: review queue for low-confidence matches, manual link / unlink
+app.get('/api/product-matches', authenticateToken, async (req, res) => {
+  try {
+    const { status = 'pending', channelId, limit = 50, offset = 0 } = req.query;
+    const matches = await productCatalogService.matching.getMatches({
+      status: status === 'all' ? null : status,
+      channelId,
+      limit,
+      offset
+    });
+
+    res.json({ success: true, data: matches });
+  } catch (error) {
+    console.error('Product matches error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get product matches', error: error.message });
+  }
+});
+
+app.post('/api/product-matches/link', authenticateToken, async (req, res) => {
+  try {
+    const { channelId, channelSku, productId } = req.body;
+    if (!channelId || !channelSku || !productId) {
+      return res.status(400).json({ success: false, message: 'channelId, channelSku and productId are required' });
+    }
+
+    const match = await productCatalogService.matching.linkListing(channelId, channelSku, productId, req.user?.email || 'api');
+    res.json({ success: true, message: 'Listing linked', data: match });
+  } catch (error) {
+    console.error('Link listing error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to link listing', error: error.message });
+  }
+});
+
+app.post('/api/product-matches/unlink', authenticateToken, async (req, res) => {
+  try {
+    const { channelId, channelSku } = req.body;
+    if (!channelId || !channelSku) {
+      return res.status(400).json({ success: false, message: 'channelId and channelSku are required' });
+    }
+
+    const result = await productCatalogService.matching.unlinkListing(channelId, channelSku, req.user?.email || 'api');
+    res.json({ success: true, message: 'Listing unlinked', data: result });
+  } catch (error) {
+    console.error('Unlink listing error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to unlink listing', error: error.message });
+  }
+});
+
+app.post('/api/product-matches/:matchId/approve', authenticateToken, async (req, res) => {
+  try {
+    const match = await productCatalogService.matching.approveMatch(req.params.matchId, req.user?.email || 'api');
+    res.json({ success: true, message: 'Match approved', data: match });
+  } catch (error) {
+    console.error('Approve match error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to approve match', error: error.message });
+  }
+});
+
+app.post('/api/product-matches/:matchId/reject', authenticateToken, async (req, res) => {
+  try {
+    const match = await productCatalogService.matching.rejectMatch(req.params.matchId, req.user?.email || 'api');
+    res.json({ success: true, message: 'Match rejected', data: match });
+  } catch (error) {
+    console.error('Reject match error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to reject match', error: error.message });
+  }
+});
+
+// Listing publisher: per-channel overrides, publish state and publishing master products to channels
+app.get('/api/products/:id/listings', authenticateToken, async (req, res) => {
+  try {
+    const listings = await syncService.publisher.getListings(req.params.id);
+    res.json({ success: true, data: listings });
+  } catch (error) {
+    console.error('Product listings error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to get product listings', error: error.message });
+  }
+});
+
+app.put('/api/products/:id/listings/:channelId', authenticateToken, async (req, res) => {
+  try {
+    const { title, description, price, attributes, channelProductId } = req.body;
+    await syncService.publisher.getPublishableChannel(req.params.channelId);
+
+    const listing = await syncService.publisher.setListingOverrides(req.params.id, req.params.channelId, {
+      title, description, price, attributes, channelProductId
+    });
+    res.json({ success: true, message: 'Listing overrides saved', data: listing });
+  } catch (error) {
+    console.error('Listing overrides error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to save listing overrides', error: error.message });
+  }
+});
+
+app.post('/api/products/:id/publish', authenticateToken, async (req, res) => {
+  try {
+    const { channelIds, overrides = {} } = req.body;
+    const jobs = await syncService.publisher.queuePublish(req.params.id, channelIds, overrides, req.user?.email || 'api');
+    res.json({ success: true, message: `Publish queued for ${jobs.length} channel(s)`, data: jobs });
+  } catch (error) {
+    console.error('Publish product error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to queue product publish', error: error.message });
+  }
+});
+
+app.post('/api/channels/:channelId/listings/refresh', authenticateToken, async (req, res) => {
+  try {
+    const job = await syncService.publisher.queueRefresh(req.params.channelId, req.user?.email || 'api');
+    res.json({ success: true, message: 'Listing status refresh queued', data: job });
+  } catch (error) {
+    console.error('Listing refresh error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to queue listing refresh', error: error.message });
+  }
+});
+
 // =====================================================
 // BEST BUY CANADA TEST ENDPOINT
 // =====================================================
@@ -851,33 +991,25 @@ app.get('/api/bestbuy/test', authenticateToken, async (req, res) => {
       });
     }
 
-    // Simple test - try to make a request to account endpoint (Mirakl API)
+    // Account endpoint (Mirakl A02) through the shared, rate-limited channel client
     try {
-      const testUrl = 'https://marketplace.bestbuy.ca/api/account';
-      const response = await axios.get(testUrl, {
-        headers: {
-          'Authorization': process.env.BESTBUY_CANADA_API_KEY,
-          'Accept': 'application/json',
-          'User-Agent': 'EcommercePortal/1.0'
-        },
-        timeout: 15000
-      });
+      const account = await new MiraklClient().getAccount();
 
       res.json({
         success: true,
         message: 'Best Buy Canada marketplace connection successful',
         apiKey: `${process.env.BESTBUY_CANADA_API_KEY.substring(0, 8)}...`,
         platform: 'Mirakl Marketplace Platform',
-        data: response.data
+        data: account
       });
 
     } catch (apiError) {
-      console.error('Best Buy Canada API Error:', apiError.response?.data || apiError.message);
+      console.error('Best Buy Canada API Error:', apiError.message);
       
       res.status(400).json({
         success: false,
         message: 'Failed to connect to Best Buy Canada marketplace',
-        error: apiError.response?.data || apiError.message,
+        error: apiError.message,
         apiKey: `${process.env.BESTBUY_CANADA_API_KEY.substring(0, 8)}...`,
         troubleshooting: {
           apiKey: 'Check if your API key is valid and active',
@@ -897,6 +1029,116 @@ app.get('/api/bestbuy/test', authenticateToken, async (req, res) => {
   }
 });
 
+// =====================================================
+// BEST BUY CANADA ORDER ACCEPTANCE (MIRAKL OR11/OR21)
+// =====================================================
+
+// List orders waiting for acceptance
+app.get('/api/bestbuy/orders/pending', authenticateToken, async (req, res) => {
+  try {
+    const { channelId } = req.query;
+    const channel = await orderAcceptanceService.getChannel(channelId);
+    const orders = await orderAcceptanceService.getPendingOrders(channel);
+
+    res.json({
+      success: true,
+      channel: channel.name,
+      count: orders.length,
+      data: orders
+    });
+
+  } catch (error) {
+    console.error('Pending Best Buy orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch orders waiting for acceptance',
+      error: error.message
+    });
+  }
+});
+
+// Accept or refuse order lines
+app.put('/api/bestbuy/orders/:orderId/lines', authenticateToken, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { channelId, lines } = req.body;
+
+    if (!Array.isArray(lines) || lines.length === 0 || lines.some(line => !line.lineId || typeof line.accepted !== 'boolean')) {
+      return res.status(400).json({
+        success: false,
+        message: 'lines must be a non-empty array of { lineId, accepted, reason }'
+      });
+    }
+
+    const channel = await orderAcceptanceService.getChannel(channelId);
+    const result = await orderAcceptanceService.decideOrderLines(
+      channel,
+      orderId,
+      lines,
+      req.user?.email || 'api'
+    );
+
+    res.json({
+      success: true,
+      message: `Order ${orderId}: ${result.accepted} line(s) accepted, ${result.refused} refused`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Best Buy order line decision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept or refuse order lines',
+      error: error.message
+    });
+  }
+});
+
+// Get line decision history for an order
+app.get('/api/bestbuy/orders/:orderId/decisions', authenticateToken, async (req, res) => {
+  try {
+    const decisions = await orderAcceptanceService.getDecisionHistory(req.params.orderId);
+
+    res.json({
+      success: true,
+      data: decisions
+    });
+
+  } catch (error) {
+    console.error('Best Buy order decisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get order line decisions',
+      error: error.message
+    });
+  }
+});
+
+// Run auto-accept rules against waiting orders now
+app.post('/api/bestbuy/orders/auto-accept', authenticateToken, async (req, res) => {
+  try {
+    const { channelId } = req.body;
+    const channel = await orderAcceptanceService.getChannel(channelId);
+    const result = await orderAcceptanceService.autoAcceptPendingOrders(channel);
+
+    res.json({
+      success: true,
+      message: channel.api_config?.auto_accept?.enabled
+        ? `Auto-accept decided ${result.accepted} of ${result.processed} orders`
+        : 'Auto-accept is not enabled for this channel',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Best Buy auto-accept error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run auto-accept rules',
+      error: error.message
+    });
+  }
+});
+
 // =====================================================
 // DATA SYNC SERVICES - MILESTONE 8
 // =====================================================
@@ -927,6 +1169,15 @@ const OrderAnalyticsDashboard = require('./services/orderAnalyticsDashboard');
 const ReportGeneratorService = require('./services/reportGeneratorService');
 const ValidationRuleEngine = require('./services/validationRuleEngine');
 const DataQualityMonitor = require('./services/dataQualityMonitor');
+const OrderAcceptanceService = require('./services/orderAcceptanceService');
+const WebhookSubscriptionService = require('./services/webhookSubscriptionService');
+const OutboundWebhookService = require('./services/outboundWebhookService');
+const ChannelService = require('./services/channelService');
+const ProductCatalogService = require('./services/productCatalogService');
+const InventoryService = require('./services/inventoryService');
+const ReplenishmentService = require('./services/replenishmentService');
+const MiraklClient = require('./services/miraklClient');
+const ChannelHttpClient = require('./services/channelHttpClient');
 
 // Initialize services
 let syncService, dataMapper, webhookHandler, salesProcessor, orderManager;
@@ -940,8 +1191,56 @@ let reportGeneratorService;
 // Initialize M12 services
 let validationRuleEngine, dataQualityMonitor;
 
+// Initialize marketplace order acceptance
+let orderAcceptanceService;
+
+// Initialize channel webhook subscription management
+let webhookSubscriptionService;
+
+// Initialize outbound webhooks (portal events to ERP / Slack endpoints)
+let outboundWebhookService;
+
+// Initialize channel management (encrypted channel credentials)
+let channelService;
+let productCatalogService;
+let inventoryService;
+let replenishmentService;
+
 // Initialize services on startup (with error handling)
 (async () => {
+  // Channel management first: it encrypts credentials still stored in plaintext
+  try {
+    channelService = new ChannelService();
+    await channelService.initialize();
+    console.log('✅ ChannelService initialized');
+  } catch (error) {
+    console.error('❌ ChannelService initialization failed:', error.message);
+  }
+
+  // Variant columns on products, before sync starts storing channel products
+  try {
+    productCatalogService = new ProductCatalogService();
+    await productCatalogService.initialize();
+  } catch (error) {
+    console.error('❌ ProductCatalogService initialization failed:', error.message);
+  }
+
+  // Stock movements ledger (adjustments, receipts, transfers, reservations)
+  try {
+    inventoryService = new InventoryService();
+    await inventoryService.initialize();
+  } catch (error) {
+    console.error('❌ InventoryService initialization failed:', error.message);
+  }
+
+  // Reorder points from sales velocity and suggested purchase orders
+  try {
+    replenishmentService = new ReplenishmentService();
+    await replenishmentService.initialize();
+  } catch (error) {
+    console.error('❌ ReplenishmentService initialization failed:', error.message);
+  }
+
   try {
     syncService = new SyncService();
     await syncService.initialize();
@@ -958,10 +1257,30 @@ let validationRuleEngine, dataQualityMonitor;
     salesProcessor = new SalesProcessor();
     await salesProcessor.initialize();
     console.log('✅ Sales Processor initialized');
+    salesProcessor.startQueueProcessor(5);
   } catch (error) {
     console.error('❌ Failed to initialize Sales Processor:', error.message);
   }
 
+  // Initialize webhook handler (event log, dedupe and replay); its router is mounted at /api/webhooks
+  try {
+    dataMapper = new DataMapper();
+    await dataMapper.initialize();
+    webhookHandler = new WebhookHandler(syncService, dataMapper, salesProcessor);
+    await webhookHandler.initialize();
+    console.log('✅ Webhook Handler initialized');
+  } catch (error) {
+    console.error('❌ Failed to initialize Webhook Handler:', error.message);
+  }
+
+  try {
+    webhookSubscriptionService = new WebhookSubscriptionService();
+    await webhookSubscriptionService.initialize();
+    console.log('✅ WebhookSubscriptionService initialized');
+  } catch (error) {
+    console.error('❌ WebhookSubscriptionService initialization failed:', error.message);
+  }
+
   // Initialize OrderManager
   try {
     orderManager = new OrderManager();
@@ -1012,6 +1331,26 @@ let validationRuleEngine, dataQualityMonitor;
     console.error('❌ DataQualityMonitor initialization failed:', error.message);
   }
 
+  try {
+    orderAcceptanceService = new OrderAcceptanceService();
+    await orderAcceptanceService.initialize();
+    console.log('✅ OrderAcceptanceService initialized');
+  } catch (error) {
+    console.error('❌ OrderAcceptanceService initialization failed:', error.message);
+  }
+
+  // Outbound webhooks: order status changes, reorder points and quality alerts
+  try {
+    outboundWebhookService = new OutboundWebhookService();
+    await outboundWebhookService.initialize();
+    orderManager?.subscribeToStatusChanges(change => outboundWebhookService.emit('order.status_changed', change));
+    dataQualityMonitor?.subscribeToAlerts(alert => outboundWebhookService.emit('quality.alert', alert));
+    outboundWebhookService.startWorker(60);
+    console.log('✅ OutboundWebhookService initialized');
+  } catch (error) {
+    console.error('❌ OutboundWebhookService initialization failed:', error.message);
+  }
+
   // M14 Real-time Sales Service is already initialized
   console.log('✅ M14 Real-time Sales Service initialized');
 
@@ -1025,7 +1364,7 @@ let validationRuleEngine, dataQualityMonitor;
 // Manual sync trigger endpoint
 app.post('/api/sync/trigger', authenticateToken, async (req, res) => {
   try {
-    const { channelId, syncType, priority = 5 } = req.body;
+    const { channelId, syncType, priority = 5, dryRun = false, payload = {} } = req.body;
 
     if (!channelId || !syncType) {
       return res.status(400).json({
@@ -1034,6 +1373,25 @@ app.post('/api/sync/trigger', authenticateToken, async (req, res) => {
       });
     }
 
+    // Dry run: fetch + map now and return the diff, nothing is queued or written
+    if (dryRun) {
+      if (!['products', 'inventory'].includes(syncType)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dry run supports the products and inventory sync types'
+        });
+      }
+
+      const preview = await syncService.previewSync(channelId, syncType, payload);
+
+      return res.json({
+        success: true,
+        message: 'Dry run completed - no changes were written',
+        dryRun: true,
+        preview: preview
+      });
+    }
+
     const jobId = await syncService.addSyncJob(channelId, syncType, {}, priority);
 
     res.json({
@@ -1057,12 +1415,16 @@ app.get('/api/sync/status', authenticateToken, async (req, res) => {
   try {
     const stats = syncService.getSyncStats();
     const recentLogs = await syncService.getSyncLogs(20);
+    const queue = await syncService.getQueueStats();
 
     res.json({
       success: true,
       stats: stats,
+      queue: queue,
+      quotas: ChannelHttpClient.getQuotaMetrics(),
       recentLogs: recentLogs,
-      isProcessing: syncService.isProcessing
+      isProcessing: syncService.isProcessing,
+      workerId: syncService.workerId
     });
 
   } catch (error) {
@@ -1119,28 +1481,52 @@ app.post('/api/sync/bulk', authenticateToken, async (req, res) => {
 // Data mapping test endpoint
 app.post('/api/sync/map-test', authenticateToken, async (req, res) => {
   try {
-    const { channelName, dataType, rawData } = req.body;
+    const { channelName, channelId, dataType, rawData, profileId, profile: draftProfile } = req.body;
 
-    if (!channelName || !dataType || !rawData) {
+    if ((!channelName && !channelId && !profileId) || !dataType || !rawData) {
       return res.status(400).json({
         success: false,
-        message: 'channelName, dataType, and rawData are required'
+        message: 'channelName (or channelId / profileId), dataType, and rawData are required'
       });
     }
 
-    const mappedData = dataMapper.mapData(channelName, dataType, rawData);
+    // Profile: an explicit one, an unsaved draft ({ fields }), or whatever sync would use for the channel
+    let profile = null;
+    let channelType = channelName;
+
+    if (profileId) {
+      profile = await dataMapper.getProfile(profileId);
+      if (!profile) {
+        return res.status(404).json({ success: false, message: 'Mapping profile not found' });
+      }
+      channelType = profile.channel_type;
+    } else {
+      if (channelId) {
+        channelType = (await dataMapper.resolveProfileTarget(channelName, channelId)).channelType;
+      }
+      if (draftProfile) {
+        dataMapper.validateProfileFields(draftProfile.fields);
+        profile = { id: null, name: draftProfile.name || 'Draft', fields: draftProfile.fields };
+      } else {
+        profile = await dataMapper.getActiveProfile(dataMapper.channelRegistry.get(channelType)?.type || channelType, channelId, dataType);
+      }
+    }
+
+    const mappedData = dataMapper.mapData(channelType, dataType, rawData, profile);
     dataMapper.validateMappedData(dataType, mappedData);
 
     res.json({
       success: true,
       message: 'Data mapping successful',
+      profile: profile ? { id: profile.id, name: profile.name } : null,
       originalData: rawData,
+      adapterMappedData: profile ? dataMapper.mapData(channelType, dataType, rawData) : undefined,
       mappedData: mappedData
     });
 
   } catch (error) {
     console.error('Data mapping test error:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       message: 'Data mapping failed',
       error: error.message
@@ -1148,6 +1534,66 @@ app.post('/api/sync/map-test', authenticateToken, async (req, res) => {
   }
 });
 
+// Mapping profiles: per channel type / channel field overrides applied by DataMapper
+app.get('/api/mapping-profiles', authenticateToken, async (req, res) => {
+  try {
+    const { channelType, channelId, dataType } = req.query;
+    const profiles = await dataMapper.getProfiles({ channelType, channelId, dataType });
+
+    res.json({ success: true, data: profiles });
+  } catch (error) {
+    console.error('Mapping profiles error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get mapping profiles', error: error.message });
+  }
+});
+
+app.post('/api/mapping-profiles', authenticateToken, async (req, res) => {
+  try {
+    const profile = await dataMapper.createProfile(req.body);
+
+    res.status(201).json({ success: true, message: 'Mapping profile created', data: profile });
+  } catch (error) {
+    console.error('Create mapping profile error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to create mapping profile', error: error.message });
+  }
+});
+
+app.get('/api/mapping-profiles/:profileId', authenticateToken, async (req, res) => {
+  try {
+    const profile = await dataMapper.getProfile(req.params.profileId);
+    if (!profile) {
+      return res.status(404).json({ success: false, message: 'Mapping profile not found' });
+    }
+
+    res.json({ success: true, data: profile });
+  } catch (error) {
+    console.error('Mapping profile error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get mapping profile', error: error.message });
+  }
+});
+
+app.put('/api/mapping-profiles/:profileId', authenticateToken, async (req, res) => {
+  try {
+    const profile = await dataMapper.updateProfile(req.params.profileId, req.body);
+
+    res.json({ success: true, message: 'Mapping profile updated', data: profile });
+  } catch (error) {
+    console.error('Update mapping profile error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to update mapping profile', error: error.message });
+  }
+});
+
+app.delete('/api/mapping-profiles/:profileId', authenticateToken, async (req, res) => {
+  try {
+    await dataMapper.deleteProfile(req.params.profileId);
+
+    res.json({ success: true, message: 'Mapping profile deleted' });
+  } catch (error) {
+    console.error('Delete mapping profile error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to delete mapping profile', error: error.message });
+  }
+});
+
 // Sync logs with pagination
 app.get('/api/sync/logs', authenticateToken, async (req, res) => {
   try {
@@ -1157,7 +1603,7 @@ app.get('/api/sync/logs', authenticateToken, async (req, res) => {
     let query = `
       SELECT sl.*, c.name as channel_name
       FROM sync_logs sl
-      JOIN channels c ON sl.channel_id = c.id
+      JOIN channels c ON sl.channel_id = c.id::text
       WHERE 1=1
     `;
     const params = [];
@@ -1187,7 +1633,7 @@ app.get('/api/sync/logs', authenticateToken, async (req, res) => {
     let countQuery = `
       SELECT COUNT(*) as total
       FROM sync_logs sl
-      JOIN channels c ON sl.channel_id = c.id
+      JOIN channels c ON sl.channel_id = c.id::text
       WHERE 1=1
     `;
     const countParams = [];
@@ -1232,78 +1678,871 @@ app.get('/api/sync/logs', authenticateToken, async (req, res) => {
   }
 });
 
-// Webhook status endpoint (commented out until initialization fixed)
-app.get('/api/webhooks/status', authenticateToken, async (req, res) => {
+// List sync queue jobs (e.g. ?status=dead_letter)
+app.get('/api/sync/jobs', authenticateToken, async (req, res) => {
   try {
-    // const stats = webhookHandler.getWebhookStats();
-    
+    const { status, channelId, syncType, page = 1, limit = 50 } = req.query;
+
+    const jobs = await syncService.getSyncJobs({
+      status,
+      channelId,
+      syncType,
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
     res.json({
       success: true,
-      message: 'Webhook functionality temporarily disabled during M9 deployment',
-      endpoints: {
-        shopify: {
-          orders_create: '/api/webhooks/shopify/orders/create',
-          orders_update: '/api/webhooks/shopify/orders/update',
-          products_create: '/api/webhooks/shopify/products/create',
-          products_update: '/api/webhooks/shopify/products/update',
-          inventory_update: '/api/webhooks/shopify/inventory/update'
-        },
-        bestbuy: {
-          orders_create: '/api/webhooks/bestbuy/orders/create',
-          orders_update: '/api/webhooks/bestbuy/orders/update',
-          offers_update: '/api/webhooks/bestbuy/offers/update'
-        },
-        amazon: {
-          orders_create: '/api/webhooks/amazon/orders/create',
-          inventory_update: '/api/webhooks/amazon/inventory/update'
-        },
-        test: '/api/webhooks/test'
-      }
+      jobs,
+      queue: await syncService.getQueueStats()
     });
-    
+
   } catch (error) {
-    console.error('Webhook status error:', error);
+    console.error('Sync jobs error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to get webhook status',
+      message: 'Failed to get sync jobs',
       error: error.message
     });
   }
 });
 
-// =====================================================
-// CHANNELS MODULE - FIXED SQL PARAMETERS
-// =====================================================
-
-// Get all channels
-app.get('/api/channels', async (req, res) => {
+// Inspect a single sync job
+app.get('/api/sync/jobs/:jobId', authenticateToken, async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT id, name, channel_type, is_active, sync_status, last_sync FROM channels ORDER BY name'
-    );
-    
+    const job = await syncService.getSyncJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sync job not found'
+      });
+    }
+
     res.json({
       success: true,
-      data: result.rows
+      job
     });
-    
+
   } catch (error) {
-    console.error('Get channels error:', error);
+    console.error('Sync job error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch channels'
+      message: 'Failed to get sync job',
+      error: error.message
     });
   }
 });
 
-// =====================================================
-// INVENTORY MODULE - FIXED SQL PARAMETERS
-// =====================================================
+// Requeue a dead-lettered job with a fresh retry budget
+app.post('/api/sync/jobs/:jobId/requeue', authenticateToken, async (req, res) => {
+  try {
+    const job = await syncService.requeueSyncJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only dead-lettered, failed or discarded jobs can be requeued'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Sync job requeued',
+      job
+    });
+
+  } catch (error) {
+    console.error('Sync job requeue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to requeue sync job',
+      error: error.message
+    });
+  }
+});
+
+// Discard a pending or dead-lettered job
+app.delete('/api/sync/jobs/:jobId', authenticateToken, async (req, res) => {
+  try {
+    const job = await syncService.discardSyncJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only pending, dead-lettered or failed jobs can be discarded'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Sync job discarded',
+      job
+    });
+
+  } catch (error) {
+    console.error('Sync job discard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to discard sync job',
+      error: error.message
+    });
+  }
+});
+
+// Incremental sync watermarks per channel and sync type
+app.get('/api/sync/cursors', authenticateToken, async (req, res) => {
+  try {
+    const cursors = await syncService.getSyncCursors(req.query.channelId);
+
+    res.json({
+      success: true,
+      cursors
+    });
+
+  } catch (error) {
+    console.error('Sync cursors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sync cursors',
+      error: error.message
+    });
+  }
+});
+
+// Reset watermarks so the next run is a full resync (optionally queue it now)
+app.delete('/api/sync/cursors/:channelId', authenticateToken, async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { syncType, resync = 'false' } = req.query;
+
+    if (syncType && !syncService.incrementalSyncTypes.includes(syncType)) {
+      return res.status(400).json({
+        success: false,
+        message: `syncType must be one of: ${syncService.incrementalSyncTypes.join(', ')}`
+      });
+    }
+
+    const resetTypes = await syncService.resetSyncCursors(channelId, syncType);
+    const queuedJobs = [];
+
+    if (resync === 'true') {
+      for (const type of syncType ? [syncType] : syncService.incrementalSyncTypes) {
+        const jobId = await syncService.addSyncJob(channelId, type, { fullSync: true }, 7);
+        queuedJobs.push({ jobId, syncType: type });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Reset ${resetTypes.length} sync cursors`,
+      resetTypes,
+      jobs: queuedJobs
+    });
+
+  } catch (error) {
+    console.error('Sync cursor reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset sync cursors',
+      error: error.message
+    });
+  }
+});
+
+// =====================================================
+// CATALOG RECONCILIATION
+// =====================================================
+
+// Queue a reconciliation run for a channel
+app.post('/api/reconciliation/runs', authenticateToken, async (req, res) => {
+  try {
+    const { channelId } = req.body;
+
+    if (!channelId) {
+      return res.status(400).json({
+        success: false,
+        message: 'channelId is required'
+      });
+    }
+
+    const run = await syncService.reconciliation.queueReconciliation(channelId, req.user?.email || 'api');
+
+    res.json({
+      success: true,
+      message: 'Reconciliation run queued',
+      run
+    });
+
+  } catch (error) {
+    console.error('Reconciliation queue error:', error);
+    res.status(error.message.startsWith('Channel not found') ? 404 : 500).json({
+      success: false,
+      message: 'Failed to queue reconciliation run',
+      error: error.message
+    });
+  }
+});
+
+// List reconciliation runs
+app.get('/api/reconciliation/runs', authenticateToken, async (req, res) => {
+  try {
+    const runs = await syncService.reconciliation.getRuns({
+      channelId: req.query.channelId,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100)
+    });
+
+    res.json({
+      success: true,
+      runs
+    });
+
+  } catch (error) {
+    console.error('Reconciliation runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get reconciliation runs',
+      error: error.message
+    });
+  }
+});
+
+// Categorized mismatch report for a run (?category=price_drift)
+app.get('/api/reconciliation/runs/:runId', authenticateToken, async (req, res) => {
+  try {
+    const run = await syncService.reconciliation.getRun(req.params.runId);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation run not found'
+      });
+    }
+
+    const issues = await syncService.reconciliation.getIssues(run.id, {
+      category: req.query.category,
+      limit: Math.min(parseInt(req.query.limit) || 500, 5000),
+      offset: parseInt(req.query.offset) || 0
+    });
+
+    res.json({
+      success: true,
+      run,
+      issues
+    });
+
+  } catch (error) {
+    console.error('Reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get reconciliation report',
+      error: error.message
+    });
+  }
+});
+
+// Webhook admin routes answer 503 until the handler exists instead of failing on it
+function requireWebhookHandler(req, res, next) {
+  if (!webhookHandler) {
+    return res.status(503).json({ success: false, message: 'Webhook handler is starting up' });
+  }
+  next();
+}
+
+// Webhook status endpoint
+app.get('/api/webhooks/status', authenticateToken, requireWebhookHandler, async (req, res) => {
+  try {
+    const stats = await webhookHandler.getWebhookStats();
+
+    // Stored verification per channel; ?verify=true asks each channel now
+    const subscriptions = await webhookSubscriptionService.getStatus({ verify: req.query.verify === 'true' });
+
+    res.json({
+      success: true,
+      stats,
+      drift: subscriptions.some(channel => channel.status !== 'in_sync'),
+      subscriptions,
+      test: '/api/webhooks/test'
+    });
+
+  } catch (error) {
+    console.error('Webhook status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get webhook status',
+      error: error.message
+    });
+  }
+});
+
+// Stored inbound webhook events (?channelType, ?channelId, ?topic, ?status)
+app.get('/api/webhooks/events', authenticateToken, requireWebhookHandler, async (req, res) => {
+  try {
+    const events = await webhookHandler.getEvents({
+      channelType: req.query.channelType,
+      channelId: req.query.channelId,
+      topic: req.query.topic,
+      status: req.query.status,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      offset: parseInt(req.query.offset) || 0
+    });
+
+    res.json({
+      success: true,
+      events
+    });
+
+  } catch (error) {
+    console.error('Webhook events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get webhook events',
+      error: error.message
+    });
+  }
+});
+
+// One webhook event with headers and raw body
+app.get('/api/webhooks/events/:eventId', authenticateToken, requireWebhookHandler, async (req, res) => {
+  try {
+    const event = await webhookHandler.getEvent(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      event
+    });
+
+  } catch (error) {
+    console.error('Webhook event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get webhook event',
+      error: error.message
+    });
+  }
+});
+
+// Reprocess a stored webhook event (e.g. a failed order create after a fix)
+app.post('/api/webhooks/events/:eventId/replay', authenticateToken, requireWebhookHandler, async (req, res) => {
+  try {
+    const result = await webhookHandler.replayEvent(req.params.eventId);
+
+    res.json({
+      success: true,
+      message: 'Webhook event replayed',
+      result
+    });
+
+  } catch (error) {
+    console.error('Webhook replay error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to replay webhook event',
+      error: error.message
+    });
+  }
+});
+
+// Inbound channel webhooks (signature-verified, no portal auth)
+// Mounted after the authenticated admin routes above so the catch-all never shadows them
+// The handler is created during startup; deliveries arriving before that get a retryable 503
+app.use('/api/webhooks', (req, res, next) => {
+  if (webhookHandler) {
+    return webhookHandler.getRouter()(req, res, next);
+  }
+
+  if (req.method === 'POST') {
+    return res.status(503).json({ error: 'Webhook handler is starting up' });
+  }
+
+  next();
+});
+
+// =====================================================
+// OUTBOUND WEBHOOKS - portal events to external endpoints
+// =====================================================
+
+// List endpoints (secrets masked)
+app.get('/api/outbound-webhooks', authenticateToken, async (req, res) => {
+  try {
+    const endpoints = await outboundWebhookService.getEndpoints();
+
+    res.json({
+      success: true,
+      data: endpoints,
+      eventTypes: outboundWebhookService.eventTypes
+    });
+
+  } catch (error) {
+    console.error('Get outbound webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch outbound webhooks',
+      error: error.message
+    });
+  }
+});
+
+// Create an endpoint - the response carries the only unmasked copy of the signing secret
+app.post('/api/outbound-webhooks', authenticateToken, async (req, res) => {
+  try {
+    const endpoint = await outboundWebhookService.createEndpoint(req.body, req.user?.email || 'api');
+
+    res.status(201).json({
+      success: true,
+      message: 'Outbound webhook created',
+      data: endpoint
+    });
+
+  } catch (error) {
+    console.error('Create outbound webhook error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to create outbound webhook',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/outbound-webhooks/deliveries', authenticateToken, async (req, res) => {
+  try {
+    const { endpointId, status, eventType, limit = 50, offset = 0 } = req.query;
+    const deliveries = await outboundWebhookService.getDeliveries({
+      endpointId, status, eventType, limit: parseInt(limit), offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: deliveries
+    });
+
+  } catch (error) {
+    console.error('Get outbound webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch outbound webhook deliveries',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/outbound-webhooks/deliveries/:deliveryId/redeliver', authenticateToken, async (req, res) => {
+  try {
+    const delivery = await outboundWebhookService.redeliver(req.params.deliveryId);
+
+    res.json({
+      success: delivery.status === 'delivered',
+      message: delivery.status === 'delivered' ? 'Delivery sent' : 'Delivery failed',
+      data: delivery
+    });
+
+  } catch (error) {
+    console.error('Redeliver outbound webhook error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to redeliver outbound webhook',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/outbound-webhooks/:endpointId', authenticateToken, async (req, res) => {
+  try {
+    const endpoint = await outboundWebhookService.getEndpoint(req.params.endpointId);
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Outbound webhook endpoint not found'
+      });
+    }
+
+    const deliveries = await outboundWebhookService.getDeliveries({ endpointId: endpoint.id, limit: 20 });
+
+    res.json({
+      success: true,
+      data: { ...endpoint, recentDeliveries: deliveries }
+    });
+
+  } catch (error) {
+    console.error('Get outbound webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch outbound webhook',
+      error: error.message
+    });
+  }
+});
+
+app.put('/api/outbound-webhooks/:endpointId', authenticateToken, async (req, res) => {
+  try {
+    const endpoint = await outboundWebhookService.updateEndpoint(req.params.endpointId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Outbound webhook updated',
+      data: endpoint
+    });
+
+  } catch (error) {
+    console.error('Update outbound webhook error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to update outbound webhook',
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/outbound-webhooks/:endpointId', authenticateToken, async (req, res) => {
+  try {
+    await outboundWebhookService.deleteEndpoint(req.params.endpointId);
+
+    res.json({
+      success: true,
+      message: 'Outbound webhook deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete outbound webhook error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to delete outbound webhook',
+      error: error.message
+    });
+  }
+});
+
+// Send a webhook.test event now and return the endpoint's response
+app.post('/api/outbound-webhooks/:endpointId/test', authenticateToken, async (req, res) => {
+  try {
+    const delivery = await outboundWebhookService.sendTest(req.params.endpointId);
+
+    res.json({
+      success: delivery.status === 'delivered',
+      message: delivery.status === 'delivered' ? 'Test webhook delivered' : 'Test webhook failed',
+      data: delivery
+    });
+
+  } catch (error) {
+    console.error('Test outbound webhook error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to send test webhook',
+      error: error.message
+    });
+  }
+});
+
+// =====================================================
+// CHANNELS MODULE - FIXED SQL PARAMETERS
+// =====================================================
+
+// Get all channels
+app.get('/api/channels', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, name, channel_type, is_active, sync_status, last_sync FROM channels ORDER BY name'
+    );
+    
+    res.json({
+      success: true,
+      data: result.rows
+    });
+    
+  } catch (error) {
+    console.error('Get channels error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch channels'
+    });
+  }
+});
+
+// Create a channel - credential fields of apiConfig are encrypted before they are stored
+app.post('/api/channels', authenticateToken, async (req, res) => {
+  try {
+    const channel = await channelService.createChannel(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Channel created',
+      data: channel
+    });
+
+  } catch (error) {
+    console.error('Create channel error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to create channel',
+      error: error.message
+    });
+  }
+});
+
+// Re-encrypt every channel's credentials with the current CHANNEL_CREDENTIALS_KEY
+app.post('/api/channels/credentials/rotate', authenticateToken, async (req, res) => {
+  try {
+    const result = await channelService.rotateCredentials();
+
+    res.json({
+      success: result.failed.length === 0,
+      message: `Re-encrypted credentials of ${result.rotated} channels`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Rotate channel credentials error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to rotate channel credentials',
+      error: error.message
+    });
+  }
+});
+
+// Get one channel with its config (credentials masked)
+app.get('/api/channels/:channelId', authenticateToken, async (req, res) => {
+  try {
+    const channel = await channelService.getChannel(req.params.channelId);
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Channel not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: channel
+    });
+
+  } catch (error) {
+    console.error('Get channel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch channel',
+      error: error.message
+    });
+  }
+});
+
+// Update a channel - apiConfig is merged; masked credential values keep the stored credential
+app.put('/api/channels/:channelId', authenticateToken, async (req, res) => {
+  try {
+    const channel = await channelService.updateChannel(req.params.channelId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Channel updated',
+      data: channel
+    });
+
+  } catch (error) {
+    console.error('Update channel error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to update channel',
+      error: error.message
+    });
+  }
+});
+
+// Deactivate a channel (kept for order history; reactivate with PUT isActive: true)
+app.delete('/api/channels/:channelId', authenticateToken, async (req, res) => {
+  try {
+    const channel = await channelService.deactivateChannel(req.params.channelId);
+
+    res.json({
+      success: true,
+      message: 'Channel deactivated',
+      data: channel
+    });
+
+  } catch (error) {
+    console.error('Deactivate channel error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to deactivate channel',
+      error: error.message
+    });
+  }
+});
+
+// Test a channel's stored credentials against the channel's API
+app.post('/api/channels/:channelId/test', authenticateToken, async (req, res) => {
+  try {
+    const result = await channelService.testConnection(req.params.channelId);
+
+    res.status(result.success ? 200 : 400).json({
+      success: result.success,
+      message: result.success
+        ? `${result.platform} connection successful`
+        : `Failed to connect to ${result.platform}`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Channel connection test error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to test channel connection',
+      error: error.message
+    });
+  }
+});
+
+// Channel stock rules: percentage allocation, buffer and cap applied to the shared stock pool
+app.get('/api/channels/:channelId/stock-rules', authenticateToken, async (req, res) => {
+  try {
+    const rules = await syncService.inventoryPush.allocation.getRules(req.params.channelId);
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    console.error('Stock rules error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to get stock rules', error: error.message });
+  }
+});
+
+app.put('/api/channels/:channelId/stock-rules', authenticateToken, async (req, res) => {
+  try {
+    const { productId, allocationPercent, maxQuantity, bufferQuantity } = req.body;
+    const rule = await syncService.inventoryPush.allocation.setRule(req.params.channelId, {
+      productId, allocationPercent, maxQuantity, bufferQuantity
+    });
+
+    await syncService.inventoryPush.queuePush({
+      channelId: req.params.channelId,
+      productIds: productId ? [productId] : null,
+      reason: 'stock rule changed'
+    });
+    res.json({ success: true, message: 'Stock rule saved', data: rule });
+  } catch (error) {
+    console.error('Stock rule save error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to save stock rule', error: error.message });
+  }
+});
+
+app.delete('/api/channels/:channelId/stock-rules/:ruleId', authenticateToken, async (req, res) => {
+  try {
+    const rule = await syncService.inventoryPush.allocation.deleteRule(req.params.channelId, req.params.ruleId);
+
+    await syncService.inventoryPush.queuePush({
+      channelId: req.params.channelId,
+      productIds: rule.product_id ? [rule.product_id] : null,
+      reason: 'stock rule removed'
+    });
+    res.json({ success: true, message: 'Stock rule deleted', data: rule });
+  } catch (error) {
+    console.error('Stock rule delete error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to delete stock rule', error: error.message });
+  }
+});
+
+// Load a channel for webhook subscription routes, answering 404 when it doesn't exist
+async function loadSubscriptionChannel(req, res) {
+  const channel = await webhookSubscriptionService.getChannel(req.params.channelId);
+
+  if (!channel) {
+    res.status(404).json({
+      success: false,
+      message: 'Channel not found'
+    });
+  }
+
+  return channel;
+}
+
+// Verify a channel's webhook subscriptions against the channel (desired vs actual)
+app.get('/api/channels/:channelId/webhooks', authenticateToken, async (req, res) => {
+  try {
+    const channel = await loadSubscriptionChannel(req, res);
+    if (!channel) return;
+
+    const report = await webhookSubscriptionService.verifyChannel(channel);
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Webhook subscription verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify webhook subscriptions',
+      error: error.message
+    });
+  }
+});
+
+// Register missing subscriptions and remove stale ones
+app.post('/api/channels/:channelId/webhooks', authenticateToken, async (req, res) => {
+  try {
+    const channel = await loadSubscriptionChannel(req, res);
+    if (!channel) return;
+
+    const report = await webhookSubscriptionService.registerChannel(channel);
+
+    res.json({
+      success: report.status === 'in_sync',
+      message: report.status === 'in_sync' ? 'Webhook subscriptions registered' : `Webhook subscriptions ${report.status}`,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Webhook subscription register error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register webhook subscriptions',
+      error: error.message
+    });
+  }
+});
+
+// Remove the portal's subscriptions from a channel (?topic=orders/create for one topic)
+app.delete('/api/channels/:channelId/webhooks', authenticateToken, async (req, res) => {
+  try {
+    const channel = await loadSubscriptionChannel(req, res);
+    if (!channel) return;
+
+    const removed = await webhookSubscriptionService.removeChannel(channel, req.query.topic || null);
+
+    res.json({
+      success: true,
+      message: `Removed ${removed.length} webhook subscriptions`,
+      data: removed
+    });
+
+  } catch (error) {
+    console.error('Webhook subscription remove error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove webhook subscriptions',
+      error: error.message
+    });
+  }
+});
+
+// =====================================================
+// INVENTORY MODULE - FIXED SQL PARAMETERS
+// =====================================================
 
 // Get inventory for all products
 app.get('/api/inventory', async (req, res) => {
   try {
     const { channel, lowStock = false } = req.query;
+
+    // Automatic reorder points are per product and compare against the pooled stock
+    const settings = replenishmentService ? await replenishmentService.allocation.getSettings() : {};
+    const pooledReorderPoints = lowStock === 'true' && settings.reorder_point_calculation === 'automatic';
     
     let query = `
       SELECT 
@@ -1311,9 +2550,11 @@ app.get('/api/inventory', async (req, res) => {
         p.name as product_name,
         p.sku,
         c.name as channel_name
+        ${pooledReorderPoints ? ', pr.reorder_point as pooled_reorder_point' : ''}
       FROM inventory i
       JOIN products p ON i.product_id = p.id
       JOIN channels c ON i.channel_id = c.id
+      ${pooledReorderPoints ? 'LEFT JOIN product_replenishment pr ON pr.product_id = i.product_id' : ''}
       WHERE p.is_active = true
     `;
     
@@ -1326,17 +2567,26 @@ app.get('/api/inventory', async (req, res) => {
       queryParams.push(channel);
     }
     
-    if (lowStock === 'true') {
+    if (pooledReorderPoints) {
+      query += ` AND (pr.product_id IS NOT NULL OR i.available_quantity <= i.reorder_point)`;
+    } else if (lowStock === 'true') {
       query += ` AND i.available_quantity <= i.reorder_point`;
     }
     
     query += ` ORDER BY i.last_updated DESC`;
     
     const result = await pool.query(query, queryParams);
+    let rows = result.rows;
+
+    if (pooledReorderPoints) {
+      const pooledIds = [...new Set(rows.filter(row => row.pooled_reorder_point !== null).map(row => String(row.product_id)))];
+      const pools = await replenishmentService.allocation.getPoolQuantities(pooledIds);
+      rows = rows.filter(row => row.pooled_reorder_point === null || pools.get(String(row.product_id)).available <= row.pooled_reorder_point);
+    }
     
     res.json({
       success: true,
-      data: result.rows
+      data: rows
     });
     
   } catch (error) {
@@ -1348,6 +2598,506 @@ app.get('/api/inventory', async (req, res) => {
   }
 });
 
+// Stock changes: each writes an inventory_movements row with before / after quantities
+async function queueStockPush(movements, reason) {
+  try {
+    const productIds = [...new Set(movements.map(movement => movement.product_id))];
+    if (productIds.length === 0) return;
+    await syncService.inventoryPush.queuePush({ productIds, reason });
+  } catch (error) {
+    console.error('Inventory push after stock change failed to queue:', error.message);
+  }
+}
+
+app.post('/api/inventory/adjust', authenticateToken, async (req, res) => {
+  try {
+    const { productId, sku, channelId, fulfillmentCenterId, binLocation, change, quantity, reasonCode, notes } = req.body;
+    const movement = await inventoryService.adjust({
+      productId, sku, channelId, fulfillmentCenterId, binLocation, change, quantity, reasonCode, notes,
+      createdBy: req.user?.email || 'api'
+    });
+
+    await queueStockPush([movement], `adjustment (${reasonCode})`);
+    res.json({ success: true, message: 'Inventory adjusted', data: movement });
+  } catch (error) {
+    console.error('Inventory adjust error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to adjust inventory', error: error.message });
+  }
+});
+
+app.post('/api/inventory/receive', authenticateToken, async (req, res) => {
+  try {
+    const { productId, sku, channelId, fulfillmentCenterId, binLocation, quantity, referenceId, notes } = req.body;
+    const movement = await inventoryService.receive({
+      productId, sku, channelId, fulfillmentCenterId, binLocation, quantity, referenceId, notes,
+      createdBy: req.user?.email || 'api'
+    });
+
+    await queueStockPush([movement], 'stock received');
+    res.json({ success: true, message: 'Stock received', data: movement });
+  } catch (error) {
+    console.error('Inventory receive error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to receive stock', error: error.message });
+  }
+});
+
+app.post('/api/inventory/transfer', authenticateToken, async (req, res) => {
+  try {
+    const { productId, sku, quantity, notes } = req.body;
+    const transfer = await inventoryService.transfer({
+      productId,
+      sku,
+      from: {
+        channelId: req.body.fromChannelId,
+        fulfillmentCenterId: req.body.fromFulfillmentCenterId,
+        binLocation: req.body.fromBinLocation
+      },
+      to: {
+        channelId: req.body.toChannelId,
+        fulfillmentCenterId: req.body.toFulfillmentCenterId,
+        binLocation: req.body.toBinLocation
+      },
+      quantity,
+      notes,
+      createdBy: req.user?.email || 'api'
+    });
+
+    await queueStockPush(transfer.movements, 'stock transfer');
+    res.json({ success: true, message: 'Stock transferred', data: transfer });
+  } catch (error) {
+    console.error('Inventory transfer error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to transfer stock', error: error.message });
+  }
+});
+
+app.post('/api/inventory/reserve', authenticateToken, async (req, res) => {
+  try {
+    const { productId, sku, channelId, quantity, referenceId, notes } = req.body;
+    const movement = await inventoryService.reserve({
+      productId, sku, channelId, quantity, referenceId, notes, createdBy: req.user?.email || 'api'
+    });
+
+    await queueStockPush([movement], `reserved for ${referenceId}`);
+    res.json({ success: true, message: 'Stock reserved', data: movement });
+  } catch (error) {
+    console.error('Inventory reserve error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to reserve stock', error: error.message });
+  }
+});
+
+app.post('/api/inventory/release', authenticateToken, async (req, res) => {
+  try {
+    const { productId, sku, channelId, quantity, referenceId, notes } = req.body;
+    const movement = await inventoryService.release({
+      productId, sku, channelId, quantity, referenceId, notes, createdBy: req.user?.email || 'api'
+    });
+
+    await queueStockPush([movement], `released for ${referenceId}`);
+    res.json({ success: true, message: 'Reservation released', data: movement });
+  } catch (error) {
+    console.error('Inventory release error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to release reservation', error: error.message });
+  }
+});
+
+// Movement history, newest first (filter by sku, productId, channelId, type, referenceId, since)
+app.get('/api/inventory/movements', authenticateToken, async (req, res) => {
+  try {
+    const { sku, productId, channelId, fulfillmentCenterId, type, referenceId, since, limit = 100, offset = 0 } = req.query;
+    const movements = await inventoryService.getMovements({
+      sku, productId, channelId, fulfillmentCenterId, type, referenceId, since, limit, offset
+    });
+
+    res.json({ success: true, data: movements });
+  } catch (error) {
+    console.error('Inventory movements error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to get inventory movements', error: error.message });
+  }
+});
+
+app.get('/api/inventory/:sku/movements', authenticateToken, async (req, res) => {
+  try {
+    const { channelId, type, since, limit = 100, offset = 0 } = req.query;
+    const movements = await inventoryService.getMovements({ sku: req.params.sku, channelId, type, since, limit, offset });
+
+    res.json({ success: true, data: movements });
+  } catch (error) {
+    console.error('Inventory movements error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to get inventory movements', error: error.message });
+  }
+});
+
+// Shared stock pool for a SKU: pooled quantities, stock rows and what each channel advertises
+app.get('/api/inventory/pool/:sku', authenticateToken, async (req, res) => {
+  try {
+    const pool = await syncService.inventoryPush.allocation.getPool(req.params.sku);
+    res.json({ success: true, data: pool });
+  } catch (error) {
+    console.error('Stock pool error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to get stock pool', error: error.message });
+  }
+});
+
+// Warehouses (fulfillment centers) and their per-bin stock
+app.get('/api/warehouses', authenticateToken, async (req, res) => {
+  try {
+    const warehouses = await fulfillmentService.getWarehouses();
+    res.json({ success: true, data: warehouses });
+  } catch (error) {
+    console.error('Warehouses error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to get warehouses', error: error.message });
+  }
+});
+
+app.post('/api/warehouses', authenticateToken, async (req, res) => {
+  try {
+    const warehouse = await fulfillmentService.createWarehouse(req.body);
+    res.json({ success: true, message: 'Warehouse created', data: warehouse });
+  } catch (error) {
+    console.error('Create warehouse error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to create warehouse', error: error.message });
+  }
+});
+
+app.put('/api/warehouses/:centerId', authenticateToken, async (req, res) => {
+  try {
+    const warehouse = await fulfillmentService.updateWarehouse(req.params.centerId, req.body);
+    res.json({ success: true, message: 'Warehouse updated', data: warehouse });
+  } catch (error) {
+    console.error('Update warehouse error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to update warehouse', error: error.message });
+  }
+});
+
+app.get('/api/warehouses/:centerId/stock', authenticateToken, async (req, res) => {
+  try {
+    const stock = await fulfillmentService.getWarehouseStock(req.params.centerId, { sku: req.query.sku });
+    res.json({ success: true, data: stock });
+  } catch (error) {
+    console.error('Warehouse stock error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to get warehouse stock', error: error.message });
+  }
+});
+
+// Allocate an order to warehouses by stock, distance and cost (split when no single one can fill it)
+app.post('/api/orders/:orderId/allocate', authenticateToken, async (req, res) => {
+  try {
+    const result = await fulfillmentService.allocateOrder(req.params.orderId, req.user?.email || 'api');
+
+    await queueStockPush(result.movements, `allocated order ${req.params.orderId}`);
+    res.json({
+      success: true,
+      message: result.backordered.length > 0 ? 'Order partially allocated; remaining lines backordered' : 'Order allocated',
+      data: result
+    });
+  } catch (error) {
+    console.error('Order allocation error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to allocate order', error: error.message });
+  }
+});
+
+app.get('/api/orders/:orderId/allocations', authenticateToken, async (req, res) => {
+  try {
+    const status = await fulfillmentService.getFulfillmentStatus(req.params.orderId);
+    res.json({ success: true, data: status });
+  } catch (error) {
+    console.error('Order allocations error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to get order allocations', error: error.message });
+  }
+});
+
+app.post('/api/orders/:orderId/allocations/release', authenticateToken, async (req, res) => {
+  try {
+    const movements = await fulfillmentService.releaseAllocations(req.params.orderId, req.user?.email || 'api');
+
+    await queueStockPush(movements, `released order ${req.params.orderId}`);
+    res.json({ success: true, message: 'Order allocations released', data: movements });
+  } catch (error) {
+    console.error('Release allocations error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to release order allocations', error: error.message });
+  }
+});
+
+// Replenishment: reorder points from sales velocity, supplier lead time and service level
+app.post('/api/replenishment/calculate', authenticateToken, async (req, res) => {
+  try {
+    const result = await replenishmentService.calculate({ productIds: req.body.productIds });
+    res.json({ success: true, message: `Reorder points calculated for ${result.calculated} products`, data: result });
+  } catch (error) {
+    console.error('Replenishment calculation error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to calculate reorder points', error: error.message });
+  }
+});
+
+app.get('/api/replenishment/suggestions', authenticateToken, async (req, res) => {
+  try {
+    const suggestions = await replenishmentService.getSuggestions({ supplierId: req.query.supplierId });
+    res.json({ success: true, data: suggestions });
+  } catch (error) {
+    console.error('Replenishment suggestions error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to get purchase suggestions', error: error.message });
+  }
+});
+
+app.post('/api/replenishment/suggestions/accept', authenticateToken, async (req, res) => {
+  try {
+    const { supplierIds, quantities } = req.body;
+    const result = await replenishmentService.acceptSuggestions({
+      supplierIds, quantities, createdBy: req.user?.email || 'api'
+    });
+
+    res.json({
+      success: true,
+      message: `${result.purchaseOrders.length} draft purchase orders created`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Accept replenishment suggestions error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to create purchase orders', error: error.message });
+  }
+});
+
+app.get('/api/replenishment/:sku', authenticateToken, async (req, res) => {
+  try {
+    const plan = await replenishmentService.getProductPlan(req.params.sku);
+    res.json({ success: true, data: plan });
+  } catch (error) {
+    console.error('Replenishment plan error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to get replenishment plan', error: error.message });
+  }
+});
+
+// Suppliers: contacts, lead times and the terms they sell each SKU on
+app.get('/api/suppliers', authenticateToken, async (req, res) => {
+  try {
+    const active = req.query.active === undefined ? undefined : req.query.active === 'true';
+    const suppliers = await replenishmentService.purchasing.getSuppliers({ active });
+    res.json({ success: true, data: suppliers });
+  } catch (error) {
+    console.error('Suppliers error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to get suppliers', error: error.message });
+  }
+});
+
+app.post('/api/suppliers', authenticateToken, async (req, res) => {
+  try {
+    const supplier = await replenishmentService.purchasing.createSupplier(req.body);
+    res.json({ success: true, message: 'Supplier created', data: supplier });
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to create supplier', error: error.message });
+  }
+});
+
+app.get('/api/suppliers/:supplierId', authenticateToken, async (req, res) => {
+  try {
+    const supplier = await replenishmentService.purchasing.getSupplier(req.params.supplierId);
+    res.json({ success: true, data: supplier });
+  } catch (error) {
+    console.error('Supplier error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to get supplier', error: error.message });
+  }
+});
+
+app.put('/api/suppliers/:supplierId', authenticateToken, async (req, res) => {
+  try {
+    const supplier = await replenishmentService.purchasing.updateSupplier(req.params.supplierId, req.body);
+    res.json({ success: true, message: 'Supplier updated', data: supplier });
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to update supplier', error: error.message });
+  }
+});
+
+app.post('/api/suppliers/:supplierId/contacts', authenticateToken, async (req, res) => {
+  try {
+    const contact = await replenishmentService.purchasing.addContact(req.params.supplierId, req.body);
+    res.json({ success: true, message: 'Contact added', data: contact });
+  } catch (error) {
+    console.error('Add supplier contact error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to add contact', error: error.message });
+  }
+});
+
+app.delete('/api/suppliers/:supplierId/contacts/:contactId', authenticateToken, async (req, res) => {
+  try {
+    await replenishmentService.purchasing.deleteContact(req.params.supplierId, req.params.contactId);
+    res.json({ success: true, message: 'Contact removed' });
+  } catch (error) {
+    console.error('Delete supplier contact error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to remove contact', error: error.message });
+  }
+});
+
+app.put('/api/suppliers/:supplierId/products/:sku', authenticateToken, async (req, res) => {
+  try {
+    const terms = await replenishmentService.purchasing.setSupplierProduct(req.params.supplierId, req.params.sku, req.body);
+    res.json({ success: true, message: 'Supplier terms saved', data: terms });
+  } catch (error) {
+    console.error('Supplier product error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to save supplier terms', error: error.message });
+  }
+});
+
+app.delete('/api/suppliers/:supplierId/products/:sku', authenticateToken, async (req, res) => {
+  try {
+    await replenishmentService.purchasing.deleteSupplierProduct(req.params.supplierId, req.params.sku);
+    res.json({ success: true, message: 'Supplier terms removed' });
+  } catch (error) {
+    console.error('Delete supplier product error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to remove supplier terms', error: error.message });
+  }
+});
+
+// Purchase orders: draft -> sent -> partially_received -> received -> closed
+app.get('/api/purchase-orders', authenticateToken, async (req, res) => {
+  try {
+    const { status, supplierId, limit = 50, offset = 0 } = req.query;
+    const orders = await replenishmentService.purchasing.getPurchaseOrders({ status, supplierId, limit, offset });
+    res.json({ success: true, data: orders });
+  } catch (error) {
+    console.error('Purchase orders error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to get purchase orders', error: error.message });
+  }
+});
+
+app.post('/api/purchase-orders', authenticateToken, async (req, res) => {
+  try {
+    const order = await replenishmentService.purchasing.createDraftOrder({
+      ...req.body,
+      source: 'manual',
+      createdBy: req.user?.email || 'api'
+    });
+    res.json({ success: true, message: `Purchase order ${order.po_number} created`, data: order });
+  } catch (error) {
+    console.error('Create purchase order error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to create purchase order', error: error.message });
+  }
+});
+
+app.get('/api/purchase-orders/:poId', authenticateToken, async (req, res) => {
+  try {
+    const order = await replenishmentService.purchasing.getPurchaseOrder(req.params.poId);
+    res.json({ success: true, data: order });
+  } catch (error) {
+    console.error('Purchase order error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to get purchase order', error: error.message });
+  }
+});
+
+app.put('/api/purchase-orders/:poId', authenticateToken, async (req, res) => {
+  try {
+    const order = await replenishmentService.purchasing.updatePurchaseOrder(req.params.poId, req.body);
+    res.json({ success: true, message: 'Purchase order updated', data: order });
+  } catch (error) {
+    console.error('Update purchase order error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to update purchase order', error: error.message });
+  }
+});
+
+app.delete('/api/purchase-orders/:poId', authenticateToken, async (req, res) => {
+  try {
+    const order = await replenishmentService.purchasing.deletePurchaseOrder(req.params.poId);
+    res.json({ success: true, message: `Purchase order ${order.po_number} deleted` });
+  } catch (error) {
+    console.error('Delete purchase order error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to delete purchase order', error: error.message });
+  }
+});
+
+app.post('/api/purchase-orders/:poId/send', authenticateToken, async (req, res) => {
+  try {
+    const order = await replenishmentService.purchasing.sendPurchaseOrder(req.params.poId);
+    res.json({ success: true, message: `Purchase order ${order.po_number} sent`, data: order });
+  } catch (error) {
+    console.error('Send purchase order error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to send purchase order', error: error.message });
+  }
+});
+
+// Receive delivered lines into stock; landed cost updates products.cost_price
+app.post('/api/purchase-orders/:poId/receive', authenticateToken, async (req, res) => {
+  try {
+    const { lines, channelId, fulfillmentCenterId, binLocation, notes } = req.body;
+    const result = await replenishmentService.purchasing.receivePurchaseOrder(req.params.poId, {
+      lines, channelId, fulfillmentCenterId, binLocation, notes, createdBy: req.user?.email || 'api'
+    });
+
+    await queueStockPush(result.movements, `received on ${result.purchaseOrder.po_number}`);
+    res.json({ success: true, message: `Received on ${result.purchaseOrder.po_number}`, data: result });
+  } catch (error) {
+    console.error('Receive purchase order error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to receive purchase order', error: error.message });
+  }
+});
+
+app.post('/api/purchase-orders/:poId/close', authenticateToken, async (req, res) => {
+  try {
+    const order = await replenishmentService.purchasing.closePurchaseOrder(req.params.poId);
+    res.json({ success: true, message: `Purchase order ${order.po_number} closed`, data: order });
+  } catch (error) {
+    console.error('Close purchase order error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: 'Failed to close purchase order', error: error.message });
+  }
+});
+
+// Queue an inventory push to channels (all pushable channels unless channelId is given)
+app.post('/api/inventory/push', authenticateToken, async (req, res) => {
+  try {
+    const { channelId, productIds, skus, force = false } = req.body;
+
+    const jobs = await syncService.inventoryPush.queuePush({
+      channelId,
+      productIds,
+      skus,
+      force,
+      reason: `manual (${req.user?.email || 'api'})`
+    }, 8);
+
+    res.json({
+      success: true,
+      message: `Queued ${jobs.length} inventory push jobs`,
+      jobs
+    });
+
+  } catch (error) {
+    console.error('Inventory push error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue inventory push',
+      error: error.message
+    });
+  }
+});
+
+// Per-product push state for a channel (last pushed quantity vs current sellable quantity)
+app.get('/api/inventory/push/:channelId', authenticateToken, async (req, res) => {
+  try {
+    const { pending = 'false' } = req.query;
+    const products = await syncService.inventoryPush.getPushStatus(req.params.channelId, {
+      onlyPending: pending === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: products,
+      summary: {
+        total: products.length,
+        outOfSync: products.filter(product => !product.in_sync).length,
+        withErrors: products.filter(product => product.last_error).length
+      }
+    });
+
+  } catch (error) {
+    console.error('Inventory push status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get inventory push status',
+      error: error.message
+    });
+  }
+});
+
 // =====================================================
 // SALES MODULE - FIXED SQL PARAMETERS
 // =====================================================
@@ -1906,10 +3656,10 @@ app.post('/api/export/:type', authenticateToken, async (req, res) => {
     const { type } = req.params;
     const { format, parameters = {} } = req.body;
     
-    if (!['sales', 'kpi', 'chart'].includes(type)) {
+    if (!['sales', 'kpi', 'chart', 'reconciliation'].includes(type)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid export type. Must be sales, kpi, or chart'
+        message: 'Invalid export type. Must be sales, kpi, chart, or reconciliation'
       });
     }
     
@@ -1939,6 +3689,15 @@ app.post('/api/export/:type', authenticateToken, async (req, res) => {
         }
         result = await dataExportService.exportChartData(format, chartType, parameters);
         break;
+      case 'reconciliation':
+        if (!parameters.runId) {
+          return res.status(400).json({
+            success: false,
+            message: 'runId parameter is required for reconciliation exports'
+          });
+        }
+        result = await dataExportService.exportReconciliationReport(format, parameters.runId, parameters);
+        break;
     }
     
     res.json({
@@ -2185,6 +3944,7 @@ async function startServer() {
       console.log('Integrations available:');
       console.log('  - Shopify:', !!process.env.SHOPIFY_ACCESS_TOKEN);
       console.log('  - Best Buy Canada:', !!process.env.BESTBUY_CANADA_API_KEY);
+      console.log('  - Amazon:', !!process.env.AMAZON_REFRESH_TOKEN);
     });
   } catch (error) {
     console.error('❌ Server startup failed:', error);
@@ -0,0 +1,319 @@
+const axios = require('axios');
+const ChannelHttpClient = require('./channelHttpClient');
+
+const REGION_ENDPOINTS = {
+  na: 'https://sellingpartnerapi-na.amazon.com',
+  eu: 'https://sellingpartnerapi-eu.amazon.com',
+  fe: 'https://sellingpartnerapi-fe.amazon.com'
+};
+
+// SP-API usage plans (requests per second, burst) per operation
+const RATE_LIMITS = {
+  orders: { rate: 0.0167, burst: 20 },
+  order: { rate: 0.5, burst: 30 },
+  orderItems: { rate: 0.5, burst: 30 },
+  inventory: { rate: 2, burst: 2 },
+  listings: { rate: 5, burst: 10 },
+  default: { rate: 1, burst: 5 }
+};
+
+// AWS region names used by older configs map onto SP-API selling regions
+const AWS_REGION_ALIASES = {
+  'us-east-1': 'na',
+  'eu-west-1': 'eu',
+  'us-west-2': 'fe'
+};
+
+/**
+ * Amazon Selling Partner API client
+ * Driven by a channel's api_config (LWA credentials, seller_id, marketplace_id, region)
+ * Handles LWA token refresh, NextToken pagination and 429 backoff
+ */
+class AmazonClient {
+  constructor(apiConfig = {}) {
+    this.clientId = apiConfig.client_id || process.env.AMAZON_LWA_CLIENT_ID;
+    this.clientSecret = apiConfig.client_secret || process.env.AMAZON_LWA_CLIENT_SECRET;
+    this.refreshToken = apiConfig.refresh_token || process.env.AMAZON_REFRESH_TOKEN;
+    this.sellerId = apiConfig.seller_id || process.env.AMAZON_SELLER_ID || process.env.AMAZON_MERCHANT_ID;
+    this.marketplaceId = apiConfig.marketplace_id || process.env.AMAZON_MARKETPLACE_ID;
+
+    const region = (apiConfig.region || process.env.AMAZON_REGION || 'na').toLowerCase();
+    const sellingRegion = AWS_REGION_ALIASES[region] || region;
+
+    // base_url / token_url let the client target a local SP-API mock
+    this.baseUrl = apiConfig.base_url || REGION_ENDPOINTS[sellingRegion];
+    this.tokenUrl = apiConfig.token_url || 'https://api.amazon.com/auth/o2/token';
+
+    this.maxRetries = apiConfig.max_retries || 5;
+    this.timeout = apiConfig.timeout || 30000;
+
+    if (!this.baseUrl) {
+      throw new Error(`Unsupported Amazon region: ${region}`);
+    }
+
+    if (!apiConfig.base_url && (!this.clientId || !this.clientSecret || !this.refreshToken)) {
+      throw new Error('Amazon configuration missing: client_id, client_secret and refresh_token are required');
+    }
+
+    if (!this.marketplaceId) {
+      throw new Error('Amazon configuration missing: marketplace_id is required');
+    }
+
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+
+    this.http = ChannelHttpClient.for(`amazon:${this.sellerId || this.clientId || 'default'}:${this.baseUrl}`, {
+      label: 'Amazon SP-API',
+      baseURL: this.baseUrl,
+      timeout: this.timeout,
+      maxRetries: this.maxRetries,
+      rateLimits: RATE_LIMITS,
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  /**
+   * Exchange the LWA refresh token for an access token, cached until shortly before expiry
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.tokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    try {
+      const response = await axios.post(this.tokenUrl, new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: this.refreshToken || '',
+        client_id: this.clientId || '',
+        client_secret: this.clientSecret || ''
+      }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: this.timeout
+      });
+
+      this.accessToken = response.data.access_token;
+      this.tokenExpiresAt = Date.now() + ((response.data.expires_in || 3600) - 60) * 1000;
+
+      return this.accessToken;
+    } catch (error) {
+      const detail = error.response?.data?.error_description || error.message;
+      throw new Error(`Amazon LWA token refresh failed: ${detail}`);
+    }
+  }
+
+  /**
+   * Perform a request through the seller's per-operation rate limits
+   */
+  async request(method, url, { params, data, idempotent } = {}) {
+    let refreshed = false;
+
+    while (true) {
+      try {
+        const accessToken = await this.getAccessToken();
+        return await this.http.request({
+          method,
+          url,
+          params,
+          data,
+          headers: { 'x-amz-access-token': accessToken }
+        }, { bucket: this.getRateLimitBucket(url), idempotent });
+      } catch (error) {
+        if (error.code === 'CIRCUIT_OPEN') throw error;
+
+        // Token revoked or expired early - refresh once and retry
+        if (error.response?.status === 403 && !refreshed && this.accessToken) {
+          this.accessToken = null;
+          refreshed = true;
+          continue;
+        }
+
+        const detail = error.response?.data?.errors?.map(e => e.message).join('; ') || error.message;
+        throw new Error(`Amazon SP-API ${method.toUpperCase()} ${url} failed: ${detail}`);
+      }
+    }
+  }
+
+  /**
+   * Rate limit bucket for an SP-API path
+   */
+  getRateLimitBucket(url) {
+    if (/^\/orders\/v0\/orders\/[^/]+\/orderItems/.test(url)) return 'orderItems';
+    if (/^\/orders\/v0\/orders\/[^/]+$/.test(url)) return 'order';
+    if (url.startsWith('/orders/v0/orders')) return 'orders';
+    if (url.startsWith('/fba/inventory')) return 'inventory';
+    if (url.startsWith('/listings/')) return 'listings';
+    return 'default';
+  }
+
+  /**
+   * Orders API - orders updated after a timestamp, with their order items attached
+   */
+  async getOrders({ lastUpdatedAfter, orderIds } = {}) {
+    let orders = [];
+
+    if (orderIds && orderIds.length > 0) {
+      for (const orderId of orderIds) {
+        const response = await this.request('get', `/orders/v0/orders/${encodeURIComponent(orderId)}`);
+        if (response.data.payload) orders.push(response.data.payload);
+      }
+    } else {
+      // LastUpdatedAfter is mandatory and must be at least two minutes in the past
+      const since = lastUpdatedAfter ? new Date(lastUpdatedAfter) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+      let params = {
+        MarketplaceIds: this.marketplaceId,
+        LastUpdatedAfter: since.toISOString()
+      };
+
+      while (params) {
+        const response = await this.request('get', '/orders/v0/orders', { params });
+        const payload = response.data.payload || {};
+        orders.push(...(payload.Orders || []));
+
+        params = payload.NextToken
+          ? { MarketplaceIds: this.marketplaceId, NextToken: payload.NextToken }
+          : null;
+      }
+    }
+
+    for (const order of orders) {
+      order.OrderItems = await this.getOrderItems(order.AmazonOrderId);
+    }
+
+    return orders;
+  }
+
+  /**
+   * Orders API - line items for one order
+   */
+  async getOrderItems(amazonOrderId) {
+    const items = [];
+    let params = {};
+
+    while (params) {
+      const response = await this.request('get', `/orders/v0/orders/${encodeURIComponent(amazonOrderId)}/orderItems`, { params });
+      const payload = response.data.payload || {};
+      items.push(...(payload.OrderItems || []));
+
+      params = payload.NextToken ? { NextToken: payload.NextToken } : null;
+    }
+
+    return items;
+  }
+
+  /**
+   * FBA Inventory API - inventory summaries for the marketplace
+   */
+  async getInventorySummaries({ startDateTime, sellerSkus } = {}) {
+    const summaries = [];
+    let nextToken = null;
+
+    do {
+      const params = {
+        granularityType: 'Marketplace',
+        granularityId: this.marketplaceId,
+        marketplaceIds: this.marketplaceId,
+        details: true
+      };
+      if (startDateTime) params.startDateTime = new Date(startDateTime).toISOString();
+      if (sellerSkus && sellerSkus.length > 0) params.sellerSkus = sellerSkus.join(',');
+      if (nextToken) params.nextToken = nextToken;
+
+      const response = await this.request('get', '/fba/inventory/v1/summaries', { params });
+      summaries.push(...(response.data.payload?.inventorySummaries || []));
+
+      nextToken = response.data.pagination?.nextToken || null;
+    } while (nextToken);
+
+    return summaries;
+  }
+
+  /**
+   * Listings Items API - the seller's listings with summaries, offers and quantity
+   */
+  async getListings({ skus } = {}) {
+    this.requireSellerId();
+
+    const includedData = 'summaries,attributes,offers,fulfillmentAvailability,relationships';
+
+    if (skus && skus.length > 0) {
+      const listings = [];
+      for (const sku of skus) {
+        listings.push(await this.getListing(sku));
+      }
+      return listings;
+    }
+
+    const listings = [];
+    let pageToken = null;
+
+    do {
+      const params = { marketplaceIds: this.marketplaceId, includedData, pageSize: 20 };
+      if (pageToken) params.pageToken = pageToken;
+
+      const response = await this.request('get', `/listings/2021-08-01/items/${encodeURIComponent(this.sellerId)}`, { params });
+      listings.push(...(response.data.items || []));
+
+      pageToken = response.data.pagination?.nextToken || null;
+    } while (pageToken);
+
+    return listings;
+  }
+
+  /**
+   * Listings Items API - a single listing by seller SKU
+   */
+  async getListing(sku) {
+    this.requireSellerId();
+
+    const response = await this.request('get', `/listings/2021-08-01/items/${encodeURIComponent(this.sellerId)}/${encodeURIComponent(sku)}`, {
+      params: {
+        marketplaceIds: this.marketplaceId,
+        includedData: 'summaries,attributes,offers,fulfillmentAvailability,relationships,issues'
+      }
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Listings Items API - JSON Patch a listing (price, quantity)
+   */
+  async patchListing(sku, productType, patches) {
+    this.requireSellerId();
+
+    const response = await this.request('patch', `/listings/2021-08-01/items/${encodeURIComponent(this.sellerId)}/${encodeURIComponent(sku)}`, {
+      params: { marketplaceIds: this.marketplaceId },
+      data: { productType, patches },
+      idempotent: true
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Listings Items API - create or fully replace a listing
+   * requirements: LISTING (new product) or LISTING_OFFER_ONLY (offer on an existing ASIN)
+   */
+  async putListing(sku, productType, attributes, requirements = 'LISTING') {
+    this.requireSellerId();
+
+    const response = await this.request('put', `/listings/2021-08-01/items/${encodeURIComponent(this.sellerId)}/${encodeURIComponent(sku)}`, {
+      params: { marketplaceIds: this.marketplaceId },
+      data: { productType, requirements, attributes },
+      idempotent: true
+    });
+
+    return response.data;
+  }
+
+  requireSellerId() {
+    if (!this.sellerId) {
+      throw new Error('Amazon configuration missing: seller_id is required for the Listings Items API');
+    }
+  }
+}
+
+module.exports = AmazonClient;
@@ -0,0 +1,332 @@
+const { Pool } = require('pg');
+const DataMapper = require('./dataMapper');
+const StockAllocationService = require('./stockAllocationService');
+const channelRegistry = require('./channels/channelRegistry');
+const channelCredentials = require('./channels/channelCredentials');
+
+/**
+ * Catalog Reconciliation Service
+ * Compares each channel's live listings with the master catalogue and records
+ * a categorized mismatch report per run:
+ *   missing         - active product with no listing on the channel
+ *   orphaned        - channel listing whose SKU has no master product
+ *   price_drift     - channel price differs from products.base_price
+ *   stock_drift     - channel quantity differs from what the portal advertises to the channel
+ *   status_mismatch - listing active/inactive state disagrees with products.is_active
+ *
+ * Runs are executed as 'reconciliation' sync jobs so they share the queue's
+ * per-channel limits and rate-limited channel clients.
+ */
+class CatalogReconciliationService {
+  constructor(db = null) {
+    this.db = db || new Pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+
+    this.dataMapper = new DataMapper(this.db);
+    this.allocation = new StockAllocationService(this.db);
+    this.categories = ['missing', 'orphaned', 'price_drift', 'stock_drift', 'status_mismatch'];
+    this.defaultPriceTolerance = 0.01;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize reconciliation service
+   */
+  async initialize() {
+    try {
+      await this.db.query('SELECT NOW()');
+      await this.createTables();
+
+      this.isInitialized = true;
+      console.log('✅ CatalogReconciliationService initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ CatalogReconciliationService initialization failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Create reconciliation run and issue tables
+   */
+  async createTables() {
+    await this.db.query(`
+      CREATE TABLE IF NOT EXISTS reconciliation_runs (
+        id SERIAL PRIMARY KEY,
+        channel_id VARCHAR(100) NOT NULL,
+        channel_name VARCHAR(100),
+        status VARCHAR(20) DEFAULT 'pending',
+        summary JSONB,
+        listings_checked INTEGER DEFAULT 0,
+        products_checked INTEGER DEFAULT 0,
+        error_message TEXT,
+        triggered_by VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP
+      )
+    `);
+
+    await this.db.query(`
+      CREATE TABLE IF NOT EXISTS reconciliation_issues (
+        id SERIAL PRIMARY KEY,
+        run_id INTEGER NOT NULL,
+        category VARCHAR(30) NOT NULL,
+        sku VARCHAR(100),
+        product_id VARCHAR(100),
+        channel_sku VARCHAR(200),
+        portal_value VARCHAR(200),
+        channel_value VARCHAR(200),
+        difference DECIMAL(12,2),
+        details JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await this.db.query(`
+      CREATE INDEX IF NOT EXISTS idx_reconciliation_issues_run ON reconciliation_issues(run_id, category)
+    `);
+  }
+
+  /**
+   * Create a run and queue the reconciliation job for a channel
+   */
+  async queueReconciliation(channelId, triggeredBy = 'api') {
+    const channelResult = await this.db.query(`
+      SELECT id, name FROM channels WHERE id::text = $1
+    `, [String(channelId)]);
+
+    if (channelResult.rows.length === 0) {
+      throw new Error(`Channel not found: ${channelId}`);
+    }
+
+    const channel = channelResult.rows[0];
+    const run = await this.createRun(channel, triggeredBy);
+
+    const jobResult = await this.db.query(`
+      INSERT INTO sync_queue (channel_id, sync_type, priority, payload)
+      VALUES ($1, 'reconciliation', 4, $2)
+      RETURNING id
+    `, [channel.id, JSON.stringify({ runId: run.id })]);
+
+    return { ...run, jobId: jobResult.rows[0].id };
+  }
+
+  /**
+   * Record a pending run for a channel
+   */
+  async createRun(channel, triggeredBy = 'api') {
+    const result = await this.db.query(`
+      INSERT INTO reconciliation_runs (channel_id, channel_name, triggered_by)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [String(channel.id), channel.name, triggeredBy]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Execute a run: fetch and map the channel's listings, compare, store issues
+   * Retried jobs start the run over, replacing its earlier issues
+   */
+  async runReconciliation(channel, runId) {
+    await this.db.query(`
+      UPDATE reconciliation_runs
+      SET status = 'running', started_at = CURRENT_TIMESTAMP, error_message = NULL
+      WHERE id = $1
+    `, [runId]);
+
+    try {
+      const adapter = channelRegistry.resolve(channel);
+      const apiConfig = channelCredentials.parseApiConfig(channel.api_config);
+      const priceTolerance = apiConfig.reconciliation?.price_tolerance ?? this.defaultPriceTolerance;
+
+      const rawListings = await adapter.fetchProducts(apiConfig, {});
+      const profile = await this.dataMapper.getActiveProfile(adapter.type, channel.id, 'product');
+      const mapped = this.dataMapper.batchMapData(adapter.type, 'product', rawListings, profile);
+
+      const portalProducts = await this.getPortalProducts(channel.id);
+      const issues = this.compare(mapped.success, portalProducts, { priceTolerance });
+
+      await this.db.query('DELETE FROM reconciliation_issues WHERE run_id = $1', [runId]);
+      for (const issue of issues) {
+        await this.db.query(`
+          INSERT INTO reconciliation_issues (run_id, category, sku, product_id, channel_sku, portal_value, channel_value, difference, details)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `, [
+          runId, issue.category, issue.sku, issue.product_id, issue.channel_sku,
+          issue.portal_value === null ? null : String(issue.portal_value),
+          issue.channel_value === null ? null : String(issue.channel_value),
+          issue.difference, issue.details ? JSON.stringify(issue.details) : null
+        ]);
+      }
+
+      const summary = Object.fromEntries(this.categories.map(category => [
+        category,
+        issues.filter(issue => issue.category === category).length
+      ]));
+      summary.mapping_errors = mapped.errors.length;
+
+      await this.db.query(`
+        UPDATE reconciliation_runs
+        SET status = 'completed', summary = $1, listings_checked = $2, products_checked = $3, completed_at = CURRENT_TIMESTAMP
+        WHERE id = $4
+      `, [JSON.stringify(summary), mapped.success.length, portalProducts.length, runId]);
+
+      console.log(`✅ Reconciliation run ${runId} for ${channel.name}: ${issues.length} issues`);
+
+      return { processed: mapped.success.length, total: rawListings.length, issues: issues.length, summary };
+    } catch (error) {
+      await this.db.query(`
+        UPDATE reconciliation_runs
+        SET status = 'failed', error_message = $1, completed_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [error.message, runId]);
+
+      throw error;
+    }
+  }
+
+  /**
+   * Master products with this channel's stored listing and the quantity it should advertise
+   */
+  async getPortalProducts(channelId) {
+    const result = await this.db.query(`
+      SELECT
+        p.id::text as product_id,
+        p.sku,
+        p.name,
+        p.base_price,
+        p.is_active,
+        cp.channel_sku,
+        cp.channel_price
+      FROM products p
+      LEFT JOIN channel_products cp ON cp.product_id = p.id AND cp.channel_id::text = $1
+    `, [String(channelId)]);
+
+    const quantities = await this.allocation.getChannelQuantities(channelId, result.rows.map(row => row.product_id));
+    return result.rows.map(row => ({ ...row, available_quantity: quantities.get(row.product_id) }));
+  }
+
+  /**
+   * Categorize differences between mapped channel listings and portal products
+   */
+  compare(listings, portalProducts, { priceTolerance = this.defaultPriceTolerance } = {}) {
+    const issues = [];
+    const portalBySku = new Map(portalProducts.map(product => [product.sku, product]));
+    const listedSkus = new Set();
+
+    for (const listing of listings) {
+      listedSkus.add(listing.sku);
+      const product = portalBySku.get(listing.sku);
+
+      if (!product) {
+        issues.push(this.issue('orphaned', listing, null, {
+          channel_value: listing.name,
+          details: { channel_price: listing.price, channel_status: listing.status }
+        }));
+        continue;
+      }
+
+      const basePrice = parseFloat(product.base_price);
+      const channelPrice = parseFloat(listing.price);
+      if (!isNaN(basePrice) && !isNaN(channelPrice) && Math.abs(channelPrice - basePrice) > priceTolerance) {
+        issues.push(this.issue('price_drift', listing, product, {
+          portal_value: basePrice,
+          channel_value: channelPrice,
+          difference: Math.round((channelPrice - basePrice) * 100) / 100,
+          details: { stored_channel_price: product.channel_price === null ? null : parseFloat(product.channel_price) }
+        }));
+      }
+
+      const portalQuantity = Math.max(parseInt(product.available_quantity) || 0, 0);
+      const channelQuantity = parseInt(listing.inventory_quantity) || 0;
+      if (portalQuantity !== channelQuantity) {
+        issues.push(this.issue('stock_drift', listing, product, {
+          portal_value: portalQuantity,
+          channel_value: channelQuantity,
+          difference: channelQuantity - portalQuantity
+        }));
+      }
+
+      const portalStatus = product.is_active === false ? 'inactive' : 'active';
+      if (listing.status && listing.status !== portalStatus) {
+        issues.push(this.issue('status_mismatch', listing, product, {
+          portal_value: portalStatus,
+          channel_value: listing.status
+        }));
+      }
+    }
+
+    for (const product of portalProducts) {
+      if (product.is_active === false || listedSkus.has(product.sku)) continue;
+
+      issues.push(this.issue('missing', null, product, {
+        portal_value: product.name,
+        details: { linked_channel_sku: product.channel_sku || null }
+      }));
+    }
+
+    return issues;
+  }
+
+  issue(category, listing, product, values = {}) {
+    return {
+      category,
+      sku: listing?.sku || product?.sku,
+      product_id: product?.product_id || null,
+      channel_sku: listing?.channel_sku || product?.channel_sku || null,
+      portal_value: values.portal_value ?? null,
+      channel_value: values.channel_value ?? null,
+      difference: values.difference ?? null,
+      details: values.details || null
+    };
+  }
+
+  /**
+   * List runs, newest first
+   */
+  async getRuns({ channelId, limit = 20 } = {}) {
+    const params = [];
+    let query = 'SELECT * FROM reconciliation_runs';
+
+    if (channelId) {
+      params.push(String(channelId));
+      query += ` WHERE channel_id = $1`;
+    }
+
+    params.push(limit);
+    query += ` ORDER BY created_at DESC LIMIT $${params.length}`;
+
+    const result = await this.db.query(query, params);
+    return result.rows;
+  }
+
+  async getRun(runId) {
+    const result = await this.db.query('SELECT * FROM reconciliation_runs WHERE id = $1', [runId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Issues for a run, optionally one category
+   */
+  async getIssues(runId, { category, limit = 500, offset = 0 } = {}) {
+    const params = [runId];
+    let query = 'SELECT * FROM reconciliation_issues WHERE run_id = $1';
+
+    if (category) {
+      params.push(category);
+      query += ` AND category = $${params.length}`;
+    }
+
+    params.push(limit, offset);
+    query += ` ORDER BY category, sku LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await this.db.query(query, params);
+    return result.rows;
+  }
+}
+
+module.exports = CatalogReconciliationService;
@@ -0,0 +1,296 @@
+const axios = require('axios');
+
+// One client per channel account, shared by every sync job and API route in this process
+const clients = new Map();
+
+// Methods that are safe to repeat after a timeout or 5xx; others opt in per request
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+
+// Failures raised before the request reached the channel, so any method can be retried
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Token bucket: `rate` requests per second refilled continuously, up to `burst`
+ */
+class TokenBucket {
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait for a token; resolves with the time spent waiting
+   */
+  async take() {
+    const startedAt = Date.now();
+
+    while (true) {
+      const pause = this.pausedUntil - Date.now();
+      if (pause > 0) {
+        await new Promise(resolve => setTimeout(resolve, pause));
+        continue;
+      }
+
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return Date.now() - startedAt;
+      }
+
+      const wait = Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Drain the bucket and hold every caller until the channel's Retry-After has passed
+   */
+  pause(ms) {
+    this.tokens = 0;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+}
+
+/**
+ * Channel HTTP Client
+ * Shared outbound client per channel account: token-bucket rate limiting (optionally
+ * per operation), 429 / Retry-After and 5xx retries, quota metrics and a circuit
+ * breaker that stops calling a channel after repeated failures.
+ */
+class ChannelHttpClient {
+  constructor(key, options = {}) {
+    this.key = key;
+    this.label = options.label || key;
+    this.maxRetries = options.maxRetries ?? 5;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 60000;
+
+    // Base URL and headers (credentials) are applied per request so later callers can replace them
+    this.baseURL = options.baseURL;
+    this.headers = options.headers || {};
+    this.http = axios.create({ timeout: options.timeout || 30000 });
+
+    this.buckets = new Map();
+    for (const [name, limit] of Object.entries(options.rateLimits || { default: { rate: 2, burst: 10 } })) {
+      this.buckets.set(name, new TokenBucket(limit.rate, limit.burst));
+    }
+
+    this.circuit = { state: 'closed', consecutiveFailures: 0, openedAt: null, trialInFlight: false };
+
+    this.metrics = {
+      requests: 0,
+      succeeded: 0,
+      failed: 0,
+      retries: 0,
+      rateLimited: 0,
+      throttledMs: 0,
+      lastRateLimitAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      quota: null
+    };
+  }
+
+  /**
+   * Get (or create) the shared client for a channel account
+   * Later callers replace base URL and headers, so rotated credentials take effect on the next request
+   */
+  static for(key, options = {}) {
+    let client = clients.get(key);
+
+    if (!client) {
+      client = new ChannelHttpClient(key, options);
+      clients.set(key, client);
+    } else {
+      if (options.baseURL) client.baseURL = options.baseURL;
+      if (options.headers) client.headers = { ...options.headers };
+    }
+
+    return client;
+  }
+
+  /**
+   * Quota and circuit state for every channel client in this process
+   */
+  static getQuotaMetrics() {
+    return Array.from(clients.values()).map(client => client.getMetrics());
+  }
+
+  /**
+   * Perform a request through the channel's rate limiter
+   * bucket selects a per-operation limit (falls back to 'default'). A POST, PUT, PATCH or
+   * DELETE may already have been applied when it times out or gets a 5xx, so those are only
+   * retried then if the caller marks them idempotent (e.g. setting an absolute quantity)
+   */
+  async request(config, { bucket = 'default', idempotent } = {}) {
+    const isTrial = this.checkCircuit();
+    const repeatable = idempotent ?? IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase());
+
+    const tokenBucket = this.buckets.get(bucket) || this.buckets.get('default');
+    let attempt = 0;
+
+    try {
+      while (true) {
+        if (tokenBucket) {
+          this.metrics.throttledMs += await tokenBucket.take();
+        }
+
+        this.metrics.requests++;
+
+        try {
+          const response = await this.http.request({
+            ...config,
+            baseURL: config.baseURL || this.baseURL,
+            headers: { ...this.headers, ...config.headers }
+          });
+          this.recordSuccess(response);
+          return response;
+        } catch (error) {
+          const status = error.response?.status;
+          const retryable = status === 429 || NOT_SENT_CODES.includes(error.code) || (repeatable && (
+            (status >= 500 && status < 600) || ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED'].includes(error.code)
+          ));
+
+          if (status === 429) {
+            this.metrics.rateLimited++;
+            this.metrics.lastRateLimitAt = new Date().toISOString();
+          }
+
+          if (!retryable || attempt >= this.maxRetries) {
+            // 4xx responses mean the channel is up - only server-side failures trip the breaker
+            this.recordFailure(error, retryable);
+            throw error;
+          }
+
+          const delay = this.getRetryDelay(error.response?.headers, attempt);
+          if (status === 429 && tokenBucket) {
+            tokenBucket.pause(delay);
+          }
+
+          this.metrics.retries++;
+          console.warn(`⏳ ${this.label} API ${status || error.code} on ${config.url}, retrying in ${delay}ms (attempt ${attempt + 1}/${this.maxRetries})`);
+          await this.sleep(delay);
+          attempt++;
+        }
+      }
+    } finally {
+      // Only the half-open trial request holds the slot
+      if (isTrial) this.circuit.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Reject immediately while the circuit is open; after the reset timeout one trial request is let through
+   * Returns true for the request that took the trial slot
+   */
+  checkCircuit() {
+    if (this.circuit.state !== 'open' && this.circuit.state !== 'half_open') return false;
+
+    const retryAt = this.circuit.openedAt + this.resetTimeoutMs;
+
+    if (this.circuit.state === 'open' && Date.now() >= retryAt) {
+      this.circuit.state = 'half_open';
+    }
+
+    if (this.circuit.state === 'half_open' && !this.circuit.trialInFlight) {
+      this.circuit.trialInFlight = true;
+      return true;
+    }
+
+    const error = new Error(`${this.label} circuit open after ${this.circuit.consecutiveFailures} consecutive failures`);
+    error.code = 'CIRCUIT_OPEN';
+    error.retryAt = new Date(Math.max(retryAt, Date.now() + 1000));
+    throw error;
+  }
+
+  recordSuccess(response) {
+    this.metrics.succeeded++;
+
+    if (this.circuit.state !== 'closed') {
+      console.log(`✅ ${this.label} circuit closed`);
+    }
+    this.circuit = { state: 'closed', consecutiveFailures: 0, openedAt: null, trialInFlight: false };
+
+    this.recordQuota(response.headers || {});
+  }
+
+  recordFailure(error, countsTowardsCircuit) {
+    this.metrics.failed++;
+    this.metrics.lastError = error.response?.status ? `HTTP ${error.response.status}` : error.message;
+    this.metrics.lastErrorAt = new Date().toISOString();
+
+    if (!countsTowardsCircuit) return;
+
+    this.circuit.consecutiveFailures++;
+
+    if (this.circuit.state === 'half_open' || this.circuit.consecutiveFailures >= this.failureThreshold) {
+      this.circuit.state = 'open';
+      this.circuit.openedAt = Date.now();
+      console.error(`🔌 ${this.label} circuit opened after ${this.circuit.consecutiveFailures} consecutive failures`);
+    }
+  }
+
+  /**
+   * Capture the channel's own view of our quota from response headers
+   */
+  recordQuota(headers) {
+    const shopifyCallLimit = headers['x-shopify-shop-api-call-limit'];
+    if (shopifyCallLimit) {
+      const [used, limit] = shopifyCallLimit.split('/').map(Number);
+      this.metrics.quota = { used, limit, source: 'X-Shopify-Shop-Api-Call-Limit', at: new Date().toISOString() };
+      return;
+    }
+
+    const amazonRateLimit = headers['x-amzn-ratelimit-limit'];
+    if (amazonRateLimit) {
+      this.metrics.quota = { requestsPerSecond: parseFloat(amazonRateLimit), source: 'x-amzn-RateLimit-Limit', at: new Date().toISOString() };
+    }
+  }
+
+  getMetrics() {
+    const buckets = {};
+    for (const [name, bucket] of this.buckets) {
+      bucket.refill();
+      buckets[name] = { rate: bucket.rate, burst: bucket.burst, available: Math.floor(bucket.tokens) };
+    }
+
+    return {
+      key: this.key,
+      label: this.label,
+      circuit: {
+        state: this.circuit.state,
+        consecutiveFailures: this.circuit.consecutiveFailures,
+        openedAt: this.circuit.openedAt ? new Date(this.circuit.openedAt).toISOString() : null
+      },
+      buckets,
+      ...this.metrics
+    };
+  }
+
+  /**
+   * Honour Retry-After when present, otherwise back off exponentially
+   */
+  getRetryDelay(headers = {}, attempt) {
+    const retryAfter = parseFloat(headers['retry-after']);
+    if (!isNaN(retryAfter)) {
+      return Math.ceil(retryAfter * 1000);
+    }
+
+    return Math.min(Math.pow(2, attempt) * 1000, 30000);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = ChannelHttpClient;
@@ -0,0 +1,276 @@
+const { Pool } = require('pg');
+const channelRegistry = require('./channels/channelRegistry');
+const channelCredentials = require('./channels/channelCredentials');
+
+/**
+ * Channel Service
+ * Create, update and deactivate sales channels. Credential fields of api_config
+ * (each adapter's credentialFields) are encrypted at rest and masked on every read;
+ * clients that need them get the decrypted config through channelCredentials.parseApiConfig.
+ */
+class ChannelService {
+  constructor() {
+    this.db = new Pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize channel service and encrypt any credentials still stored in plaintext
+   */
+  async initialize() {
+    try {
+      await this.db.query('SELECT NOW()');
+      await this.db.query(`
+        ALTER TABLE channels
+          ADD COLUMN IF NOT EXISTS connection_status VARCHAR(20),
+          ADD COLUMN IF NOT EXISTS connection_checked_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS connection_error TEXT
+      `);
+
+      if (channelCredentials.isConfigured()) {
+        const result = await this.rotateCredentials();
+        if (result.rotated > 0) {
+          console.log(`🔐 Encrypted credentials of ${result.rotated} channels with the current key`);
+        }
+      } else {
+        console.warn('⚠️ CHANNEL_CREDENTIALS_KEY not configured - channel credentials cannot be saved');
+      }
+
+      this.isInitialized = true;
+      console.log('✅ ChannelService initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ ChannelService initialization failed:', error.message);
+      return false;
+    }
+  }
+
+  async getChannels({ includeInactive = true } = {}) {
+    const result = await this.db.query(`
+      SELECT * FROM channels
+      ${includeInactive ? '' : 'WHERE is_active = true'}
+      ORDER BY name
+    `);
+
+    return result.rows.map(row => this.maskChannel(row));
+  }
+
+  async getChannel(channelId) {
+    const channel = await this.getChannelRow(channelId);
+    return channel ? this.maskChannel(channel) : null;
+  }
+
+  async getChannelRow(channelId) {
+    const result = await this.db.query('SELECT * FROM channels WHERE id::text = $1', [String(channelId)]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a channel; credentials in apiConfig are encrypted before they are stored
+   */
+  async createChannel({ name, channelType, apiConfig = {}, isActive = true }) {
+    if (!name || !channelType) {
+      throw this.httpError(400, 'name and channelType are required');
+    }
+
+    const adapter = channelRegistry.get(channelType);
+    if (!adapter) {
+      throw this.httpError(400, `Unsupported channel type: ${channelType}. Supported: ${channelRegistry.list().map(entry => entry.type).join(', ')}`);
+    }
+
+    await this.assertNameAvailable(name);
+
+    const sealed = channelCredentials.sealApiConfig(this.cleanApiConfig(apiConfig), adapter.credentialFields);
+
+    const result = await this.db.query(`
+      INSERT INTO channels (name, channel_type, api_config, is_active)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [name, adapter.type, JSON.stringify(sealed), isActive]);
+
+    console.log(`✅ Created ${adapter.displayName} channel ${name}`);
+    return this.maskChannel(result.rows[0]);
+  }
+
+  /**
+   * Update a channel
+   * apiConfig is merged into the stored config: null removes a field, and masked
+   * credential values (as returned by reads) leave the stored credential unchanged
+   */
+  async updateChannel(channelId, { name, apiConfig, isActive }) {
+    const channel = await this.getChannelRow(channelId);
+    if (!channel) {
+      throw this.httpError(404, 'Channel not found');
+    }
+
+    const adapter = channelRegistry.getOrGeneric(channel.channel_type);
+
+    if (name && name !== channel.name) {
+      await this.assertNameAvailable(name);
+    }
+
+    let sealed = null;
+    if (apiConfig) {
+      const merged = { ...channelCredentials.parseStoredConfig(channel.api_config) };
+
+      for (const [field, value] of Object.entries(apiConfig)) {
+        if (value === null) {
+          delete merged[field];
+        } else if (!channelCredentials.isMasked(value)) {
+          merged[field] = value;
+        }
+      }
+
+      sealed = channelCredentials.sealApiConfig(merged, adapter.credentialFields);
+    }
+
+    const result = await this.db.query(`
+      UPDATE channels
+      SET name = COALESCE($1, name),
+          api_config = COALESCE($2, api_config),
+          is_active = COALESCE($3, is_active),
+          connection_status = CASE WHEN $2::jsonb IS NULL THEN connection_status ELSE NULL END,
+          updated_at = NOW()
+      WHERE id = $4
+      RETURNING *
+    `, [name || null, sealed ? JSON.stringify(sealed) : null, isActive ?? null, channel.id]);
+
+    return this.maskChannel(result.rows[0]);
+  }
+
+  /**
+   * Deactivate a channel: its pending sync jobs are dropped, and inventory pushes and
+   * webhook subscriptions skip inactive channels. The row is kept so orders and history stay linked
+   */
+  async deactivateChannel(channelId) {
+    const result = await this.db.query(`
+      UPDATE channels SET is_active = false, updated_at = NOW()
+      WHERE id::text = $1
+      RETURNING *
+    `, [String(channelId)]);
+
+    if (result.rows.length === 0) {
+      throw this.httpError(404, 'Channel not found');
+    }
+
+    const cancelled = await this.db.query(`
+      UPDATE sync_queue SET status = 'failed', error_message = 'Channel deactivated', completed_at = CURRENT_TIMESTAMP
+      WHERE channel_id::text = $1 AND status = 'pending'
+    `, [String(channelId)]);
+
+    console.log(`⏸️ Deactivated channel ${result.rows[0].name} (${cancelled.rowCount} pending sync jobs dropped)`);
+    return this.maskChannel(result.rows[0]);
+  }
+
+  /**
+   * Check a channel's stored credentials against the channel and record the result
+   */
+  async testConnection(channelId) {
+    const channel = await this.getChannelRow(channelId);
+    if (!channel) {
+      throw this.httpError(404, 'Channel not found');
+    }
+
+    const adapter = channelRegistry.get(channel.channel_type) || channelRegistry.get(channel.name);
+    if (!adapter) {
+      throw this.httpError(400, `Unsupported channel: ${channel.channel_type}`);
+    }
+
+    const startedAt = Date.now();
+    let result;
+
+    try {
+      const data = await adapter.testConnection(channelCredentials.parseApiConfig(channel.api_config));
+      result = { success: true, data };
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    await this.db.query(`
+      UPDATE channels
+      SET connection_status = $1, connection_checked_at = CURRENT_TIMESTAMP, connection_error = $2
+      WHERE id = $3
+    `, [result.success ? 'connected' : 'failed', result.error || null, channel.id]);
+
+    return {
+      channelId: channel.id,
+      channel: channel.name,
+      channelType: adapter.type,
+      platform: adapter.displayName,
+      durationMs: Date.now() - startedAt,
+      ...result
+    };
+  }
+
+  /**
+   * Re-encrypt every channel's credentials with the current key
+   * Also encrypts plaintext credentials left from before encryption was configured
+   */
+  async rotateCredentials() {
+    if (!channelCredentials.isConfigured()) {
+      throw this.httpError(400, 'CHANNEL_CREDENTIALS_KEY is not configured');
+    }
+
+    const result = await this.db.query('SELECT id, name, channel_type, api_config FROM channels');
+    const failed = [];
+    let rotated = 0;
+
+    for (const channel of result.rows) {
+      const adapter = channelRegistry.getOrGeneric(channel.channel_type);
+      const stored = channelCredentials.parseStoredConfig(channel.api_config);
+
+      // Encrypted values outside the adapter's list (e.g. a field that was renamed) rotate too
+      const fields = [...new Set([
+        ...adapter.credentialFields,
+        ...Object.keys(stored).filter(field => channelCredentials.isEncrypted(stored[field]))
+      ])];
+
+      if (!channelCredentials.needsSealing(stored, fields)) continue;
+
+      try {
+        const sealed = channelCredentials.sealApiConfig(stored, fields);
+        await this.db.query('UPDATE channels SET api_config = $1, updated_at = NOW() WHERE id = $2', [JSON.stringify(sealed), channel.id]);
+        rotated++;
+      } catch (error) {
+        failed.push({ channelId: channel.id, channel: channel.name, error: error.message });
+      }
+    }
+
+    return { keyId: channelCredentials.currentKeyId, rotated, failed };
+  }
+
+  async assertNameAvailable(name) {
+    const existing = await this.db.query('SELECT id FROM channels WHERE LOWER(name) = LOWER($1)', [name]);
+    if (existing.rows.length > 0) {
+      throw this.httpError(409, `A channel named ${name} already exists`);
+    }
+  }
+
+  /**
+   * Drop masked placeholders and nulls from a new channel's config
+   */
+  cleanApiConfig(apiConfig) {
+    return Object.fromEntries(Object.entries(apiConfig)
+      .filter(([, value]) => value !== null && !channelCredentials.isMasked(value)));
+  }
+
+  maskChannel(row) {
+    const adapter = channelRegistry.getOrGeneric(row.channel_type);
+    return {
+      ...row,
+      api_config: channelCredentials.maskApiConfig(channelCredentials.parseStoredConfig(row.api_config), adapter.credentialFields)
+    };
+  }
+
+  httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = ChannelService;
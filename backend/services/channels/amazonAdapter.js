@@ -0,0 +1,453 @@
+const crypto = require('crypto');
+const ChannelAdapter = require('./channelAdapter');
+const AmazonClient = require('../amazonClient');
+
+/**
+ * Amazon Channel Adapter
+ * Selling Partner API: Listings Items, Orders v0 and FBA inventory summaries
+ */
+class AmazonAdapter extends ChannelAdapter {
+  constructor() {
+    super({
+      type: 'amazon',
+      displayName: 'Amazon',
+      inventoryPushBatchSize: 20,
+      credentialFields: ['client_id', 'client_secret', 'refresh_token', 'webhook_secret'],
+      orderStatusMap: {
+        'pending': 'pending',
+        'unshipped': 'pending',
+        'partiallyshipped': 'partially_shipped',
+        'shipped': 'shipped',
+        'canceled': 'cancelled',
+        'unfulfillable': 'failed'
+      },
+      // SP-API notifications go to SQS/EventBridge; the relay that forwards them is configured outside the portal
+      webhookTopics: {
+        'orders/create': 'ORDER_CHANGE',
+        'inventory/update': 'FBA_INVENTORY_AVAILABILITY_CHANGES'
+      }
+    });
+  }
+
+  createClient(apiConfig) {
+    return new AmazonClient(apiConfig);
+  }
+
+  async fetchProducts(apiConfig, options = {}) {
+    return this.createClient(apiConfig).getListings({ skus: options.skus });
+  }
+
+  /**
+   * Orders API, polled by LastUpdatedAfter
+   */
+  async fetchOrders(apiConfig, options = {}) {
+    return this.createClient(apiConfig).getOrders({
+      lastUpdatedAfter: options.updatedAtMin,
+      orderIds: options.orderIds
+    });
+  }
+
+  async fetchInventory(apiConfig, options = {}) {
+    return this.createClient(apiConfig).getInventorySummaries({
+      startDateTime: options.updatedAtMin,
+      sellerSkus: options.skus
+    });
+  }
+
+  /**
+   * Patch the merchant-fulfilled (DEFAULT) quantity on each listing
+   * FBA quantities are owned by Amazon fulfilment centres and cannot be set
+   */
+  async pushInventory(apiConfig, updates) {
+    const client = this.createClient(apiConfig);
+    const results = [];
+
+    for (const update of updates) {
+      try {
+        const listing = await client.getListing(update.sku);
+        const productType = listing.summaries?.[0]?.productType || 'PRODUCT';
+
+        const response = await client.patchListing(update.sku, productType, [{
+          op: 'replace',
+          path: '/attributes/fulfillment_availability',
+          value: [{ fulfillment_channel_code: 'DEFAULT', quantity: update.quantity }]
+        }]);
+
+        if (response.status === 'INVALID') {
+          const issues = (response.issues || []).map(issue => issue.message).join('; ');
+          results.push({ sku: update.sku, success: false, error: issues || 'Listing patch rejected' });
+        } else {
+          results.push({ sku: update.sku, success: true, reference: response.submissionId || null });
+        }
+      } catch (error) {
+        if (error.code === 'CIRCUIT_OPEN') throw error;
+        results.push({ sku: update.sku, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Listings Items PUT per variant. A known ASIN (channelProductId) lists an offer on it, otherwise the
+   * full listing is created; families also get a parent listing with listing_attributes.variation_theme.
+   * listing_attributes.product_type sets the product type and listing_attributes.attributes adds raw
+   * SP-API attributes. Accepted submissions stay 'pending' until Amazon has processed them.
+   */
+  async publishListings(apiConfig, listings) {
+    const client = this.createClient(apiConfig);
+    const results = [];
+
+    for (const listing of listings) {
+      const productType = listing.attributes.product_type || 'PRODUCT';
+      let parentError = null;
+
+      if (!listing.standalone) {
+        const theme = listing.attributes.variation_theme || listing.optionAxes.join('/').toUpperCase();
+        const parent = await this.submitListing(client, listing.sku, productType, {
+          ...this.toListingAttributes(apiConfig, listing, null),
+          parentage_level: [{ value: 'parent', marketplace_id: client.marketplaceId }],
+          variation_theme: [{ name: theme }]
+        }, 'LISTING');
+        if (!parent.success) parentError = `Parent listing ${listing.sku}: ${parent.error}`;
+      }
+
+      for (const variant of listing.variants) {
+        if (parentError) {
+          results.push({ sku: variant.sku, success: false, error: parentError });
+          continue;
+        }
+
+        const asin = variant.channelProductId;
+        const attributes = this.toListingAttributes(apiConfig, listing, variant);
+        if (!listing.standalone) {
+          attributes.parentage_level = [{ value: 'child', marketplace_id: client.marketplaceId }];
+          attributes.child_parent_sku_relationship = [{ child_relationship_type: 'variation', parent_sku: listing.sku, marketplace_id: client.marketplaceId }];
+        }
+
+        results.push(await this.submitListing(client, variant.sku, productType, attributes, asin ? 'LISTING_OFFER_ONLY' : 'LISTING'));
+      }
+    }
+
+    return results;
+  }
+
+  async submitListing(client, sku, productType, attributes, requirements) {
+    try {
+      const response = await client.putListing(sku, productType, attributes, requirements);
+      const errors = (response.issues || []).filter(issue => issue.severity === 'ERROR');
+
+      if (response.status !== 'ACCEPTED' || errors.length > 0) {
+        return { sku, success: false, error: errors.map(issue => issue.message).join('; ') || `Listing ${response.status}`, reference: response.submissionId };
+      }
+
+      return { sku, success: true, status: 'pending', channelSku: sku, reference: response.submissionId };
+    } catch (error) {
+      if (error.code === 'CIRCUIT_OPEN') throw error;
+      return { sku, success: false, error: error.message };
+    }
+  }
+
+  /**
+   * SP-API listing attributes for a variant (or the family's parent when variant is null)
+   */
+  toListingAttributes(apiConfig, listing, variant) {
+    const marketplaceId = apiConfig.marketplace_id || process.env.AMAZON_MARKETPLACE_ID;
+    const value = data => [{ value: data, marketplace_id: marketplaceId }];
+    const attributes = {
+      item_name: value(variant?.name || listing.title),
+      brand: value(listing.brand || 'Generic'),
+      product_description: value(listing.description || listing.title)
+    };
+
+    if (variant) {
+      attributes.condition_type = value(listing.attributes.condition_type || 'new_new');
+      attributes.purchasable_offer = [{
+        currency: apiConfig.currency || 'USD',
+        our_price: [{ schedule: [{ value_with_tax: variant.price }] }],
+        marketplace_id: marketplaceId
+      }];
+      attributes.fulfillment_availability = [{ fulfillment_channel_code: 'DEFAULT', quantity: variant.quantity }];
+
+      if (variant.channelProductId) {
+        attributes.merchant_suggested_asin = value(variant.channelProductId);
+      } else if (variant.barcode && variant.barcode_type) {
+        attributes.externally_assigned_product_identifier = [{
+          type: variant.barcode_type.toLowerCase(), value: variant.barcode, marketplace_id: marketplaceId
+        }];
+      }
+      if (variant.mpn) attributes.part_number = value(variant.mpn);
+
+      for (const [axis, option] of Object.entries(variant.options || {})) {
+        attributes[axis.toLowerCase()] = value(option);
+      }
+    }
+
+    return { ...attributes, ...(listing.attributes.attributes || {}) };
+  }
+
+  /**
+   * Processed submissions surface as the listing's issues or its ASIN
+   */
+  async checkPublishedListings(apiConfig, pending) {
+    const client = this.createClient(apiConfig);
+    const results = [];
+
+    for (const listing of pending) {
+      try {
+        const item = await client.getListing(listing.sku);
+        const errors = (item.issues || []).filter(issue => issue.severity === 'ERROR');
+        const asin = item.summaries?.[0]?.asin;
+
+        if (errors.length > 0) {
+          results.push({ sku: listing.sku, success: false, error: errors.map(issue => issue.message).join('; '), reference: listing.reference });
+        } else if (asin) {
+          results.push({ sku: listing.sku, success: true, status: 'published', channelSku: asin, channelProductId: asin, reference: listing.reference });
+        } else {
+          results.push({ sku: listing.sku, success: true, status: 'pending', reference: listing.reference });
+        }
+      } catch (error) {
+        if (error.code === 'CIRCUIT_OPEN') throw error;
+        // Not readable yet - still being processed
+        results.push({ sku: listing.sku, success: true, status: 'pending', reference: listing.reference });
+      }
+    }
+
+    return results;
+  }
+
+  async testConnection(apiConfig) {
+    const client = this.createClient(apiConfig);
+    await client.getAccessToken();
+
+    // Cheapest authorised call: one page of FBA summaries
+    const summaries = await client.request('get', '/fba/inventory/v1/summaries', {
+      params: {
+        granularityType: 'Marketplace',
+        granularityId: client.marketplaceId,
+        marketplaceIds: client.marketplaceId
+      }
+    });
+
+    return {
+      marketplaceId: client.marketplaceId,
+      sellerId: client.sellerId || null,
+      inventorySummaries: summaries.data.payload?.inventorySummaries?.length || 0
+    };
+  }
+
+  /**
+   * Amazon Product Mapping (Listings Items API)
+   */
+  mapProduct(amazonListing) {
+    const summary = amazonListing.summaries?.[0] || {};
+    const attributes = amazonListing.attributes || {};
+    const offer = amazonListing.offers?.find(o => o.offerType !== 'B2B') || amazonListing.offers?.[0];
+    const availability = amazonListing.fulfillmentAvailability?.find(f => f.fulfillmentChannelCode === 'DEFAULT');
+
+    // Variation family: a parent ASIN lists its childSkus, a child its parentSkus
+    const sku = amazonListing.sku || amazonListing.SellerSKU;
+    const variation = (amazonListing.relationships || [])
+      .flatMap(entry => entry.relationships || [])
+      .find(relationship => relationship.type === 'VARIATION');
+    const optionAxes = variation?.variationTheme?.attributes || [];
+    const isParent = (variation?.childSkus || []).length > 0;
+    const parentSku = isParent ? sku : variation?.parentSkus?.[0];
+    const price = parseFloat(offer?.price?.amount || amazonListing.Price?.Amount || 0);
+    const images = summary.mainImage?.link ? [summary.mainImage.link] : [];
+
+    const variants = isParent ? [] : [{
+      sku,
+      channel_sku: summary.asin || amazonListing.ASIN,
+      options: Object.fromEntries(optionAxes
+        .map(axis => [axis, attributes[axis]?.[0]?.value])
+        .filter(([, value]) => value !== undefined)),
+      price,
+      ...this.barcodeFields(attributes.externally_assigned_product_identifier?.[0]?.value),
+      mpn: attributes.part_number?.[0]?.value || null,
+      weight: 0,
+      images,
+      inventory_quantity: availability?.quantity || 0
+    }];
+
+    return {
+      parent: parentSku ? { sku: parentSku, name: isParent ? (summary.itemName || null) : null, option_axes: optionAxes } : null,
+      variants,
+      sku,
+      channel_sku: summary.asin || amazonListing.ASIN,
+      name: summary.itemName || amazonListing.ItemName || 'Unknown Product',
+      description: attributes.product_description?.[0]?.value || amazonListing.ItemDescription || '',
+      brand: attributes.brand?.[0]?.value || amazonListing.Brand || 'Unknown',
+      category: summary.productType || amazonListing.ProductType || 'General',
+      price,
+      weight: 0,
+      dimensions: {
+        length: 0,
+        width: 0,
+        height: 0
+      },
+      images,
+      status: (summary.status || []).includes('BUYABLE') || amazonListing.Status === 'Active' ? 'active' : 'inactive',
+      inventory_quantity: availability?.quantity || 0, // FBA stock comes from inventory summaries
+      tags: [],
+      created_at: summary.createdDate || amazonListing.OpenDate,
+      updated_at: summary.lastUpdatedDate || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Amazon Order Mapping (Orders API, with OrderItems attached)
+   */
+  mapOrder(amazonOrder) {
+    const items = (amazonOrder.OrderItems || []).map(item => {
+      const total = parseFloat(item.ItemPrice?.Amount || 0);
+      const quantity = item.QuantityOrdered || 0;
+
+      return {
+        sku: item.SellerSKU,
+        name: item.Title || 'Unknown Product',
+        quantity,
+        price: quantity > 0 ? total / quantity : 0, // ItemPrice is the line total
+        total
+      };
+    });
+
+    const sumItems = field => (amazonOrder.OrderItems || [])
+      .reduce((sum, item) => sum + parseFloat(item[field]?.Amount || 0), 0);
+
+    const address = amazonOrder.ShippingAddress;
+
+    return {
+      id: amazonOrder.AmazonOrderId,
+      channel_order_id: amazonOrder.AmazonOrderId,
+      customer: {
+        email: amazonOrder.BuyerInfo?.BuyerEmail || null, // Anonymised relay address when present
+        name: amazonOrder.BuyerInfo?.BuyerName || amazonOrder.BuyerName || 'Amazon Customer',
+        phone: null
+      },
+      date: amazonOrder.PurchaseDate,
+      status: this.mapSyncStatus(amazonOrder.OrderStatus),
+      channel_status: amazonOrder.OrderStatus,
+      total: parseFloat(amazonOrder.OrderTotal?.Amount || 0),
+      subtotal: sumItems('ItemPrice'),
+      tax: sumItems('ItemTax'),
+      shipping: sumItems('ShippingPrice'),
+      currency: amazonOrder.OrderTotal?.CurrencyCode || 'USD',
+      items,
+      shipping_address: address ? { // Restricted data; only present with an RDT
+        name: address.Name || '',
+        address1: address.AddressLine1,
+        address2: address.AddressLine2,
+        city: address.City,
+        province: address.StateOrRegion,
+        country: address.CountryCode,
+        zip: address.PostalCode
+      } : null
+    };
+  }
+
+  /**
+   * Amazon Inventory Mapping (FBA inventory summaries)
+   */
+  mapInventory(amazonInventory) {
+    const details = amazonInventory.inventoryDetails || {};
+
+    return {
+      sku: amazonInventory.sellerSku || amazonInventory.SellerSKU,
+      quantity: details.fulfillableQuantity ?? amazonInventory.InStockSupplyQuantity ?? 0,
+      reserved: details.reservedQuantity?.totalReservedQuantity ?? amazonInventory.ReservedQuantity ?? 0,
+      location: amazonInventory.fnSku || amazonInventory.FulfillmentChannelSKU || 'FBA',
+      updated_at: amazonInventory.lastUpdatedTime || amazonInventory.LastUpdatedTime || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Synced order status from the Amazon OrderStatus
+   */
+  mapSyncStatus(orderStatus) {
+    const statusMap = {
+      'Pending': 'pending',
+      'Unshipped': 'processing',
+      'PartiallyShipped': 'partially_fulfilled',
+      'Shipped': 'fulfilled',
+      'Canceled': 'cancelled',
+      'Unfulfillable': 'cancelled'
+    };
+
+    return statusMap[orderStatus] || 'unknown';
+  }
+
+  extractOrderId(orderData) {
+    return orderData.AmazonOrderId || orderData.order_id;
+  }
+
+  validateOrderData(orderData) {
+    const errors = [];
+    if (!orderData.AmazonOrderId) errors.push('Missing Amazon order ID');
+    if (!orderData.OrderTotal) errors.push('Missing order total');
+    return errors;
+  }
+
+  standardizeOrder(orderData) {
+    return {
+      external_order_id: orderData.AmazonOrderId,
+      order_number: orderData.AmazonOrderId,
+      customer_email: orderData.BuyerEmail || 'unknown@amazon.com',
+      customer_name: orderData.BuyerName || 'Amazon Customer',
+      total_amount: parseFloat(orderData.OrderTotal?.Amount || 0),
+      currency: orderData.OrderTotal?.CurrencyCode || 'USD',
+      order_status: this.mapOrderStatus(orderData.OrderStatus),
+      fulfillment_status: orderData.FulfillmentChannel || 'MFN',
+      order_date: new Date(orderData.PurchaseDate || Date.now()),
+      items_count: parseInt(orderData.NumberOfItemsShipped || 0) + parseInt(orderData.NumberOfItemsUnshipped || 0),
+      shipping_address: orderData.ShippingAddress,
+      billing_address: orderData.ShippingAddress
+    };
+  }
+
+  /**
+   * Notifications relayed from SQS/EventBridge carry a shared token in X-Amz-Webhook-Token
+   */
+  verifyWebhook(rawBody, headers = {}, apiConfig = {}) {
+    const secret = apiConfig.webhook_secret || process.env.AMAZON_WEBHOOK_SECRET;
+    if (!secret) {
+      return this.allowUnsignedWebhook('AMAZON_WEBHOOK_SECRET');
+    }
+
+    const token = headers['x-amz-webhook-token'];
+    if (!token) return false;
+
+    const expected = Buffer.from(secret);
+    const received = Buffer.from(token);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * SP-API notifications carry their own ID in NotificationMetadata
+   */
+  getWebhookDeliveryId(headers = {}, body = {}) {
+    return body.NotificationMetadata?.NotificationId || null;
+  }
+
+  /**
+   * Seller (and marketplace, when the notification has one) the notification is for
+   * FBA inventory notifications cover every marketplace of the seller
+   */
+  getWebhookStoreIdentity(headers = {}, body = {}) {
+    const payload = body.Payload?.OrderChangeNotification || body.Payload || body;
+    const sellerId = payload.SellerId || body.SellerId;
+    if (!sellerId) return null;
+
+    return { sellerId, marketplaceId: payload.MarketplaceId || body.MarketplaceId || null };
+  }
+
+  matchesWebhookStore(apiConfig, identity) {
+    const sellerId = apiConfig.seller_id || process.env.AMAZON_SELLER_ID || process.env.AMAZON_MERCHANT_ID;
+    const marketplaceId = apiConfig.marketplace_id || process.env.AMAZON_MARKETPLACE_ID;
+
+    return sellerId === identity.sellerId && (!identity.marketplaceId || marketplaceId === identity.marketplaceId);
+  }
+}
+
+module.exports = AmazonAdapter;
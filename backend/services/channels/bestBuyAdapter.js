@@ -0,0 +1,427 @@
+const ChannelAdapter = require('./channelAdapter');
+const MiraklClient = require('../miraklClient');
+
+/**
+ * Best Buy Canada Channel Adapter
+ * Mirakl marketplace API: offers (OF21), orders (OR11) and order acceptance (OR21)
+ */
+class BestBuyAdapter extends ChannelAdapter {
+  constructor() {
+    super({
+      type: 'bestbuy',
+      displayName: 'Best Buy Canada',
+      aliases: ['bestbuy_canada'],
+      inventoryPushBatchSize: 500,
+      credentialFields: ['api_key', 'webhook_secret'],
+      orderStatusMap: {
+        'waiting_acceptance': 'pending',
+        'waiting_debit': 'authorized',
+        'shipping': 'processing',
+        'shipped': 'shipped',
+        'received': 'delivered',
+        'refused': 'cancelled',
+        'canceled': 'cancelled',
+        'cancelled': 'cancelled'
+      },
+      // Configured in the Mirakl back office (Settings > Notifications); not manageable via the seller API
+      webhookTopics: {
+        'orders/create': 'ORDER_CREATED',
+        'orders/update': 'ORDER_UPDATED',
+        'offers/update': 'OFFER_UPDATED'
+      }
+    });
+  }
+
+  createClient(apiConfig) {
+    return new MiraklClient(apiConfig);
+  }
+
+  async fetchProducts(apiConfig, options = {}) {
+    const client = this.createClient(apiConfig);
+
+    // Offer webhooks name the offer, so only that one is read (OF22) instead of the whole catalogue
+    if (options.offerIds && options.offerIds.length > 0) {
+      const offers = [];
+      for (const offerId of options.offerIds) {
+        offers.push(await client.getOffer(offerId));
+      }
+      return offers;
+    }
+
+    return client.getOffers();
+  }
+
+  async fetchOrders(apiConfig, options = {}) {
+    return this.createClient(apiConfig).getOrders({
+      states: apiConfig.order_states || options.orderStates,
+      updatedSince: options.updatedAtMin,
+      updatedUntil: options.updatedAtMax,
+      orderIds: options.orderIds
+    });
+  }
+
+  /**
+   * Mirakl keeps stock on the offer, so inventory is read from OF21
+   */
+  async fetchInventory(apiConfig, options = {}) {
+    const offers = await this.createClient(apiConfig).getOffers();
+
+    if (options.skus && options.skus.length > 0) {
+      return offers.filter(offer => options.skus.includes(offer.product_sku) || options.skus.includes(offer.shop_sku));
+    }
+
+    return offers;
+  }
+
+  /**
+   * OF01 partial update of offer quantities - one import file per batch
+   * Mirakl processes imports asynchronously; line errors surface in the OF03 error report
+   */
+  async pushInventory(apiConfig, updates) {
+    const lines = ['sku;quantity'];
+    for (const update of updates) {
+      lines.push(`${this.escapeCsv(update.sku)};${update.quantity}`);
+    }
+
+    const result = await this.createClient(apiConfig).importOffers(lines.join('\n'));
+    const reference = result.import_id ? String(result.import_id) : null;
+
+    return updates.map(update => ({ sku: update.sku, success: true, reference }));
+  }
+
+  /**
+   * OF01 offer import (NORMAL mode creates or updates offers) against existing Best Buy products.
+   * The product is the listing's Best Buy product ID (channelProductId, product-id-type SKU unless
+   * listing_attributes.product_id_type says otherwise), else the variant's UPC / EAN.
+   * Results stay 'pending' until checkPublishedListings reads the import's outcome.
+   */
+  async publishListings(apiConfig, listings) {
+    const lines = ['sku;product-id;product-id-type;description;price;quantity;state'];
+    const results = [];
+
+    for (const listing of listings) {
+      for (const variant of listing.variants) {
+        const productId = variant.channelProductId || (listing.standalone ? listing.channelProductId : null);
+        const reference = productId
+          ? { id: productId, type: listing.attributes.product_id_type || 'SKU' }
+          : (variant.barcode && ['UPC', 'EAN'].includes(variant.barcode_type) ? { id: variant.barcode, type: variant.barcode_type } : null);
+
+        if (!reference) {
+          results.push({ sku: variant.sku, success: false, error: 'A Best Buy product ID or UPC/EAN barcode is required to create an offer' });
+          continue;
+        }
+
+        lines.push([
+          variant.sku, reference.id, reference.type, listing.description || '', variant.price,
+          variant.quantity, listing.attributes.state || '11'
+        ].map(value => this.escapeCsv(value ?? '')).join(';'));
+        results.push({ sku: variant.sku, success: true, status: 'pending', channelSku: variant.sku, channelProductId: String(reference.id) });
+      }
+    }
+
+    if (lines.length > 1) {
+      const result = await this.createClient(apiConfig).importOffers(lines.join('\n'), 'NORMAL');
+      const importId = result.import_id ? String(result.import_id) : null;
+      results.filter(result => result.success).forEach(result => { result.reference = importId; });
+    }
+
+    return results;
+  }
+
+  /**
+   * OF02 import status, then OF03 error report lines; completed offers take their Mirakl offer ID
+   */
+  async checkPublishedListings(apiConfig, pending) {
+    const client = this.createClient(apiConfig);
+    const results = [];
+    let offerIdBySku = null;
+
+    const byImport = new Map();
+    for (const listing of pending) {
+      if (!byImport.has(listing.reference)) byImport.set(listing.reference, []);
+      byImport.get(listing.reference).push(listing);
+    }
+
+    for (const [importId, listings] of byImport) {
+      if (!importId) {
+        results.push(...listings.map(listing => ({ sku: listing.sku, success: false, error: 'Offer import was not accepted' })));
+        continue;
+      }
+
+      const status = await client.getOfferImport(importId);
+      if (!['COMPLETE', 'FAILED'].includes(status.import_status)) {
+        results.push(...listings.map(listing => ({ sku: listing.sku, success: true, status: 'pending', reference: importId })));
+        continue;
+      }
+
+      const lineErrors = status.lines_in_error > 0 || status.has_error_report
+        ? this.parseErrorReport(await client.getOfferImportErrorReport(importId))
+        : new Map();
+
+      if (status.import_status === 'COMPLETE' && !offerIdBySku) {
+        offerIdBySku = new Map((await client.getOffers()).map(offer => [offer.shop_sku, String(offer.offer_id)]));
+      }
+
+      for (const listing of listings) {
+        const error = lineErrors.get(listing.sku) ||
+          (status.import_status === 'FAILED' ? status.reason_status || 'Offer import failed' : null);
+
+        results.push(error
+          ? { sku: listing.sku, success: false, error, reference: importId }
+          : { sku: listing.sku, success: true, status: 'published', reference: importId, channelSku: offerIdBySku.get(listing.sku) || listing.channelSku });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * OF03 error report -> Map of offer sku to error message
+   */
+  parseErrorReport(csv) {
+    const [header, ...rows] = String(csv).split(/\r?\n/).filter(Boolean).map(line => this.parseCsvLine(line));
+    const errors = new Map();
+    if (!header) return errors;
+
+    const skuIndex = header.indexOf('sku');
+    const errorIndex = header.findIndex(column => /error/i.test(column));
+
+    for (const row of rows) {
+      if (row[skuIndex]) errors.set(row[skuIndex], row[errorIndex] || 'Rejected by Best Buy');
+    }
+    return errors;
+  }
+
+  parseCsvLine(line) {
+    const values = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          current += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ';') {
+        values.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    values.push(current);
+    return values;
+  }
+
+  escapeCsv(value) {
+    const text = String(value);
+    return /[;"\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  async testConnection(apiConfig) {
+    const account = await this.createClient(apiConfig).getAccount();
+    return { name: account.shop_name, shopId: account.shop_id, state: account.shop_state };
+  }
+
+  /**
+   * Answer orders waiting for acceptance before they expire on the marketplace
+   */
+  async afterOrderSync(channel, apiConfig, { orderAcceptance } = {}) {
+    if (!apiConfig.auto_accept?.enabled) return null;
+
+    if (!orderAcceptance) {
+      throw new Error('BestBuy auto-accept needs the order acceptance service');
+    }
+
+    const acceptance = await orderAcceptance.autoAcceptPendingOrders({
+      ...channel,
+      api_config: apiConfig
+    });
+    console.log(`BestBuy auto-accept: ${acceptance.accepted}/${acceptance.processed} orders decided`);
+
+    return acceptance;
+  }
+
+  /**
+   * BestBuy Product Mapping (Mirakl Offers)
+   */
+  mapProduct(bestbuyOffer) {
+    const sku = bestbuyOffer.product_sku || bestbuyOffer.offer_id;
+    const price = parseFloat(bestbuyOffer.price || 0);
+
+    // Offers carry their product's references (EAN/UPC); the variant group code, when the
+    // operator exposes it as an offer field, ties sibling products together
+    const references = bestbuyOffer.product_references || [];
+    const reference = ['UPC', 'EAN', 'GTIN', 'UPC-A', 'EAN-13']
+      .map(type => references.find(ref => String(ref.reference_type).toUpperCase() === type))
+      .find(Boolean);
+    const groupField = (bestbuyOffer.offer_additional_fields || []).find(field => /variant.?group/i.test(field.code));
+    const groupCode = bestbuyOffer.variant_group_code || groupField?.value;
+
+    return {
+      parent: groupCode ? { sku: String(groupCode), name: null, option_axes: [] } : null,
+      variants: [{
+        sku,
+        channel_sku: bestbuyOffer.offer_id,
+        options: {},
+        price,
+        ...this.barcodeFields(reference?.reference),
+        mpn: references.find(ref => String(ref.reference_type).toUpperCase() === 'MPN')?.reference || null,
+        weight: 0,
+        images: [],
+        inventory_quantity: bestbuyOffer.quantity || 0
+      }],
+      sku,
+      channel_sku: bestbuyOffer.offer_id,
+      name: bestbuyOffer.product_title || 'Unknown Product',
+      description: bestbuyOffer.description || '',
+      brand: bestbuyOffer.brand || 'Unknown',
+      category: bestbuyOffer.category_code || 'General',
+      price,
+      weight: 0, // Not typically provided in Mirakl offers
+      dimensions: {
+        length: 0,
+        width: 0,
+        height: 0
+      },
+      images: [], // Would need separate API call for images
+      status: bestbuyOffer.state === 11 ? 'active' : 'inactive', // Mirakl state codes
+      inventory_quantity: bestbuyOffer.quantity || 0,
+      tags: [],
+      created_at: bestbuyOffer.date_created,
+      updated_at: bestbuyOffer.last_updated
+    };
+  }
+
+  /**
+   * BestBuy Order Mapping (Mirakl Orders)
+   */
+  mapOrder(bestbuyOrder) {
+    return {
+      id: bestbuyOrder.order_id,
+      channel_order_id: bestbuyOrder.commercial_id || bestbuyOrder.order_id,
+      customer: {
+        email: bestbuyOrder.customer?.email || null,
+        name: bestbuyOrder.customer?.firstname && bestbuyOrder.customer?.lastname
+          ? `${bestbuyOrder.customer.firstname} ${bestbuyOrder.customer.lastname}`
+          : 'Unknown Customer',
+        phone: bestbuyOrder.customer?.phone || null
+      },
+      date: bestbuyOrder.created_date || bestbuyOrder.date_created,
+      status: this.mapSyncStatus(bestbuyOrder.order_state),
+      channel_status: bestbuyOrder.order_state,
+      total: parseFloat(bestbuyOrder.total_price || 0),
+      subtotal: parseFloat(bestbuyOrder.price || 0),
+      tax: parseFloat(bestbuyOrder.total_commission || 0),
+      shipping: parseFloat(bestbuyOrder.shipping_price || 0),
+      currency: bestbuyOrder.currency_iso_code || 'CAD',
+      items: bestbuyOrder.order_lines?.map(line => ({
+        line_id: line.order_line_id,
+        line_status: line.order_line_state,
+        sku: line.offer_sku,
+        name: line.product_title || 'Unknown Product',
+        quantity: line.quantity,
+        price: parseFloat(line.price),
+        total: parseFloat(line.price) * line.quantity
+      })) || [],
+      shipping_address: bestbuyOrder.customer_shipping_address ? {
+        name: `${bestbuyOrder.customer_shipping_address.firstname || ''} ${bestbuyOrder.customer_shipping_address.lastname || ''}`.trim(),
+        address1: bestbuyOrder.customer_shipping_address.street_1,
+        address2: bestbuyOrder.customer_shipping_address.street_2,
+        city: bestbuyOrder.customer_shipping_address.city,
+        province: bestbuyOrder.customer_shipping_address.state,
+        country: bestbuyOrder.customer_shipping_address.country,
+        zip: bestbuyOrder.customer_shipping_address.zip_code
+      } : null
+    };
+  }
+
+  /**
+   * BestBuy Inventory Mapping
+   */
+  mapInventory(bestbuyInventory) {
+    return {
+      sku: bestbuyInventory.product_sku,
+      quantity: bestbuyInventory.quantity || 0,
+      reserved: 0, // Not typically tracked in Mirakl
+      location: bestbuyInventory.location_id || 'default',
+      updated_at: bestbuyInventory.updated_at || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Synced order status from the Mirakl order state
+   */
+  mapSyncStatus(orderState) {
+    const statusMap = {
+      'WAITING_ACCEPTANCE': 'pending',
+      'WAITING_DEBIT': 'processing',
+      'WAITING_DEBIT_PAYMENT': 'processing',
+      'SHIPPING': 'processing',
+      'SHIPPED': 'fulfilled',
+      'TO_COLLECT': 'fulfilled',
+      'RECEIVED': 'fulfilled',
+      'CLOSED': 'completed',
+      'REFUSED': 'cancelled',
+      'CANCELED': 'cancelled'
+    };
+
+    return statusMap[orderState] || 'unknown';
+  }
+
+  extractOrderId(orderData) {
+    return orderData.order_id || orderData.id || orderData.commercial_id;
+  }
+
+  validateOrderData(orderData) {
+    const errors = [];
+    if (!orderData.order_id && !orderData.commercial_id) errors.push('Missing BestBuy order ID');
+    if (!orderData.total_price && !orderData.order_lines) errors.push('Missing order total or lines');
+    return errors;
+  }
+
+  standardizeOrder(orderData) {
+    const orderState = orderData.order_state || orderData.state;
+
+    return {
+      external_order_id: orderData.order_id || orderData.commercial_id,
+      order_number: orderData.commercial_id || orderData.order_id,
+      customer_email: orderData.customer?.email || orderData.customer_email,
+      customer_name: orderData.customer ?
+        `${orderData.customer.firstname || ''} ${orderData.customer.lastname || ''}`.trim() :
+        'Unknown',
+      total_amount: parseFloat(orderData.total_price || orderData.price || 0),
+      currency: orderData.currency_iso_code || 'CAD',
+      order_status: this.mapOrderStatus(orderState),
+      fulfillment_status: orderState || 'pending',
+      order_date: new Date(orderData.created_date || orderData.date_created || Date.now()),
+      items_count: orderData.order_lines ? orderData.order_lines.length : 1,
+      shipping_address: orderData.shipping_address,
+      billing_address: orderData.billing_address
+    };
+  }
+
+  /**
+   * Mirakl signs the raw body with HMAC-SHA1, hex encoded in X-Mirakl-Signature
+   * Deliveries don't name the shop, so each shop's webhook address carries ?channel=<id>
+   */
+  verifyWebhook(rawBody, headers = {}, apiConfig = {}) {
+    const secret = apiConfig.webhook_secret || process.env.BESTBUY_WEBHOOK_SECRET;
+    if (!secret) {
+      return this.allowUnsignedWebhook('BESTBUY_WEBHOOK_SECRET');
+    }
+
+    return this.verifyHmac('sha1', secret, rawBody, headers['x-mirakl-signature'], 'hex');
+  }
+}
+
+module.exports = BestBuyAdapter;
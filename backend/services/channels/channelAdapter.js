@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+
+/**
+ * Base Channel Adapter
+ * Every marketplace integration extends this class and registers itself with
+ * the channel registry. Services call adapters instead of switching on channel name.
+ *
+ * Raw records returned by fetch* are channel-native; map* turns them into the
+ * portal's standard product / order / inventory shape consumed by SyncService.
+ *
+ * Mapped products also carry their variant structure:
+ *   parent   - { sku, name, option_axes } of the parent product, or null for a standalone product
+ *              (name is null when the record is a child and doesn't describe the parent)
+ *   variants - [{ sku, channel_sku, options: { Size: 'M' }, price, barcode, barcode_type, mpn, weight, images, inventory_quantity }]
+ */
+class ChannelAdapter {
+  constructor({ type, displayName, aliases = [], orderStatusMap = {}, inventoryPushBatchSize = 50, webhookTopics = {}, credentialFields = [] }) {
+    this.type = type;
+    this.displayName = displayName;
+    this.aliases = aliases;
+    this.inventoryPushBatchSize = inventoryPushBatchSize;
+
+    // api_config fields holding secrets - encrypted at rest and masked on read
+    this.credentialFields = credentialFields;
+
+    // Lower-cased channel status -> portal order status
+    this.orderStatusMap = orderStatusMap;
+
+    // Portal webhook topic (route under /api/webhooks/<type>/) -> the channel's event name
+    this.webhookTopics = webhookTopics;
+  }
+
+  /**
+   * Fetch raw products / orders / inventory from the channel
+   * options: { updatedAtMin, updatedAtMax, productIds, orderIds, inventoryItemIds, skus }
+   */
+  async fetchProducts(apiConfig, options = {}) {
+    throw new Error(`${this.displayName} adapter does not support product fetch`);
+  }
+
+  async fetchOrders(apiConfig, options = {}) {
+    throw new Error(`${this.displayName} adapter does not support order fetch`);
+  }
+
+  async fetchInventory(apiConfig, options = {}) {
+    throw new Error(`${this.displayName} adapter does not support inventory fetch`);
+  }
+
+  /**
+   * Push stock levels to the channel
+   * updates: [{ sku, quantity }] keyed by the seller SKU
+   * Resolves to one result per update: { sku, success, error, reference }
+   * context is shared by every batch of one push, for lookups worth doing only once per push
+   */
+  async pushInventory(apiConfig, updates, context = {}) {
+    throw new Error(`${this.displayName} adapter does not support inventory push`);
+  }
+
+  canPushInventory() {
+    return this.pushInventory !== ChannelAdapter.prototype.pushInventory;
+  }
+
+  /**
+   * Create or update listings from the master catalog (ListingPublisherService)
+   * listings: [{ productId, sku, title, description, brand, category, images, optionAxes, standalone,
+   *              channelProductId, attributes, variants: [{ productId, sku, name, price, quantity, options,
+   *              barcode, barcode_type, mpn, weight, images, channelProductId }] }]
+   * A standalone product is its own single variant. attributes holds the listing's channel-specific
+   * settings (channel_products.listing_attributes).
+   * Resolves to one result per variant: { sku, success, status: 'published' | 'pending', channelSku,
+   * channelProductId, reference, error } - 'pending' when the channel processes the listing asynchronously
+   */
+  async publishListings(apiConfig, listings) {
+    throw new Error(`${this.displayName} adapter does not support listing publishing`);
+  }
+
+  canPublishListings() {
+    return this.publishListings !== ChannelAdapter.prototype.publishListings;
+  }
+
+  /**
+   * Resolve listings still 'pending' on the channel
+   * pending: [{ sku, reference, channelSku, channelProductId }] - same result shape as publishListings
+   */
+  async checkPublishedListings(apiConfig, pending) {
+    return pending.map(listing => ({ sku: listing.sku, success: true, status: 'published' }));
+  }
+
+  /**
+   * Hook run after an order sync completes (e.g. marketplace order acceptance)
+   * services: the sync's own services the hook may use ({ orderAcceptance })
+   */
+  async afterOrderSync(channel, apiConfig, services = {}) {
+    return null;
+  }
+
+  /**
+   * Check credentials against the channel
+   */
+  async testConnection(apiConfig) {
+    throw new Error(`${this.displayName} adapter does not support connection tests`);
+  }
+
+  /**
+   * Map a raw record of the given data type to the standard format
+   */
+  map(dataType, rawData) {
+    switch (dataType) {
+      case 'product':
+        return this.mapProduct(rawData);
+      case 'order':
+        return this.mapOrder(rawData);
+      case 'inventory':
+        return this.mapInventory(rawData);
+      default:
+        throw new Error(`Unsupported data type: ${dataType} for channel: ${this.type}`);
+    }
+  }
+
+  mapProduct(rawProduct) {
+    throw new Error(`Unsupported data type: product for channel: ${this.type}`);
+  }
+
+  mapOrder(rawOrder) {
+    throw new Error(`Unsupported data type: order for channel: ${this.type}`);
+  }
+
+  mapInventory(rawInventory) {
+    throw new Error(`Unsupported data type: inventory for channel: ${this.type}`);
+  }
+
+  /**
+   * Map a channel order status to the portal's order status
+   * (pending, authorized, paid, processing, shipped, delivered, cancelled, refunded, failed)
+   */
+  mapOrderStatus(channelStatus) {
+    if (!channelStatus) return 'pending';
+
+    const statusLower = String(channelStatus).toLowerCase();
+    return this.orderStatusMap[statusLower] || statusLower;
+  }
+
+  /**
+   * Raw order helpers used by SalesProcessor
+   */
+  extractOrderId(orderData) {
+    return orderData.id || orderData.order_id || `unknown_${Date.now()}`;
+  }
+
+  validateOrderData(orderData) {
+    const errors = [];
+    if (!orderData.id && !orderData.order_id) errors.push('Missing order ID');
+    if (!orderData.total && !orderData.total_price) errors.push('Missing order total');
+    return errors;
+  }
+
+  standardizeOrder(orderData) {
+    return {
+      external_order_id: orderData.id || orderData.order_id,
+      order_number: orderData.order_number || orderData.id,
+      customer_email: orderData.customer_email || orderData.email,
+      customer_name: orderData.customer_name || 'Unknown',
+      total_amount: parseFloat(orderData.total || orderData.total_price || 0),
+      currency: orderData.currency || 'USD',
+      order_status: orderData.status || 'pending',
+      fulfillment_status: orderData.fulfillment_status || 'unfulfilled',
+      order_date: new Date(orderData.created_at || orderData.order_date || Date.now()),
+      items_count: orderData.items_count || 1
+    };
+  }
+
+  /**
+   * Verify an inbound webhook
+   * rawBody: the request body exactly as received; headers: lower-cased request headers
+   * apiConfig: the receiving channel's decrypted config (api_config.webhook_secret overrides the env secret)
+   */
+  verifyWebhook(rawBody, headers = {}, apiConfig = {}) {
+    return false;
+  }
+
+  /**
+   * Which store sent a webhook, e.g. { shopDomain } - null when the delivery doesn't say
+   * Used to route deliveries when several channels share this adapter
+   */
+  getWebhookStoreIdentity(headers = {}, body = {}) {
+    return null;
+  }
+
+  /**
+   * Whether a channel's config belongs to the store returned by getWebhookStoreIdentity
+   */
+  matchesWebhookStore(apiConfig, identity) {
+    return false;
+  }
+
+  /**
+   * false when deliveries have to name their channel (?channel=<id> on the webhook address)
+   */
+  identifiesWebhookStore() {
+    return this.getWebhookStoreIdentity !== ChannelAdapter.prototype.getWebhookStoreIdentity;
+  }
+
+  /**
+   * Webhook subscriptions registered on the channel: [{ id, topic, address }]
+   * topic is the channel's event name
+   */
+  async listWebhookSubscriptions(apiConfig) {
+    throw new Error(`${this.displayName} adapter does not support webhook subscription management`);
+  }
+
+  async createWebhookSubscription(apiConfig, { topic, address }) {
+    throw new Error(`${this.displayName} adapter does not support webhook subscription management`);
+  }
+
+  async deleteWebhookSubscription(apiConfig, subscriptionId) {
+    throw new Error(`${this.displayName} adapter does not support webhook subscription management`);
+  }
+
+  /**
+   * false when subscriptions have to be configured in the channel's back office
+   */
+  canManageWebhooks() {
+    return this.listWebhookSubscriptions !== ChannelAdapter.prototype.listWebhookSubscriptions;
+  }
+
+  /**
+   * Whether to accept a webhook when the channel's secret is not configured
+   * Only development accepts unsigned deliveries; everywhere else they are rejected
+   */
+  allowUnsignedWebhook(secretName) {
+    if (process.env.NODE_ENV === 'development') {
+      console.warn(`${secretName} not configured - accepting unsigned ${this.displayName} webhook in development`);
+      return true;
+    }
+
+    console.error(`${secretName} not configured - rejecting ${this.displayName} webhook`);
+    return false;
+  }
+
+  /**
+   * The channel's unique ID for a webhook delivery, used to drop redeliveries
+   * null when the channel sends none (the handler then falls back to a body hash)
+   */
+  getWebhookDeliveryId(headers = {}, body = {}) {
+    return null;
+  }
+
+  /**
+   * Timing-safe comparison of an HMAC digest against a received signature
+   */
+  verifyHmac(algorithm, secret, rawBody, signature, encoding) {
+    if (!signature) return false;
+
+    const expected = crypto.createHmac(algorithm, secret).update(rawBody, 'utf8').digest();
+    const received = Buffer.from(signature, encoding);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Barcode with its type inferred from the digit count (UPC-A 12, EAN-13 13, GTIN-14 14, EAN-8 8)
+   */
+  barcodeFields(value) {
+    const barcode = value ? String(value).trim() : '';
+    if (!barcode) return { barcode: null, barcode_type: null };
+
+    const types = { 8: 'EAN8', 12: 'UPC', 13: 'EAN', 14: 'GTIN' };
+    return { barcode, barcode_type: /^\d+$/.test(barcode) ? (types[barcode.length] || null) : null };
+  }
+
+  /**
+   * Strip HTML tags from text
+   */
+  stripHtml(html) {
+    return html.replace(/<[^>]*>/g, '').trim();
+  }
+}
+
+module.exports = ChannelAdapter;
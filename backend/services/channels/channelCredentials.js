@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+const ENVELOPE_PREFIX = 'enc:v1:';
+const MASK = '********';
+
+/**
+ * Channel Credentials
+ * Encrypts the credential fields of channels.api_config at rest (AES-256-GCM).
+ *
+ * Keys are 32 bytes, base64 or hex encoded:
+ *   CHANNEL_CREDENTIALS_KEY            - current key, used for every new encryption
+ *   CHANNEL_CREDENTIALS_PREVIOUS_KEYS  - comma-separated retired keys, still accepted for decryption
+ *
+ * Encrypted values are stored in place as `enc:v1:<keyId>:<iv>:<tag>:<ciphertext>`, where keyId
+ * is derived from the key itself, so rotating is: make the new key current, move the old one to
+ * PREVIOUS_KEYS, then re-encrypt (ChannelService.rotateCredentials).
+ */
+class ChannelCredentials {
+  constructor() {
+    try {
+      this.loadKeys();
+    } catch (error) {
+      // Leave encryption unavailable rather than failing every require of the registry
+      console.error('❌ Channel credential keys invalid:', error.message);
+      this.keys = new Map();
+      this.currentKeyId = null;
+    }
+  }
+
+  /**
+   * (Re)read keys from the environment
+   */
+  loadKeys() {
+    this.keys = new Map();
+    this.currentKeyId = null;
+
+    if (process.env.CHANNEL_CREDENTIALS_KEY) {
+      this.currentKeyId = this.addKey(process.env.CHANNEL_CREDENTIALS_KEY, 'CHANNEL_CREDENTIALS_KEY');
+    }
+
+    for (const key of (process.env.CHANNEL_CREDENTIALS_PREVIOUS_KEYS || '').split(',').map(value => value.trim()).filter(Boolean)) {
+      this.addKey(key, 'CHANNEL_CREDENTIALS_PREVIOUS_KEYS');
+    }
+  }
+
+  addKey(encoded, source) {
+    const key = /^[0-9a-f]{64}$/i.test(encoded) ? Buffer.from(encoded, 'hex') : Buffer.from(encoded, 'base64');
+    if (key.length !== 32) {
+      throw new Error(`${source} must be a 32-byte key (base64 or hex encoded)`);
+    }
+
+    const keyId = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+    this.keys.set(keyId, key);
+    return keyId;
+  }
+
+  isConfigured() {
+    return this.currentKeyId !== null;
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(ENVELOPE_PREFIX);
+  }
+
+  getKeyId(value) {
+    return this.isEncrypted(value) ? value.slice(ENVELOPE_PREFIX.length).split(':')[0] : null;
+  }
+
+  encrypt(plaintext) {
+    if (!this.isConfigured()) {
+      throw new Error('CHANNEL_CREDENTIALS_KEY is not configured - channel credentials cannot be stored');
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.keys.get(this.currentKeyId), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return `${ENVELOPE_PREFIX}${this.currentKeyId}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+  }
+
+  decrypt(value) {
+    if (!this.isEncrypted(value)) return value;
+
+    const [keyId, iv, tag, ciphertext] = value.slice(ENVELOPE_PREFIX.length).split(':');
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(`Channel credentials were encrypted with unknown key ${keyId} - add it to CHANNEL_CREDENTIALS_PREVIOUS_KEYS`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Parse a channel's api_config as stored, credentials still encrypted
+   * (JSONB columns arrive as objects, legacy rows as strings)
+   */
+  parseStoredConfig(apiConfig) {
+    if (!apiConfig) return {};
+    return typeof apiConfig === 'string' ? JSON.parse(apiConfig) : apiConfig;
+  }
+
+  /**
+   * Parse a channel's api_config and decrypt its credentials for use by clients
+   */
+  parseApiConfig(apiConfig) {
+    const parsed = this.parseStoredConfig(apiConfig);
+    return Object.fromEntries(Object.entries(parsed).map(([field, value]) => [field, this.decrypt(value)]));
+  }
+
+  /**
+   * Encrypt the given credential fields (already-encrypted values are re-encrypted with the current key)
+   */
+  sealApiConfig(apiConfig, credentialFields) {
+    const sealed = { ...apiConfig };
+
+    for (const field of credentialFields) {
+      if (sealed[field] === undefined || sealed[field] === null || sealed[field] === '') continue;
+      sealed[field] = this.encrypt(this.decrypt(sealed[field]));
+    }
+
+    return sealed;
+  }
+
+  /**
+   * Whether sealApiConfig would change anything: plaintext credentials or ones under a retired key
+   */
+  needsSealing(apiConfig, credentialFields) {
+    return credentialFields.some(field => {
+      const value = apiConfig[field];
+      if (value === undefined || value === null || value === '') return false;
+      return !this.isEncrypted(value) || this.getKeyId(value) !== this.currentKeyId;
+    });
+  }
+
+  /**
+   * Copy of a stored api_config safe to return from the API: credentials show their last 4 characters
+   */
+  maskApiConfig(apiConfig, credentialFields) {
+    const masked = { ...apiConfig };
+    const fields = new Set([...credentialFields, ...Object.keys(masked).filter(field => this.isEncrypted(masked[field]))]);
+
+    for (const field of fields) {
+      if (masked[field] === undefined || masked[field] === null || masked[field] === '') continue;
+
+      let visible = '';
+      try {
+        visible = String(this.decrypt(masked[field])).slice(-4);
+      } catch (error) {
+        // Undecryptable (missing key) - still masked, just without the hint
+      }
+      masked[field] = `${MASK}${visible}`;
+    }
+
+    return masked;
+  }
+
+  /**
+   * A value sent back unchanged from a masked read
+   */
+  isMasked(value) {
+    return typeof value === 'string' && value.startsWith(MASK);
+  }
+}
+
+module.exports = new ChannelCredentials();
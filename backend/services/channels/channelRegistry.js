@@ -0,0 +1,98 @@
+const ChannelAdapter = require('./channelAdapter');
+const ShopifyAdapter = require('./shopifyAdapter');
+const BestBuyAdapter = require('./bestBuyAdapter');
+const AmazonAdapter = require('./amazonAdapter');
+
+/**
+ * Channel Registry
+ * Resolves a channel type (or alias) to its adapter. Adding a marketplace means
+ * writing an adapter and registering it here - no service needs a new switch case.
+ */
+class ChannelRegistry {
+  constructor() {
+    this.adapters = new Map();
+    this.aliases = new Map();
+
+    // Used for channels without an adapter (manual / generic order feeds)
+    this.genericAdapter = new ChannelAdapter({ type: 'generic', displayName: 'Generic' });
+
+    this.registerDefaultAdapters();
+  }
+
+  registerDefaultAdapters() {
+    this.register(new ShopifyAdapter());
+    this.register(new BestBuyAdapter());
+    this.register(new AmazonAdapter());
+  }
+
+  /**
+   * Register an adapter under its type and aliases
+   */
+  register(adapter) {
+    if (!(adapter instanceof ChannelAdapter)) {
+      throw new Error('Channel adapters must extend ChannelAdapter');
+    }
+
+    const type = adapter.type.toLowerCase();
+    this.adapters.set(type, adapter);
+
+    for (const alias of adapter.aliases) {
+      this.aliases.set(alias.toLowerCase(), type);
+    }
+
+    return adapter;
+  }
+
+  /**
+   * Get the adapter for a channel type or alias (case-insensitive)
+   */
+  get(channelType) {
+    if (!channelType) return null;
+
+    const key = String(channelType).toLowerCase();
+    return this.adapters.get(key) || this.adapters.get(this.aliases.get(key)) || null;
+  }
+
+  has(channelType) {
+    return this.get(channelType) !== null;
+  }
+
+  /**
+   * Get the adapter for a channel type, throwing when none is registered
+   */
+  require(channelType) {
+    const adapter = this.get(channelType);
+    if (!adapter) {
+      throw new Error(`Unsupported channel: ${channelType}`);
+    }
+    return adapter;
+  }
+
+  /**
+   * Get the adapter for a channel type, falling back to the generic adapter
+   */
+  getOrGeneric(channelType) {
+    return this.get(channelType) || this.genericAdapter;
+  }
+
+  /**
+   * Resolve the adapter for a channel row or sync job (channel_type, then name)
+   */
+  resolve(channel) {
+    const adapter = this.get(channel.channel_type) || this.get(channel.channel_name) || this.get(channel.name);
+    if (!adapter) {
+      throw new Error(`Unsupported channel: ${channel.channel_type || channel.channel_name || channel.name}`);
+    }
+    return adapter;
+  }
+
+  list() {
+    return Array.from(this.adapters.values()).map(adapter => ({
+      type: adapter.type,
+      displayName: adapter.displayName,
+      aliases: adapter.aliases
+    }));
+  }
+}
+
+module.exports = new ChannelRegistry();
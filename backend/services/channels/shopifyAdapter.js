@@ -0,0 +1,373 @@
+const ChannelAdapter = require('./channelAdapter');
+const ShopifyClient = require('../shopifyClient');
+
+/**
+ * Shopify Channel Adapter
+ * Admin REST API products, orders and inventory levels
+ */
+class ShopifyAdapter extends ChannelAdapter {
+  constructor() {
+    super({
+      type: 'shopify',
+      displayName: 'Shopify',
+      inventoryPushBatchSize: 100,
+      credentialFields: ['access_token', 'webhook_secret'],
+      orderStatusMap: {
+        'paid': 'paid',
+        'pending': 'pending',
+        'authorized': 'authorized',
+        'partially_paid': 'partially_paid',
+        'refunded': 'refunded',
+        'voided': 'cancelled'
+      },
+      webhookTopics: {
+        'orders/create': 'orders/create',
+        'orders/update': 'orders/updated',
+        'products/create': 'products/create',
+        'products/update': 'products/update',
+        'inventory/update': 'inventory_levels/update'
+      }
+    });
+  }
+
+  createClient(apiConfig) {
+    return new ShopifyClient(apiConfig);
+  }
+
+  async fetchProducts(apiConfig, options = {}) {
+    return this.createClient(apiConfig).getProducts({
+      updatedAtMin: options.updatedAtMin,
+      ids: options.productIds
+    });
+  }
+
+  async fetchOrders(apiConfig, options = {}) {
+    return this.createClient(apiConfig).getOrders({
+      updatedAtMin: options.updatedAtMin,
+      ids: options.orderIds
+    });
+  }
+
+  async fetchInventory(apiConfig, options = {}) {
+    return this.createClient(apiConfig).getInventory({
+      updatedAtMin: options.updatedAtMin,
+      inventoryItemIds: options.inventoryItemIds
+    });
+  }
+
+  /**
+   * Set available quantities at the channel's stock location (api_config.location_id,
+   * otherwise the shop's first active location)
+   * The location and the SKU to inventory_item_id map are looked up on the first batch of a
+   * push and kept in its context for the rest
+   */
+  async pushInventory(apiConfig, updates, context = {}) {
+    const client = this.createClient(apiConfig);
+
+    if (!context.locationId) {
+      context.locationId = apiConfig.location_id;
+      if (!context.locationId) {
+        const locations = await client.getLocations();
+        context.locationId = (locations.find(location => location.active !== false) || locations[0])?.id;
+      }
+    }
+    const { locationId } = context;
+    if (!locationId) {
+      throw new Error('Shopify shop has no location to hold inventory');
+    }
+
+    if (!context.itemIdBySku) {
+      context.itemIdBySku = await client.getInventoryItemIdsBySku();
+    }
+    const { itemIdBySku } = context;
+    const results = [];
+
+    for (const update of updates) {
+      const inventoryItemId = itemIdBySku.get(update.sku);
+      if (!inventoryItemId) {
+        results.push({ sku: update.sku, success: false, error: 'No Shopify variant with this SKU' });
+        continue;
+      }
+
+      try {
+        await client.setInventoryLevel(locationId, inventoryItemId, update.quantity);
+        results.push({ sku: update.sku, success: true, reference: String(inventoryItemId) });
+      } catch (error) {
+        if (error.code === 'CIRCUIT_OPEN') throw error;
+        results.push({ sku: update.sku, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Create Shopify products (a family becomes one product with its variants) or update the
+   * linked product's details and variant prices. Stock follows through the inventory push.
+   */
+  async publishListings(apiConfig, listings) {
+    const client = this.createClient(apiConfig);
+    const results = [];
+
+    for (const listing of listings) {
+      try {
+        let product;
+
+        if (listing.channelProductId) {
+          product = await client.updateProduct(listing.channelProductId, this.toShopifyDetails(listing));
+
+          for (const variant of listing.variants) {
+            const existing = (product.variants || []).find(candidate => candidate.sku === variant.sku);
+            if (existing) {
+              await client.updateVariant(existing.id, { price: String(variant.price), barcode: variant.barcode || null });
+            }
+          }
+        } else {
+          product = await client.createProduct({
+            ...this.toShopifyDetails(listing),
+            status: listing.attributes.status || 'active',
+            options: listing.standalone ? undefined : listing.optionAxes.map(name => ({ name })),
+            variants: listing.variants.map(variant => this.toShopifyVariant(listing, variant)),
+            images: [...new Set([...listing.images, ...listing.variants.flatMap(variant => variant.images)])].map(src => ({ src }))
+          });
+        }
+
+        for (const variant of listing.variants) {
+          const published = (product.variants || []).find(candidate => candidate.sku === variant.sku);
+          results.push(published
+            ? {
+              sku: variant.sku,
+              success: true,
+              status: 'published',
+              // Synced standalone products are keyed by product ID, variants by variant ID
+              channelSku: String(listing.standalone ? product.id : published.id),
+              channelProductId: String(product.id)
+            }
+            : { sku: variant.sku, success: false, error: `Variant ${variant.sku} is not on Shopify product ${product.id}` });
+        }
+      } catch (error) {
+        if (error.code === 'CIRCUIT_OPEN') throw error;
+        results.push(...listing.variants.map(variant => ({ sku: variant.sku, success: false, error: error.message })));
+      }
+    }
+
+    return results;
+  }
+
+  toShopifyDetails(listing) {
+    return {
+      title: listing.title,
+      body_html: listing.description || '',
+      vendor: listing.brand || undefined,
+      product_type: listing.category || undefined
+    };
+  }
+
+  toShopifyVariant(listing, variant) {
+    const shopifyVariant = {
+      sku: variant.sku,
+      price: String(variant.price),
+      barcode: variant.barcode || undefined,
+      weight: variant.weight || undefined,
+      inventory_management: 'shopify'
+    };
+
+    listing.optionAxes.forEach((axis, index) => {
+      if (!listing.standalone) shopifyVariant[`option${index + 1}`] = variant.options[axis];
+    });
+
+    return shopifyVariant;
+  }
+
+  async testConnection(apiConfig) {
+    const shop = await this.createClient(apiConfig).getShop();
+    return { name: shop.name, domain: shop.myshopify_domain || shop.domain };
+  }
+
+  async listWebhookSubscriptions(apiConfig) {
+    const webhooks = await this.createClient(apiConfig).getWebhooks();
+    return webhooks.map(webhook => ({ id: String(webhook.id), topic: webhook.topic, address: webhook.address }));
+  }
+
+  async createWebhookSubscription(apiConfig, { topic, address }) {
+    const webhook = await this.createClient(apiConfig).createWebhook(topic, address);
+    return { id: String(webhook.id), topic: webhook.topic, address: webhook.address };
+  }
+
+  async deleteWebhookSubscription(apiConfig, subscriptionId) {
+    await this.createClient(apiConfig).deleteWebhook(subscriptionId);
+  }
+
+  /**
+   * Shopify Product Mapping
+   * Each Shopify variant becomes a portal variant; products with only the "Default Title" variant stay standalone
+   */
+  mapProduct(shopifyProduct) {
+    const optionAxes = (shopifyProduct.options || []).map(option => option.name);
+    const variants = (shopifyProduct.variants || []).map(variant => ({
+      sku: variant.sku || `${shopifyProduct.handle}-${variant.id}`,
+      channel_sku: String(variant.id),
+      options: Object.fromEntries(optionAxes
+        .map((name, index) => [name, variant[`option${index + 1}`]])
+        .filter(([, value]) => value !== null && value !== undefined)),
+      price: parseFloat(variant.price || 0),
+      ...this.barcodeFields(variant.barcode),
+      mpn: null,
+      weight: variant.weight || 0,
+      images: (shopifyProduct.images || []).filter(img => img.id === variant.image_id).map(img => img.src),
+      inventory_quantity: variant.inventory_quantity || 0
+    }));
+    const standalone = variants.length <= 1 && (variants[0]?.options.Title === 'Default Title' || optionAxes.length === 0);
+
+    return {
+      parent: standalone ? null : { sku: shopifyProduct.handle, name: shopifyProduct.title, option_axes: optionAxes },
+      variants,
+      sku: shopifyProduct.variants?.[0]?.sku || shopifyProduct.handle,
+      channel_sku: shopifyProduct.id.toString(),
+      name: shopifyProduct.title,
+      description: this.stripHtml(shopifyProduct.body_html || ''),
+      brand: shopifyProduct.vendor || 'Unknown',
+      category: shopifyProduct.product_type || 'General',
+      price: parseFloat(shopifyProduct.variants?.[0]?.price || 0),
+      weight: shopifyProduct.variants?.[0]?.weight || 0,
+      dimensions: {
+        length: 0,
+        width: 0,
+        height: 0
+      },
+      images: shopifyProduct.images?.map(img => img.src) || [],
+      status: shopifyProduct.status === 'active' ? 'active' : 'inactive',
+      inventory_quantity: shopifyProduct.variants?.[0]?.inventory_quantity || 0,
+      tags: shopifyProduct.tags?.split(',').map(tag => tag.trim()) || [],
+      created_at: shopifyProduct.created_at,
+      updated_at: shopifyProduct.updated_at
+    };
+  }
+
+  /**
+   * Shopify Order Mapping
+   */
+  mapOrder(shopifyOrder) {
+    return {
+      id: shopifyOrder.id.toString(),
+      channel_order_id: shopifyOrder.order_number || shopifyOrder.name,
+      customer: {
+        email: shopifyOrder.email,
+        name: `${shopifyOrder.customer?.first_name || ''} ${shopifyOrder.customer?.last_name || ''}`.trim(),
+        phone: shopifyOrder.customer?.phone || null
+      },
+      date: shopifyOrder.created_at,
+      status: this.mapSyncStatus(shopifyOrder.financial_status, shopifyOrder.fulfillment_status),
+      total: parseFloat(shopifyOrder.total_price),
+      subtotal: parseFloat(shopifyOrder.subtotal_price || 0),
+      tax: parseFloat(shopifyOrder.total_tax || 0),
+      shipping: parseFloat(shopifyOrder.total_shipping_price_set?.shop_money?.amount || 0),
+      currency: shopifyOrder.currency,
+      items: shopifyOrder.line_items?.map(item => ({
+        sku: item.sku,
+        name: item.name,
+        quantity: item.quantity,
+        price: parseFloat(item.price),
+        total: parseFloat(item.price) * item.quantity
+      })) || [],
+      shipping_address: shopifyOrder.shipping_address ? {
+        name: `${shopifyOrder.shipping_address.first_name || ''} ${shopifyOrder.shipping_address.last_name || ''}`.trim(),
+        address1: shopifyOrder.shipping_address.address1,
+        address2: shopifyOrder.shipping_address.address2,
+        city: shopifyOrder.shipping_address.city,
+        province: shopifyOrder.shipping_address.province,
+        country: shopifyOrder.shipping_address.country,
+        zip: shopifyOrder.shipping_address.zip
+      } : null
+    };
+  }
+
+  /**
+   * Shopify Inventory Mapping
+   */
+  mapInventory(shopifyInventory) {
+    return {
+      sku: shopifyInventory.sku,
+      quantity: shopifyInventory.available || 0,
+      reserved: shopifyInventory.reserved || 0,
+      location: shopifyInventory.location_id,
+      updated_at: shopifyInventory.updated_at || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Synced order status from Shopify's financial and fulfillment statuses
+   */
+  mapSyncStatus(financialStatus, fulfillmentStatus) {
+    if (fulfillmentStatus === 'fulfilled') return 'fulfilled';
+    if (fulfillmentStatus === 'partial') return 'partially_fulfilled';
+    if (financialStatus === 'paid') return 'processing';
+    if (financialStatus === 'pending') return 'pending';
+    if (financialStatus === 'refunded') return 'refunded';
+    return 'unknown';
+  }
+
+  extractOrderId(orderData) {
+    return orderData.id || orderData.order_id || orderData.name;
+  }
+
+  validateOrderData(orderData) {
+    const errors = [];
+    if (!orderData.id && !orderData.order_id) errors.push('Missing Shopify order ID');
+    if (!orderData.total_price && !orderData.current_total_price) errors.push('Missing order total');
+    if (!orderData.line_items || !Array.isArray(orderData.line_items)) errors.push('Missing or invalid line items');
+    return errors;
+  }
+
+  standardizeOrder(orderData) {
+    return {
+      external_order_id: orderData.id || orderData.order_id,
+      order_number: orderData.name || orderData.order_number,
+      customer_email: orderData.email || orderData.contact_email,
+      customer_name: orderData.customer ?
+        `${orderData.customer.first_name || ''} ${orderData.customer.last_name || ''}`.trim() :
+        orderData.billing_address?.name || 'Unknown',
+      total_amount: parseFloat(orderData.total_price || orderData.current_total_price || 0),
+      currency: orderData.currency || 'USD',
+      order_status: this.mapOrderStatus(orderData.financial_status),
+      fulfillment_status: orderData.fulfillment_status || 'unfulfilled',
+      order_date: new Date(orderData.created_at || orderData.processed_at || Date.now()),
+      items_count: orderData.line_items ? orderData.line_items.length : 0,
+      shipping_address: orderData.shipping_address,
+      billing_address: orderData.billing_address
+    };
+  }
+
+  /**
+   * Shopify signs the raw body with HMAC-SHA256, base64 encoded in X-Shopify-Hmac-Sha256
+   * Stores on different apps have their own secret (api_config.webhook_secret)
+   */
+  verifyWebhook(rawBody, headers = {}, apiConfig = {}) {
+    const secret = apiConfig.webhook_secret || process.env.SHOPIFY_WEBHOOK_SECRET;
+    if (!secret) {
+      return this.allowUnsignedWebhook('SHOPIFY_WEBHOOK_SECRET');
+    }
+
+    return this.verifyHmac('sha256', secret, rawBody, headers['x-shopify-hmac-sha256'], 'base64');
+  }
+
+  getWebhookDeliveryId(headers = {}) {
+    return headers['x-shopify-webhook-id'] || null;
+  }
+
+  getWebhookStoreIdentity(headers = {}) {
+    const shopDomain = headers['x-shopify-shop-domain'];
+    return shopDomain ? { shopDomain: this.normalizeShopDomain(shopDomain) } : null;
+  }
+
+  matchesWebhookStore(apiConfig, identity) {
+    const shopDomain = apiConfig.shop_domain || process.env.SHOPIFY_SHOP_DOMAIN;
+    return Boolean(shopDomain) && this.normalizeShopDomain(shopDomain) === identity.shopDomain;
+  }
+
+  normalizeShopDomain(shopDomain) {
+    return String(shopDomain).toLowerCase().replace(/^https?:\/\//, '').replace(/\/+$/, '');
+  }
+}
+
+module.exports = ShopifyAdapter;
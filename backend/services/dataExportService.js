@@ -129,6 +129,65 @@ class DataExportService {
     }
   }
 
+  // Export a catalog reconciliation report
+  async exportReconciliationReport(format, runId, parameters = {}) {
+    try {
+      const data = await this.getReconciliationData(runId, parameters);
+      const filename = `reconciliation_${runId}_export_${Date.now()}.${format}`;
+      const filepath = path.join(this.tempDir, filename);
+
+      switch (format.toLowerCase()) {
+        case 'csv':
+          return await this.exportToCSV(data, filepath);
+        case 'excel':
+          return await this.exportToExcel(data, filepath, 'Reconciliation');
+        case 'pdf':
+          return await this.exportToPDF(data, filepath, 'Catalog Reconciliation Report');
+        case 'json':
+          return await this.exportToJSON(data, filepath);
+        default:
+          throw new Error(`Unsupported export format: ${format}`);
+      }
+    } catch (error) {
+      console.error('Error exporting reconciliation report:', error);
+      throw error;
+    }
+  }
+
+  // Get reconciliation issues for a run
+  async getReconciliationData(runId, parameters = {}) {
+    const client = await pool.connect();
+    try {
+      const params = [runId];
+      let query = `
+        SELECT
+          rr.channel_name as channel,
+          ri.category,
+          ri.sku,
+          ri.channel_sku,
+          ri.portal_value,
+          ri.channel_value,
+          ri.difference,
+          rr.completed_at as checked_at
+        FROM reconciliation_issues ri
+        JOIN reconciliation_runs rr ON rr.id = ri.run_id
+        WHERE ri.run_id = $1
+      `;
+
+      if (parameters.category) {
+        params.push(parameters.category);
+        query += ` AND ri.category = $${params.length}`;
+      }
+
+      query += ' ORDER BY ri.category, ri.sku';
+
+      const result = await client.query(query, params);
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
   // Get sales data from database
   async getSalesData(parameters = {}) {
     const client = await pool.connect();
@@ -1,322 +1,422 @@
+const { Pool } = require('pg');
+const channelRegistry = require('./channels/channelRegistry');
+
+const DATA_TYPES = ['product', 'order', 'inventory'];
+
+// Conversion factors to the base unit of each dimension (grams, millimetres)
+const UNITS = {
+  weight: { g: 1, kg: 1000, lb: 453.59237, oz: 28.349523125 },
+  length: { mm: 1, cm: 10, m: 1000, in: 25.4, ft: 304.8 }
+};
+
+// Path segments that would reach Object.prototype through a profile's field or path
+const FORBIDDEN_PATH_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// regex transforms run on every mapped record: short patterns, no nested quantifiers or
+// backreferences (catastrophic backtracking), and a bounded input
+const REGEX_LIMITS = { patternLength: 100, inputLength: 1000 };
+
 /**
  * Data Mapping Service for Multi-Channel E-commerce Portal
  * Handles data transformation between different channel formats
  * Part of Milestone 8: Data Sync Services
+ *
+ * Mapping profiles (mapping_profiles) adjust an adapter's mapping per channel type or
+ * per channel. A profile's fields are keyed by mapped field (dot paths, e.g. dimensions.length):
+ *   { path: 'metafields.0.value', transforms: [{ type: 'trim' }], default: 'Unknown' }
+ * path reads from the raw record; without it the transforms apply to the adapter's value.
+ * Transforms: trim, lowercase, uppercase, number, convert {from, to, precision},
+ * lookup {table, caseInsensitive, default}, regex {pattern, flags, group}.
+ * Paths can't use __proto__, constructor or prototype; regex patterns are limited (REGEX_LIMITS).
  */
 class DataMapper {
-  constructor() {
-    this.channelMappings = {
-      shopify: {
-        product: this.mapShopifyProduct.bind(this),
-        order: this.mapShopifyOrder.bind(this),
-        inventory: this.mapShopifyInventory.bind(this)
-      },
-      bestbuy: {
-        product: this.mapBestBuyProduct.bind(this),
-        order: this.mapBestBuyOrder.bind(this),
-        inventory: this.mapBestBuyInventory.bind(this)
-      },
-      amazon: {
-        product: this.mapAmazonProduct.bind(this),
-        order: this.mapAmazonOrder.bind(this),
-        inventory: this.mapAmazonInventory.bind(this)
-      }
-    };
+  constructor(db = null) {
+    this.channelRegistry = channelRegistry;
+    this.db = db || new Pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
   }
 
   /**
-   * Map data from channel-specific format to standard format
+   * Initialize mapping profile storage
    */
-  mapData(channelName, dataType, rawData) {
-    const channel = channelName.toLowerCase();
-    
-    if (!this.channelMappings[channel]) {
-      throw new Error(`Unsupported channel: ${channelName}`);
-    }
+  async initialize() {
+    try {
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS mapping_profiles (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          channel_type VARCHAR(50) NOT NULL,
+          channel_id VARCHAR(100),
+          data_type VARCHAR(20) NOT NULL,
+          fields JSONB NOT NULL DEFAULT '{}',
+          is_active BOOLEAN DEFAULT true,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
 
-    if (!this.channelMappings[channel][dataType]) {
-      throw new Error(`Unsupported data type: ${dataType} for channel: ${channelName}`);
-    }
+      // One active profile per channel type (channel_id NULL) or channel, per data type
+      await this.db.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_mapping_profiles_active
+        ON mapping_profiles (channel_type, (COALESCE(channel_id, '')), data_type)
+        WHERE is_active = true
+      `);
 
-    return this.channelMappings[channel][dataType](rawData);
+      console.log('✅ DataMapper initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ DataMapper initialization failed:', error.message);
+      return false;
+    }
   }
 
   /**
-   * Shopify Product Mapping
+   * Map data from channel-specific format to standard format
+   * Channel-specific mappings live on the channel adapters; a profile adjusts the result
    */
-  mapShopifyProduct(shopifyProduct) {
-    return {
-      sku: shopifyProduct.variants?.[0]?.sku || shopifyProduct.handle,
-      channel_sku: shopifyProduct.id.toString(),
-      name: shopifyProduct.title,
-      description: this.stripHtml(shopifyProduct.body_html || ''),
-      brand: shopifyProduct.vendor || 'Unknown',
-      category: shopifyProduct.product_type || 'General',
-      price: parseFloat(shopifyProduct.variants?.[0]?.price || 0),
-      weight: shopifyProduct.variants?.[0]?.weight || 0,
-      dimensions: {
-        length: 0,
-        width: 0,
-        height: 0
-      },
-      images: shopifyProduct.images?.map(img => img.src) || [],
-      status: shopifyProduct.status === 'active' ? 'active' : 'inactive',
-      inventory_quantity: shopifyProduct.variants?.[0]?.inventory_quantity || 0,
-      tags: shopifyProduct.tags?.split(',').map(tag => tag.trim()) || [],
-      created_at: shopifyProduct.created_at,
-      updated_at: shopifyProduct.updated_at
-    };
+  mapData(channelName, dataType, rawData, profile = null) {
+    const adapter = this.channelRegistry.get(channelName);
+
+    if (!adapter) {
+      throw new Error(`Unsupported channel: ${channelName}`);
+    }
+
+    const mapped = adapter.map(dataType, rawData);
+    return profile ? this.applyProfile(mapped, rawData, profile) : mapped;
   }
 
   /**
-   * Shopify Order Mapping
+   * Apply a profile's field rules to a mapped record
    */
-  mapShopifyOrder(shopifyOrder) {
-    return {
-      id: shopifyOrder.id.toString(),
-      channel_order_id: shopifyOrder.order_number || shopifyOrder.name,
-      customer: {
-        email: shopifyOrder.email,
-        name: `${shopifyOrder.customer?.first_name || ''} ${shopifyOrder.customer?.last_name || ''}`.trim(),
-        phone: shopifyOrder.customer?.phone || null
-      },
-      date: shopifyOrder.created_at,
-      status: this.mapShopifyOrderStatus(shopifyOrder.financial_status, shopifyOrder.fulfillment_status),
-      total: parseFloat(shopifyOrder.total_price),
-      subtotal: parseFloat(shopifyOrder.subtotal_price || 0),
-      tax: parseFloat(shopifyOrder.total_tax || 0),
-      shipping: parseFloat(shopifyOrder.total_shipping_price_set?.shop_money?.amount || 0),
-      currency: shopifyOrder.currency,
-      items: shopifyOrder.line_items?.map(item => ({
-        sku: item.sku,
-        name: item.name,
-        quantity: item.quantity,
-        price: parseFloat(item.price),
-        total: parseFloat(item.price) * item.quantity
-      })) || [],
-      shipping_address: shopifyOrder.shipping_address ? {
-        name: `${shopifyOrder.shipping_address.first_name || ''} ${shopifyOrder.shipping_address.last_name || ''}`.trim(),
-        address1: shopifyOrder.shipping_address.address1,
-        address2: shopifyOrder.shipping_address.address2,
-        city: shopifyOrder.shipping_address.city,
-        province: shopifyOrder.shipping_address.province,
-        country: shopifyOrder.shipping_address.country,
-        zip: shopifyOrder.shipping_address.zip
-      } : null
-    };
+  applyProfile(mapped, rawData, profile) {
+    const result = JSON.parse(JSON.stringify(mapped));
+
+    for (const [field, rule] of Object.entries(profile.fields || {})) {
+      let value = rule.path ? this.getPath(rawData, rule.path) : this.getPath(result, field);
+
+      for (const transform of rule.transforms || []) {
+        value = Array.isArray(value)
+          ? value.map(item => this.applyTransform(item, transform))
+          : this.applyTransform(value, transform);
+      }
+
+      if ((value === undefined || value === null || value === '') && rule.default !== undefined) {
+        value = rule.default;
+      }
+
+      this.setPath(result, field, value === undefined ? null : value);
+    }
+
+    return result;
   }
 
-  /**
-   * Shopify Inventory Mapping
-   */
-  mapShopifyInventory(shopifyInventory) {
-    return {
-      sku: shopifyInventory.sku,
-      quantity: shopifyInventory.available || 0,
-      reserved: shopifyInventory.reserved || 0,
-      location: shopifyInventory.location_id,
-      updated_at: shopifyInventory.updated_at || new Date().toISOString()
-    };
+  applyTransform(value, transform) {
+    if (value === undefined || value === null) return value;
+
+    switch (transform.type) {
+      case 'trim':
+        return String(value).trim();
+      case 'lowercase':
+        return String(value).toLowerCase();
+      case 'uppercase':
+        return String(value).toUpperCase();
+      case 'number': {
+        const number = parseFloat(value);
+        return Number.isNaN(number) ? null : number;
+      }
+      case 'convert': {
+        const number = parseFloat(value);
+        if (Number.isNaN(number)) return null;
+
+        const units = Object.values(UNITS).find(dimension => dimension[transform.from]);
+        const converted = number * units[transform.from] / units[transform.to];
+        const precision = transform.precision ?? 4;
+        return Math.round(converted * 10 ** precision) / 10 ** precision;
+      }
+      case 'lookup': {
+        const key = transform.caseInsensitive
+          ? Object.keys(transform.table).find(candidate => candidate.toLowerCase() === String(value).toLowerCase())
+          : String(value);
+
+        if (key !== undefined && Object.prototype.hasOwnProperty.call(transform.table, key)) {
+          return transform.table[key];
+        }
+        return transform.default !== undefined ? transform.default : value;
+      }
+      case 'regex': {
+        const problem = this.checkRegexPattern(transform.pattern);
+        if (problem) throw new Error(`Rejected regex transform: ${problem}`);
+
+        const match = String(value).slice(0, REGEX_LIMITS.inputLength).match(new RegExp(transform.pattern, transform.flags || ''));
+        return match ? (match[transform.group ?? 1] ?? match[0]) : null;
+      }
+      default:
+        throw new Error(`Unknown transform: ${transform.type}`);
+    }
   }
 
   /**
-   * BestBuy Product Mapping (Mirakl Offers)
+   * Read a dot path (variants.0.sku or variants[0].sku)
    */
-  mapBestBuyProduct(bestbuyOffer) {
-    return {
-      sku: bestbuyOffer.product_sku || bestbuyOffer.offer_id,
-      channel_sku: bestbuyOffer.offer_id,
-      name: bestbuyOffer.product_title || 'Unknown Product',
-      description: bestbuyOffer.description || '',
-      brand: bestbuyOffer.brand || 'Unknown',
-      category: bestbuyOffer.category_code || 'General',
-      price: parseFloat(bestbuyOffer.price || 0),
-      weight: 0, // Not typically provided in Mirakl offers
-      dimensions: {
-        length: 0,
-        width: 0,
-        height: 0
-      },
-      images: [], // Would need separate API call for images
-      status: bestbuyOffer.state === 11 ? 'active' : 'inactive', // Mirakl state codes
-      inventory_quantity: bestbuyOffer.quantity || 0,
-      tags: [],
-      created_at: bestbuyOffer.date_created,
-      updated_at: bestbuyOffer.last_updated
-    };
+  getPath(data, path) {
+    return this.splitPath(path).reduce((value, key) => (
+      value === undefined || value === null || !Object.prototype.hasOwnProperty.call(value, key) ? undefined : value[key]
+    ), data);
   }
 
   /**
-   * BestBuy Order Mapping (Mirakl Orders)
+   * Write a dot path, creating objects along the way; only ever writes own properties
    */
-  mapBestBuyOrder(bestbuyOrder) {
-    return {
-      id: bestbuyOrder.order_id,
-      channel_order_id: bestbuyOrder.commercial_id || bestbuyOrder.order_id,
-      customer: {
-        email: bestbuyOrder.customer?.email || null,
-        name: bestbuyOrder.customer?.firstname && bestbuyOrder.customer?.lastname 
-          ? `${bestbuyOrder.customer.firstname} ${bestbuyOrder.customer.lastname}` 
-          : 'Unknown Customer',
-        phone: bestbuyOrder.customer?.phone || null
-      },
-      date: bestbuyOrder.date_created,
-      status: this.mapBestBuyOrderStatus(bestbuyOrder.order_state),
-      total: parseFloat(bestbuyOrder.total_price || 0),
-      subtotal: parseFloat(bestbuyOrder.price || 0),
-      tax: parseFloat(bestbuyOrder.total_commission || 0),
-      shipping: parseFloat(bestbuyOrder.shipping_price || 0),
-      currency: bestbuyOrder.currency_iso_code || 'CAD',
-      items: bestbuyOrder.order_lines?.map(line => ({
-        sku: line.offer_sku,
-        name: line.product_title || 'Unknown Product',
-        quantity: line.quantity,
-        price: parseFloat(line.price),
-        total: parseFloat(line.price) * line.quantity
-      })) || [],
-      shipping_address: bestbuyOrder.customer_shipping_address ? {
-        name: `${bestbuyOrder.customer_shipping_address.firstname || ''} ${bestbuyOrder.customer_shipping_address.lastname || ''}`.trim(),
-        address1: bestbuyOrder.customer_shipping_address.street_1,
-        address2: bestbuyOrder.customer_shipping_address.street_2,
-        city: bestbuyOrder.customer_shipping_address.city,
-        province: bestbuyOrder.customer_shipping_address.state,
-        country: bestbuyOrder.customer_shipping_address.country,
-        zip: bestbuyOrder.customer_shipping_address.zip_code
-      } : null
-    };
+  setPath(data, path, value) {
+    const keys = this.splitPath(path);
+    if (keys.some(key => FORBIDDEN_PATH_KEYS.includes(key))) {
+      throw new Error(`Forbidden mapping path: ${path}`);
+    }
+
+    let target = data;
+    for (const key of keys.slice(0, -1)) {
+      if (!Object.prototype.hasOwnProperty.call(target, key) || typeof target[key] !== 'object' || target[key] === null) {
+        target[key] = {};
+      }
+      target = target[key];
+    }
+
+    target[keys[keys.length - 1]] = value;
   }
 
-  /**
-   * BestBuy Inventory Mapping
-   */
-  mapBestBuyInventory(bestbuyInventory) {
-    return {
-      sku: bestbuyInventory.product_sku,
-      quantity: bestbuyInventory.quantity || 0,
-      reserved: 0, // Not typically tracked in Mirakl
-      location: bestbuyInventory.location_id || 'default',
-      updated_at: bestbuyInventory.updated_at || new Date().toISOString()
-    };
+  splitPath(path) {
+    return String(path).replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
   }
 
   /**
-   * Amazon Product Mapping (placeholder)
+   * Check a profile's field rules, throwing a 400 error describing the first problem
    */
-  mapAmazonProduct(amazonProduct) {
-    // Amazon SP-API product mapping
-    return {
-      sku: amazonProduct.SellerSKU,
-      channel_sku: amazonProduct.ASIN,
-      name: amazonProduct.ItemName || 'Unknown Product',
-      description: amazonProduct.ItemDescription || '',
-      brand: amazonProduct.Brand || 'Unknown',
-      category: amazonProduct.ProductType || 'General',
-      price: parseFloat(amazonProduct.Price?.Amount || 0),
-      weight: 0,
-      dimensions: {
-        length: 0,
-        width: 0,
-        height: 0
-      },
-      images: [],
-      status: amazonProduct.Status === 'Active' ? 'active' : 'inactive',
-      inventory_quantity: 0, // Requires separate inventory API call
-      tags: [],
-      created_at: amazonProduct.OpenDate,
-      updated_at: new Date().toISOString()
-    };
+  validateProfileFields(fields) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw this.httpError(400, 'fields must be an object keyed by mapped field');
+    }
+
+    for (const [field, rule] of Object.entries(fields)) {
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw this.httpError(400, `${field}: rule must be an object`);
+      }
+      if (rule.path !== undefined && typeof rule.path !== 'string') {
+        throw this.httpError(400, `${field}: path must be a string`);
+      }
+      for (const path of [field, rule.path].filter(path => path !== undefined)) {
+        if (this.splitPath(path).some(key => FORBIDDEN_PATH_KEYS.includes(key))) {
+          throw this.httpError(400, `${field}: paths can't use ${FORBIDDEN_PATH_KEYS.join(', ')}`);
+        }
+      }
+      if (rule.transforms !== undefined && !Array.isArray(rule.transforms)) {
+        throw this.httpError(400, `${field}: transforms must be an array`);
+      }
+
+      for (const transform of rule.transforms || []) {
+        this.validateTransform(field, transform || {});
+      }
+    }
   }
 
-  /**
-   * Amazon Order Mapping (placeholder)
-   */
-  mapAmazonOrder(amazonOrder) {
-    return {
-      id: amazonOrder.AmazonOrderId,
-      channel_order_id: amazonOrder.AmazonOrderId,
-      customer: {
-        email: null, // Amazon doesn't provide customer email
-        name: amazonOrder.BuyerName || 'Amazon Customer',
-        phone: null
-      },
-      date: amazonOrder.PurchaseDate,
-      status: this.mapAmazonOrderStatus(amazonOrder.OrderStatus),
-      total: parseFloat(amazonOrder.OrderTotal?.Amount || 0),
-      subtotal: 0,
-      tax: 0,
-      shipping: 0,
-      currency: amazonOrder.OrderTotal?.CurrencyCode || 'USD',
-      items: [], // Requires separate order items API call
-      shipping_address: null // Requires separate shipping address API call
-    };
+  validateTransform(field, transform) {
+    switch (transform.type) {
+      case 'trim':
+      case 'lowercase':
+      case 'uppercase':
+      case 'number':
+        return;
+      case 'convert': {
+        const units = Object.values(UNITS).find(dimension => dimension[transform.from]);
+        if (!units || !units[transform.to]) {
+          const supported = Object.entries(UNITS).map(([dimension, factors]) => `${dimension}: ${Object.keys(factors).join(', ')}`).join('; ');
+          throw this.httpError(400, `${field}: convert needs from/to units of the same dimension (${supported})`);
+        }
+        return;
+      }
+      case 'lookup':
+        if (!transform.table || typeof transform.table !== 'object' || Array.isArray(transform.table)) {
+          throw this.httpError(400, `${field}: lookup needs a table object`);
+        }
+        return;
+      case 'regex':
+        if (!transform.pattern || typeof transform.pattern !== 'string') {
+          throw this.httpError(400, `${field}: regex needs a pattern`);
+        }
+        if (this.checkRegexPattern(transform.pattern)) {
+          throw this.httpError(400, `${field}: ${this.checkRegexPattern(transform.pattern)}`);
+        }
+        try {
+          new RegExp(transform.pattern, transform.flags || '');
+        } catch (error) {
+          throw this.httpError(400, `${field}: invalid regex - ${error.message}`);
+        }
+        return;
+      default:
+        throw this.httpError(400, `${field}: unknown transform ${transform.type}. Supported: trim, lowercase, uppercase, number, convert, lookup, regex`);
+    }
   }
 
   /**
-   * Amazon Inventory Mapping (placeholder)
+   * Why a regex pattern is too risky to run on every record, or null when it's allowed
    */
-  mapAmazonInventory(amazonInventory) {
-    return {
-      sku: amazonInventory.SellerSKU,
-      quantity: amazonInventory.InStockSupplyQuantity || 0,
-      reserved: amazonInventory.ReservedQuantity || 0,
-      location: amazonInventory.FulfillmentChannelSKU || 'FBA',
-      updated_at: amazonInventory.LastUpdatedTime || new Date().toISOString()
-    };
+  checkRegexPattern(pattern) {
+    const source = String(pattern);
+
+    if (source.length > REGEX_LIMITS.patternLength) {
+      return `regex pattern is longer than ${REGEX_LIMITS.patternLength} characters`;
+    }
+    if (/\\[1-9]|\\k</.test(source)) {
+      return 'regex backreferences are not allowed';
+    }
+    // A quantified group that itself contains a quantifier, e.g. (a+)+ or (\w*)*
+    if (/\([^)]*[*+}][^)]*\)\s*[*+{]/.test(source)) {
+      return 'regex nested quantifiers are not allowed';
+    }
+    return null;
   }
 
   /**
-   * Map Shopify order status to standard format
+   * Mapping profiles
    */
-  mapShopifyOrderStatus(financialStatus, fulfillmentStatus) {
-    if (fulfillmentStatus === 'fulfilled') return 'fulfilled';
-    if (fulfillmentStatus === 'partial') return 'partially_fulfilled';
-    if (financialStatus === 'paid') return 'processing';
-    if (financialStatus === 'pending') return 'pending';
-    if (financialStatus === 'refunded') return 'refunded';
-    return 'unknown';
+  async getProfiles({ channelType, channelId, dataType } = {}) {
+    const params = [];
+    let query = 'SELECT * FROM mapping_profiles WHERE 1=1';
+
+    if (channelType) {
+      params.push(this.channelRegistry.get(channelType)?.type || channelType);
+      query += ` AND channel_type = $${params.length}`;
+    }
+    if (channelId) {
+      params.push(String(channelId));
+      query += ` AND channel_id = $${params.length}`;
+    }
+    if (dataType) {
+      params.push(dataType);
+      query += ` AND data_type = $${params.length}`;
+    }
+
+    const result = await this.db.query(query + ' ORDER BY channel_type, data_type, channel_id NULLS FIRST, name', params);
+    return result.rows;
   }
 
-  /**
-   * Map BestBuy order status to standard format
-   */
-  mapBestBuyOrderStatus(orderState) {
-    const statusMap = {
-      'WAITING_ACCEPTANCE': 'pending',
-      'WAITING_DEBIT': 'processing',
-      'WAITING_DEBIT_PAYMENT': 'processing',
-      'SHIPPING': 'processing',
-      'SHIPPED': 'fulfilled',
-      'TO_COLLECT': 'fulfilled',
-      'RECEIVED': 'fulfilled',
-      'CLOSED': 'completed',
-      'REFUSED': 'cancelled',
-      'CANCELED': 'cancelled'
-    };
-    
-    return statusMap[orderState] || 'unknown';
+  async getProfile(profileId) {
+    const result = await this.db.query('SELECT * FROM mapping_profiles WHERE id = $1', [parseInt(profileId)]);
+    return result.rows[0] || null;
   }
 
   /**
-   * Map Amazon order status to standard format
+   * Profile used when mapping a channel's records: the channel's own, else its channel type's
    */
-  mapAmazonOrderStatus(orderStatus) {
-    const statusMap = {
-      'Pending': 'pending',
-      'Unshipped': 'processing',
-      'PartiallyShipped': 'partially_fulfilled',
-      'Shipped': 'fulfilled',
-      'Canceled': 'cancelled',
-      'Unfulfillable': 'cancelled'
-    };
-    
-    return statusMap[orderStatus] || 'unknown';
+  async getActiveProfile(channelType, channelId, dataType) {
+    const result = await this.db.query(`
+      SELECT * FROM mapping_profiles
+      WHERE is_active = true AND channel_type = $1 AND data_type = $2
+        AND (channel_id IS NULL OR channel_id = $3)
+      ORDER BY channel_id IS NULL
+      LIMIT 1
+    `, [channelType, dataType, channelId === null || channelId === undefined ? null : String(channelId)]);
+
+    return result.rows[0] || null;
+  }
+
+  async createProfile({ name, channelType, channelId = null, dataType, fields, isActive = true }) {
+    if (!name || !dataType || (!channelType && !channelId)) {
+      throw this.httpError(400, 'name, dataType and channelType (or channelId) are required');
+    }
+
+    const target = await this.resolveProfileTarget(channelType, channelId);
+    this.validateDataType(dataType);
+    this.validateProfileFields(fields);
+
+    try {
+      const result = await this.db.query(`
+        INSERT INTO mapping_profiles (name, channel_type, channel_id, data_type, fields, is_active)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [name, target.channelType, target.channelId, dataType, JSON.stringify(fields), isActive]);
+
+      return result.rows[0];
+    } catch (error) {
+      throw this.conflictError(error);
+    }
+  }
+
+  async updateProfile(profileId, { name, fields, isActive }) {
+    if (fields !== undefined) {
+      this.validateProfileFields(fields);
+    }
+
+    try {
+      const result = await this.db.query(`
+        UPDATE mapping_profiles
+        SET name = COALESCE($1, name),
+            fields = COALESCE($2, fields),
+            is_active = COALESCE($3, is_active),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $4
+        RETURNING *
+      `, [name || null, fields !== undefined ? JSON.stringify(fields) : null, isActive ?? null, parseInt(profileId)]);
+
+      if (result.rows.length === 0) {
+        throw this.httpError(404, 'Mapping profile not found');
+      }
+      return result.rows[0];
+    } catch (error) {
+      throw this.conflictError(error);
+    }
+  }
+
+  async deleteProfile(profileId) {
+    const result = await this.db.query('DELETE FROM mapping_profiles WHERE id = $1 RETURNING id', [parseInt(profileId)]);
+    if (result.rows.length === 0) {
+      throw this.httpError(404, 'Mapping profile not found');
+    }
+    return true;
   }
 
   /**
-   * Strip HTML tags from text
+   * Normalise a profile's channel type, checking it matches the channel when one is given
    */
-  stripHtml(html) {
-    return html.replace(/<[^>]*>/g, '').trim();
+  async resolveProfileTarget(channelType, channelId) {
+    if (channelId) {
+      const channel = await this.db.query('SELECT id, name, channel_type FROM channels WHERE id::text = $1', [String(channelId)]);
+      if (channel.rows.length === 0) {
+        throw this.httpError(404, 'Channel not found');
+      }
+
+      const adapter = this.channelRegistry.get(channel.rows[0].channel_type) || this.channelRegistry.get(channel.rows[0].name);
+      if (!adapter || (channelType && this.channelRegistry.get(channelType) !== adapter)) {
+        throw this.httpError(400, `Channel ${channel.rows[0].name} is not a ${channelType || 'supported'} channel`);
+      }
+      return { channelType: adapter.type, channelId: String(channel.rows[0].id) };
+    }
+
+    const adapter = this.channelRegistry.get(channelType);
+    if (!adapter) {
+      throw this.httpError(400, `Unsupported channel type: ${channelType}`);
+    }
+    return { channelType: adapter.type, channelId: null };
+  }
+
+  validateDataType(dataType) {
+    if (!DATA_TYPES.includes(dataType)) {
+      throw this.httpError(400, `dataType must be one of: ${DATA_TYPES.join(', ')}`);
+    }
+  }
+
+  conflictError(error) {
+    if (error.code === '23505') {
+      return this.httpError(409, 'An active mapping profile already exists for this channel and data type');
+    }
+    return error;
+  }
+
+  httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
   }
 
   /**
@@ -398,13 +498,13 @@ class DataMapper {
   /**
    * Batch map data
    */
-  batchMapData(channelName, dataType, rawDataArray) {
+  batchMapData(channelName, dataType, rawDataArray, profile = null) {
     const mappedData = [];
     const errors = [];
 
     for (let i = 0; i < rawDataArray.length; i++) {
       try {
-        const mapped = this.mapData(channelName, dataType, rawDataArray[i]);
+        const mapped = this.mapData(channelName, dataType, rawDataArray[i], profile);
         this.validateMappedData(dataType, mapped);
         mappedData.push(mapped);
       } catch (error) {
@@ -536,6 +536,10 @@ class DataQualityMonitor {
       severity,
       title,
       message,
+      entityType,
+      entityId,
+      channelId,
+      data,
       timestamp: new Date().toISOString()
     });
 
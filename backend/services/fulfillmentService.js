@@ -1,11 +1,28 @@
 const { Pool } = require('pg');
+const InventoryService = require('./inventoryService');
+
+// Distance guesses (km) when a center or the destination has no coordinates
+const DISTANCE_ESTIMATES = {
+  postalArea: 25,
+  region: 300,
+  country: 1500,
+  international: 5000
+};
+
+const COUNTRY_ALIASES = {
+  'canada': 'CA',
+  'united states': 'US',
+  'united states of america': 'US',
+  'usa': 'US'
+};
 
 class FulfillmentService {
-  constructor() {
-    this.pool = new Pool({
+  constructor(pool = null) {
+    this.pool = pool || new Pool({
       connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
       ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
     });
+    this.inventory = new InventoryService(this.pool);
     this.initialized = false;
     this.carriers = {
       'fedex': { name: 'FedEx', trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr=' },
@@ -82,6 +99,26 @@ class FulfillmentService {
         )
       `);
 
+      // Location-aware allocation: where each center is, what a shipment from it costs,
+      // and which bin / shipment each allocation line came from
+      await client.query(`
+        ALTER TABLE fulfillment_centers
+          ADD COLUMN IF NOT EXISTS latitude DECIMAL(9,6),
+          ADD COLUMN IF NOT EXISTS longitude DECIMAL(9,6),
+          ADD COLUMN IF NOT EXISTS handling_cost DECIMAL(10,2) DEFAULT 0,
+          ADD COLUMN IF NOT EXISTS cost_per_km DECIMAL(10,4) DEFAULT 0
+      `);
+      await client.query(`
+        ALTER TABLE inventory_allocations
+          ADD COLUMN IF NOT EXISTS shipment_number INTEGER DEFAULT 1,
+          ADD COLUMN IF NOT EXISTS bin_location VARCHAR(50),
+          ADD COLUMN IF NOT EXISTS distance_km DECIMAL(10,1),
+          ADD COLUMN IF NOT EXISTS estimated_cost DECIMAL(10,2),
+          ADD COLUMN IF NOT EXISTS shipped_at TIMESTAMP NULL
+      `);
+      await client.query('CREATE INDEX IF NOT EXISTS idx_inventory_allocations_order ON inventory_allocations(order_id)');
+      await client.query('CREATE INDEX IF NOT EXISTS idx_inventory_allocations_center ON inventory_allocations(fulfillment_center_id, allocation_status)');
+
       // Shipping labels and tracking
       await client.query(`
         CREATE TABLE IF NOT EXISTS shipping_labels (
@@ -194,53 +231,103 @@ class FulfillmentService {
   }
 
   // Allocate inventory for order
-  async allocateInventory(orderData) {
+  // orderData: { orderId, items: [{ productId?, sku, quantity }], shippingAddress }
+  // Picks the cheapest center that can ship the whole order; when none can, splits it into
+  // shipments from the centers covering the most units. Whatever no center can cover is
+  // recorded as backordered. Allocating again only places what is still outstanding.
+  async allocateInventory(orderData, createdBy = 'system') {
+    const orderId = String(orderData.orderId);
     const client = await this.pool.connect();
     try {
       await client.query('BEGIN');
+      await this.lockOrder(client, orderId);
+
+      const lines = await this.resolveOrderLines(client, orderData.items || []);
+      if (lines.length === 0) {
+        throw this.httpError(400, 'Order has no items with known SKUs');
+      }
+
+      // Earlier backorders are re-planned with the rest of the outstanding quantity
+      await client.query(`
+        UPDATE inventory_allocations
+        SET allocation_status = 'released', released_at = CURRENT_TIMESTAMP
+        WHERE order_id = $1 AND allocation_status = 'backordered'
+      `, [orderId]);
+
+      const existing = await client.query(`
+        SELECT product_id, fulfillment_center_id, shipment_number, quantity
+        FROM inventory_allocations
+        WHERE order_id = $1 AND allocation_status IN ('allocated', 'shipped')
+      `, [orderId]);
+
+      const placed = new Map();
+      const shipmentNumbers = new Map();
+      for (const row of existing.rows) {
+        placed.set(row.product_id, (placed.get(row.product_id) || 0) + row.quantity);
+        shipmentNumbers.set(row.fulfillment_center_id, row.shipment_number);
+      }
+
+      const outstanding = lines
+        .map(line => ({ ...line, quantity: line.quantity - (placed.get(line.productId) || 0) }))
+        .filter(line => line.quantity > 0);
 
       const allocations = [];
-      
-      for (const item of orderData.items) {
-        // Find best fulfillment center (simplified logic)
-        const centerResult = await client.query(`
-          SELECT id FROM fulfillment_centers 
-          WHERE active = TRUE 
-          ORDER BY id ASC 
-          LIMIT 1
-        `);
-
-        if (centerResult.rows.length === 0) {
-          throw new Error('No active fulfillment centers available');
+      const movements = [];
+
+      if (outstanding.length > 0) {
+        const candidates = await this.getCandidateCenters(client, outstanding, orderData.shippingAddress);
+        const plan = this.planAllocation(outstanding, candidates);
+
+        for (const shipment of plan.shipments) {
+          if (!shipmentNumbers.has(shipment.center.id)) {
+            shipmentNumbers.set(shipment.center.id, Math.max(0, ...shipmentNumbers.values()) + 1);
+          }
+
+          for (const pick of shipment.picks) {
+            const allocation = await client.query(`
+              INSERT INTO inventory_allocations (
+                order_id, product_id, sku, quantity, fulfillment_center_id, bin_location, shipment_number,
+                distance_km, estimated_cost, allocation_status, allocated_at
+              )
+              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'allocated', CURRENT_TIMESTAMP)
+              RETURNING *
+            `, [
+              orderId, pick.productId, pick.sku, pick.quantity, shipment.center.id, pick.binLocation,
+              shipmentNumbers.get(shipment.center.id), shipment.center.distanceKm, shipment.center.cost
+            ]);
+            allocations.push(allocation.rows[0]);
+
+            movements.push(await this.inventory.applyMovement(client, {
+              productId: pick.productId,
+              fulfillmentCenterId: shipment.center.id,
+              binLocation: pick.binLocation,
+              type: 'allocate',
+              reservedChange: pick.quantity,
+              referenceId: orderId,
+              notes: `Order ${orderId} shipment ${shipmentNumbers.get(shipment.center.id)}`,
+              createdBy
+            }));
+          }
         }
 
-        const centerId = centerResult.rows[0].id;
-
-        // Create allocation record
-        const allocationResult = await client.query(`
-          INSERT INTO inventory_allocations (
-            order_id, product_id, sku, quantity, fulfillment_center_id, 
-            allocation_status, allocated_at
-          )
-          VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
-          RETURNING *
-        `, [
-          orderData.orderId,
-          item.productId,
-          item.sku,
-          item.quantity,
-          centerId,
-          'allocated'
-        ]);
-
-        allocations.push(allocationResult.rows[0]);
+        for (const backorder of plan.backorders) {
+          const allocation = await client.query(`
+            INSERT INTO inventory_allocations (order_id, product_id, sku, quantity, allocation_status, notes)
+            VALUES ($1, $2, $3, $4, 'backordered', 'No fulfillment center has stock')
+            RETURNING *
+          `, [orderId, backorder.productId, backorder.sku, backorder.quantity]);
+          allocations.push(allocation.rows[0]);
+        }
       }
 
       await client.query('COMMIT');
 
       return {
         success: true,
-        allocations
+        allocations,
+        movements,
+        shipments: new Set(allocations.filter(row => row.fulfillment_center_id).map(row => row.shipment_number)).size,
+        backordered: allocations.filter(row => row.allocation_status === 'backordered')
       };
     } catch (error) {
       await client.query('ROLLBACK');
@@ -250,6 +337,366 @@ class FulfillmentService {
     }
   }
 
+  // Serialize allocation work per order until the transaction ends: a webhook and a scheduled
+  // sync of the same order would otherwise both see nothing placed and allocate it twice
+  async lockOrder(client, orderId) {
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('inventory_allocations:' || $1))`, [String(orderId)]);
+  }
+
+  // Order items as { productId, sku, quantity }, merged per product
+  async resolveOrderLines(client, items) {
+    const skus = [...new Set(items.filter(item => !item.productId && item.sku).map(item => item.sku))];
+    const products = skus.length > 0
+      ? await client.query('SELECT id::text as id, sku FROM products WHERE sku = ANY($1)', [skus])
+      : { rows: [] };
+    const productIds = new Map(products.rows.map(product => [product.sku, product.id]));
+    const lines = new Map();
+
+    for (const item of items) {
+      const productId = item.productId ? String(item.productId) : productIds.get(item.sku);
+      const quantity = parseInt(item.quantity) || 0;
+      if (!productId || quantity <= 0) continue;
+
+      const line = lines.get(productId) || { productId, sku: item.sku, quantity: 0 };
+      line.quantity += quantity;
+      lines.set(productId, line);
+    }
+
+    return [...lines.values()];
+  }
+
+  // Active centers with their distance / cost to the destination and the lines' free stock
+  // per bin, locked until the allocation commits
+  async getCandidateCenters(client, lines, shippingAddress) {
+    const stock = await client.query(`
+      SELECT ws.fulfillment_center_id, ws.product_id::text as product_id, ws.bin_location,
+             ws.quantity - ws.allocated_quantity as available
+      FROM warehouse_stock ws
+      JOIN fulfillment_centers fc ON fc.id = ws.fulfillment_center_id AND fc.active = TRUE
+      WHERE ws.product_id::text = ANY($1)
+      ORDER BY ws.id
+      FOR UPDATE OF ws
+    `, [lines.map(line => line.productId)]);
+
+    const centers = await client.query('SELECT * FROM fulfillment_centers WHERE active = TRUE ORDER BY id');
+    const destination = this.normalizeAddress(shippingAddress);
+
+    return centers.rows.map(center => {
+      const distanceKm = this.estimateDistance(this.normalizeAddress(center.address, center), destination);
+      const bins = new Map();
+
+      for (const row of stock.rows.filter(row => row.fulfillment_center_id === center.id && row.available > 0)) {
+        if (!bins.has(row.product_id)) bins.set(row.product_id, []);
+        bins.get(row.product_id).push({ binLocation: row.bin_location, available: row.available });
+      }
+      for (const productBins of bins.values()) {
+        productBins.sort((a, b) => b.available - a.available);
+      }
+
+      return {
+        id: center.id,
+        name: center.name,
+        distanceKm: Math.round(distanceKm * 10) / 10,
+        cost: Math.round(((parseFloat(center.handling_cost) || 0) + (parseFloat(center.cost_per_km) || 0) * distanceKm) * 100) / 100,
+        bins
+      };
+    });
+  }
+
+  // Choose centers for lines: { shipments: [{ center, picks }], backorders }
+  // One shipment when a single center has everything (cheapest, then nearest); otherwise
+  // repeatedly take the center covering the most outstanding units
+  planAllocation(lines, centers) {
+    const available = (center, productId) => (center.bins.get(productId) || [])
+      .reduce((sum, bin) => sum + bin.available, 0);
+    const byCostThenDistance = (a, b) => a.cost - b.cost || a.distanceKm - b.distanceKm;
+
+    const complete = centers
+      .filter(center => lines.every(line => available(center, line.productId) >= line.quantity))
+      .sort(byCostThenDistance);
+
+    const remaining = new Map(lines.map(line => [line.productId, line.quantity]));
+    const shipments = [];
+    const unused = complete.length > 0 ? [complete[0]] : [...centers];
+
+    while (unused.length > 0) {
+      const coverage = center => lines.reduce((sum, line) => (
+        sum + Math.min(remaining.get(line.productId), available(center, line.productId))
+      ), 0);
+      unused.sort((a, b) => coverage(b) - coverage(a) || byCostThenDistance(a, b));
+
+      const center = unused.shift();
+      if (coverage(center) === 0) break;
+
+      const picks = [];
+      for (const line of lines) {
+        for (const bin of center.bins.get(line.productId) || []) {
+          const quantity = Math.min(remaining.get(line.productId), bin.available);
+          if (quantity <= 0) continue;
+
+          picks.push({ productId: line.productId, sku: line.sku, binLocation: bin.binLocation, quantity });
+          remaining.set(line.productId, remaining.get(line.productId) - quantity);
+        }
+      }
+      shipments.push({ center, picks });
+    }
+
+    const backorders = lines
+      .filter(line => remaining.get(line.productId) > 0)
+      .map(line => ({ productId: line.productId, sku: line.sku, quantity: remaining.get(line.productId) }));
+
+    return { shipments, backorders };
+  }
+
+  // Postal code, region, country and coordinates from a center or channel order address
+  normalizeAddress(address, coordinates = {}) {
+    const value = typeof address === 'string' ? JSON.parse(address) : (address || {});
+    const country = String(value.country_code || value.countryCode || value.country || '').trim();
+    const latitude = coordinates.latitude ?? value.latitude;
+    const longitude = coordinates.longitude ?? value.longitude;
+
+    return {
+      postalCode: String(value.postal_code || value.postalCode || value.zip || '').replace(/\s+/g, '').toUpperCase(),
+      region: String(value.province_code || value.province || value.state || value.region || '').trim().toUpperCase(),
+      country: COUNTRY_ALIASES[country.toLowerCase()] || country.toUpperCase(),
+      latitude: latitude !== null && latitude !== undefined && latitude !== '' ? parseFloat(latitude) : null,
+      longitude: longitude !== null && longitude !== undefined && longitude !== '' ? parseFloat(longitude) : null
+    };
+  }
+
+  // Great-circle distance when both ends have coordinates, otherwise a tiered guess
+  estimateDistance(from, to) {
+    if ([from.latitude, from.longitude, to.latitude, to.longitude].every(Number.isFinite)) {
+      const radians = degrees => degrees * Math.PI / 180;
+      const dLat = radians(to.latitude - from.latitude);
+      const dLon = radians(to.longitude - from.longitude);
+      const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+      return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    if (!from.country || !to.country || from.country !== to.country) return DISTANCE_ESTIMATES.international;
+    if (from.postalCode && to.postalCode && from.postalCode.slice(0, 3) === to.postalCode.slice(0, 3)) {
+      return DISTANCE_ESTIMATES.postalArea;
+    }
+    if (from.region && from.region === to.region) return DISTANCE_ESTIMATES.region;
+    return DISTANCE_ESTIMATES.country;
+  }
+
+  // Ship an order's allocated lines: stock leaves the bins they were allocated from
+  async shipAllocations(orderId, createdBy = 'system') {
+    return this.settleAllocations(orderId, 'allocated', 'shipped', allocation => ({
+      type: 'sale',
+      quantityChange: -allocation.quantity,
+      reservedChange: -allocation.quantity,
+      notes: `Order ${orderId} shipment ${allocation.shipment_number} shipped`
+    }), createdBy);
+  }
+
+  // Free an order's allocated stock (cancellation); backorders are dropped
+  async releaseAllocations(orderId, createdBy = 'system') {
+    await this.pool.query(`
+      UPDATE inventory_allocations
+      SET allocation_status = 'released', released_at = CURRENT_TIMESTAMP
+      WHERE order_id = $1 AND allocation_status = 'backordered'
+    `, [String(orderId)]);
+
+    return this.settleAllocations(orderId, 'allocated', 'released', allocation => ({
+      type: 'deallocate',
+      reservedChange: -allocation.quantity,
+      notes: `Order ${orderId} allocation released`
+    }), createdBy);
+  }
+
+  // Put shipped lines back into the bins they shipped from (return / refund)
+  async returnAllocations(orderId, createdBy = 'system') {
+    return this.settleAllocations(orderId, 'shipped', 'returned', allocation => ({
+      type: 'return',
+      quantityChange: allocation.quantity,
+      notes: `Order ${orderId} shipment ${allocation.shipment_number} returned`
+    }), createdBy);
+  }
+
+  // Move an order's allocations from one status to the next, writing each line's movement
+  async settleAllocations(orderId, fromStatus, toStatus, movementFor, createdBy) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await this.lockOrder(client, orderId);
+
+      const allocations = await client.query(`
+        SELECT * FROM inventory_allocations
+        WHERE order_id = $1 AND allocation_status = $2 AND fulfillment_center_id IS NOT NULL
+        ORDER BY id
+        FOR UPDATE
+      `, [String(orderId), fromStatus]);
+
+      const movements = [];
+      for (const allocation of allocations.rows) {
+        movements.push(await this.inventory.applyMovement(client, {
+          ...movementFor(allocation),
+          productId: allocation.product_id,
+          fulfillmentCenterId: allocation.fulfillment_center_id,
+          binLocation: allocation.bin_location || '',
+          referenceId: String(orderId),
+          createdBy
+        }));
+      }
+
+      await client.query(`
+        UPDATE inventory_allocations
+        SET allocation_status = $3,
+            shipped_at = CASE WHEN $3 = 'shipped' THEN CURRENT_TIMESTAMP ELSE shipped_at END,
+            released_at = CASE WHEN $3 = 'released' THEN CURRENT_TIMESTAMP ELSE released_at END
+        WHERE order_id = $1 AND allocation_status = $2 AND fulfillment_center_id IS NOT NULL
+      `, [String(orderId), fromStatus, toStatus]);
+
+      await client.query('COMMIT');
+      return movements;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Bring an ingested sales order's warehouse allocations in line with its status
+  async syncOrder(order, createdBy = 'system') {
+    if (['cancelled', 'refunded', 'failed'].includes(order.order_status)) {
+      return this.releaseAllocations(order.id, createdBy);
+    }
+
+    const movements = await this.allocateSalesOrder(order, createdBy);
+    if (['fulfilled', 'shipped', 'delivered'].includes(order.fulfillment_status)) {
+      return [...movements, ...await this.shipAllocations(order.id, createdBy)];
+    }
+    return movements;
+  }
+
+  // Allocate a sales order row from its lines and shipping address
+  // Products that aren't stocked in any warehouse, and backorders, are left to channel stock
+  async allocateSalesOrder(order, createdBy = 'system') {
+    const lines = await this.inventory.getOrderLines(order);
+    if (lines.length === 0) return [];
+
+    const stocked = await this.pool.query(
+      'SELECT 1 FROM warehouse_stock WHERE product_id::text = ANY($1) LIMIT 1',
+      [lines.map(line => String(line.productId))]
+    );
+    if (stocked.rows.length === 0) return [];
+
+    const { movements } = await this.allocateInventory({
+      orderId: order.id,
+      items: lines,
+      shippingAddress: order.shipping_address
+    }, createdBy);
+
+    return movements;
+  }
+
+  // Allocate a sales order (by id or external id) from its stored lines and address
+  async allocateOrder(orderId, createdBy = 'system') {
+    const result = await this.pool.query(
+      'SELECT * FROM sales_orders WHERE id::text = $1 OR external_order_id = $1 LIMIT 1',
+      [String(orderId)]
+    );
+    if (result.rows.length === 0) {
+      throw this.httpError(404, `Order not found: ${orderId}`);
+    }
+
+    const order = result.rows[0];
+    return this.allocateInventory({
+      orderId: order.id,
+      items: await this.inventory.getOrderLines(order),
+      shippingAddress: order.shipping_address
+    }, createdBy);
+  }
+
+  // Warehouses with their stock totals
+  async getWarehouses() {
+    const result = await this.pool.query(`
+      SELECT fc.*,
+             COALESCE(SUM(ws.quantity), 0)::int as total_quantity,
+             COALESCE(SUM(ws.allocated_quantity), 0)::int as allocated_quantity,
+             COUNT(DISTINCT ws.product_id)::int as product_count
+      FROM fulfillment_centers fc
+      LEFT JOIN warehouse_stock ws ON ws.fulfillment_center_id = fc.id
+      GROUP BY fc.id
+      ORDER BY fc.name
+    `);
+
+    return result.rows;
+  }
+
+  async createWarehouse({ name, code, address, contactInfo, supportedCarriers, latitude, longitude, handlingCost, costPerKm }) {
+    if (!name || !code || !address) {
+      throw this.httpError(400, 'name, code and address are required');
+    }
+
+    try {
+      const result = await this.pool.query(`
+        INSERT INTO fulfillment_centers (
+          name, code, address, contact_info, supported_carriers, latitude, longitude, handling_cost, cost_per_km
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+      `, [
+        name, code, JSON.stringify(address), JSON.stringify(contactInfo || {}), supportedCarriers || [],
+        latitude ?? null, longitude ?? null, handlingCost || 0, costPerKm || 0
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') throw this.httpError(409, `Fulfillment center code already exists: ${code}`);
+      throw error;
+    }
+  }
+
+  async updateWarehouse(centerId, { name, address, contactInfo, supportedCarriers, latitude, longitude, handlingCost, costPerKm, active }) {
+    const result = await this.pool.query(`
+      UPDATE fulfillment_centers SET
+        name = COALESCE($2, name),
+        address = COALESCE($3, address),
+        contact_info = COALESCE($4, contact_info),
+        supported_carriers = COALESCE($5, supported_carriers),
+        latitude = CASE WHEN $6::boolean THEN $7 ELSE latitude END,
+        longitude = CASE WHEN $6::boolean THEN $8 ELSE longitude END,
+        handling_cost = COALESCE($9, handling_cost),
+        cost_per_km = COALESCE($10, cost_per_km),
+        active = COALESCE($11, active)
+      WHERE id::text = $1
+      RETURNING *
+    `, [
+      String(centerId), name ?? null, address ? JSON.stringify(address) : null,
+      contactInfo ? JSON.stringify(contactInfo) : null, supportedCarriers ?? null,
+      latitude !== undefined || longitude !== undefined, latitude ?? null, longitude ?? null,
+      handlingCost ?? null, costPerKm ?? null, active ?? null
+    ]);
+
+    if (result.rows.length === 0) {
+      throw this.httpError(404, `Fulfillment center not found: ${centerId}`);
+    }
+    return result.rows[0];
+  }
+
+  // Per-bin stock at one warehouse
+  async getWarehouseStock(centerId, { sku } = {}) {
+    const center = await this.pool.query('SELECT id FROM fulfillment_centers WHERE id::text = $1', [String(centerId)]);
+    if (center.rows.length === 0) {
+      throw this.httpError(404, `Fulfillment center not found: ${centerId}`);
+    }
+
+    const result = await this.pool.query(`
+      SELECT ws.*, ws.quantity - ws.allocated_quantity as available_quantity, p.sku, p.name as product_name
+      FROM warehouse_stock ws
+      JOIN products p ON p.id = ws.product_id
+      WHERE ws.fulfillment_center_id = $1 AND ($2::text IS NULL OR p.sku = $2)
+      ORDER BY p.sku, ws.bin_location
+    `, [center.rows[0].id, sku || null]);
+
+    return result.rows;
+  }
+
   // Create shipping label
   async createShippingLabel(orderData, shippingMethod) {
     const client = await this.pool.connect();
@@ -345,7 +792,8 @@ class FulfillmentService {
         FROM inventory_allocations ia
         LEFT JOIN fulfillment_centers fc ON ia.fulfillment_center_id = fc.id
         WHERE ia.order_id = $1
-      `, [orderId]);
+        ORDER BY ia.shipment_number, ia.id
+      `, [String(orderId)]);
 
       // Get shipping info
       const shippingResult = await client.query(`
@@ -432,6 +880,12 @@ class FulfillmentService {
   isInitialized() {
     return this.initialized;
   }
+
+  httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
 }
 
 module.exports = FulfillmentService;
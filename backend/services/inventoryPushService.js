@@ -0,0 +1,340 @@
+const { Pool } = require('pg');
+const channelRegistry = require('./channels/channelRegistry');
+const channelCredentials = require('./channels/channelCredentials');
+const StockAllocationService = require('./stockAllocationService');
+
+/**
+ * Inventory Push Service
+ * Publishes the portal's stock levels to every channel that supports it
+ * (Shopify inventory levels, Mirakl OF01 offer imports, Amazon listings).
+ *
+ * The last quantity each channel accepted is kept in channel_inventory_pushes,
+ * so only products whose sellable quantity changed are pushed again.
+ */
+class InventoryPushService {
+  constructor(db = null) {
+    this.db = db || new Pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+
+    this.allocation = new StockAllocationService(this.db);
+    this.isInitialized = false;
+    this.maxAttempts = 3;
+  }
+
+  /**
+   * Initialize inventory push service
+   */
+  async initialize() {
+    try {
+      await this.db.query('SELECT NOW()');
+      await this.createTables();
+      await this.allocation.initialize();
+
+      this.isInitialized = true;
+      console.log('✅ InventoryPushService initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ InventoryPushService initialization failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Create push tracking table
+   */
+  async createTables() {
+    await this.db.query(`
+      CREATE TABLE IF NOT EXISTS channel_inventory_pushes (
+        id SERIAL PRIMARY KEY,
+        channel_id VARCHAR(100) NOT NULL,
+        product_id VARCHAR(100) NOT NULL,
+        sku VARCHAR(100) NOT NULL,
+        pushed_quantity INTEGER,
+        pushed_at TIMESTAMP,
+        reference VARCHAR(200),
+        last_error TEXT,
+        last_attempt_at TIMESTAMP,
+        UNIQUE(channel_id, product_id)
+      )
+    `);
+  }
+
+  /**
+   * Active channels whose adapter can push stock and that have not opted out
+   * (api_config.inventory_push.enabled = false)
+   */
+  async getPushableChannels(channelId = null) {
+    const params = [];
+    let query = `
+      SELECT id, name, channel_type, api_config
+      FROM channels
+      WHERE is_active = true
+    `;
+
+    if (channelId) {
+      params.push(String(channelId));
+      query += ` AND id::text = $1`;
+    }
+
+    const result = await this.db.query(query, params);
+
+    return result.rows
+      .map(channel => ({
+        ...channel,
+        api_config: channelCredentials.parseApiConfig(channel.api_config)
+      }))
+      .filter(channel => {
+        const adapter = channelRegistry.get(channel.channel_type) || channelRegistry.get(channel.name);
+        return adapter && adapter.canPushInventory() && channel.api_config.inventory_push?.enabled !== false;
+      });
+  }
+
+  /**
+   * Sellable quantity per listed product on a channel, with the quantity last pushed
+   * Quantities come from the shared stock pool (see StockAllocationService)
+   */
+  async getSellableQuantities(channelId, { productIds, skus } = {}) {
+    const params = [String(channelId)];
+    let query = `
+      SELECT
+        p.id::text as product_id,
+        p.sku,
+        cip.pushed_quantity,
+        cip.pushed_at,
+        cip.last_error
+      FROM channel_products cp
+      JOIN products p ON p.id = cp.product_id
+      LEFT JOIN channel_inventory_pushes cip ON cip.channel_id = cp.channel_id::text AND cip.product_id = cp.product_id::text
+      WHERE cp.channel_id::text = $1
+        AND (cp.publish_status IS NULL OR cp.publish_status = 'published')
+        AND NOT EXISTS (SELECT 1 FROM products child WHERE child.parent_id = p.id)
+    `;
+
+    if (productIds && productIds.length > 0) {
+      params.push(productIds.map(String));
+      query += ` AND p.id::text = ANY($${params.length})`;
+    }
+
+    if (skus && skus.length > 0) {
+      params.push(skus);
+      query += ` AND p.sku = ANY($${params.length})`;
+    }
+
+    query += ` ORDER BY p.sku`;
+
+    const result = await this.db.query(query, params);
+    const quantities = await this.allocation.getChannelQuantities(channelId, result.rows.map(row => row.product_id));
+
+    return result.rows.map(row => ({ ...row, quantity: quantities.get(row.product_id) }));
+  }
+
+  /**
+   * Push changed stock levels to one channel
+   * options: { productIds, skus, force } - force re-pushes unchanged quantities
+   */
+  async pushChannelInventory(channel, options = {}) {
+    const adapter = channelRegistry.resolve(channel);
+    const apiConfig = channelCredentials.parseApiConfig(channel.api_config);
+
+    const rows = await this.getSellableQuantities(channel.id, options);
+    const pending = rows.filter(row => options.force || row.pushed_quantity === null || row.pushed_quantity !== row.quantity);
+
+    const batchSize = apiConfig.inventory_push?.batch_size || adapter.inventoryPushBatchSize;
+    const context = {};
+    const errors = [];
+    let pushed = 0;
+
+    for (let i = 0; i < pending.length; i += batchSize) {
+      const batch = pending.slice(i, i + batchSize);
+      const results = await this.pushBatch(adapter, apiConfig, batch, context);
+
+      for (const result of results) {
+        const row = batch.find(candidate => candidate.sku === result.sku);
+        await this.recordPushResult(channel.id, row, result);
+
+        if (result.success) {
+          pushed++;
+        } else {
+          errors.push({ sku: result.sku, error: result.error });
+        }
+      }
+    }
+
+    console.log(`📤 Inventory push to ${channel.name}: ${pushed}/${pending.length} updated, ${rows.length - pending.length} unchanged`);
+
+    return {
+      processed: pushed,
+      failed: errors.length,
+      unchanged: rows.length - pending.length,
+      total: pending.length,
+      errors
+    };
+  }
+
+  /**
+   * Push one batch, retrying the whole call when the channel request itself fails
+   * Per-SKU failures are returned and retried on the next push
+   */
+  async pushBatch(adapter, apiConfig, batch, context = {}) {
+    const updates = batch.map(row => ({ sku: row.sku, quantity: row.quantity }));
+    let attempt = 0;
+
+    while (true) {
+      try {
+        return await adapter.pushInventory(apiConfig, updates, context);
+      } catch (error) {
+        attempt++;
+
+        // An open circuit fails the whole push so the sync job is deferred rather than recorded per SKU
+        if (error.code === 'CIRCUIT_OPEN') throw error;
+
+        if (attempt >= this.maxAttempts) {
+          return updates.map(update => ({ sku: update.sku, success: false, error: error.message }));
+        }
+
+        const delay = Math.pow(2, attempt) * 1000;
+        console.warn(`⏳ ${adapter.displayName} inventory push failed, retrying in ${delay}ms (attempt ${attempt}/${this.maxAttempts}):`, error.message);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Record the outcome of a push for one product
+   */
+  async recordPushResult(channelId, row, result) {
+    if (!row) return;
+
+    if (result.success) {
+      await this.db.query(`
+        INSERT INTO channel_inventory_pushes (channel_id, product_id, sku, pushed_quantity, pushed_at, reference, last_error, last_attempt_at)
+        VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, $5, NULL, CURRENT_TIMESTAMP)
+        ON CONFLICT (channel_id, product_id)
+        DO UPDATE SET
+          sku = EXCLUDED.sku,
+          pushed_quantity = EXCLUDED.pushed_quantity,
+          pushed_at = CURRENT_TIMESTAMP,
+          reference = EXCLUDED.reference,
+          last_error = NULL,
+          last_attempt_at = CURRENT_TIMESTAMP
+      `, [String(channelId), row.product_id, row.sku, row.quantity, result.reference || null]);
+    } else {
+      await this.db.query(`
+        INSERT INTO channel_inventory_pushes (channel_id, product_id, sku, last_error, last_attempt_at)
+        VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+        ON CONFLICT (channel_id, product_id)
+        DO UPDATE SET
+          last_error = EXCLUDED.last_error,
+          last_attempt_at = CURRENT_TIMESTAMP
+      `, [String(channelId), row.product_id, row.sku, result.error]);
+    }
+  }
+
+  /**
+   * Record a quantity read from the channel, so pulled stock is not echoed back
+   */
+  async recordChannelQuantity(channelId, sku, quantity) {
+    await this.db.query(`
+      INSERT INTO channel_inventory_pushes (channel_id, product_id, sku, pushed_quantity, pushed_at)
+      SELECT $1, p.id::text, p.sku, $3, CURRENT_TIMESTAMP
+      FROM products p
+      WHERE p.sku = $2
+      ON CONFLICT (channel_id, product_id)
+      DO UPDATE SET
+        pushed_quantity = EXCLUDED.pushed_quantity,
+        pushed_at = CURRENT_TIMESTAMP
+    `, [String(channelId), sku, quantity]);
+  }
+
+  /**
+   * Queue inventory_push sync jobs for every pushable channel
+   * options: { productIds, skus, channelId, channelName, reason }
+   */
+  async queuePush(options = {}, priority = 8) {
+    const channels = await this.getPushableChannels(options.channelId);
+    const jobs = [];
+
+    for (const channel of channels) {
+      if (options.channelName && ![channel.name, channel.channel_type].includes(options.channelName)) continue;
+
+      const result = await this.db.query(`
+        INSERT INTO sync_queue (channel_id, sync_type, priority, payload)
+        VALUES ($1, 'inventory_push', $2, $3)
+        RETURNING id
+      `, [channel.id, priority, JSON.stringify({
+        productIds: options.productIds || null,
+        skus: options.skus || null,
+        force: !!options.force,
+        reason: options.reason || 'manual'
+      })]);
+
+      jobs.push({ jobId: result.rows[0].id, channelId: channel.id, channel: channel.name });
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Queue a push for the SKUs on an order (sale, cancellation, return)
+   */
+  async queuePushForOrder(order, channelName = null) {
+    let items = typeof order.items === 'string' ? JSON.parse(order.items) : order.items;
+
+    if (!Array.isArray(items)) {
+      const result = await this.db.query('SELECT sku FROM order_items WHERE order_id::text = $1', [String(order.id)]);
+      items = result.rows;
+    }
+
+    const skus = [...new Set(items.map(item => item.sku).filter(Boolean))];
+    if (skus.length === 0) return [];
+
+    return this.queuePush({
+      skus,
+      channelName,
+      reason: `order ${order.external_order_id || order.id}`
+    });
+  }
+
+  /**
+   * Queue a push for channels with stock that differs from what was last pushed
+   * Skips channels that already have a push waiting in the queue
+   */
+  async queueChangedInventory() {
+    const channels = await this.getPushableChannels();
+    const jobs = [];
+
+    for (const channel of channels) {
+      const waiting = await this.db.query(`
+        SELECT 1 FROM sync_queue
+        WHERE channel_id::text = $1 AND sync_type = 'inventory_push' AND status IN ('pending', 'processing')
+        LIMIT 1
+      `, [String(channel.id)]);
+
+      if (waiting.rows.length > 0) continue;
+
+      const rows = await this.getSellableQuantities(channel.id);
+      const changed = rows.filter(row => row.pushed_quantity === null || row.pushed_quantity !== row.quantity);
+
+      if (changed.length > 0) {
+        jobs.push(...await this.queuePush({ channelId: channel.id, reason: 'stock changed' }, 6));
+      }
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Per-product push state for a channel
+   */
+  async getPushStatus(channelId, { onlyPending = false } = {}) {
+    const rows = await this.getSellableQuantities(channelId);
+
+    return rows
+      .map(row => ({ ...row, in_sync: row.pushed_quantity === row.quantity }))
+      .filter(row => !onlyPending || !row.in_sync);
+  }
+}
+
+module.exports = InventoryPushService;
@@ -0,0 +1,749 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const channelRegistry = require('./channels/channelRegistry');
+const StockAllocationService = require('./stockAllocationService');
+
+const MOVEMENT_TYPES = [
+  'adjustment', 'receipt', 'transfer_out', 'transfer_in', 'reserve', 'release', 'sale', 'return', 'allocate', 'deallocate'
+];
+
+// Why stock was adjusted by hand; required on every adjustment
+const ADJUSTMENT_REASONS = ['cycle_count', 'damaged', 'lost', 'found', 'expired', 'correction', 'other'];
+
+/**
+ * Inventory Service
+ * Stock changes (adjustments, receipts, transfers, reservations, order sales and returns)
+ * at a location: a channel's inventory row, or a warehouse bin (warehouse_stock, one row per
+ * fulfillment center, product and bin). Channels sell from the product's pooled stock
+ * (see StockAllocationService). Warehouse rows hold order allocations in allocated_quantity,
+ * the way channel rows hold reservations in reserved_quantity. Each unit of stock lives at one
+ * location: order lines allocated to warehouses (FulfillmentService) are not also reserved or
+ * sold against the channel row.
+ *
+ * Every change locks the inventory row, applies the change and writes an inventory_movements
+ * row with the on-hand and reserved quantities before and after, in one transaction. Movements
+ * are immutable; the schema's log_inventory_movement trigger skips changes made here so they
+ * aren't logged twice.
+ *
+ * Order reservations are keyed by the order id (reference_id), so re-processing an order
+ * only reserves, releases or deducts the difference.
+ */
+class InventoryService {
+  constructor(db = null) {
+    this.db = db || new Pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+
+    this.allocation = new StockAllocationService(this.db);
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize inventory service
+   */
+  async initialize() {
+    try {
+      await this.db.query('SELECT NOW()');
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS inventory_movements (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+          channel_id UUID REFERENCES channels(id) ON DELETE CASCADE,
+          movement_type VARCHAR(50) NOT NULL,
+          quantity_change INTEGER NOT NULL,
+          previous_quantity INTEGER NOT NULL,
+          new_quantity INTEGER NOT NULL,
+          reference_id VARCHAR(200),
+          notes TEXT,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+      `);
+      await this.db.query(`
+        ALTER TABLE inventory_movements
+          ADD COLUMN IF NOT EXISTS reason_code VARCHAR(50),
+          ADD COLUMN IF NOT EXISTS reserved_change INTEGER NOT NULL DEFAULT 0,
+          ADD COLUMN IF NOT EXISTS previous_reserved INTEGER,
+          ADD COLUMN IF NOT EXISTS new_reserved INTEGER,
+          ADD COLUMN IF NOT EXISTS created_by VARCHAR(255),
+          ADD COLUMN IF NOT EXISTS fulfillment_center_id INTEGER,
+          ADD COLUMN IF NOT EXISTS bin_location VARCHAR(50)
+      `);
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS warehouse_stock (
+          id SERIAL PRIMARY KEY,
+          fulfillment_center_id INTEGER NOT NULL,
+          product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+          bin_location VARCHAR(50) NOT NULL DEFAULT '',
+          quantity INTEGER NOT NULL DEFAULT 0,
+          allocated_quantity INTEGER NOT NULL DEFAULT 0,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(fulfillment_center_id, product_id, bin_location)
+        )
+      `);
+      await this.db.query('CREATE INDEX IF NOT EXISTS idx_warehouse_stock_product ON warehouse_stock(product_id)');
+      await this.db.query('CREATE INDEX IF NOT EXISTS idx_inventory_movements_product ON inventory_movements(product_id, created_at DESC)');
+      await this.db.query('CREATE INDEX IF NOT EXISTS idx_inventory_movements_reference ON inventory_movements(reference_id)');
+
+      // Changes made through this service write their own movement row
+      await this.db.query(`
+        CREATE OR REPLACE FUNCTION log_inventory_movement()
+        RETURNS TRIGGER AS $$
+        BEGIN
+          IF TG_OP = 'UPDATE' AND OLD.quantity != NEW.quantity
+             AND COALESCE(current_setting('inventory.movement_logged', true), '') != 'on' THEN
+            INSERT INTO inventory_movements (
+              product_id, channel_id, movement_type, quantity_change, previous_quantity, new_quantity, notes
+            ) VALUES (
+              NEW.product_id, NEW.channel_id, 'adjustment', NEW.quantity - OLD.quantity, OLD.quantity, NEW.quantity,
+              'Automatic inventory adjustment'
+            );
+          END IF;
+          RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+      await this.db.query(`
+        CREATE OR REPLACE FUNCTION prevent_inventory_movement_update()
+        RETURNS TRIGGER AS $$
+        BEGIN
+          RAISE EXCEPTION 'inventory_movements rows are immutable';
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+      await this.db.query('DROP TRIGGER IF EXISTS inventory_movements_immutable ON inventory_movements');
+      await this.db.query(`
+        CREATE TRIGGER inventory_movements_immutable BEFORE UPDATE ON inventory_movements
+        FOR EACH ROW EXECUTE FUNCTION prevent_inventory_movement_update()
+      `);
+
+      this.isInitialized = true;
+      console.log('✅ InventoryService initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ InventoryService initialization failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Adjust on-hand stock by a change (+/-) or to a counted quantity
+   * { productId | sku, channelId | fulfillmentCenterId + binLocation, change | quantity, reasonCode, notes, createdBy }
+   */
+  async adjust({ productId, sku, channelId, fulfillmentCenterId, binLocation, change, quantity, reasonCode, notes, createdBy }) {
+    if ((change === undefined) === (quantity === undefined)) {
+      throw this.httpError(400, 'Exactly one of change or quantity is required');
+    }
+    if (change !== undefined && (!Number.isInteger(change) || change === 0)) {
+      throw this.httpError(400, 'change must be a non-zero integer');
+    }
+    if (quantity !== undefined && !(Number.isInteger(quantity) && quantity >= 0)) {
+      throw this.httpError(400, 'quantity must be a non-negative integer');
+    }
+    if (!ADJUSTMENT_REASONS.includes(reasonCode)) {
+      throw this.httpError(400, `reasonCode must be one of: ${ADJUSTMENT_REASONS.join(', ')}`);
+    }
+
+    return this.withTransaction(async client => {
+      const product = await this.resolveProduct(client, { productId, sku });
+      const location = await this.resolveLocation(client, { channelId, fulfillmentCenterId, binLocation });
+
+      return this.applyMovement(client, {
+        ...location,
+        productId: product.id,
+        type: 'adjustment',
+        quantityChange: change,
+        setQuantity: quantity,
+        reasonCode,
+        notes,
+        createdBy
+      });
+    });
+  }
+
+  /**
+   * Receive stock into a location (e.g. a delivery); referenceId is the PO, ASN or packing slip
+   */
+  async receive({ productId, sku, channelId, fulfillmentCenterId, binLocation, quantity, referenceId, notes, createdBy }) {
+    this.requirePositive(quantity);
+
+    return this.withTransaction(async client => {
+      const product = await this.resolveProduct(client, { productId, sku });
+      const location = await this.resolveLocation(client, { channelId, fulfillmentCenterId, binLocation });
+
+      return this.applyMovement(client, {
+        ...location,
+        productId: product.id,
+        type: 'receipt',
+        quantityChange: quantity,
+        referenceId,
+        notes,
+        createdBy
+      });
+    });
+  }
+
+  /**
+   * Move available stock from one location to another (channel rows, warehouses or bins)
+   * from / to: { channelId } or { fulfillmentCenterId, binLocation }
+   * Both movements share a transfer id as their reference
+   */
+  async transfer({ productId, sku, from = {}, to = {}, quantity, notes, createdBy }) {
+    this.requirePositive(quantity);
+
+    return this.withTransaction(async client => {
+      const product = await this.resolveProduct(client, { productId, sku });
+      const source = await this.resolveLocation(client, from);
+      const destination = await this.resolveLocation(client, to);
+      if (this.locationKey(source) === this.locationKey(destination)) {
+        throw this.httpError(400, 'from and to must be two different locations');
+      }
+
+      // Lock both rows in a fixed order so opposite transfers can't deadlock
+      for (const location of [source, destination].sort((a, b) => this.locationKey(a).localeCompare(this.locationKey(b)))) {
+        await this.lockLocationRow(client, product.id, location);
+      }
+
+      const transferId = crypto.randomUUID();
+      const movement = { productId: product.id, referenceId: transferId, notes, createdBy };
+
+      const out = await this.applyMovement(client, {
+        ...movement, ...source, type: 'transfer_out', quantityChange: -quantity
+      });
+      const into = await this.applyMovement(client, {
+        ...movement, ...destination, type: 'transfer_in', quantityChange: quantity
+      });
+
+      return { transferId, movements: [out, into] };
+    });
+  }
+
+  /**
+   * Hold stock for an order or other reference at a channel
+   * Checked against the shared pool (channel rows and warehouse bins), not just the channel's row
+   */
+  async reserve({ productId, sku, channelId, quantity, referenceId, notes, createdBy }) {
+    this.requirePositive(quantity);
+    if (!referenceId) {
+      throw this.httpError(400, 'referenceId is required');
+    }
+
+    return this.withTransaction(async client => {
+      const product = await this.resolveProduct(client, { productId, sku });
+      await this.resolveChannel(client, channelId);
+      await this.ensureInventoryRow(client, product.id, channelId);
+
+      const pools = await this.allocation.getPoolQuantities([product.id], { client, lock: true });
+      const { available } = pools.get(String(product.id));
+      if (available < quantity) {
+        throw this.httpError(409, `Insufficient available stock: ${available} available`);
+      }
+
+      return this.applyMovement(client, {
+        productId: product.id,
+        channelId,
+        type: 'reserve',
+        reservedChange: quantity,
+        referenceId,
+        allowNegative: true,
+        notes,
+        createdBy
+      });
+    });
+  }
+
+  /**
+   * Release a reference's reservation - all of it unless a quantity is given
+   */
+  async release({ productId, sku, channelId, quantity, referenceId, notes, createdBy }) {
+    if (quantity !== undefined) this.requirePositive(quantity);
+    if (!referenceId) {
+      throw this.httpError(400, 'referenceId is required');
+    }
+
+    return this.withTransaction(async client => {
+      const product = await this.resolveProduct(client, { productId, sku });
+      await this.resolveChannel(client, channelId);
+      await this.lockInventoryRow(client, product.id, channelId);
+
+      const outstanding = await this.getReservedForReference(client, product.id, channelId, referenceId);
+      if (outstanding <= 0) {
+        throw this.httpError(409, `Nothing reserved for ${referenceId}`);
+      }
+      if (quantity > outstanding) {
+        throw this.httpError(409, `Only ${outstanding} reserved for ${referenceId}`);
+      }
+
+      return this.applyMovement(client, {
+        productId: product.id,
+        channelId,
+        type: 'release',
+        reservedChange: -(quantity || outstanding),
+        referenceId,
+        notes,
+        createdBy
+      });
+    });
+  }
+
+  /**
+   * Reserve an order's lines at its channel, topping up or trimming earlier reservations
+   * Channels have already sold the stock, so reservations may exceed what is available
+   */
+  async reserveOrder(order, createdBy = 'system') {
+    return this.applyOrderLines(order, createdBy, async (client, line, state) => {
+      if (state.sold) return null;
+
+      const difference = line.quantity - state.reserved;
+      if (difference === 0) return null;
+
+      return this.applyMovement(client, {
+        productId: line.productId,
+        channelId: order.channel_id,
+        type: difference > 0 ? 'reserve' : 'release',
+        reservedChange: difference,
+        referenceId: String(order.id),
+        allowNegative: true,
+        notes: `Order ${order.external_order_id || order.id}`,
+        createdBy
+      });
+    });
+  }
+
+  /**
+   * Release whatever an order still has reserved (cancellation)
+   */
+  async releaseOrder(order, createdBy = 'system') {
+    return this.applyOrderLines(order, createdBy, async (client, line, state) => {
+      if (state.reserved <= 0) return null;
+
+      return this.applyMovement(client, {
+        productId: line.productId,
+        channelId: order.channel_id,
+        type: 'release',
+        reservedChange: -state.reserved,
+        referenceId: String(order.id),
+        notes: `Order ${order.external_order_id || order.id} released`,
+        createdBy
+      });
+    });
+  }
+
+  /**
+   * Deduct an order's lines from on-hand stock (shipped), consuming its reservation
+   */
+  async fulfillOrder(order, createdBy = 'system') {
+    return this.applyOrderLines(order, createdBy, async (client, line, state) => {
+      if (state.sold) return null;
+
+      // Shipped from warehouses - only a reservation taken before allocation is left to free
+      if (line.quantity === 0) {
+        return state.reserved > 0
+          ? this.applyMovement(client, {
+            productId: line.productId,
+            channelId: order.channel_id,
+            type: 'release',
+            reservedChange: -state.reserved,
+            referenceId: String(order.id),
+            notes: `Order ${order.external_order_id || order.id} shipped from warehouse`,
+            createdBy
+          })
+          : null;
+      }
+
+      return this.applyMovement(client, {
+        productId: line.productId,
+        channelId: order.channel_id,
+        type: 'sale',
+        quantityChange: -line.quantity,
+        reservedChange: -Math.min(Math.max(state.reserved, 0), line.quantity),
+        referenceId: String(order.id),
+        allowNegative: true,
+        notes: `Order ${order.external_order_id || order.id} fulfilled`,
+        createdBy
+      });
+    });
+  }
+
+  /**
+   * Put a fulfilled order's stock back (return / refund)
+   */
+  async restockOrder(order, createdBy = 'system') {
+    return this.applyOrderLines(order, createdBy, async (client, line, state) => {
+      if (!state.sold || state.returned) return null;
+
+      return this.applyMovement(client, {
+        productId: line.productId,
+        channelId: order.channel_id,
+        type: 'return',
+        quantityChange: state.sold,
+        referenceId: String(order.id),
+        notes: `Order ${order.external_order_id || order.id} returned`,
+        createdBy
+      });
+    });
+  }
+
+  /**
+   * Bring stock in line with an ingested order's status
+   */
+  async syncOrder(order, createdBy = 'system') {
+    if (['cancelled', 'refunded', 'failed'].includes(order.order_status)) {
+      return this.releaseOrder(order, createdBy);
+    }
+    if (['fulfilled', 'shipped', 'delivered'].includes(order.fulfillment_status)) {
+      return this.fulfillOrder(order, createdBy);
+    }
+    return this.reserveOrder(order, createdBy);
+  }
+
+  /**
+   * Run a per-line order operation on the order's channel row in one transaction
+   * apply(client, line, state) gets what the order has reserved, sold and returned so far;
+   * line.quantity excludes the units allocated to or shipped from warehouses
+   */
+  async applyOrderLines(order, createdBy, apply) {
+    if (!order.channel_id) {
+      console.log(`📦 Order ${order.external_order_id || order.id} has no channel - inventory not updated`);
+      return [];
+    }
+
+    const lines = await this.getOrderLines(order);
+
+    return this.withTransaction(async client => {
+      const movements = [];
+      const held = await this.getWarehouseHeld(client, order.id);
+
+      for (const line of lines) {
+        await this.lockInventoryRow(client, line.productId, order.channel_id);
+        const state = await this.getOrderState(client, line.productId, order.channel_id, String(order.id));
+        const channelLine = { ...line, quantity: Math.max(line.quantity - (held.get(String(line.productId)) || 0), 0) };
+        const movement = await apply(client, channelLine, state);
+        if (movement) movements.push(movement);
+      }
+
+      return movements;
+    });
+  }
+
+  /**
+   * An order's lines as { productId, sku, quantity }, merged per product
+   * Read from order.items, order_items, or the raw channel order
+   */
+  async getOrderLines(order) {
+    let items = typeof order.items === 'string' ? JSON.parse(order.items) : order.items;
+
+    if (!Array.isArray(items)) {
+      const result = await this.db.query('SELECT sku, quantity FROM order_items WHERE order_id::text = $1', [String(order.id)]);
+      items = result.rows;
+    }
+
+    if (items.length === 0 && order.raw_data) {
+      const channel = await this.db.query('SELECT name, channel_type FROM channels WHERE id::text = $1', [String(order.channel_id)]);
+      const adapter = channelRegistry.getOrGeneric(channel.rows[0]?.channel_type || order.channel_name);
+      const raw = typeof order.raw_data === 'string' ? JSON.parse(order.raw_data) : order.raw_data;
+
+      try {
+        items = adapter.mapOrder(raw).items || [];
+      } catch (error) {
+        console.error(`Cannot read lines of order ${order.external_order_id || order.id}:`, error.message);
+        items = [];
+      }
+    }
+
+    const skus = [...new Set(items.map(item => item.sku).filter(Boolean))];
+    if (skus.length === 0) return [];
+
+    const products = await this.db.query('SELECT id, sku FROM products WHERE sku = ANY($1)', [skus]);
+    const productIds = new Map(products.rows.map(product => [product.sku, product.id]));
+    const lines = new Map();
+
+    for (const item of items) {
+      const productId = productIds.get(item.sku);
+      const quantity = parseInt(item.quantity) || 0;
+      if (!productId || quantity <= 0) {
+        if (!productId && item.sku) console.log(`📦 Unknown SKU ${item.sku} on order ${order.external_order_id || order.id}`);
+        continue;
+      }
+
+      const line = lines.get(productId) || { productId, sku: item.sku, quantity: 0 };
+      line.quantity += quantity;
+      lines.set(productId, line);
+    }
+
+    return [...lines.values()];
+  }
+
+  /**
+   * Units of an order held in warehouses (allocated or shipped), per product id
+   */
+  async getWarehouseHeld(client, orderId) {
+    const result = await client.query(`
+      SELECT product_id, SUM(quantity)::int as quantity
+      FROM inventory_allocations
+      WHERE order_id = $1 AND allocation_status IN ('allocated', 'shipped')
+      GROUP BY product_id
+    `, [String(orderId)]);
+
+    return new Map(result.rows.map(row => [String(row.product_id), row.quantity]));
+  }
+
+  /**
+   * Reserved, sold and returned quantities recorded against a reference at one location
+   */
+  async getOrderState(client, productId, channelId, referenceId) {
+    const result = await client.query(`
+      SELECT COALESCE(SUM(reserved_change), 0)::int as reserved,
+             COALESCE(-SUM(quantity_change) FILTER (WHERE movement_type = 'sale'), 0)::int as sold,
+             COALESCE(SUM(quantity_change) FILTER (WHERE movement_type = 'return'), 0)::int as returned
+      FROM inventory_movements
+      WHERE product_id = $1 AND channel_id::text = $2 AND reference_id = $3
+    `, [productId, String(channelId), referenceId]);
+
+    return result.rows[0];
+  }
+
+  async getReservedForReference(client, productId, channelId, referenceId) {
+    return (await this.getOrderState(client, productId, channelId, referenceId)).reserved;
+  }
+
+  /**
+   * Lock a product's row at a location, apply the change and write the movement
+   * The location is channelId, or fulfillmentCenterId + binLocation; reservedChange is the
+   * channel reservation or the warehouse allocation.
+   * setQuantity replaces quantityChange for counts; allowNegative records channel orders that
+   * exceed this row's stock (the shared pool may still cover them)
+   */
+  async applyMovement(client, {
+    productId, channelId = null, fulfillmentCenterId = null, binLocation = '', type, quantityChange = 0,
+    reservedChange = 0, setQuantity, referenceId = null, reasonCode = null, notes = null, createdBy = null,
+    allowNegative = false
+  }) {
+    const location = fulfillmentCenterId ? { fulfillmentCenterId, binLocation } : { channelId };
+    const current = await this.lockLocationRow(client, productId, location);
+    const change = setQuantity !== undefined ? setQuantity - current.quantity : quantityChange;
+    const newQuantity = current.quantity + change;
+    const newReserved = current.reserved_quantity + reservedChange;
+
+    if (newQuantity < 0 && !allowNegative) {
+      throw this.httpError(409, `Insufficient stock: ${current.quantity} on hand`);
+    }
+    if (newReserved < 0) {
+      throw this.httpError(409, `Cannot release more than the ${current.reserved_quantity} reserved`);
+    }
+    if (!allowNegative && (change < 0 || reservedChange > 0) && newQuantity - newReserved < 0) {
+      throw this.httpError(409, `Insufficient available stock: ${current.quantity - current.reserved_quantity} available`);
+    }
+
+    if (location.fulfillmentCenterId) {
+      await client.query(`
+        UPDATE warehouse_stock SET quantity = $2, allocated_quantity = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $1
+      `, [current.id, newQuantity, newReserved]);
+    } else {
+      await client.query(`
+        UPDATE inventory SET quantity = $2, reserved_quantity = $3 WHERE id = $1
+      `, [current.id, newQuantity, newReserved]);
+    }
+
+    const result = await client.query(`
+      INSERT INTO inventory_movements (
+        product_id, channel_id, fulfillment_center_id, bin_location, movement_type, quantity_change,
+        previous_quantity, new_quantity, reserved_change, previous_reserved, new_reserved,
+        reference_id, reason_code, notes, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      RETURNING *
+    `, [
+      productId, current.channel_id || null, location.fulfillmentCenterId || null,
+      location.fulfillmentCenterId ? location.binLocation : null, type, change, current.quantity, newQuantity,
+      reservedChange, current.reserved_quantity, newReserved, referenceId, reasonCode, notes, createdBy
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Lock (creating if needed) a product's row at a channel or warehouse bin
+   * Warehouse rows report allocated_quantity as reserved_quantity
+   */
+  async lockLocationRow(client, productId, location) {
+    if (!location.fulfillmentCenterId) {
+      return this.lockInventoryRow(client, productId, location.channelId);
+    }
+
+    await client.query(`
+      INSERT INTO warehouse_stock (fulfillment_center_id, product_id, bin_location)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (fulfillment_center_id, product_id, bin_location) DO NOTHING
+    `, [location.fulfillmentCenterId, productId, location.binLocation || '']);
+
+    const result = await client.query(`
+      SELECT id, quantity, allocated_quantity as reserved_quantity FROM warehouse_stock
+      WHERE fulfillment_center_id = $1 AND product_id = $2 AND bin_location = $3
+      FOR UPDATE
+    `, [location.fulfillmentCenterId, productId, location.binLocation || '']);
+
+    return result.rows[0];
+  }
+
+  async ensureInventoryRow(client, productId, channelId) {
+    await client.query(`
+      INSERT INTO inventory (product_id, channel_id, quantity, reserved_quantity)
+      VALUES ($1, $2, 0, 0)
+      ON CONFLICT (product_id, channel_id) DO NOTHING
+    `, [productId, String(channelId)]);
+  }
+
+  async lockInventoryRow(client, productId, channelId) {
+    await this.ensureInventoryRow(client, productId, channelId);
+
+    const result = await client.query(`
+      SELECT id, channel_id, quantity, reserved_quantity FROM inventory
+      WHERE product_id = $1 AND channel_id::text = $2
+      FOR UPDATE
+    `, [productId, String(channelId)]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Stock is held by sellable products; a parent's stock is its variants'
+   */
+  async resolveProduct(client, { productId, sku }) {
+    if (!productId && !sku) {
+      throw this.httpError(400, 'productId or sku is required');
+    }
+
+    const result = await client.query(`
+      SELECT p.id, p.sku, EXISTS (SELECT 1 FROM products child WHERE child.parent_id = p.id) as has_variants
+      FROM products p
+      WHERE ${productId ? 'p.id::text = $1' : 'p.sku = $1'}
+    `, [String(productId || sku)]);
+
+    const product = result.rows[0];
+    if (!product) {
+      throw this.httpError(404, `Product not found: ${productId || sku}`);
+    }
+    if (product.has_variants) {
+      throw this.httpError(400, `${product.sku} is a parent product; stock is held by its variants`);
+    }
+
+    return product;
+  }
+
+  /**
+   * { channelId } or { fulfillmentCenterId, binLocation } - exactly one kind of location
+   */
+  async resolveLocation(client, { channelId, fulfillmentCenterId, binLocation }) {
+    if (Boolean(channelId) === Boolean(fulfillmentCenterId)) {
+      throw this.httpError(400, 'Exactly one of channelId or fulfillmentCenterId is required');
+    }
+
+    if (channelId) {
+      await this.resolveChannel(client, channelId);
+      return { channelId };
+    }
+
+    const center = await client.query('SELECT id FROM fulfillment_centers WHERE id::text = $1', [String(fulfillmentCenterId)]);
+    if (center.rows.length === 0) {
+      throw this.httpError(404, `Fulfillment center not found: ${fulfillmentCenterId}`);
+    }
+    return { fulfillmentCenterId: center.rows[0].id, binLocation: (binLocation || '').trim() };
+  }
+
+  locationKey(location) {
+    return location.fulfillmentCenterId
+      ? `warehouse:${location.fulfillmentCenterId}:${location.binLocation}`
+      : `channel:${location.channelId}`;
+  }
+
+  async resolveChannel(client, channelId) {
+    if (!channelId) {
+      throw this.httpError(400, 'channelId is required');
+    }
+
+    const result = await client.query('SELECT id FROM channels WHERE id::text = $1', [String(channelId)]);
+    if (result.rows.length === 0) {
+      throw this.httpError(404, `Channel not found: ${channelId}`);
+    }
+  }
+
+  /**
+   * Movement history, newest first
+   * filters: { productId, sku, channelId, fulfillmentCenterId, type, referenceId, since, limit, offset }
+   */
+  async getMovements({ productId, sku, channelId, fulfillmentCenterId, type, referenceId, since, limit = 100, offset = 0 } = {}) {
+    const params = [];
+    const conditions = [];
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (productId) add('m.product_id::text = ?', String(productId));
+    if (sku) add('p.sku = ?', sku);
+    if (channelId) add('m.channel_id::text = ?', String(channelId));
+    if (fulfillmentCenterId) add('m.fulfillment_center_id::text = ?', String(fulfillmentCenterId));
+    if (type) {
+      if (!MOVEMENT_TYPES.includes(type)) {
+        throw this.httpError(400, `type must be one of: ${MOVEMENT_TYPES.join(', ')}`);
+      }
+      add('m.movement_type = ?', type);
+    }
+    if (referenceId) add('m.reference_id = ?', referenceId);
+    if (since) {
+      const sinceDate = new Date(since);
+      if (Number.isNaN(sinceDate.getTime())) {
+        throw this.httpError(400, 'since must be a valid date');
+      }
+      add('m.created_at >= ?', sinceDate);
+    }
+
+    params.push(Math.min(parseInt(limit) || 100, 500), parseInt(offset) || 0);
+
+    const result = await this.db.query(`
+      SELECT m.*, p.sku, p.name as product_name, c.name as channel_name, fc.name as fulfillment_center_name
+      FROM inventory_movements m
+      JOIN products p ON p.id = m.product_id
+      LEFT JOIN channels c ON c.id = m.channel_id
+      LEFT JOIN fulfillment_centers fc ON fc.id = m.fulfillment_center_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY m.created_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Run fn(client) in a transaction; the inventory trigger leaves its movements to us
+   */
+  async withTransaction(fn) {
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`SELECT set_config('inventory.movement_logged', 'on', true)`);
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  requirePositive(quantity) {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw this.httpError(400, 'quantity must be a positive integer');
+    }
+  }
+
+  httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = InventoryService;
@@ -0,0 +1,430 @@
+const { Pool } = require('pg');
+const channelRegistry = require('./channels/channelRegistry');
+const channelCredentials = require('./channels/channelCredentials');
+
+/**
+ * Listing Publisher Service
+ * Publishes master catalog products to channels (Shopify products, Mirakl OF01 offers,
+ * Amazon listings) through the sync queue ('listing_publish' jobs).
+ *
+ * Per-channel overrides (title, description, price, channel-specific attributes) and the
+ * publish state live on channel_products. A family is published as one unit: the parent's
+ * row holds the title / description overrides and an aggregate status, each variant's row
+ * its own price override, status and channel error.
+ *
+ * publish_status: draft -> queued -> pending (channel still processing) -> published | failed
+ */
+class ListingPublisherService {
+  constructor(db = null) {
+    this.db = db || new Pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize listing publisher service
+   */
+  async initialize() {
+    try {
+      await this.db.query('SELECT NOW()');
+      await this.db.query(`
+        ALTER TABLE channel_products
+          ADD COLUMN IF NOT EXISTS listing_title VARCHAR(500),
+          ADD COLUMN IF NOT EXISTS listing_description TEXT,
+          ADD COLUMN IF NOT EXISTS listing_price DECIMAL(10,2),
+          ADD COLUMN IF NOT EXISTS listing_attributes JSONB DEFAULT '{}',
+          ADD COLUMN IF NOT EXISTS publish_status VARCHAR(20),
+          ADD COLUMN IF NOT EXISTS publish_error TEXT,
+          ADD COLUMN IF NOT EXISTS publish_reference VARCHAR(200),
+          ADD COLUMN IF NOT EXISTS publish_requested_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS published_at TIMESTAMP
+      `);
+
+      this.isInitialized = true;
+      console.log('✅ ListingPublisherService initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ ListingPublisherService initialization failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Active channel whose adapter can publish listings
+   */
+  async getPublishableChannel(channelId) {
+    const result = await this.db.query(`
+      SELECT id, name, channel_type, api_config, is_active FROM channels WHERE id::text = $1
+    `, [String(channelId)]);
+
+    const channel = result.rows[0];
+    if (!channel) {
+      throw this.httpError(404, `Channel not found: ${channelId}`);
+    }
+
+    const adapter = channelRegistry.get(channel.channel_type) || channelRegistry.get(channel.name);
+    if (!adapter || !adapter.canPublishListings()) {
+      throw this.httpError(400, `${adapter ? adapter.displayName : channel.name} does not support listing publishing`);
+    }
+    if (!channel.is_active) {
+      throw this.httpError(400, `Channel ${channel.name} is inactive`);
+    }
+
+    return channel;
+  }
+
+  /**
+   * The product a publish applies to: the product itself, or a variant's parent
+   */
+  async getPublishUnit(productId) {
+    const result = await this.db.query(`
+      SELECT COALESCE(parent.id, p.id) as id, COALESCE(parent.sku, p.sku) as sku
+      FROM products p
+      LEFT JOIN products parent ON parent.id = p.parent_id
+      WHERE p.id::text = $1
+    `, [String(productId)]);
+
+    if (result.rows.length === 0) {
+      throw this.httpError(404, 'Product not found');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Set a product's listing overrides for a channel (creates a draft listing when there is none)
+   * overrides: { title, description, price, attributes, channelProductId } - null clears a field
+   */
+  async setListingOverrides(productId, channelId, overrides = {}) {
+    const product = await this.db.query('SELECT id, sku FROM products WHERE id::text = $1', [String(productId)]);
+    if (product.rows.length === 0) {
+      throw this.httpError(404, 'Product not found');
+    }
+    if (overrides.price !== undefined && overrides.price !== null && !(parseFloat(overrides.price) >= 0)) {
+      throw this.httpError(400, 'price must be a non-negative number');
+    }
+    if (overrides.attributes !== undefined && overrides.attributes !== null &&
+      (typeof overrides.attributes !== 'object' || Array.isArray(overrides.attributes))) {
+      throw this.httpError(400, 'attributes must be an object');
+    }
+
+    const keep = value => value === undefined;
+    const result = await this.db.query(`
+      INSERT INTO channel_products (product_id, channel_id, channel_sku, channel_product_id, listing_title,
+                                    listing_description, listing_price, listing_attributes, publish_status)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, '{}'::jsonb), 'draft')
+      ON CONFLICT (product_id, channel_id) DO UPDATE SET
+        channel_product_id = CASE WHEN $9 THEN channel_products.channel_product_id ELSE EXCLUDED.channel_product_id END,
+        listing_title = CASE WHEN $10 THEN channel_products.listing_title ELSE EXCLUDED.listing_title END,
+        listing_description = CASE WHEN $11 THEN channel_products.listing_description ELSE EXCLUDED.listing_description END,
+        listing_price = CASE WHEN $12 THEN channel_products.listing_price ELSE EXCLUDED.listing_price END,
+        listing_attributes = CASE WHEN $13 THEN channel_products.listing_attributes ELSE COALESCE(EXCLUDED.listing_attributes, '{}'::jsonb) END,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [
+      product.rows[0].id, String(channelId), product.rows[0].sku, overrides.channelProductId ?? null,
+      overrides.title ?? null, overrides.description ?? null, overrides.price ?? null,
+      overrides.attributes ? JSON.stringify(overrides.attributes) : null,
+      keep(overrides.channelProductId), keep(overrides.title), keep(overrides.description),
+      keep(overrides.price), keep(overrides.attributes)
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Listing state of a product (and its variants) on every channel it is listed on or queued for
+   */
+  async getListings(productId) {
+    const unit = await this.getPublishUnit(productId);
+
+    const result = await this.db.query(`
+      SELECT cp.*, c.name as channel_name, c.channel_type, p.sku, p.parent_id
+      FROM channel_products cp
+      JOIN products p ON p.id = cp.product_id
+      JOIN channels c ON c.id::text = cp.channel_id::text
+      WHERE p.id = $1 OR p.parent_id = $1
+      ORDER BY c.name, p.parent_id NULLS FIRST, p.sku
+    `, [unit.id]);
+
+    return result.rows;
+  }
+
+  /**
+   * Queue publishing a product to channels, applying any overrides first
+   * overrides: { [channelId]: { title, description, price, attributes, channelProductId } }
+   */
+  async queuePublish(productId, channelIds, overrides = {}, requestedBy = 'api') {
+    if (!Array.isArray(channelIds) || channelIds.length === 0) {
+      throw this.httpError(400, 'channelIds is required');
+    }
+
+    const unit = await this.getPublishUnit(productId);
+    const channels = [];
+    for (const channelId of channelIds) {
+      channels.push(await this.getPublishableChannel(channelId));
+    }
+
+    const jobs = [];
+
+    for (const channel of channels) {
+      if (overrides[channel.id]) {
+        await this.setListingOverrides(unit.id, channel.id, overrides[channel.id]);
+      }
+
+      const members = await this.getUnitMembers(unit.id);
+      for (const member of members) {
+        await this.db.query(`
+          INSERT INTO channel_products (product_id, channel_id, channel_sku, publish_status, publish_requested_at)
+          VALUES ($1, $2, $3, 'queued', CURRENT_TIMESTAMP)
+          ON CONFLICT (product_id, channel_id) DO UPDATE SET
+            publish_status = 'queued', publish_error = NULL, publish_requested_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        `, [member.id, String(channel.id), member.sku]);
+      }
+
+      const job = await this.db.query(`
+        INSERT INTO sync_queue (channel_id, sync_type, priority, payload)
+        VALUES ($1, 'listing_publish', 5, $2)
+        RETURNING id
+      `, [channel.id, JSON.stringify({ productIds: [unit.id], requestedBy })]);
+
+      jobs.push({ jobId: job.rows[0].id, channelId: channel.id, channel: channel.name, productId: unit.id });
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Queue a publish job with nothing new to publish, which settles the channel's pending listings
+   */
+  async queueRefresh(channelId, requestedBy = 'api') {
+    const channel = await this.getPublishableChannel(channelId);
+
+    const job = await this.db.query(`
+      INSERT INTO sync_queue (channel_id, sync_type, priority, payload)
+      VALUES ($1, 'listing_publish', 6, $2)
+      RETURNING id
+    `, [channel.id, JSON.stringify({ productIds: [], requestedBy })]);
+
+    return { jobId: job.rows[0].id, channelId: channel.id, channel: channel.name };
+  }
+
+  /**
+   * The unit's own row plus its variants
+   */
+  async getUnitMembers(unitId) {
+    const result = await this.db.query(`
+      SELECT id, sku FROM products WHERE id = $1 OR parent_id = $1 ORDER BY parent_id NULLS FIRST, sku
+    `, [unitId]);
+    return result.rows;
+  }
+
+  /**
+   * Run a listing_publish job: settle earlier pending listings, then publish the requested products
+   */
+  async publishChannelListings(channel, { productIds = [] } = {}) {
+    const adapter = channelRegistry.resolve(channel);
+    const apiConfig = channelCredentials.parseApiConfig(channel.api_config);
+
+    const refreshed = await this.refreshPending(channel);
+
+    const listings = [];
+    for (const productId of productIds) {
+      listings.push(await this.buildListing(productId, channel.id));
+    }
+
+    const results = listings.length > 0 ? await adapter.publishListings(apiConfig, listings) : [];
+    const errors = [];
+    const published = refreshed.filter(row => row.status === 'published').map(row => row.productId);
+
+    for (const listing of listings) {
+      for (const variant of listing.variants) {
+        const result = results.find(candidate => candidate.sku === variant.sku) ||
+          { sku: variant.sku, success: false, error: 'No result returned by the channel' };
+
+        await this.recordResult(channel.id, variant.productId, result);
+        if (!result.success) {
+          errors.push({ sku: variant.sku, error: result.error });
+        } else if (result.status === 'published') {
+          published.push(variant.productId);
+        }
+      }
+
+      await this.updateUnitStatus(channel.id, listing);
+    }
+
+    console.log(`📢 Listing publish to ${channel.name}: ${results.length - errors.length}/${results.length} accepted`);
+
+    return {
+      processed: results.length - errors.length,
+      failed: errors.length,
+      total: results.length,
+      published,
+      refreshed: refreshed.length,
+      errors
+    };
+  }
+
+  /**
+   * Master product + overrides in the shape adapters publish (see ChannelAdapter.publishListings)
+   */
+  async buildListing(productId, channelId) {
+    const listingColumns = `
+      p.*, cp.channel_product_id, cp.listing_title, cp.listing_description, cp.listing_price,
+      cp.listing_attributes, GREATEST(COALESCE(i.available_quantity, 0), 0)::int as quantity
+    `;
+    const listingJoins = `
+      LEFT JOIN channel_products cp ON cp.product_id = p.id AND cp.channel_id::text = $2
+      LEFT JOIN inventory i ON i.product_id = p.id AND i.channel_id::text = $2
+    `;
+
+    const unitResult = await this.db.query(`
+      SELECT ${listingColumns} FROM products p ${listingJoins} WHERE p.id::text = $1
+    `, [String(productId), String(channelId)]);
+    const unit = unitResult.rows[0];
+    if (!unit) {
+      throw new Error(`Product not found: ${productId}`);
+    }
+
+    const variantResult = await this.db.query(`
+      SELECT ${listingColumns} FROM products p ${listingJoins} WHERE p.parent_id::text = $1 AND p.is_active = true ORDER BY p.sku
+    `, [String(productId), String(channelId)]);
+
+    const standalone = variantResult.rows.length === 0;
+    const toVariant = row => ({
+      productId: row.id,
+      sku: row.sku,
+      name: standalone ? (row.listing_title || row.name) : row.name,
+      price: parseFloat(row.listing_price ?? row.base_price),
+      quantity: row.quantity,
+      options: row.options || {},
+      barcode: row.barcode,
+      barcode_type: row.barcode_type,
+      mpn: row.mpn,
+      weight: row.weight ? parseFloat(row.weight) : null,
+      images: row.images || [],
+      channelProductId: row.channel_product_id
+    });
+
+    return {
+      productId: unit.id,
+      sku: unit.sku,
+      title: unit.listing_title || unit.name,
+      description: unit.listing_description ?? unit.description,
+      brand: unit.brand,
+      category: unit.category,
+      images: unit.images || [],
+      optionAxes: unit.option_axes || [],
+      standalone,
+      channelProductId: unit.channel_product_id,
+      attributes: unit.listing_attributes || {},
+      variants: standalone ? [toVariant(unit)] : variantResult.rows.map(toVariant)
+    };
+  }
+
+  /**
+   * Store one variant's publish outcome on its channel_products row
+   */
+  async recordResult(channelId, productId, result) {
+    const status = result.success ? result.status : 'failed';
+
+    await this.db.query(`
+      UPDATE channel_products
+      SET publish_status = $3,
+          publish_error = $4,
+          publish_reference = COALESCE($5, publish_reference),
+          channel_sku = COALESCE($6, channel_sku),
+          channel_product_id = COALESCE($7, channel_product_id),
+          published_at = CASE WHEN $3 = 'published' THEN CURRENT_TIMESTAMP ELSE published_at END,
+          sync_status = CASE WHEN $3 = 'published' THEN 'synced' ELSE sync_status END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE product_id::text = $1 AND channel_id::text = $2
+    `, [
+      String(productId), String(channelId), status, result.success ? null : result.error,
+      result.reference || null, result.channelSku || null, result.channelProductId || null
+    ]);
+  }
+
+  /**
+   * A family's own row: failed if any variant failed, pending while any is pending, else published
+   */
+  async updateUnitStatus(channelId, listing) {
+    if (listing.standalone) return;
+
+    await this.db.query(`
+      UPDATE channel_products unit
+      SET publish_status = CASE
+            WHEN summary.failed THEN 'failed'
+            WHEN summary.pending THEN 'pending'
+            ELSE 'published'
+          END,
+          publish_error = CASE WHEN summary.failed THEN 'One or more variants failed to publish' ELSE NULL END,
+          channel_product_id = COALESCE(summary.channel_product_id, unit.channel_product_id),
+          published_at = CASE WHEN summary.published THEN CURRENT_TIMESTAMP ELSE unit.published_at END,
+          updated_at = CURRENT_TIMESTAMP
+      FROM (
+        SELECT bool_or(v.publish_status = 'failed') as failed,
+               bool_or(v.publish_status IN ('queued', 'pending')) as pending,
+               bool_and(v.publish_status = 'published') as published,
+               max(v.channel_product_id) as channel_product_id
+        FROM channel_products v
+        JOIN products p ON p.id = v.product_id
+        WHERE p.parent_id::text = $1 AND v.channel_id::text = $2
+      ) summary
+      WHERE unit.product_id::text = $1 AND unit.channel_id::text = $2 AND summary.published IS NOT NULL
+    `, [String(listing.productId), String(channelId)]);
+  }
+
+  /**
+   * Ask the channel about listings still 'pending' (Mirakl imports, Amazon submissions)
+   * Returns the listings that settled as published or failed
+   */
+  async refreshPending(channel) {
+    const adapter = channelRegistry.resolve(channel);
+    const pending = await this.db.query(`
+      SELECT cp.product_id, p.sku, p.parent_id, cp.publish_reference as reference, cp.channel_sku, cp.channel_product_id
+      FROM channel_products cp
+      JOIN products p ON p.id = cp.product_id
+      WHERE cp.channel_id::text = $1 AND cp.publish_status = 'pending'
+        AND NOT EXISTS (SELECT 1 FROM products child WHERE child.parent_id = p.id)
+    `, [String(channel.id)]);
+
+    if (pending.rows.length === 0) return [];
+
+    const apiConfig = channelCredentials.parseApiConfig(channel.api_config);
+    const results = await adapter.checkPublishedListings(apiConfig, pending.rows.map(row => ({
+      sku: row.sku,
+      reference: row.reference,
+      channelSku: row.channel_sku,
+      channelProductId: row.channel_product_id
+    })));
+
+    const parents = new Set();
+    const settled = [];
+    for (const row of pending.rows) {
+      const result = results.find(candidate => candidate.sku === row.sku);
+      if (!result || (result.success && result.status === 'pending')) continue;
+
+      await this.recordResult(channel.id, row.product_id, result);
+      if (row.parent_id) parents.add(row.parent_id);
+      settled.push({ productId: row.product_id, sku: row.sku, status: result.success ? result.status : 'failed', error: result.error });
+    }
+
+    for (const parentId of parents) {
+      await this.updateUnitStatus(channel.id, { productId: parentId, standalone: false });
+    }
+
+    return settled;
+  }
+
+  httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = ListingPublisherService;
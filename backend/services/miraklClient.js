@@ -0,0 +1,179 @@
+const ChannelHttpClient = require('./channelHttpClient');
+
+/**
+ * Mirakl Marketplace API client (Best Buy Canada)
+ * Driven by a channel's api_config (api_key, shop_id)
+ * Handles offset pagination and 429 / 5xx backoff
+ */
+class MiraklClient {
+  constructor(apiConfig = {}) {
+    this.apiKey = apiConfig.api_key || process.env.BESTBUY_CANADA_API_KEY;
+    this.shopId = apiConfig.shop_id || process.env.BESTBUY_CANADA_SHOP_ID || null;
+
+    // base_url lets the client target a local stub server instead of the live marketplace
+    this.baseUrl = apiConfig.base_url || 'https://marketplace.bestbuy.ca/api';
+
+    this.pageSize = apiConfig.page_size || 100;
+    this.maxRetries = apiConfig.max_retries || 5;
+    this.timeout = apiConfig.timeout || 30000;
+
+    if (!apiConfig.base_url && !this.apiKey) {
+      throw new Error('Best Buy Canada configuration missing: api_key is required');
+    }
+
+    // Mirakl does not publish a global limit; stay well under the per-operation caps by default
+    const rateLimit = apiConfig.rate_limit || {};
+    this.http = ChannelHttpClient.for(`mirakl:${this.baseUrl}:${this.shopId || 'default'}`, {
+      label: 'Mirakl',
+      baseURL: this.baseUrl,
+      timeout: this.timeout,
+      maxRetries: this.maxRetries,
+      rateLimits: {
+        default: { rate: rateLimit.requests_per_second || 1, burst: rateLimit.burst || 5 }
+      },
+      headers: {
+        'Authorization': this.apiKey,
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  /**
+   * Perform a request through the shop's rate limiter (429 / 5xx retries happen there)
+   */
+  async request(method, url, { params, data, headers } = {}) {
+    const query = this.shopId ? { shop_id: this.shopId, ...params } : params;
+
+    try {
+      return await this.http.request({ method, url, params: query, data, headers });
+    } catch (error) {
+      if (error.code === 'CIRCUIT_OPEN') throw error;
+
+      const detail = error.response?.data?.message || error.response?.data || error.message;
+      throw new Error(`Mirakl API ${method.toUpperCase()} ${url} failed: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+    }
+  }
+
+  /**
+   * GET a collection page by page using offset/max until total_count is reached
+   */
+  async paginate(url, rootKey, params = {}) {
+    const records = [];
+    let offset = 0;
+
+    while (true) {
+      const response = await this.request('get', url, {
+        params: { ...params, offset, max: this.pageSize }
+      });
+
+      const page = response.data[rootKey] || [];
+      records.push(...page);
+      offset += page.length;
+
+      const total = response.data.total_count;
+      if (page.length === 0 || (typeof total === 'number' ? offset >= total : page.length < this.pageSize)) {
+        break;
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * OR11 - List orders filtered by state and last update window
+   */
+  async getOrders({ states, updatedSince, updatedUntil, orderIds } = {}) {
+    const params = {};
+    if (states && states.length > 0) params.order_state_codes = states.join(',');
+    if (updatedSince) params.start_update_date = new Date(updatedSince).toISOString();
+    if (updatedUntil) params.end_update_date = new Date(updatedUntil).toISOString();
+    if (orderIds && orderIds.length > 0) params.order_ids = orderIds.join(',');
+
+    return this.paginate('/orders', 'orders', params);
+  }
+
+  /**
+   * OR11 - Fetch a single order by ID
+   */
+  async getOrder(orderId) {
+    const orders = await this.getOrders({ orderIds: [orderId] });
+    return orders[0] || null;
+  }
+
+  /**
+   * OR21 - Accept or refuse the lines of an order
+   * Mirakl requires a decision for every line still waiting for acceptance
+   */
+  async acceptOrderLines(orderId, lines) {
+    const response = await this.request('put', `/orders/${encodeURIComponent(orderId)}/accept`, {
+      data: {
+        order_lines: lines.map(line => ({
+          id: line.lineId,
+          accepted: line.accepted
+        }))
+      }
+    });
+
+    return response.data || {};
+  }
+
+  /**
+   * OF21 - List the shop's offers
+   */
+  async getOffers(params = {}) {
+    return this.paginate('/offers', 'offers', params);
+  }
+
+  /**
+   * OF22 - Fetch a single offer by ID
+   */
+  async getOffer(offerId) {
+    const response = await this.request('get', `/offers/${encodeURIComponent(offerId)}`);
+    return response.data;
+  }
+
+  /**
+   * OF01 - import an offers CSV (semicolon separated)
+   * PARTIAL_UPDATE only touches the columns present in the file
+   */
+  async importOffers(csv, importMode = 'PARTIAL_UPDATE') {
+    const form = new FormData();
+    form.append('file', new Blob([csv], { type: 'text/csv' }), 'offers.csv');
+    form.append('import_mode', importMode);
+
+    const response = await this.request('post', '/offers/imports', {
+      data: form,
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  }
+
+  /**
+   * OF02 - status of an offers import
+   */
+  async getOfferImport(importId) {
+    const response = await this.request('get', `/offers/imports/${encodeURIComponent(importId)}`);
+    return response.data;
+  }
+
+  /**
+   * OF03 - error report of an offers import: the imported CSV with an error-message column
+   */
+  async getOfferImportErrorReport(importId) {
+    const response = await this.request('get', `/offers/imports/${encodeURIComponent(importId)}/error_report`, {
+      headers: { 'Accept': 'text/csv' }
+    });
+    return typeof response.data === 'string' ? response.data : String(response.data);
+  }
+
+  /**
+   * A02 - Shop account information (used for connection tests)
+   */
+  async getAccount() {
+    const response = await this.request('get', '/account');
+    return response.data;
+  }
+}
+
+module.exports = MiraklClient;
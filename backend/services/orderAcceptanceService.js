@@ -0,0 +1,278 @@
+const { Pool } = require('pg');
+const MiraklClient = require('./miraklClient');
+const channelCredentials = require('./channels/channelCredentials');
+const StockAllocationService = require('./stockAllocationService');
+
+/**
+ * Order Acceptance Service - Mirakl (Best Buy Canada) OR11/OR21 workflow
+ * New marketplace orders wait in WAITING_ACCEPTANCE until every line is
+ * accepted or refused; unanswered orders expire on the marketplace.
+ */
+class OrderAcceptanceService {
+  constructor(db = null) {
+    this.db = db || new Pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+
+    this.allocation = new StockAllocationService(this.db);
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize service and create decision audit table
+   */
+  async initialize() {
+    try {
+      await this.db.query('SELECT NOW()');
+      await this.createTables();
+
+      this.isInitialized = true;
+      console.log('✅ OrderAcceptanceService initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ OrderAcceptanceService initialization failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Create order line decision table
+   */
+  async createTables() {
+    await this.db.query(`
+      CREATE TABLE IF NOT EXISTS order_line_decisions (
+        id SERIAL PRIMARY KEY,
+        channel_id VARCHAR(100),
+        order_id VARCHAR(255) NOT NULL,
+        order_line_id VARCHAR(255) NOT NULL,
+        sku VARCHAR(100),
+        quantity INTEGER,
+        accepted BOOLEAN NOT NULL,
+        reason TEXT,
+        decided_by VARCHAR(100),
+        is_automatic BOOLEAN DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await this.db.query(`
+      CREATE INDEX IF NOT EXISTS idx_order_line_decisions_order ON order_line_decisions(order_id)
+    `);
+  }
+
+  /**
+   * Resolve a Best Buy channel row by ID, or the first active Best Buy channel
+   */
+  async getChannel(channelId = null) {
+    const result = channelId
+      ? await this.db.query(`
+          SELECT id, name, channel_type, api_config FROM channels WHERE id::text = $1::text
+        `, [channelId])
+      : await this.db.query(`
+          SELECT id, name, channel_type, api_config FROM channels
+          WHERE is_active = true AND (LOWER(channel_type) = 'bestbuy' OR LOWER(name) = 'bestbuy')
+          ORDER BY created_at ASC
+          LIMIT 1
+        `);
+
+    if (result.rows.length === 0) {
+      throw new Error(channelId ? `Channel not found: ${channelId}` : 'No active Best Buy channel configured');
+    }
+
+    const channel = result.rows[0];
+    channel.api_config = channelCredentials.parseApiConfig(channel.api_config);
+
+    return channel;
+  }
+
+  /**
+   * List orders waiting for acceptance on the marketplace
+   */
+  async getPendingOrders(channel) {
+    const client = new MiraklClient(channel.api_config || {});
+    return client.getOrders({ states: ['WAITING_ACCEPTANCE'] });
+  }
+
+  /**
+   * Accept or refuse lines of an order
+   * decisions: [{ lineId, accepted, reason }]
+   */
+  async decideOrderLines(channel, orderId, decisions, decidedBy = 'api', isAutomatic = false) {
+    const client = new MiraklClient(channel.api_config || {});
+    const order = await client.getOrder(orderId);
+
+    if (!order) {
+      throw new Error(`Order not found on marketplace: ${orderId}`);
+    }
+
+    if (order.order_state !== 'WAITING_ACCEPTANCE') {
+      throw new Error(`Order ${orderId} is not waiting for acceptance (state: ${order.order_state})`);
+    }
+
+    const waitingLines = (order.order_lines || []).filter(
+      line => (line.order_line_state || 'WAITING_ACCEPTANCE') === 'WAITING_ACCEPTANCE'
+    );
+    const decisionsByLine = new Map(decisions.map(decision => [String(decision.lineId), decision]));
+
+    const missing = waitingLines.filter(line => !decisionsByLine.has(String(line.order_line_id)));
+    if (missing.length > 0) {
+      throw new Error(`Every waiting line needs a decision; missing: ${missing.map(line => line.order_line_id).join(', ')}`);
+    }
+
+    const unknown = decisions.filter(
+      decision => !waitingLines.some(line => String(line.order_line_id) === String(decision.lineId))
+    );
+    if (unknown.length > 0) {
+      throw new Error(`Unknown or already decided order lines: ${unknown.map(decision => decision.lineId).join(', ')}`);
+    }
+
+    await client.acceptOrderLines(orderId, decisions.map(decision => ({
+      lineId: decision.lineId,
+      accepted: !!decision.accepted
+    })));
+
+    for (const line of waitingLines) {
+      const decision = decisionsByLine.get(String(line.order_line_id));
+      await this.recordDecision(channel.id, orderId, line, !!decision.accepted, decision.reason, decidedBy, isAutomatic);
+    }
+
+    const accepted = decisions.filter(decision => decision.accepted).length;
+    console.log(`✅ Order ${orderId}: ${accepted} line(s) accepted, ${decisions.length - accepted} refused`);
+
+    return {
+      orderId,
+      accepted,
+      refused: decisions.length - accepted,
+      decisions
+    };
+  }
+
+  /**
+   * Apply the channel's auto-accept rules to every order waiting for acceptance
+   *
+   * api_config.auto_accept: {
+   *   enabled: true,
+   *   min_remaining: 0,           // stock that must remain after the line is accepted
+   *   refuse_out_of_stock: false  // refuse instead of leaving the order for manual review
+   * }
+   */
+  async autoAcceptPendingOrders(channel) {
+    const rules = channel.api_config?.auto_accept || {};
+    if (!rules.enabled) {
+      return { processed: 0, accepted: 0, skipped: 0, results: [] };
+    }
+
+    const orders = await this.getPendingOrders(channel);
+    const results = [];
+
+    for (const order of orders) {
+      try {
+        const decisions = await this.evaluateOrder(order, rules, channel.channel_type || channel.name);
+
+        if (!decisions) {
+          results.push({ orderId: order.order_id, status: 'manual_review' });
+          continue;
+        }
+
+        const result = await this.decideOrderLines(channel, order.order_id, decisions, 'auto_accept', true);
+        results.push({ orderId: order.order_id, status: 'decided', ...result });
+      } catch (error) {
+        console.error(`❌ Auto-accept failed for order ${order.order_id}:`, error.message);
+        results.push({ orderId: order.order_id, status: 'error', error: error.message });
+      }
+    }
+
+    return {
+      processed: orders.length,
+      accepted: results.filter(r => r.status === 'decided').length,
+      skipped: results.filter(r => r.status !== 'decided').length,
+      results
+    };
+  }
+
+  /**
+   * Decide each waiting line from available stock
+   * Returns null when the order should be left for a person to decide
+   */
+  async evaluateOrder(order, rules, channelType) {
+    const minRemaining = rules.min_remaining || 0;
+    const claimed = new Map();
+    const decisions = [];
+
+    const waitingLines = (order.order_lines || []).filter(
+      line => (line.order_line_state || 'WAITING_ACCEPTANCE') === 'WAITING_ACCEPTANCE'
+    );
+
+    for (const line of waitingLines) {
+      const sku = line.offer_sku;
+      const available = await this.getAvailableStock(sku, channelType);
+      const alreadyClaimed = claimed.get(sku) || 0;
+      const inStock = available - alreadyClaimed - line.quantity >= minRemaining;
+
+      if (inStock) {
+        claimed.set(sku, alreadyClaimed + line.quantity);
+        decisions.push({ lineId: line.order_line_id, accepted: true, reason: 'Stock available' });
+      } else if (rules.refuse_out_of_stock) {
+        decisions.push({ lineId: line.order_line_id, accepted: false, reason: `Insufficient stock (available: ${available - alreadyClaimed})` });
+      } else {
+        return null;
+      }
+    }
+
+    return decisions;
+  }
+
+  /**
+   * Stock a SKU can still sell: the shared pool (channel rows and warehouse bins) less
+   * safety stock, the same figure oversell prevention holds channels to
+   */
+  async getAvailableStock(sku, channelType) {
+    const product = await this.db.query('SELECT id::text as id FROM products WHERE sku = $1', [sku]);
+    if (product.rows.length === 0) return 0;
+
+    const { id } = product.rows[0];
+    const [pools, settings] = await Promise.all([
+      this.allocation.getPoolQuantities([id]),
+      this.allocation.getSettings()
+    ]);
+
+    return this.allocation.advertisedQuantity(pools.get(id), null, settings, channelType);
+  }
+
+  /**
+   * Record a line decision for audit
+   */
+  async recordDecision(channelId, orderId, line, accepted, reason, decidedBy, isAutomatic) {
+    await this.db.query(`
+      INSERT INTO order_line_decisions (
+        channel_id, order_id, order_line_id, sku, quantity, accepted, reason, decided_by, is_automatic
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+      channelId ? String(channelId) : null,
+      orderId,
+      String(line.order_line_id),
+      line.offer_sku,
+      line.quantity,
+      accepted,
+      reason || null,
+      decidedBy,
+      isAutomatic
+    ]);
+  }
+
+  /**
+   * Get decision history for an order
+   */
+  async getDecisionHistory(orderId) {
+    const result = await this.db.query(`
+      SELECT * FROM order_line_decisions
+      WHERE order_id = $1
+      ORDER BY created_at DESC
+    `, [orderId]);
+
+    return result.rows;
+  }
+}
+
+module.exports = OrderAcceptanceService;
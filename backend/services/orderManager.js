@@ -1,16 +1,23 @@
 const { Pool } = require('pg');
+const InventoryPushService = require('./inventoryPushService');
+const InventoryService = require('./inventoryService');
+const FulfillmentService = require('./fulfillmentService');
 
 /**
  * Order Management System - Handles order status tracking and workflow management
  * Provides comprehensive order lifecycle management across all channels
  */
 class OrderManager {
-  constructor() {
-    this.db = new Pool({
+  constructor(db = null) {
+    this.db = db || new Pool({
       connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
       ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
     });
     
+    this.inventoryPush = new InventoryPushService(this.db);
+    this.inventory = new InventoryService(this.db);
+    this.fulfillment = new FulfillmentService(this.db);
+    this.statusSubscribers = new Set();
     this.isInitialized = false;
     this.orderStatuses = [
       'pending', 'authorized', 'paid', 'processing', 'shipped', 
@@ -29,6 +36,7 @@ class OrderManager {
     try {
       await this.db.query('SELECT NOW()');
       await this.createTables();
+      await this.inventory.initialize();
       
       this.isInitialized = true;
       console.log('✅ OrderManager initialized successfully');
@@ -162,6 +170,19 @@ class OrderManager {
       // Trigger notifications if needed
       await this.triggerStatusNotifications(order, newStatus, newFulfillment);
 
+      this.notifyStatusSubscribers({
+        orderId: order.id,
+        externalOrderId: order.external_order_id,
+        channel: order.channel_name || 'default',
+        previousStatus,
+        newStatus,
+        previousFulfillment,
+        newFulfillment: newFulfillment || previousFulfillment,
+        reason,
+        changedBy,
+        timestamp: new Date().toISOString()
+      });
+
       return {
         success: true,
         order: updatedOrder.rows[0],
@@ -396,6 +417,24 @@ class OrderManager {
     }
   }
 
+  subscribeToStatusChanges(callback) {
+    this.statusSubscribers.add(callback);
+  }
+
+  unsubscribeFromStatusChanges(callback) {
+    this.statusSubscribers.delete(callback);
+  }
+
+  notifyStatusSubscribers(change) {
+    for (const callback of this.statusSubscribers) {
+      try {
+        callback(change);
+      } catch (error) {
+        console.error('Order status notification error:', error);
+      }
+    }
+  }
+
   /**
    * Get order status history
    */
@@ -412,7 +451,7 @@ class OrderManager {
   /**
    * Get orders by status
    */
-  async getOrdersByStatus(status, channelName = null, limit = 50, offset = 0) {
+  async getOrdersByStatus(status, channelName = null, limit = 50, offset = 0, channelId = null) {
     let query = `
       SELECT so.*, 
              COUNT(osh.id) as status_changes
@@ -427,6 +466,11 @@ class OrderManager {
       params.push(channelName);
     }
 
+    if (channelId) {
+      query += ` AND so.channel_id::text = $${params.length + 1}`;
+      params.push(String(channelId));
+    }
+
     query += `
       GROUP BY so.id
       ORDER BY so.order_date DESC
@@ -486,7 +530,7 @@ class OrderManager {
   /**
    * Get order analytics
    */
-  async getOrderAnalytics(startDate, endDate, channelName = null) {
+  async getOrderAnalytics(startDate, endDate, channelName = null, channelId = null) {
     let query = `
       SELECT 
         order_status,
@@ -501,8 +545,13 @@ class OrderManager {
     const params = [startDate, endDate];
 
     if (channelName) {
-      query += ` AND channel_name = $3`;
       params.push(channelName);
+      query += ` AND channel_name = $${params.length}`;
+    }
+
+    if (channelId) {
+      params.push(String(channelId));
+      query += ` AND channel_id::text = $${params.length}`;
     }
 
     query += `
@@ -552,14 +601,46 @@ class OrderManager {
   }
 
   /**
-   * Placeholder methods for future integrations
+   * Apply a workflow inventory operation to the order's stock
+   * reserve | release (cancellation) | fulfill (shipped) | restock (returned)
    */
   async updateInventoryAction(order, operation) {
-    console.log(`📦 Inventory action: ${operation} for order ${order.external_order_id}`);
+    // Warehouses take what they stock first; the channel row covers the rest of each line
+    const operations = {
+      reserve: async () => [
+        ...await this.fulfillment.allocateSalesOrder(order, 'order_workflow'),
+        ...await this.inventory.reserveOrder(order, 'order_workflow')
+      ],
+      release: async () => [
+        ...await this.inventory.releaseOrder(order, 'order_workflow'),
+        ...await this.fulfillment.releaseAllocations(order.id, 'order_workflow')
+      ],
+      fulfill: async () => [
+        ...await this.fulfillment.allocateSalesOrder(order, 'order_workflow'),
+        ...await this.fulfillment.shipAllocations(order.id, 'order_workflow'),
+        ...await this.inventory.fulfillOrder(order, 'order_workflow')
+      ],
+      restock: async () => [
+        ...await this.inventory.restockOrder(order, 'order_workflow'),
+        ...await this.fulfillment.returnAllocations(order.id, 'order_workflow')
+      ]
+    };
+
+    if (!operations[operation]) {
+      console.log(`⚠️ Unknown inventory operation: ${operation}`);
+      return;
+    }
+
+    const movements = await operations[operation]();
+    console.log(`📦 Inventory ${operation} for order ${order.external_order_id}: ${movements.length} movements`);
   }
 
+  /**
+   * Publish the stock of the order's SKUs to the channel (or every channel when none is given)
+   */
   async syncOrderToChannel(order, channel) {
-    console.log(`🔄 Syncing order ${order.external_order_id} to ${channel}`);
+    const jobs = await this.inventoryPush.queuePushForOrder(order, channel || null);
+    console.log(`🔄 Syncing order ${order.external_order_id} to ${channel || 'all channels'}: ${jobs.length} inventory push jobs queued`);
   }
 
   async createShipmentAction(order, carrier) {
@@ -570,6 +651,7 @@ class OrderManager {
    * Close database connection
    */
   async close() {
+    // Sub-services share this pool, so it is ended once
     await this.db.end();
   }
 }
@@ -0,0 +1,734 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { Pool } = require('pg');
+const StockAllocationService = require('./stockAllocationService');
+
+// Endpoints may not resolve to loopback, private, link-local (cloud metadata), CGNAT,
+// multicast or reserved addresses
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup that fails for blocked addresses; used by the delivery agents so the address
+ * checked is the one connected to (no DNS rebinding between check and request)
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      const blockedError = new Error(`${hostname} resolves to a private or reserved address (${blocked.address})`);
+      blockedError.code = 'EBLOCKEDADDRESS';
+      return callback(blockedError);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Outbound Webhook Service
+ * Delivers portal events to user-configured endpoints (ERP, Slack bots, ...).
+ *
+ * Events:
+ *   order.status_changed    - OrderManager.updateOrderStatus
+ *   inventory.reorder_point - available quantity fell to or below the reorder point (per channel
+ *                             row, or for the pooled stock when reorder points are automatic)
+ *   quality.alert           - DataQualityMonitor.createAlert
+ *   webhook.test            - test sends (delivered to the one endpoint regardless of filters)
+ *
+ * Each event is queued as one delivery per subscribed endpoint and POSTed as JSON with
+ * an HMAC-SHA256 signature of `${timestamp}.${body}` in X-Portal-Signature. Failed
+ * deliveries are retried with exponential backoff; every delivery keeps its last response
+ * status and a short excerpt of the body.
+ *
+ * Endpoint hosts must resolve to public addresses, checked when an endpoint is saved and
+ * again on every delivery.
+ */
+class OutboundWebhookService {
+  constructor(db = null) {
+    this.db = db || new Pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+
+    this.allocation = new StockAllocationService(this.db);
+    this.eventTypes = ['order.status_changed', 'inventory.reorder_point', 'quality.alert', 'webhook.test'];
+    this.maxAttempts = parseInt(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS) || 8;
+    this.baseRetryDelayMs = 30 * 1000;
+    this.maxRetryDelayMs = 6 * 60 * 60 * 1000;
+    this.requestTimeoutMs = 10000;
+    this.stuckDeliveryTimeoutMs = 5 * 60 * 1000;
+    this.maxResponseBodyLength = 256;
+    this.maxResponseDownloadBytes = 64 * 1024;
+    this.httpAgent = new http.Agent({ lookup: publicLookup });
+    this.httpsAgent = new https.Agent({ lookup: publicLookup });
+    this.processTimer = null;
+    this.isProcessing = false;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize outbound webhook service
+   */
+  async initialize() {
+    try {
+      await this.db.query('SELECT NOW()');
+      await this.createTables();
+
+      this.isInitialized = true;
+      console.log('✅ OutboundWebhookService initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ OutboundWebhookService initialization failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Create endpoint, delivery and reorder notice tables
+   */
+  async createTables() {
+    await this.db.query(`
+      CREATE TABLE IF NOT EXISTS outbound_webhook_endpoints (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        url TEXT NOT NULL,
+        secret VARCHAR(100) NOT NULL,
+        event_types TEXT[] NOT NULL DEFAULT ARRAY['*'],
+        is_active BOOLEAN DEFAULT true,
+        consecutive_failures INTEGER DEFAULT 0,
+        last_success_at TIMESTAMP,
+        last_failure_at TIMESTAMP,
+        created_by VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await this.db.query(`
+      CREATE TABLE IF NOT EXISTS outbound_webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        endpoint_id INTEGER NOT NULL REFERENCES outbound_webhook_endpoints(id) ON DELETE CASCADE,
+        event_id VARCHAR(100) NOT NULL,
+        event_type VARCHAR(100) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 8,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        locked_at TIMESTAMP,
+        response_status INTEGER,
+        response_body TEXT,
+        error_message TEXT,
+        duration_ms INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_attempt_at TIMESTAMP,
+        delivered_at TIMESTAMP
+      )
+    `);
+
+    await this.db.query(`
+      CREATE INDEX IF NOT EXISTS idx_outbound_webhook_deliveries_due
+      ON outbound_webhook_deliveries(next_attempt_at) WHERE status = 'pending'
+    `);
+
+    await this.db.query(`
+      CREATE INDEX IF NOT EXISTS idx_outbound_webhook_deliveries_endpoint
+      ON outbound_webhook_deliveries(endpoint_id, created_at DESC)
+    `);
+
+    // One row per inventory record currently at or below its reorder point, so each crossing is sent once
+    // (channel_id '' for the pooled stock of a product with an automatic reorder point)
+    await this.db.query(`
+      CREATE TABLE IF NOT EXISTS reorder_point_notices (
+        product_id VARCHAR(100) NOT NULL,
+        channel_id VARCHAR(100) NOT NULL,
+        available_quantity INTEGER,
+        reorder_point INTEGER,
+        notified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (product_id, channel_id)
+      )
+    `);
+  }
+
+  // =====================================================
+  // ENDPOINTS
+  // =====================================================
+
+  /**
+   * Create an endpoint; the full secret is only returned here
+   */
+  async createEndpoint({ name, url, secret, eventTypes = ['*'], isActive = true }, createdBy = 'api') {
+    await this.validateEndpoint({ name, url, eventTypes });
+
+    const result = await this.db.query(`
+      INSERT INTO outbound_webhook_endpoints (name, url, secret, event_types, is_active, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [name, url, secret || this.generateSecret(), eventTypes, isActive, createdBy]);
+
+    return result.rows[0];
+  }
+
+  async updateEndpoint(endpointId, { name, url, secret, eventTypes, isActive }) {
+    const endpoint = await this.getEndpointRow(endpointId);
+    if (!endpoint) {
+      throw this.httpError(404, 'Outbound webhook endpoint not found');
+    }
+
+    await this.validateEndpoint({
+      name: name ?? endpoint.name,
+      url: url ?? endpoint.url,
+      eventTypes: eventTypes ?? endpoint.event_types
+    });
+
+    const result = await this.db.query(`
+      UPDATE outbound_webhook_endpoints
+      SET name = COALESCE($1, name),
+          url = COALESCE($2, url),
+          secret = COALESCE($3, secret),
+          event_types = COALESCE($4, event_types),
+          is_active = COALESCE($5, is_active),
+          consecutive_failures = CASE WHEN $5 = true THEN 0 ELSE consecutive_failures END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6
+      RETURNING *
+    `, [name ?? null, url ?? null, secret ?? null, eventTypes ?? null, isActive ?? null, endpoint.id]);
+
+    return this.maskEndpoint(result.rows[0]);
+  }
+
+  async deleteEndpoint(endpointId) {
+    const result = await this.db.query('DELETE FROM outbound_webhook_endpoints WHERE id = $1 RETURNING id', [endpointId]);
+    if (result.rows.length === 0) {
+      throw this.httpError(404, 'Outbound webhook endpoint not found');
+    }
+  }
+
+  async getEndpoints() {
+    const result = await this.db.query(`
+      SELECT e.*,
+        COUNT(d.id) FILTER (WHERE d.status = 'pending')::int as pending_deliveries,
+        COUNT(d.id) FILTER (WHERE d.status = 'failed')::int as failed_deliveries
+      FROM outbound_webhook_endpoints e
+      LEFT JOIN outbound_webhook_deliveries d ON d.endpoint_id = e.id
+      GROUP BY e.id
+      ORDER BY e.name
+    `);
+
+    return result.rows.map(row => this.maskEndpoint(row));
+  }
+
+  async getEndpoint(endpointId) {
+    const endpoint = await this.getEndpointRow(endpointId);
+    return endpoint ? this.maskEndpoint(endpoint) : null;
+  }
+
+  async getEndpointRow(endpointId) {
+    const result = await this.db.query('SELECT * FROM outbound_webhook_endpoints WHERE id = $1', [endpointId]);
+    return result.rows[0] || null;
+  }
+
+  async validateEndpoint({ name, url, eventTypes }) {
+    if (!name || !url) {
+      throw this.httpError(400, 'name and url are required');
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw this.httpError(400, `Invalid url: ${url}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw this.httpError(400, 'url must use http or https');
+    }
+    await this.assertPublicHost(parsed.hostname);
+
+    if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+      throw this.httpError(400, 'eventTypes must be a non-empty array');
+    }
+    const unknown = eventTypes.filter(type => type !== '*' && !this.eventTypes.includes(type));
+    if (unknown.length > 0) {
+      throw this.httpError(400, `Unknown event types: ${unknown.join(', ')}. Supported: ${this.eventTypes.join(', ')}`);
+    }
+  }
+
+  /**
+   * Reject hosts that are, or resolve to, private or reserved addresses
+   */
+  async assertPublicHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+      addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    } catch (error) {
+      throw this.httpError(400, `Cannot resolve ${host}: ${error.code || error.message}`);
+    }
+
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      throw this.httpError(400, `url must be a public address; ${host} resolves to ${blocked.address}`);
+    }
+  }
+
+  maskEndpoint(endpoint) {
+    const { secret, ...rest } = endpoint;
+    return { ...rest, secret: secret ? `${'*'.repeat(8)}${secret.slice(-4)}` : null };
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  // =====================================================
+  // EVENTS AND DELIVERY
+  // =====================================================
+
+  /**
+   * Queue an event for every active endpoint subscribed to its type
+   * Never throws - callers emit from inside their own workflows
+   */
+  async emit(eventType, data) {
+    try {
+      const endpoints = await this.db.query(`
+        SELECT id FROM outbound_webhook_endpoints
+        WHERE is_active = true AND ($1 = ANY(event_types) OR '*' = ANY(event_types))
+      `, [eventType]);
+
+      if (endpoints.rows.length === 0) return [];
+
+      const deliveries = [];
+      for (const endpoint of endpoints.rows) {
+        deliveries.push(await this.queueDelivery(endpoint.id, eventType, data));
+      }
+
+      this.processDeliveriesSoon();
+      return deliveries;
+    } catch (error) {
+      console.error(`❌ Failed to queue outbound ${eventType} webhook:`, error.message);
+      return [];
+    }
+  }
+
+  async queueDelivery(endpointId, eventType, data) {
+    const eventId = crypto.randomUUID();
+    const payload = { id: eventId, type: eventType, created_at: new Date().toISOString(), data };
+
+    const result = await this.db.query(`
+      INSERT INTO outbound_webhook_deliveries (endpoint_id, event_id, event_type, payload, max_attempts)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [endpointId, eventId, eventType, JSON.stringify(payload), this.maxAttempts]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Send a webhook.test event to one endpoint now and return the delivery
+   */
+  async sendTest(endpointId) {
+    const endpoint = await this.getEndpointRow(endpointId);
+    if (!endpoint) {
+      throw this.httpError(404, 'Outbound webhook endpoint not found');
+    }
+
+    const delivery = await this.queueDelivery(endpoint.id, 'webhook.test', {
+      message: 'Test delivery from the e-commerce portal',
+      endpoint: { id: endpoint.id, name: endpoint.name }
+    });
+
+    // Tests are one-shot: the caller sees the result instead of waiting on retries
+    await this.db.query(`
+      UPDATE outbound_webhook_deliveries SET status = 'delivering', locked_at = CURRENT_TIMESTAMP, max_attempts = 1
+      WHERE id = $1
+    `, [delivery.id]);
+
+    return this.deliver({ ...delivery, max_attempts: 1 }, endpoint);
+  }
+
+  /**
+   * Send a logged delivery again now, whatever its status
+   */
+  async redeliver(deliveryId) {
+    const leased = await this.db.query(`
+      UPDATE outbound_webhook_deliveries
+      SET status = 'delivering', locked_at = CURRENT_TIMESTAMP, max_attempts = GREATEST(max_attempts, attempts + 1)
+      WHERE id = $1 AND status != 'delivering'
+      RETURNING *
+    `, [deliveryId]);
+
+    if (leased.rows.length === 0) {
+      const exists = await this.db.query('SELECT id FROM outbound_webhook_deliveries WHERE id = $1', [deliveryId]);
+      throw exists.rows.length === 0
+        ? this.httpError(404, 'Outbound webhook delivery not found')
+        : this.httpError(409, 'Delivery is already being sent');
+    }
+
+    const delivery = leased.rows[0];
+    const endpoint = await this.getEndpointRow(delivery.endpoint_id);
+    return this.deliver(delivery, endpoint);
+  }
+
+  /**
+   * Lease due deliveries and send them
+   */
+  async processDeliveries(limit = 20) {
+    if (this.isProcessing) return { processed: 0 };
+    this.isProcessing = true;
+
+    try {
+      // Deliveries left 'delivering' by a crashed instance go back to the queue
+      await this.db.query(`
+        UPDATE outbound_webhook_deliveries
+        SET status = 'pending', locked_at = NULL
+        WHERE status = 'delivering' AND locked_at < $1
+      `, [new Date(Date.now() - this.stuckDeliveryTimeoutMs)]);
+
+      const leased = await this.db.query(`
+        UPDATE outbound_webhook_deliveries
+        SET status = 'delivering', locked_at = CURRENT_TIMESTAMP
+        WHERE id IN (
+          SELECT d.id
+          FROM outbound_webhook_deliveries d
+          JOIN outbound_webhook_endpoints e ON e.id = d.endpoint_id
+          WHERE d.status = 'pending' AND d.next_attempt_at <= CURRENT_TIMESTAMP AND e.is_active = true
+          ORDER BY d.next_attempt_at
+          LIMIT $1
+          FOR UPDATE OF d SKIP LOCKED
+        )
+        RETURNING *
+      `, [limit]);
+
+      for (const delivery of leased.rows) {
+        const endpoint = await this.getEndpointRow(delivery.endpoint_id);
+        await this.deliver(delivery, endpoint);
+      }
+
+      return { processed: leased.rows.length };
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * POST one leased delivery and record the outcome
+   */
+  async deliver(delivery, endpoint) {
+    const payload = typeof delivery.payload === 'string' ? JSON.parse(delivery.payload) : delivery.payload;
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+
+    let responseStatus = null;
+    let responseBody = null;
+    let errorMessage = null;
+
+    try {
+      const response = await axios.post(endpoint.url, body, {
+        timeout: this.requestTimeoutMs,
+        maxRedirects: 0,
+        maxContentLength: this.maxResponseDownloadBytes,
+        httpAgent: this.httpAgent,
+        httpsAgent: this.httpsAgent,
+        proxy: false,
+        transformResponse: [data => data],
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Ecommerce-Portal-Webhooks/1.0',
+          'X-Portal-Event': delivery.event_type,
+          'X-Portal-Delivery': delivery.event_id,
+          'X-Portal-Timestamp': timestamp,
+          'X-Portal-Signature': `sha256=${this.sign(endpoint.secret, timestamp, body)}`
+        }
+      });
+
+      responseStatus = response.status;
+      responseBody = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+      if (response.status < 200 || response.status >= 300) {
+        errorMessage = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (error) {
+      errorMessage = error.code ? `${error.code}: ${error.message}` : error.message;
+    }
+
+    const durationMs = Date.now() - startedAt;
+    const attempts = delivery.attempts + 1;
+    const delivered = errorMessage === null;
+    let status = 'delivered';
+    let nextAttemptAt = null;
+
+    if (!delivered) {
+      status = attempts >= delivery.max_attempts ? 'failed' : 'pending';
+      nextAttemptAt = status === 'pending' ? new Date(Date.now() + this.getRetryDelay(attempts)) : null;
+    }
+
+    const result = await this.db.query(`
+      UPDATE outbound_webhook_deliveries
+      SET status = $1,
+          attempts = $2,
+          next_attempt_at = COALESCE($3, next_attempt_at),
+          locked_at = NULL,
+          response_status = $4,
+          response_body = $5,
+          error_message = $6,
+          duration_ms = $7,
+          last_attempt_at = CURRENT_TIMESTAMP,
+          delivered_at = CASE WHEN $1 = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+      WHERE id = $8
+      RETURNING *
+    `, [
+      status, attempts, nextAttemptAt, responseStatus,
+      responseBody ? responseBody.slice(0, this.maxResponseBodyLength) : null,
+      errorMessage, durationMs, delivery.id
+    ]);
+
+    await this.db.query(`
+      UPDATE outbound_webhook_endpoints
+      SET consecutive_failures = CASE WHEN $1 THEN 0 ELSE consecutive_failures + 1 END,
+          last_success_at = CASE WHEN $1 THEN CURRENT_TIMESTAMP ELSE last_success_at END,
+          last_failure_at = CASE WHEN $1 THEN last_failure_at ELSE CURRENT_TIMESTAMP END
+      WHERE id = $2
+    `, [delivered, endpoint.id]);
+
+    if (delivered) {
+      console.log(`📤 Delivered ${delivery.event_type} webhook to ${endpoint.name} (delivery ${delivery.id})`);
+    } else {
+      console.warn(`⚠️ ${delivery.event_type} webhook to ${endpoint.name} failed (attempt ${attempts}/${delivery.max_attempts}): ${errorMessage}`);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Hex HMAC-SHA256 of `${timestamp}.${body}`; receivers recompute it with their copy of the secret
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Exponential backoff with jitter: 30s, 1m, 2m, 4m ... capped at 6h
+   */
+  getRetryDelay(attempts) {
+    const delay = Math.min(this.baseRetryDelayMs * Math.pow(2, attempts - 1), this.maxRetryDelayMs);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  processDeliveriesSoon() {
+    if (this.processTimer) return;
+
+    this.processTimer = setTimeout(async () => {
+      this.processTimer = null;
+      try {
+        await this.processDeliveries();
+      } catch (error) {
+        console.error('Outbound webhook delivery error:', error.message);
+      }
+    }, 1000);
+  }
+
+  // =====================================================
+  // REORDER POINT EVENTS
+  // =====================================================
+
+  /**
+   * Emit inventory.reorder_point for inventory that has dropped to its reorder point since the last check
+   * Scanning inventory catches every writer (channel sync, orders, manual edits). With automatic
+   * reorder points (ReplenishmentService) a calculated product is checked once against its pool.
+   */
+  async checkReorderPoints() {
+    const settings = await this.allocation.getSettings();
+    const automatic = settings.reorder_point_calculation === 'automatic';
+
+    // Channel rows, except products whose pooled stock is checked instead
+    const channelCondition = `
+      i.available_quantity <= i.reorder_point
+      AND NOT ($1::boolean AND EXISTS (SELECT 1 FROM product_replenishment pr WHERE pr.product_id = i.product_id))
+    `;
+
+    const crossed = await this.db.query(`
+      SELECT
+        i.product_id::text as product_id,
+        i.channel_id::text as channel_id,
+        p.sku,
+        p.name as product_name,
+        c.name as channel_name,
+        i.quantity,
+        i.reserved_quantity,
+        i.available_quantity,
+        i.reorder_point,
+        i.reorder_quantity
+      FROM inventory i
+      JOIN products p ON p.id = i.product_id
+      LEFT JOIN channels c ON c.id = i.channel_id
+      WHERE p.is_active = true
+      AND ${channelCondition}
+      AND NOT EXISTS (
+        SELECT 1 FROM reorder_point_notices n
+        WHERE n.product_id = i.product_id::text AND n.channel_id = i.channel_id::text
+      )
+    `, [automatic]);
+
+    for (const row of crossed.rows) {
+      await this.db.query(`
+        INSERT INTO reorder_point_notices (product_id, channel_id, available_quantity, reorder_point)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (product_id, channel_id) DO NOTHING
+      `, [row.product_id, row.channel_id, row.available_quantity, row.reorder_point]);
+
+      await this.emit('inventory.reorder_point', row);
+    }
+
+    // Restocked items can fire again next time they drop
+    await this.db.query(`
+      DELETE FROM reorder_point_notices n
+      WHERE n.channel_id <> ''
+      AND NOT EXISTS (
+        SELECT 1 FROM inventory i
+        WHERE i.product_id::text = n.product_id AND i.channel_id::text = n.channel_id
+        AND ${channelCondition}
+      )
+    `, [automatic]);
+
+    const pooled = automatic ? await this.checkPooledReorderPoints() : 0;
+    if (!automatic) {
+      await this.db.query(`DELETE FROM reorder_point_notices WHERE channel_id = ''`);
+    }
+
+    return { notified: crossed.rows.length + pooled };
+  }
+
+  /**
+   * Compare each calculated product's pooled available quantity with its reorder point
+   */
+  async checkPooledReorderPoints() {
+    const plans = await this.db.query(`
+      SELECT pr.product_id::text as product_id, p.sku, p.name as product_name, pr.reorder_point, pr.reorder_quantity
+      FROM product_replenishment pr
+      JOIN products p ON p.id = pr.product_id
+      WHERE p.is_active = true
+    `);
+    const pools = await this.allocation.getPoolQuantities(plans.rows.map(plan => plan.product_id));
+    const notices = await this.db.query(`SELECT product_id FROM reorder_point_notices WHERE channel_id = ''`);
+    const noticed = new Set(notices.rows.map(notice => notice.product_id));
+    let notified = 0;
+
+    for (const plan of plans.rows) {
+      const pool = pools.get(plan.product_id);
+      const atReorderPoint = pool.available <= plan.reorder_point;
+
+      if (atReorderPoint && !noticed.has(plan.product_id)) {
+        await this.db.query(`
+          INSERT INTO reorder_point_notices (product_id, channel_id, available_quantity, reorder_point)
+          VALUES ($1, '', $2, $3)
+          ON CONFLICT (product_id, channel_id) DO NOTHING
+        `, [plan.product_id, pool.available, plan.reorder_point]);
+
+        await this.emit('inventory.reorder_point', {
+          product_id: plan.product_id,
+          channel_id: null,
+          sku: plan.sku,
+          product_name: plan.product_name,
+          channel_name: null,
+          quantity: pool.on_hand,
+          reserved_quantity: pool.reserved,
+          available_quantity: pool.available,
+          reorder_point: plan.reorder_point,
+          reorder_quantity: plan.reorder_quantity,
+          pooled: true
+        });
+        notified++;
+      } else if (!atReorderPoint && noticed.has(plan.product_id)) {
+        await this.db.query(`DELETE FROM reorder_point_notices WHERE product_id = $1 AND channel_id = ''`, [plan.product_id]);
+      }
+    }
+
+    return notified;
+  }
+
+  /**
+   * Retry due deliveries and check reorder points on an interval
+   */
+  startWorker(intervalSeconds = 60) {
+    console.log(`Starting outbound webhook worker with ${intervalSeconds} second intervals`);
+
+    setInterval(async () => {
+      try {
+        await this.checkReorderPoints();
+        await this.processDeliveries();
+      } catch (error) {
+        console.error('Outbound webhook worker error:', error);
+      }
+    }, intervalSeconds * 1000);
+  }
+
+  // =====================================================
+  // DELIVERY LOGS
+  // =====================================================
+
+  async getDeliveries({ endpointId, status, eventType, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    let query = `
+      SELECT d.*, e.name as endpoint_name, e.url as endpoint_url
+      FROM outbound_webhook_deliveries d
+      JOIN outbound_webhook_endpoints e ON e.id = d.endpoint_id
+      WHERE 1=1
+    `;
+
+    if (endpointId) {
+      params.push(endpointId);
+      query += ` AND d.endpoint_id = $${params.length}`;
+    }
+
+    if (status) {
+      params.push(status);
+      query += ` AND d.status = $${params.length}`;
+    }
+
+    if (eventType) {
+      params.push(eventType);
+      query += ` AND d.event_type = $${params.length}`;
+    }
+
+    params.push(limit, offset);
+    query += ` ORDER BY d.created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await this.db.query(query, params);
+    return result.rows;
+  }
+
+  httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = OutboundWebhookService;
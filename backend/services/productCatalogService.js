@@ -0,0 +1,280 @@
+const { Pool } = require('pg');
+const ProductMatchingService = require('./productMatchingService');
+
+/**
+ * Product Catalog Service
+ * Parent products and their variants. A variant is a products row with parent_id set, so
+ * inventory, orders and channel listings stay keyed by the variant's own SKU; the parent
+ * row holds the shared details and the option axes (e.g. Size, Color) its variants vary on.
+ *
+ * Channel listings are attached to products through ProductMatchingService, so a listing whose
+ * SKU differs from the master's still lands on the same product (matched by barcode, MPN or title).
+ */
+class ProductCatalogService {
+  constructor(db = null) {
+    this.db = db || new Pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+
+    this.matching = new ProductMatchingService(this.db);
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize product catalog service
+   */
+  async initialize() {
+    try {
+      await this.db.query('SELECT NOW()');
+      await this.db.query(`
+        ALTER TABLE products
+          ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES products(id) ON DELETE CASCADE,
+          ADD COLUMN IF NOT EXISTS option_axes TEXT[] DEFAULT '{}',
+          ADD COLUMN IF NOT EXISTS options JSONB DEFAULT '{}',
+          ADD COLUMN IF NOT EXISTS barcode VARCHAR(50),
+          ADD COLUMN IF NOT EXISTS barcode_type VARCHAR(10),
+          ADD COLUMN IF NOT EXISTS images JSONB DEFAULT '[]',
+          ADD COLUMN IF NOT EXISTS mpn VARCHAR(100)
+      `);
+      await this.db.query('CREATE INDEX IF NOT EXISTS idx_products_parent ON products(parent_id)');
+      await this.db.query('CREATE INDEX IF NOT EXISTS idx_products_barcode ON products(barcode)');
+      await this.db.query('CREATE INDEX IF NOT EXISTS idx_products_mpn ON products(LOWER(mpn))');
+      await this.matching.initialize();
+
+      this.isInitialized = true;
+      console.log('✅ ProductCatalogService initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ ProductCatalogService initialization failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Product with its variants and option axes; a variant also returns its parent
+   */
+  async getProduct(productId) {
+    const result = await this.db.query(`
+      SELECT * FROM products WHERE id::text = $1 AND is_active = true
+    `, [String(productId)]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const product = result.rows[0];
+
+    const variants = await this.db.query(`
+      SELECT p.id, p.sku, p.name, p.options, p.base_price, p.cost_price, p.barcode, p.barcode_type,
+             p.weight, p.images, p.is_active,
+             COALESCE(SUM(i.available_quantity), 0)::int as available_quantity
+      FROM products p
+      LEFT JOIN inventory i ON i.product_id = p.id
+      WHERE p.parent_id = $1
+      GROUP BY p.id
+      ORDER BY p.sku
+    `, [product.id]);
+
+    const parent = product.parent_id
+      ? (await this.db.query('SELECT id, sku, name, option_axes FROM products WHERE id = $1', [product.parent_id])).rows[0] || null
+      : null;
+
+    return {
+      ...product,
+      parent,
+      options_summary: this.summarizeOptions(product.option_axes || [], variants.rows),
+      variants: variants.rows
+    };
+  }
+
+  /**
+   * Option axes with the values used by the variants, in first-seen order
+   * Axes present on variants but missing from the parent's list are appended
+   */
+  summarizeOptions(optionAxes, variants) {
+    const axes = [...optionAxes];
+    const values = new Map(axes.map(axis => [axis, []]));
+
+    for (const variant of variants) {
+      for (const [axis, value] of Object.entries(variant.options || {})) {
+        if (!values.has(axis)) {
+          axes.push(axis);
+          values.set(axis, []);
+        }
+        if (!values.get(axis).includes(value)) {
+          values.get(axis).push(value);
+        }
+      }
+    }
+
+    return axes.map(axis => ({ name: axis, values: values.get(axis) }));
+  }
+
+  /**
+   * Store a mapped channel product (see ChannelAdapter for the parent / variants shape)
+   * Returns the id of the stored product, or of the parent for a variant family
+   */
+  async storeProduct(product, channelId) {
+    const listings = this.toListings(product);
+
+    if (!product.parent) {
+      return this.storeListing(channelId, listings[0]);
+    }
+
+    const parentId = await this.upsertParent(product);
+
+    for (const listing of listings) {
+      await this.storeListing(channelId, { ...listing, parent_id: parentId });
+    }
+
+    // The parent is listed from its cheapest variant
+    await this.db.query(`
+      UPDATE products
+      SET base_price = COALESCE((SELECT MIN(base_price) FROM products WHERE parent_id = $1), base_price)
+      WHERE id = $1
+    `, [parentId]);
+
+    return parentId;
+  }
+
+  /**
+   * The listings storeProduct attaches for a mapped channel product: the product itself, or
+   * one per variant of a family (storeProduct adds parent_id once the parent row exists)
+   */
+  toListings(product) {
+    if (!product.parent) {
+      const variant = product.variants?.[0] || {};
+      return [{
+        ...product,
+        channelSku: product.channel_sku || product.sku,
+        barcode: variant.barcode,
+        barcode_type: variant.barcode_type,
+        mpn: variant.mpn
+      }];
+    }
+
+    return (product.variants || []).map(variant => ({
+      sku: variant.sku,
+      channelSku: variant.channel_sku || variant.sku,
+      name: this.variantName(product.parent.name || product.name, variant.options),
+      description: product.description,
+      brand: product.brand,
+      category: product.category,
+      price: variant.price,
+      weight: variant.weight,
+      options: variant.options,
+      barcode: variant.barcode,
+      barcode_type: variant.barcode_type,
+      mpn: variant.mpn,
+      images: variant.images?.length ? variant.images : product.images
+    }));
+  }
+
+  /**
+   * Attach one channel listing to its master product and return the product id
+   * A listing matched to a master under another SKU leaves the master's details alone
+   */
+  async storeListing(channelId, listing) {
+    const match = await this.matching.findMatch(channelId, listing);
+    let productId;
+
+    if (match.productId && !match.ownsSku) {
+      productId = match.productId;
+      if (match.method !== 'linked') {
+        await this.matching.recordMatch(channelId, listing, match, 'linked');
+        console.log(`🔗 Matched ${listing.sku} to product ${productId} by ${match.method} (${match.confidence})`);
+      }
+    } else {
+      productId = await this.upsertProduct(listing);
+      if (!match.productId && match.candidates.length > 0) {
+        await this.matching.queueReview(channelId, listing, match.candidates);
+      }
+    }
+
+    await this.upsertChannelProduct(productId, channelId, listing.channelSku, listing.price);
+    return productId;
+  }
+
+  /**
+   * Create or update the parent row; child records (parent.name null) only fill in what's missing
+   */
+  async upsertParent(product) {
+    const { sku, name, option_axes: optionAxes = [] } = product.parent;
+
+    const result = await this.db.query(`
+      INSERT INTO products (sku, name, description, brand, category, base_price, option_axes, images)
+      VALUES ($1, $2, $3, $4, $5, 0, $6, $7)
+      ON CONFLICT (sku) DO UPDATE SET
+        name = CASE WHEN $8 THEN EXCLUDED.name ELSE products.name END,
+        description = CASE WHEN $8 THEN EXCLUDED.description ELSE products.description END,
+        brand = CASE WHEN $8 THEN EXCLUDED.brand ELSE products.brand END,
+        category = CASE WHEN $8 THEN EXCLUDED.category ELSE products.category END,
+        images = CASE WHEN $8 THEN EXCLUDED.images ELSE products.images END,
+        option_axes = CASE WHEN cardinality(EXCLUDED.option_axes) > 0 THEN EXCLUDED.option_axes ELSE products.option_axes END,
+        parent_id = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING id
+    `, [
+      sku, name || product.name, product.description, product.brand, product.category,
+      optionAxes, JSON.stringify(product.images || []), Boolean(name)
+    ]);
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * Insert or update one sellable product row by SKU
+   * parent_id is only changed when given, so standalone syncs don't ungroup manually grouped products
+   */
+  async upsertProduct(fields) {
+    const result = await this.db.query(`
+      INSERT INTO products (sku, name, description, brand, category, base_price, weight, options, barcode, barcode_type, images, parent_id, mpn)
+      VALUES ($1, $2, $3, $4, $5, $6, NULLIF($7::numeric, 0), $8, $9, $10, $11, $12, $14)
+      ON CONFLICT (sku) DO UPDATE SET
+        name = EXCLUDED.name,
+        description = EXCLUDED.description,
+        brand = EXCLUDED.brand,
+        category = EXCLUDED.category,
+        base_price = EXCLUDED.base_price,
+        weight = COALESCE(EXCLUDED.weight, products.weight),
+        options = CASE WHEN $13 THEN EXCLUDED.options ELSE products.options END,
+        barcode = COALESCE(EXCLUDED.barcode, products.barcode),
+        barcode_type = CASE WHEN EXCLUDED.barcode IS NULL THEN products.barcode_type ELSE EXCLUDED.barcode_type END,
+        images = CASE WHEN jsonb_array_length(EXCLUDED.images) > 0 THEN EXCLUDED.images ELSE products.images END,
+        parent_id = CASE WHEN $13 THEN EXCLUDED.parent_id ELSE products.parent_id END,
+        mpn = COALESCE(EXCLUDED.mpn, products.mpn),
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING id
+    `, [
+      fields.sku, fields.name, fields.description, fields.brand, fields.category, fields.price,
+      fields.weight || 0, JSON.stringify(fields.options || {}), fields.barcode || null, fields.barcode_type || null,
+      JSON.stringify(fields.images || []), fields.parent_id || null, fields.parent_id !== undefined, fields.mpn || null
+    ]);
+
+    return result.rows[0].id;
+  }
+
+  async upsertChannelProduct(productId, channelId, channelSku, price) {
+    await this.db.query(`
+      INSERT INTO channel_products (product_id, channel_id, channel_sku, channel_price, status, sync_status)
+      VALUES ($1, $2, $3, $4, 'active', 'synced')
+      ON CONFLICT (product_id, channel_id)
+      DO UPDATE SET
+        channel_sku = EXCLUDED.channel_sku,
+        channel_price = EXCLUDED.channel_price,
+        sync_status = 'synced',
+        updated_at = CURRENT_TIMESTAMP
+    `, [productId, channelId, channelSku, price]);
+  }
+
+  /**
+   * "Classic Tee - M / Red"
+   */
+  variantName(name, options = {}) {
+    const values = Object.values(options).filter(Boolean);
+    return values.length > 0 ? `${name} - ${values.join(' / ')}` : name;
+  }
+}
+
+module.exports = ProductCatalogService;
@@ -0,0 +1,425 @@
+const { Pool } = require('pg');
+
+/**
+ * Product Matching Service
+ * Links channel listings to master products when the channels use different SKUs.
+ *
+ * A listing (channel_id + channel_sku) is matched, in order, by:
+ *   1. its existing channel_products link
+ *   2. exact SKU
+ *   3. barcode (UPC/EAN/GTIN, compared as GTIN-14) or MPN
+ *   4. title + brand similarity
+ * Fuzzy matches at or above the auto-link threshold are linked; weaker ones are stored as
+ * 'pending' in product_matches for review. Reviews, manual links and unlinks are recorded
+ * there too, and rejected / unlinked pairs are never matched again automatically.
+ */
+class ProductMatchingService {
+  constructor(db = null) {
+    this.db = db || new Pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+
+    this.autoLinkThreshold = parseFloat(process.env.PRODUCT_MATCH_AUTO_LINK_THRESHOLD) || 0.9;
+    this.reviewThreshold = parseFloat(process.env.PRODUCT_MATCH_REVIEW_THRESHOLD) || 0.6;
+    this.maxFuzzyCandidates = 200;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize product matching service
+   */
+  async initialize() {
+    try {
+      await this.db.query('SELECT NOW()');
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS product_matches (
+          id SERIAL PRIMARY KEY,
+          channel_id VARCHAR(100) NOT NULL,
+          channel_sku VARCHAR(200) NOT NULL,
+          listing_sku VARCHAR(200),
+          listing_name VARCHAR(500),
+          listing_brand VARCHAR(200),
+          listing_barcode VARCHAR(50),
+          listing_mpn VARCHAR(100),
+          product_id UUID NOT NULL,
+          method VARCHAR(20) NOT NULL,
+          confidence DECIMAL(4,3) NOT NULL,
+          status VARCHAR(20) NOT NULL,
+          reviewed_by VARCHAR(255),
+          reviewed_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(channel_id, channel_sku, product_id)
+        )
+      `);
+      await this.db.query('CREATE INDEX IF NOT EXISTS idx_product_matches_status ON product_matches(status, created_at)');
+
+      this.isInitialized = true;
+      console.log('✅ ProductMatchingService initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ ProductMatchingService initialization failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Find the master product for a channel listing
+   * listing: { channelSku, sku, name, brand, barcode, mpn }
+   * Returns { productId, method, confidence, ownsSku } or { productId: null, candidates } for review
+   */
+  async findMatch(channelId, listing) {
+    const channel = String(channelId);
+
+    const linked = await this.db.query(`
+      SELECT p.id, p.sku FROM channel_products cp
+      JOIN products p ON p.id = cp.product_id
+      WHERE cp.channel_id::text = $1 AND cp.channel_sku = $2
+    `, [channel, String(listing.channelSku)]);
+    if (linked.rows.length > 0) {
+      const product = linked.rows[0];
+      return { productId: product.id, method: 'linked', confidence: 1, ownsSku: product.sku === listing.sku };
+    }
+
+    const bySku = await this.db.query('SELECT id FROM products WHERE sku = $1', [listing.sku]);
+    if (bySku.rows.length > 0) {
+      return { productId: bySku.rows[0].id, method: 'sku', confidence: 1, ownsSku: true };
+    }
+
+    if (listing.barcode) {
+      // GTINs (up to 14 digits) compare zero-padded so UPC-A, EAN-13 and GTIN-14 forms agree;
+      // anything longer isn't a GTIN and LPAD would truncate it, so it must match exactly
+      const byBarcode = await this.findCandidates(channel, listing, `
+        AND p.barcode IS NOT NULL
+        AND CASE WHEN LENGTH(p.barcode) <= 14 THEN LPAD(p.barcode, 14, '0') ELSE p.barcode END = $3
+      `, [this.normalizeBarcode(listing.barcode)]);
+      if (byBarcode.length > 0) {
+        return { productId: byBarcode[0].id, method: 'barcode', confidence: 1, ownsSku: false };
+      }
+    }
+
+    const candidates = [];
+
+    if (listing.mpn) {
+      const byMpn = await this.findCandidates(channel, listing, 'AND LOWER(p.mpn) = LOWER($3)', [listing.mpn]);
+      for (const product of byMpn) {
+        // MPNs are only unique within a brand
+        const brandsAgree = !this.isKnownBrand(listing.brand) || !this.isKnownBrand(product.brand) ||
+          this.normalize(listing.brand) === this.normalize(product.brand);
+        if (brandsAgree) {
+          return { productId: product.id, method: 'mpn', confidence: 0.95, ownsSku: false };
+        }
+        candidates.push({ productId: product.id, method: 'mpn', confidence: 0.7 });
+      }
+    }
+
+    if (listing.name) {
+      const tokens = this.tokenize(listing.name).filter(token => token.length > 2).slice(0, 8);
+      // Only the closest titles get scored: most shared tokens first, then brand agreement
+      const byTitle = await this.findCandidates(channel, listing, `
+        AND (
+          (LOWER(p.brand) = LOWER($3) AND $3 <> '')
+          OR p.name ILIKE ANY($4)
+        )
+      `, [this.isKnownBrand(listing.brand) ? listing.brand : '', tokens.map(token => `%${token}%`)], `
+        (SELECT COUNT(*) FROM unnest($4::text[]) AS token WHERE p.name ILIKE token) DESC,
+        (LOWER(p.brand) = LOWER($3) AND $3 <> '') DESC,
+        p.id
+      `);
+
+      for (const product of byTitle) {
+        const confidence = this.similarity(listing, product);
+        if (confidence >= this.reviewThreshold) {
+          candidates.push({ productId: product.id, method: 'fuzzy', confidence });
+        }
+      }
+    }
+
+    candidates.sort((a, b) => b.confidence - a.confidence);
+    const best = candidates[0];
+
+    if (best && best.method === 'fuzzy' && best.confidence >= this.autoLinkThreshold) {
+      return { ...best, ownsSku: false };
+    }
+
+    return { productId: null, candidates: candidates.slice(0, 5) };
+  }
+
+  /**
+   * Sellable products (not parents) the listing may link to: not excluded for it by a
+   * review or unlink, and not already linked to another listing on the same channel.
+   * orderBy decides which candidates survive the cap
+   */
+  async findCandidates(channelId, listing, condition, extraParams, orderBy = 'p.id') {
+    const result = await this.db.query(`
+      SELECT p.id, p.sku, p.name, p.brand
+      FROM products p
+      WHERE p.is_active = true
+        AND NOT EXISTS (SELECT 1 FROM products child WHERE child.parent_id = p.id)
+        AND NOT EXISTS (
+          SELECT 1 FROM channel_products cp
+          WHERE cp.product_id = p.id AND cp.channel_id::text = $1 AND cp.channel_sku <> $2
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM product_matches pm
+          WHERE pm.product_id = p.id AND pm.channel_id = $1 AND pm.channel_sku = $2
+            AND pm.status IN ('rejected', 'unlinked')
+        )
+        ${condition}
+      ORDER BY ${orderBy}
+      LIMIT ${this.maxFuzzyCandidates}
+    `, [channelId, String(listing.channelSku), ...extraParams]);
+
+    return result.rows;
+  }
+
+  /**
+   * Title similarity (Dice coefficient of character bigrams), adjusted by brand agreement
+   */
+  similarity(listing, product) {
+    const title = this.dice(this.normalize(listing.name), this.normalize(product.name));
+
+    if (this.isKnownBrand(listing.brand) && this.isKnownBrand(product.brand)) {
+      return this.normalize(listing.brand) === this.normalize(product.brand)
+        ? Math.round(Math.min(1, title * 0.85 + 0.15) * 1000) / 1000
+        : Math.round(title * 0.6 * 1000) / 1000;
+    }
+
+    // Without both brands the match can't be confirmed, so it stays below a perfect score
+    return Math.round(title * 0.9 * 1000) / 1000;
+  }
+
+  dice(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const bigrams = text => {
+      const counts = new Map();
+      for (let i = 0; i < text.length - 1; i++) {
+        const bigram = text.slice(i, i + 2);
+        counts.set(bigram, (counts.get(bigram) || 0) + 1);
+      }
+      return counts;
+    };
+
+    const first = bigrams(a);
+    const second = bigrams(b);
+    let overlap = 0;
+
+    for (const [bigram, count] of first) {
+      overlap += Math.min(count, second.get(bigram) || 0);
+    }
+
+    return (2 * overlap) / (Math.max(a.length - 1, 0) + Math.max(b.length - 1, 0)) || 0;
+  }
+
+  normalizeBarcode(barcode) {
+    const value = String(barcode);
+    return value.length <= 14 ? value.padStart(14, '0') : value;
+  }
+
+  normalize(text) {
+    return this.tokenize(text).join(' ');
+  }
+
+  tokenize(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+  }
+
+  isKnownBrand(brand) {
+    return Boolean(brand) && this.normalize(brand) !== 'unknown';
+  }
+
+  /**
+   * Record an automatic link, or queue review candidates for a listing that got its own product
+   */
+  async recordMatch(channelId, listing, match, status) {
+    await this.db.query(`
+      INSERT INTO product_matches (channel_id, channel_sku, listing_sku, listing_name, listing_brand, listing_barcode,
+                                   listing_mpn, product_id, method, confidence, status)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (channel_id, channel_sku, product_id) DO UPDATE SET
+        listing_sku = EXCLUDED.listing_sku,
+        listing_name = EXCLUDED.listing_name,
+        listing_brand = EXCLUDED.listing_brand,
+        listing_barcode = EXCLUDED.listing_barcode,
+        listing_mpn = EXCLUDED.listing_mpn,
+        method = EXCLUDED.method,
+        confidence = EXCLUDED.confidence,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE product_matches.status = 'pending'
+    `, [
+      String(channelId), String(listing.channelSku), listing.sku, listing.name, listing.brand,
+      listing.barcode || null, listing.mpn || null, match.productId, match.method, match.confidence, status
+    ]);
+  }
+
+  async queueReview(channelId, listing, candidates) {
+    for (const candidate of candidates) {
+      await this.recordMatch(channelId, listing, candidate, 'pending');
+    }
+  }
+
+  /**
+   * Review queue and match history
+   */
+  async getMatches({ status = 'pending', channelId, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    let query = `
+      SELECT pm.*, p.sku as product_sku, p.name as product_name, p.brand as product_brand,
+             p.barcode as product_barcode, c.name as channel_name,
+             cp.product_id::text as linked_product_id
+      FROM product_matches pm
+      JOIN products p ON p.id = pm.product_id
+      LEFT JOIN channels c ON c.id::text = pm.channel_id
+      LEFT JOIN channel_products cp ON cp.channel_id::text = pm.channel_id AND cp.channel_sku = pm.channel_sku
+      WHERE 1=1
+    `;
+
+    if (status) {
+      params.push(status);
+      query += ` AND pm.status = $${params.length}`;
+    }
+    if (channelId) {
+      params.push(String(channelId));
+      query += ` AND pm.channel_id = $${params.length}`;
+    }
+
+    params.push(parseInt(limit), parseInt(offset));
+    query += ` ORDER BY pm.confidence DESC, pm.created_at LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await this.db.query(query, params);
+    return result.rows;
+  }
+
+  async getMatch(matchId) {
+    const result = await this.db.query('SELECT * FROM product_matches WHERE id = $1', [parseInt(matchId)]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Approve a pending match: the listing moves to the candidate product
+   */
+  async approveMatch(matchId, reviewedBy) {
+    const match = await this.getMatch(matchId);
+    if (!match) {
+      throw this.httpError(404, 'Match not found');
+    }
+    if (match.status !== 'pending') {
+      throw this.httpError(409, `Match is already ${match.status}`);
+    }
+
+    return this.linkListing(match.channel_id, match.channel_sku, match.product_id, reviewedBy);
+  }
+
+  async rejectMatch(matchId, reviewedBy) {
+    const result = await this.db.query(`
+      UPDATE product_matches
+      SET status = 'rejected', reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `, [parseInt(matchId), reviewedBy]);
+
+    if (result.rows.length === 0) {
+      const match = await this.getMatch(matchId);
+      throw match ? this.httpError(409, `Match is already ${match.status}`) : this.httpError(404, 'Match not found');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Link a channel listing to a product (manually or by approving a match)
+   * Other pending candidates for the listing are rejected
+   */
+  async linkListing(channelId, channelSku, productId, reviewedBy) {
+    const channel = String(channelId);
+    const listing = await this.db.query(`
+      SELECT * FROM channel_products WHERE channel_id::text = $1 AND channel_sku = $2
+    `, [channel, String(channelSku)]);
+    if (listing.rows.length === 0) {
+      throw this.httpError(404, 'Channel listing not found');
+    }
+
+    const product = await this.db.query(`
+      SELECT p.id, EXISTS (SELECT 1 FROM products child WHERE child.parent_id = p.id) as is_parent
+      FROM products p WHERE p.id::text = $1
+    `, [String(productId)]);
+    if (product.rows.length === 0) {
+      throw this.httpError(404, 'Product not found');
+    }
+    if (product.rows[0].is_parent) {
+      throw this.httpError(400, 'Listings link to a variant, not its parent product');
+    }
+
+    const current = listing.rows[0];
+    const target = product.rows[0].id;
+
+    if (current.product_id !== target) {
+      const taken = await this.db.query(`
+        SELECT channel_sku FROM channel_products WHERE product_id = $1 AND channel_id::text = $2
+      `, [target, channel]);
+      if (taken.rows.length > 0) {
+        throw this.httpError(409, `Product is already linked to listing ${taken.rows[0].channel_sku} on this channel`);
+      }
+
+      await this.db.query(`
+        UPDATE channel_products SET product_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2
+      `, [target, current.id]);
+    }
+
+    const result = await this.db.query(`
+      INSERT INTO product_matches (channel_id, channel_sku, product_id, method, confidence, status, reviewed_by, reviewed_at)
+      VALUES ($1, $2, $3, 'manual', 1, 'linked', $4, CURRENT_TIMESTAMP)
+      ON CONFLICT (channel_id, channel_sku, product_id) DO UPDATE SET
+        status = 'linked', reviewed_by = EXCLUDED.reviewed_by, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [channel, String(channelSku), target, reviewedBy]);
+
+    await this.db.query(`
+      UPDATE product_matches
+      SET status = 'rejected', reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE channel_id = $1 AND channel_sku = $2 AND status = 'pending'
+    `, [channel, String(channelSku), reviewedBy]);
+
+    console.log(`🔗 Linked listing ${channelSku} on channel ${channel} to product ${target}`);
+    return result.rows[0];
+  }
+
+  /**
+   * Detach a channel listing from its product
+   * The pair is excluded from barcode / MPN / fuzzy matching; the next sync stores the listing
+   * under its own SKU (so a listing sharing the product's SKU links straight back)
+   */
+  async unlinkListing(channelId, channelSku, reviewedBy) {
+    const channel = String(channelId);
+    const removed = await this.db.query(`
+      DELETE FROM channel_products WHERE channel_id::text = $1 AND channel_sku = $2
+      RETURNING product_id
+    `, [channel, String(channelSku)]);
+
+    if (removed.rows.length === 0) {
+      throw this.httpError(404, 'Channel listing not found');
+    }
+
+    const productId = removed.rows[0].product_id;
+
+    await this.db.query(`
+      INSERT INTO product_matches (channel_id, channel_sku, product_id, method, confidence, status, reviewed_by, reviewed_at)
+      VALUES ($1, $2, $3, 'manual', 1, 'unlinked', $4, CURRENT_TIMESTAMP)
+      ON CONFLICT (channel_id, channel_sku, product_id) DO UPDATE SET
+        status = 'unlinked', reviewed_by = EXCLUDED.reviewed_by, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    `, [channel, String(channelSku), productId, reviewedBy]);
+
+    console.log(`✂️ Unlinked listing ${channelSku} on channel ${channel} from product ${productId}`);
+    return { channelId: channel, channelSku: String(channelSku), productId };
+  }
+
+  httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = ProductMatchingService;
@@ -0,0 +1,763 @@
+const { Pool } = require('pg');
+const InventoryService = require('./inventoryService');
+const StockAllocationService = require('./stockAllocationService');
+
+const PO_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'closed'];
+
+// Purchase orders whose quantities are still expected to arrive
+const OPEN_STATUSES = ['draft', 'sent', 'partially_received'];
+
+/**
+ * Purchasing Service
+ * Suppliers with their contacts, the terms they sell each product on (supplier_products:
+ * cost, minimum order quantity, lead time) and purchase orders with their lines. A product's
+ * preferred supplier is the one marked is_preferred, otherwise the cheapest.
+ *
+ * Purchase orders go draft -> sent -> partially_received -> received -> closed; only drafts
+ * can be edited or deleted, and closing a sent or partially received order stops expecting
+ * the rest.
+ * Receiving writes a 'receipt' movement per line (InventoryService) into the order's warehouse
+ * or the location given, and moves products.cost_price to the weighted average of the stock
+ * on hand and the received units at landed cost: unit cost plus the order's shipping, duty
+ * and other costs, spread over the lines by value. Order lines created without a cost take
+ * products.cost_price at insert time, so profit on later sales reflects the landed cost.
+ */
+class PurchasingService {
+  constructor(db = null) {
+    this.db = db || new Pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+
+    this.inventory = new InventoryService(this.db);
+    this.allocation = new StockAllocationService(this.db);
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize purchasing service
+   */
+  async initialize() {
+    try {
+      await this.db.query('SELECT NOW()');
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS suppliers (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(200) NOT NULL,
+          code VARCHAR(50) UNIQUE,
+          lead_time_days INTEGER NOT NULL DEFAULT 14 CHECK (lead_time_days >= 0),
+          currency VARCHAR(10) DEFAULT 'USD',
+          is_active BOOLEAN DEFAULT true,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS supplier_products (
+          id SERIAL PRIMARY KEY,
+          supplier_id INTEGER NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+          product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+          supplier_sku VARCHAR(100),
+          unit_cost DECIMAL(10,2),
+          min_order_quantity INTEGER NOT NULL DEFAULT 1 CHECK (min_order_quantity >= 1),
+          lead_time_days INTEGER CHECK (lead_time_days >= 0),
+          is_preferred BOOLEAN DEFAULT false,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(supplier_id, product_id)
+        )
+      `);
+      await this.db.query('CREATE INDEX IF NOT EXISTS idx_supplier_products_product ON supplier_products(product_id)');
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS purchase_orders (
+          id SERIAL PRIMARY KEY,
+          po_number VARCHAR(50) UNIQUE NOT NULL,
+          supplier_id INTEGER NOT NULL REFERENCES suppliers(id),
+          status VARCHAR(30) NOT NULL DEFAULT 'draft',
+          source VARCHAR(30) NOT NULL DEFAULT 'manual',
+          notes TEXT,
+          created_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS purchase_order_items (
+          id SERIAL PRIMARY KEY,
+          purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+          product_id UUID NOT NULL REFERENCES products(id),
+          sku VARCHAR(100) NOT NULL,
+          quantity INTEGER NOT NULL CHECK (quantity > 0),
+          received_quantity INTEGER NOT NULL DEFAULT 0,
+          unit_cost DECIMAL(10,2),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await this.db.query('CREATE INDEX IF NOT EXISTS idx_purchase_order_items_product ON purchase_order_items(product_id)');
+      await this.db.query(`
+        ALTER TABLE suppliers
+          ADD COLUMN IF NOT EXISTS email VARCHAR(255),
+          ADD COLUMN IF NOT EXISTS phone VARCHAR(50),
+          ADD COLUMN IF NOT EXISTS website VARCHAR(255),
+          ADD COLUMN IF NOT EXISTS address JSONB,
+          ADD COLUMN IF NOT EXISTS payment_terms VARCHAR(100),
+          ADD COLUMN IF NOT EXISTS notes TEXT
+      `);
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS supplier_contacts (
+          id SERIAL PRIMARY KEY,
+          supplier_id INTEGER NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+          name VARCHAR(200) NOT NULL,
+          role VARCHAR(100),
+          email VARCHAR(255),
+          phone VARCHAR(50),
+          is_primary BOOLEAN DEFAULT false,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await this.db.query(`
+        ALTER TABLE purchase_orders
+          ADD COLUMN IF NOT EXISTS fulfillment_center_id INTEGER,
+          ADD COLUMN IF NOT EXISTS currency VARCHAR(10),
+          ADD COLUMN IF NOT EXISTS expected_at DATE,
+          ADD COLUMN IF NOT EXISTS shipping_cost DECIMAL(10,2) NOT NULL DEFAULT 0,
+          ADD COLUMN IF NOT EXISTS duty_cost DECIMAL(10,2) NOT NULL DEFAULT 0,
+          ADD COLUMN IF NOT EXISTS other_cost DECIMAL(10,2) NOT NULL DEFAULT 0,
+          ADD COLUMN IF NOT EXISTS sent_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS received_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP
+      `);
+      await this.db.query(`
+        ALTER TABLE purchase_order_items
+          ADD COLUMN IF NOT EXISTS supplier_sku VARCHAR(100),
+          ADD COLUMN IF NOT EXISTS landed_unit_cost DECIMAL(10,4)
+      `);
+      await this.db.query('CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier ON purchase_orders(supplier_id, status)');
+
+      // Sales lines keep the cost they were sold at; later receipts don't rewrite past profit
+      await this.db.query(`
+        CREATE OR REPLACE FUNCTION set_order_item_cost_price()
+        RETURNS TRIGGER AS $$
+        BEGIN
+          IF NEW.cost_price IS NULL AND NEW.product_id IS NOT NULL THEN
+            SELECT cost_price INTO NEW.cost_price FROM products WHERE id = NEW.product_id;
+          END IF;
+          RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+      await this.db.query('DROP TRIGGER IF EXISTS order_items_cost_price ON order_items');
+      await this.db.query(`
+        CREATE TRIGGER order_items_cost_price BEFORE INSERT ON order_items
+        FOR EACH ROW EXECUTE FUNCTION set_order_item_cost_price()
+      `);
+
+      this.isInitialized = true;
+      console.log('✅ PurchasingService initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ PurchasingService initialization failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Preferred supplier terms per product id
+   * { supplier_id, supplier_name, lead_time_days, unit_cost, min_order_quantity }
+   */
+  async getSupplierTerms(productIds) {
+    if (productIds.length === 0) return new Map();
+
+    const result = await this.db.query(`
+      SELECT DISTINCT ON (sp.product_id)
+        sp.product_id::text as product_id,
+        s.id as supplier_id,
+        s.name as supplier_name,
+        COALESCE(sp.lead_time_days, s.lead_time_days) as lead_time_days,
+        sp.unit_cost,
+        sp.min_order_quantity
+      FROM supplier_products sp
+      JOIN suppliers s ON s.id = sp.supplier_id AND s.is_active = true
+      WHERE sp.product_id::text = ANY($1)
+      ORDER BY sp.product_id, sp.is_preferred DESC, sp.unit_cost ASC NULLS LAST, s.id
+    `, [productIds.map(String)]);
+
+    return new Map(result.rows.map(row => [row.product_id, row]));
+  }
+
+  /**
+   * Quantity still to arrive on open purchase orders, per product id
+   */
+  async getOnOrder(productIds) {
+    if (productIds.length === 0) return new Map();
+
+    const result = await this.db.query(`
+      SELECT poi.product_id::text as product_id,
+             COALESCE(SUM(GREATEST(poi.quantity - poi.received_quantity, 0)), 0)::int as on_order
+      FROM purchase_order_items poi
+      JOIN purchase_orders po ON po.id = poi.purchase_order_id
+      WHERE po.status = ANY($2) AND poi.product_id::text = ANY($1)
+      GROUP BY poi.product_id
+    `, [productIds.map(String), OPEN_STATUSES]);
+
+    return new Map(result.rows.map(row => [row.product_id, row.on_order]));
+  }
+
+  /**
+   * Create a draft purchase order
+   * lines: [{ productId | sku, quantity, unitCost }] - unitCost defaults to the supplier's cost
+   */
+  async createDraftOrder({
+    supplierId, lines, fulfillmentCenterId = null, expectedAt = null, shippingCost = 0, dutyCost = 0,
+    otherCost = 0, notes = null, source = 'manual', createdBy = null
+  }) {
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const supplier = await client.query('SELECT id, currency FROM suppliers WHERE id::text = $1', [String(supplierId)]);
+      if (supplier.rows.length === 0) {
+        throw this.httpError(404, `Supplier not found: ${supplierId}`);
+      }
+
+      const order = await client.query(`
+        WITH next AS (SELECT nextval(pg_get_serial_sequence('purchase_orders', 'id')) as id)
+        INSERT INTO purchase_orders (
+          id, po_number, supplier_id, status, source, fulfillment_center_id, currency, expected_at,
+          shipping_cost, duty_cost, other_cost, notes, created_by
+        )
+        SELECT id, 'PO-' || LPAD(id::text, 6, '0'), $1, 'draft', $2, $3, $4, $5, $6, $7, $8, $9, $10 FROM next
+        RETURNING *
+      `, [
+        supplier.rows[0].id, source, fulfillmentCenterId, supplier.rows[0].currency, expectedAt,
+        shippingCost || 0, dutyCost || 0, otherCost || 0, notes, createdBy
+      ]);
+
+      const items = await this.insertLines(client, order.rows[0], lines);
+
+      await client.query('COMMIT');
+      return { ...order.rows[0], items };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async insertLines(client, order, lines) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw this.httpError(400, 'A purchase order needs at least one line');
+    }
+
+    const items = [];
+    for (const line of lines) {
+      if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+        throw this.httpError(400, `quantity must be a positive integer (${line.sku || line.productId})`);
+      }
+
+      const product = await client.query(`
+        SELECT p.id, p.sku, sp.supplier_sku, sp.unit_cost
+        FROM products p
+        LEFT JOIN supplier_products sp ON sp.product_id = p.id AND sp.supplier_id = $2
+        WHERE ${line.productId ? 'p.id::text = $1' : 'p.sku = $1'}
+      `, [String(line.productId || line.sku), order.supplier_id]);
+      if (product.rows.length === 0) {
+        throw this.httpError(404, `Product not found: ${line.sku || line.productId}`);
+      }
+
+      const { id, sku, supplier_sku: supplierSku, unit_cost: supplierCost } = product.rows[0];
+      const item = await client.query(`
+        INSERT INTO purchase_order_items (purchase_order_id, product_id, sku, supplier_sku, quantity, unit_cost)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [order.id, id, sku, supplierSku, line.quantity, line.unitCost ?? supplierCost ?? null]);
+      items.push(item.rows[0]);
+    }
+
+    return items;
+  }
+
+  /**
+   * Purchase orders with their supplier and line totals
+   * filters: { status, supplierId, limit, offset }
+   */
+  async getPurchaseOrders({ status, supplierId, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    let query = `
+      SELECT po.*, s.name as supplier_name,
+             COALESCE(SUM(poi.quantity), 0)::int as total_quantity,
+             COALESCE(SUM(poi.received_quantity), 0)::int as received_quantity,
+             COALESCE(SUM(poi.quantity * poi.unit_cost), 0) as subtotal
+      FROM purchase_orders po
+      JOIN suppliers s ON s.id = po.supplier_id
+      LEFT JOIN purchase_order_items poi ON poi.purchase_order_id = po.id
+      WHERE 1=1
+    `;
+
+    if (status) {
+      if (!PO_STATUSES.includes(status)) {
+        throw this.httpError(400, `status must be one of: ${PO_STATUSES.join(', ')}`);
+      }
+      params.push(status);
+      query += ` AND po.status = $${params.length}`;
+    }
+    if (supplierId) {
+      params.push(String(supplierId));
+      query += ` AND po.supplier_id::text = $${params.length}`;
+    }
+
+    params.push(parseInt(limit) || 50, parseInt(offset) || 0);
+    query += ` GROUP BY po.id, s.name ORDER BY po.created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await this.db.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * A purchase order (by id or PO number) with its supplier and lines
+   */
+  async getPurchaseOrder(poId, client = this.db, { forUpdate = false } = {}) {
+    const order = await client.query(`
+      SELECT po.* FROM purchase_orders po
+      WHERE po.id::text = $1 OR po.po_number = $1
+      ${forUpdate ? 'FOR UPDATE' : ''}
+    `, [String(poId)]);
+    if (order.rows.length === 0) {
+      throw this.httpError(404, `Purchase order not found: ${poId}`);
+    }
+
+    const supplier = await client.query('SELECT id, name, email, phone, currency FROM suppliers WHERE id = $1', [order.rows[0].supplier_id]);
+    const items = await client.query(`
+      SELECT poi.*, p.name as product_name, GREATEST(poi.quantity - poi.received_quantity, 0) as outstanding_quantity
+      FROM purchase_order_items poi
+      JOIN products p ON p.id = poi.product_id
+      WHERE poi.purchase_order_id = $1
+      ORDER BY poi.id
+    `, [order.rows[0].id]);
+
+    return { ...order.rows[0], supplier: supplier.rows[0], items: items.rows };
+  }
+
+  /**
+   * Edit a draft: header fields, and lines when given (they replace the existing lines)
+   */
+  async updatePurchaseOrder(poId, { lines, fulfillmentCenterId, expectedAt, shippingCost, dutyCost, otherCost, notes }) {
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const order = await this.getPurchaseOrder(poId, client, { forUpdate: true });
+      this.requireStatus(order, ['draft'], 'edited');
+
+      await client.query(`
+        UPDATE purchase_orders SET
+          fulfillment_center_id = CASE WHEN $2::boolean THEN $3 ELSE fulfillment_center_id END,
+          expected_at = CASE WHEN $4::boolean THEN $5::date ELSE expected_at END,
+          shipping_cost = COALESCE($6, shipping_cost),
+          duty_cost = COALESCE($7, duty_cost),
+          other_cost = COALESCE($8, other_cost),
+          notes = COALESCE($9, notes),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [
+        order.id, fulfillmentCenterId !== undefined, fulfillmentCenterId ?? null, expectedAt !== undefined,
+        expectedAt ?? null, shippingCost ?? null, dutyCost ?? null, otherCost ?? null, notes ?? null
+      ]);
+
+      if (lines !== undefined) {
+        await client.query('DELETE FROM purchase_order_items WHERE purchase_order_id = $1', [order.id]);
+        await this.insertLines(client, order, lines);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getPurchaseOrder(poId);
+  }
+
+  async deletePurchaseOrder(poId) {
+    const order = await this.getPurchaseOrder(poId);
+    this.requireStatus(order, ['draft'], 'deleted');
+
+    await this.db.query('DELETE FROM purchase_orders WHERE id = $1', [order.id]);
+    return { id: order.id, po_number: order.po_number };
+  }
+
+  /**
+   * Mark a draft as sent to the supplier
+   */
+  async sendPurchaseOrder(poId) {
+    const order = await this.getPurchaseOrder(poId);
+    this.requireStatus(order, ['draft'], 'sent');
+    if (order.items.length === 0) {
+      throw this.httpError(400, 'A purchase order needs at least one line');
+    }
+
+    await this.db.query(`
+      UPDATE purchase_orders SET status = 'sent', sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [order.id]);
+
+    return this.getPurchaseOrder(order.id);
+  }
+
+  /**
+   * Close an order: received in full, or short-closed with nothing more expected
+   */
+  async closePurchaseOrder(poId) {
+    const order = await this.getPurchaseOrder(poId);
+    this.requireStatus(order, ['sent', 'partially_received', 'received'], 'closed');
+
+    await this.db.query(`
+      UPDATE purchase_orders SET status = 'closed', closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [order.id]);
+
+    return this.getPurchaseOrder(order.id);
+  }
+
+  /**
+   * Receive delivered quantities into stock
+   * lines: [{ itemId | sku, quantity }]; the location is channelId or fulfillmentCenterId +
+   * binLocation, defaulting to the order's warehouse
+   */
+  async receivePurchaseOrder(poId, { lines, channelId, fulfillmentCenterId, binLocation, notes, createdBy = null }) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw this.httpError(400, 'lines are required');
+    }
+
+    const { movements, costs } = await this.inventory.withTransaction(async client => {
+      const order = await this.getPurchaseOrder(poId, client, { forUpdate: true });
+      this.requireStatus(order, ['sent', 'partially_received'], 'received');
+
+      // Stock on hand for the cost average, locked so concurrent movements can't change it underneath
+      const pools = await this.allocation.getPoolQuantities(
+        order.items.map(item => String(item.product_id)),
+        { client, lock: true }
+      );
+
+      const location = await this.inventory.resolveLocation(client, {
+        channelId,
+        fulfillmentCenterId: channelId ? undefined : (fulfillmentCenterId || order.fulfillment_center_id),
+        binLocation
+      });
+      const landedCosts = this.getLandedUnitCosts(order);
+      const movements = [];
+      const costs = [];
+
+      for (const line of lines) {
+        const item = order.items.find(candidate => (
+          line.itemId ? String(candidate.id) === String(line.itemId) : candidate.sku === line.sku
+        ));
+        if (!item) {
+          throw this.httpError(404, `Line not on ${order.po_number}: ${line.itemId || line.sku}`);
+        }
+        if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+          throw this.httpError(400, `quantity must be a positive integer (${item.sku})`);
+        }
+        if (line.quantity > item.outstanding_quantity) {
+          throw this.httpError(409, `${item.sku}: only ${item.outstanding_quantity} outstanding on ${order.po_number}`);
+        }
+
+        movements.push(await this.inventory.applyMovement(client, {
+          ...location,
+          productId: item.product_id,
+          type: 'receipt',
+          quantityChange: line.quantity,
+          referenceId: order.po_number,
+          notes: notes || `Received on ${order.po_number}`,
+          createdBy
+        }));
+
+        const landedUnitCost = landedCosts.get(item.id);
+        await client.query(`
+          UPDATE purchase_order_items
+          SET received_quantity = received_quantity + $2, landed_unit_cost = COALESCE($3, landed_unit_cost)
+          WHERE id = $1
+        `, [item.id, line.quantity, landedUnitCost]);
+        item.outstanding_quantity -= line.quantity;
+
+        if (landedUnitCost !== null) {
+          costs.push(await this.updateCostPrice(client, item.product_id, line.quantity, landedUnitCost, pools));
+        }
+      }
+
+      const complete = order.items.every(item => item.outstanding_quantity <= 0);
+      await client.query(`
+        UPDATE purchase_orders
+        SET status = $2, received_at = CASE WHEN $2 = 'received' THEN CURRENT_TIMESTAMP ELSE received_at END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [order.id, complete ? 'received' : 'partially_received']);
+
+      return { movements, costs };
+    });
+
+    return { purchaseOrder: await this.getPurchaseOrder(poId), movements, costs };
+  }
+
+  /**
+   * Landed unit cost per line id: unit cost plus the order's extra costs spread by line value
+   * (by quantity when no line has a cost)
+   */
+  getLandedUnitCosts(order) {
+    const extra = (parseFloat(order.shipping_cost) || 0) + (parseFloat(order.duty_cost) || 0) + (parseFloat(order.other_cost) || 0);
+    const value = order.items.reduce((sum, item) => sum + item.quantity * (parseFloat(item.unit_cost) || 0), 0);
+    const units = order.items.reduce((sum, item) => sum + item.quantity, 0);
+    const costs = new Map();
+
+    for (const item of order.items) {
+      if (item.unit_cost === null && value > 0) {
+        costs.set(item.id, null);
+        continue;
+      }
+
+      const unitCost = parseFloat(item.unit_cost) || 0;
+      const share = value > 0 ? extra * unitCost / value : extra / units;
+      costs.set(item.id, Math.round((unitCost + share) * 10000) / 10000);
+    }
+
+    return costs;
+  }
+
+  /**
+   * Weighted average of the current cost over stock on hand and the received units at landed cost
+   */
+  async updateCostPrice(client, productId, quantity, landedUnitCost, pools) {
+    const product = await client.query('SELECT sku, cost_price FROM products WHERE id = $1 FOR UPDATE', [productId]);
+    const pool = pools.get(String(productId)) || { on_hand: 0 };
+    const onHand = Math.max(pool.on_hand, 0);
+    const current = product.rows[0].cost_price !== null ? parseFloat(product.rows[0].cost_price) : null;
+
+    const costPrice = current === null || onHand === 0
+      ? landedUnitCost
+      : (onHand * current + quantity * landedUnitCost) / (onHand + quantity);
+    const rounded = Math.round(costPrice * 100) / 100;
+
+    await client.query('UPDATE products SET cost_price = $2, updated_at = NOW() WHERE id = $1', [productId, rounded]);
+
+    // Later receipts in this batch average against the units just added
+    pools.set(String(productId), { ...pool, on_hand: onHand + quantity });
+
+    return { product_id: productId, sku: product.rows[0].sku, previous_cost_price: current, cost_price: rounded };
+  }
+
+  requireStatus(order, statuses, action) {
+    if (!statuses.includes(order.status)) {
+      throw this.httpError(409, `${order.po_number} is ${order.status} and can't be ${action}`);
+    }
+  }
+
+  // =====================================================
+  // SUPPLIERS
+  // =====================================================
+
+  async getSuppliers({ active } = {}) {
+    const result = await this.db.query(`
+      SELECT s.*,
+             (SELECT COUNT(*) FROM supplier_products sp WHERE sp.supplier_id = s.id)::int as product_count,
+             (SELECT COUNT(*) FROM purchase_orders po WHERE po.supplier_id = s.id AND po.status = ANY($2))::int as open_orders
+      FROM suppliers s
+      WHERE ($1::boolean IS NULL OR s.is_active = $1)
+      ORDER BY s.name
+    `, [active === undefined ? null : active, OPEN_STATUSES]);
+
+    return result.rows;
+  }
+
+  /**
+   * A supplier with its contacts and product terms
+   */
+  async getSupplier(supplierId) {
+    const supplier = await this.db.query('SELECT * FROM suppliers WHERE id::text = $1', [String(supplierId)]);
+    if (supplier.rows.length === 0) {
+      throw this.httpError(404, `Supplier not found: ${supplierId}`);
+    }
+
+    const contacts = await this.db.query(`
+      SELECT * FROM supplier_contacts WHERE supplier_id = $1 ORDER BY is_primary DESC, name
+    `, [supplier.rows[0].id]);
+    const products = await this.db.query(`
+      SELECT sp.*, p.sku, p.name as product_name
+      FROM supplier_products sp
+      JOIN products p ON p.id = sp.product_id
+      WHERE sp.supplier_id = $1
+      ORDER BY p.sku
+    `, [supplier.rows[0].id]);
+
+    return { ...supplier.rows[0], contacts: contacts.rows, products: products.rows };
+  }
+
+  async createSupplier({ name, code, email, phone, website, address, leadTimeDays, currency, paymentTerms, notes, contacts = [] }) {
+    if (!name) {
+      throw this.httpError(400, 'name is required');
+    }
+    this.requireLeadTime(leadTimeDays);
+
+    let supplierId;
+    try {
+      const result = await this.db.query(`
+        INSERT INTO suppliers (name, code, email, phone, website, address, lead_time_days, currency, payment_terms, notes)
+        VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 14), COALESCE($8, 'USD'), $9, $10)
+        RETURNING id
+      `, [
+        name, code || null, email || null, phone || null, website || null, address ? JSON.stringify(address) : null,
+        leadTimeDays ?? null, currency || null, paymentTerms || null, notes || null
+      ]);
+      supplierId = result.rows[0].id;
+    } catch (error) {
+      if (error.code === '23505') throw this.httpError(409, `Supplier code already exists: ${code}`);
+      throw error;
+    }
+
+    for (const contact of contacts) {
+      await this.addContact(supplierId, contact);
+    }
+
+    return this.getSupplier(supplierId);
+  }
+
+  async updateSupplier(supplierId, { name, code, email, phone, website, address, leadTimeDays, currency, paymentTerms, notes, active }) {
+    this.requireLeadTime(leadTimeDays);
+
+    const result = await this.db.query(`
+      UPDATE suppliers SET
+        name = COALESCE($2, name),
+        code = COALESCE($3, code),
+        email = COALESCE($4, email),
+        phone = COALESCE($5, phone),
+        website = COALESCE($6, website),
+        address = COALESCE($7, address),
+        lead_time_days = COALESCE($8, lead_time_days),
+        currency = COALESCE($9, currency),
+        payment_terms = COALESCE($10, payment_terms),
+        notes = COALESCE($11, notes),
+        is_active = COALESCE($12, is_active),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id::text = $1
+      RETURNING id
+    `, [
+      String(supplierId), name ?? null, code ?? null, email ?? null, phone ?? null, website ?? null,
+      address ? JSON.stringify(address) : null, leadTimeDays ?? null, currency ?? null, paymentTerms ?? null,
+      notes ?? null, active ?? null
+    ]);
+
+    if (result.rows.length === 0) {
+      throw this.httpError(404, `Supplier not found: ${supplierId}`);
+    }
+    return this.getSupplier(result.rows[0].id);
+  }
+
+  async addContact(supplierId, { name, role, email, phone, isPrimary = false }) {
+    if (!name) {
+      throw this.httpError(400, 'Contact name is required');
+    }
+
+    const supplier = await this.db.query('SELECT id FROM suppliers WHERE id::text = $1', [String(supplierId)]);
+    if (supplier.rows.length === 0) {
+      throw this.httpError(404, `Supplier not found: ${supplierId}`);
+    }
+
+    if (isPrimary) {
+      await this.db.query('UPDATE supplier_contacts SET is_primary = false WHERE supplier_id = $1', [supplier.rows[0].id]);
+    }
+
+    const result = await this.db.query(`
+      INSERT INTO supplier_contacts (supplier_id, name, role, email, phone, is_primary)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [supplier.rows[0].id, name, role || null, email || null, phone || null, !!isPrimary]);
+
+    return result.rows[0];
+  }
+
+  async deleteContact(supplierId, contactId) {
+    const result = await this.db.query(`
+      DELETE FROM supplier_contacts WHERE supplier_id::text = $1 AND id::text = $2 RETURNING id
+    `, [String(supplierId), String(contactId)]);
+
+    if (result.rows.length === 0) {
+      throw this.httpError(404, `Contact not found: ${contactId}`);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Create or replace the terms a supplier sells a product on
+   */
+  async setSupplierProduct(supplierId, sku, { supplierSku, unitCost, minOrderQuantity, leadTimeDays, isPreferred }) {
+    this.requireLeadTime(leadTimeDays);
+    if (minOrderQuantity !== undefined && !(Number.isInteger(minOrderQuantity) && minOrderQuantity >= 1)) {
+      throw this.httpError(400, 'minOrderQuantity must be a positive integer');
+    }
+    if (unitCost !== undefined && unitCost !== null && !(parseFloat(unitCost) >= 0)) {
+      throw this.httpError(400, 'unitCost must be zero or more');
+    }
+
+    const supplier = await this.db.query('SELECT id FROM suppliers WHERE id::text = $1', [String(supplierId)]);
+    if (supplier.rows.length === 0) {
+      throw this.httpError(404, `Supplier not found: ${supplierId}`);
+    }
+    const product = await this.db.query('SELECT id FROM products WHERE sku = $1', [sku]);
+    if (product.rows.length === 0) {
+      throw this.httpError(404, `Product not found: ${sku}`);
+    }
+
+    // One preferred supplier per product
+    if (isPreferred) {
+      await this.db.query('UPDATE supplier_products SET is_preferred = false WHERE product_id = $1', [product.rows[0].id]);
+    }
+
+    const result = await this.db.query(`
+      INSERT INTO supplier_products (supplier_id, product_id, supplier_sku, unit_cost, min_order_quantity, lead_time_days, is_preferred)
+      VALUES ($1, $2, $3, $4, COALESCE($5, 1), $6, COALESCE($7, false))
+      ON CONFLICT (supplier_id, product_id) DO UPDATE SET
+        supplier_sku = EXCLUDED.supplier_sku,
+        unit_cost = EXCLUDED.unit_cost,
+        min_order_quantity = EXCLUDED.min_order_quantity,
+        lead_time_days = EXCLUDED.lead_time_days,
+        is_preferred = COALESCE($7, supplier_products.is_preferred),
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [
+      supplier.rows[0].id, product.rows[0].id, supplierSku || null, unitCost ?? null, minOrderQuantity ?? null,
+      leadTimeDays ?? null, isPreferred ?? null
+    ]);
+
+    return result.rows[0];
+  }
+
+  async deleteSupplierProduct(supplierId, sku) {
+    const result = await this.db.query(`
+      DELETE FROM supplier_products sp
+      USING products p
+      WHERE p.id = sp.product_id AND sp.supplier_id::text = $1 AND p.sku = $2
+      RETURNING sp.id
+    `, [String(supplierId), sku]);
+
+    if (result.rows.length === 0) {
+      throw this.httpError(404, `${sku} is not supplied by supplier ${supplierId}`);
+    }
+    return result.rows[0];
+  }
+
+  requireLeadTime(leadTimeDays) {
+    if (leadTimeDays !== undefined && leadTimeDays !== null && !(Number.isInteger(leadTimeDays) && leadTimeDays >= 0)) {
+      throw this.httpError(400, 'leadTimeDays must be a non-negative integer');
+    }
+  }
+
+  httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = PurchasingService;
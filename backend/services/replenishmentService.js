@@ -0,0 +1,406 @@
+const { Pool } = require('pg');
+const PurchasingService = require('./purchasingService');
+const StockAllocationService = require('./stockAllocationService');
+
+// Defaults for the replenishment keys of the inventory_rules business rule
+const DEFAULT_REPLENISHMENT_SETTINGS = {
+  service_level: 0.95,
+  demand_window_days: 90,
+  default_lead_time_days: 14,
+  order_coverage_days: 30
+};
+
+/**
+ * Replenishment Service
+ * Reorder points from sales velocity. Per product, over the demand window:
+ *
+ *   daily demand      mean and standard deviation of units sold per day (days without sales count as 0)
+ *   safety stock      z(service level) x demand std dev x sqrt(lead time)
+ *   reorder point     mean daily demand x lead time + safety stock
+ *   reorder quantity  mean daily demand x order coverage days, at least the supplier's MOQ
+ *
+ * Demand comes from daily_sales_summary, falling back to order_items and then to the sale
+ * movements of orders that were only recorded against stock. Lead time and MOQ come from the
+ * product's preferred supplier (PurchasingService), otherwise default_lead_time_days.
+ *
+ * A product is suggested for purchase when its inventory position (pool available + open
+ * purchase orders) is at or below its reorder point, for enough to bring the position up to
+ * reorder point + reorder quantity. Suggestions are grouped by supplier and can be accepted
+ * into draft purchase orders.
+ */
+class ReplenishmentService {
+  constructor(db = null) {
+    this.db = db || new Pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+
+    this.purchasing = new PurchasingService(this.db);
+    this.allocation = new StockAllocationService(this.db);
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize replenishment service
+   */
+  async initialize() {
+    try {
+      await this.db.query('SELECT NOW()');
+      await this.purchasing.initialize();
+      await this.allocation.initialize();
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS product_replenishment (
+          product_id UUID PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+          avg_daily_demand DECIMAL(12,4) NOT NULL DEFAULT 0,
+          demand_std_dev DECIMAL(12,4) NOT NULL DEFAULT 0,
+          demand_source VARCHAR(30),
+          lead_time_days INTEGER NOT NULL,
+          service_level DECIMAL(5,4) NOT NULL,
+          safety_stock INTEGER NOT NULL DEFAULT 0,
+          reorder_point INTEGER NOT NULL DEFAULT 0,
+          reorder_quantity INTEGER NOT NULL DEFAULT 0,
+          supplier_id INTEGER,
+          calculated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      this.isInitialized = true;
+      console.log('✅ ReplenishmentService initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ ReplenishmentService initialization failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Replenishment keys of the inventory_rules business rule, with defaults
+   */
+  async getSettings() {
+    const rules = await this.allocation.getSettings();
+    const settings = { ...DEFAULT_REPLENISHMENT_SETTINGS };
+
+    for (const key of Object.keys(DEFAULT_REPLENISHMENT_SETTINGS)) {
+      const value = parseFloat(rules[key]);
+      if (Number.isFinite(value)) settings[key] = value;
+    }
+    settings.service_level = Math.min(Math.max(settings.service_level, 0.5), 0.999);
+    settings.reorder_point_calculation = rules.reorder_point_calculation;
+
+    return settings;
+  }
+
+  /**
+   * Recalculate reorder points for sellable products (all of them unless productIds is given)
+   * Points are per product and compare against the pooled stock; with reorder_point_calculation
+   * 'automatic' they take over from the static reorder_point on the channel inventory rows
+   * (low stock listings and inventory.reorder_point events)
+   */
+  async calculate({ productIds } = {}) {
+    const settings = await this.getSettings();
+
+    const products = await this.db.query(`
+      SELECT p.id::text as id FROM products p
+      WHERE p.is_active = true
+        AND NOT EXISTS (SELECT 1 FROM products child WHERE child.parent_id = p.id)
+        AND ($1::text[] IS NULL OR p.id::text = ANY($1))
+    `, [productIds ? productIds.map(String) : null]);
+
+    const ids = products.rows.map(row => row.id);
+    if (ids.length === 0) return { calculated: 0, settings };
+
+    const demand = await this.getDailyDemand(ids, settings.demand_window_days);
+    const terms = await this.purchasing.getSupplierTerms(ids);
+    const z = this.serviceFactor(settings.service_level);
+    const results = [];
+
+    for (const id of ids) {
+      const { daily, source } = demand.get(id) || { daily: [], source: null };
+      const stats = this.demandStats(daily, settings.demand_window_days);
+      const supplier = terms.get(id);
+      const leadTime = supplier?.lead_time_days ?? settings.default_lead_time_days;
+      const safetyStock = Math.ceil(z * stats.stdDev * Math.sqrt(leadTime));
+
+      results.push({
+        productId: id,
+        avgDailyDemand: stats.mean,
+        stdDev: stats.stdDev,
+        source,
+        leadTime,
+        safetyStock,
+        reorderPoint: Math.ceil(stats.mean * leadTime) + safetyStock,
+        reorderQuantity: stats.mean > 0
+          ? Math.max(Math.ceil(stats.mean * settings.order_coverage_days), supplier?.min_order_quantity || 1)
+          : 0,
+        supplierId: supplier?.supplier_id || null
+      });
+    }
+
+    await this.db.query(`
+      INSERT INTO product_replenishment (
+        product_id, avg_daily_demand, demand_std_dev, demand_source, lead_time_days, service_level,
+        safety_stock, reorder_point, reorder_quantity, supplier_id, calculated_at
+      )
+      SELECT r.product_id::uuid, r.avg_daily_demand, r.demand_std_dev, r.demand_source, r.lead_time_days, $2,
+             r.safety_stock, r.reorder_point, r.reorder_quantity, r.supplier_id, CURRENT_TIMESTAMP
+      FROM jsonb_to_recordset($1::jsonb) as r(
+        product_id text, avg_daily_demand numeric, demand_std_dev numeric, demand_source text, lead_time_days int,
+        safety_stock int, reorder_point int, reorder_quantity int, supplier_id int
+      )
+      ON CONFLICT (product_id) DO UPDATE SET
+        avg_daily_demand = EXCLUDED.avg_daily_demand,
+        demand_std_dev = EXCLUDED.demand_std_dev,
+        demand_source = EXCLUDED.demand_source,
+        lead_time_days = EXCLUDED.lead_time_days,
+        service_level = EXCLUDED.service_level,
+        safety_stock = EXCLUDED.safety_stock,
+        reorder_point = EXCLUDED.reorder_point,
+        reorder_quantity = EXCLUDED.reorder_quantity,
+        supplier_id = EXCLUDED.supplier_id,
+        calculated_at = EXCLUDED.calculated_at
+    `, [JSON.stringify(results.map(result => ({
+      product_id: result.productId,
+      avg_daily_demand: result.avgDailyDemand,
+      demand_std_dev: result.stdDev,
+      demand_source: result.source,
+      lead_time_days: result.leadTime,
+      safety_stock: result.safetyStock,
+      reorder_point: result.reorderPoint,
+      reorder_quantity: result.reorderQuantity,
+      supplier_id: result.supplierId
+    }))), settings.service_level]);
+
+    return { calculated: results.length, settings };
+  }
+
+  /**
+   * Units sold per day over the window, per product id: { daily: [quantity], source }
+   */
+  async getDailyDemand(productIds, windowDays) {
+    const sources = [
+      ['daily_sales_summary', `
+        SELECT product_id::text as product_id, date, SUM(quantity_sold)::int as quantity
+        FROM daily_sales_summary
+        WHERE product_id::text = ANY($1) AND date > CURRENT_DATE - $2::int
+        GROUP BY product_id, date
+      `],
+      ['order_items', `
+        SELECT oi.product_id::text as product_id, DATE(so.order_date) as date, SUM(oi.quantity)::int as quantity
+        FROM order_items oi
+        JOIN sales_orders so ON so.id = oi.order_id
+        WHERE oi.product_id::text = ANY($1)
+          AND so.order_date > CURRENT_DATE - $2::int
+          AND COALESCE(so.order_status, '') NOT IN ('cancelled', 'refunded', 'failed')
+        GROUP BY oi.product_id, DATE(so.order_date)
+      `],
+      ['inventory_movements', `
+        SELECT product_id::text as product_id, DATE(created_at) as date, (-SUM(quantity_change))::int as quantity
+        FROM inventory_movements
+        WHERE product_id::text = ANY($1)
+          AND movement_type = 'sale' AND channel_id IS NOT NULL
+          AND created_at > CURRENT_DATE - $2::int
+        GROUP BY product_id, DATE(created_at)
+      `]
+    ];
+
+    const demand = new Map();
+    let remaining = productIds.map(String);
+
+    for (const [source, query] of sources) {
+      if (remaining.length === 0) break;
+
+      const result = await this.db.query(query, [remaining, windowDays]);
+      for (const row of result.rows) {
+        if (!demand.has(row.product_id)) demand.set(row.product_id, { daily: [], source });
+        demand.get(row.product_id).daily.push(row.quantity);
+      }
+      remaining = remaining.filter(id => !demand.has(id));
+    }
+
+    return demand;
+  }
+
+  /**
+   * Mean and standard deviation of daily demand, counting days without sales as zero
+   */
+  demandStats(daily, windowDays) {
+    const days = Math.max(windowDays, daily.length, 1);
+    const mean = daily.reduce((sum, quantity) => sum + quantity, 0) / days;
+    const squares = daily.reduce((sum, quantity) => sum + (quantity - mean) ** 2, 0) + (days - daily.length) * mean ** 2;
+
+    return { mean, stdDev: Math.sqrt(squares / days) };
+  }
+
+  /**
+   * Standard normal quantile for a service level (Acklam's approximation)
+   */
+  serviceFactor(serviceLevel) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const p = serviceLevel;
+
+    if (p > 1 - 0.02425) {
+      const q = Math.sqrt(-2 * Math.log(1 - p));
+      return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
+  /**
+   * Suggested purchase orders, grouped by supplier
+   * Products without a supplier are grouped under supplier_id null and can't be accepted
+   */
+  async getSuggestions({ supplierId, recalculate = true } = {}) {
+    if (recalculate) await this.calculate();
+
+    const plans = await this.db.query(`
+      SELECT pr.*, pr.product_id::text as product_id, p.sku, p.name, p.cost_price
+      FROM product_replenishment pr
+      JOIN products p ON p.id = pr.product_id
+      WHERE p.is_active = true AND pr.avg_daily_demand > 0
+    `);
+
+    const ids = plans.rows.map(plan => plan.product_id);
+    const [pools, onOrder, terms] = await Promise.all([
+      this.allocation.getPoolQuantities(ids),
+      this.purchasing.getOnOrder(ids),
+      this.purchasing.getSupplierTerms(ids)
+    ]);
+
+    const groups = new Map();
+    for (const plan of plans.rows) {
+      const available = pools.get(plan.product_id)?.available || 0;
+      const incoming = onOrder.get(plan.product_id) || 0;
+      const position = available + incoming;
+      if (position > plan.reorder_point) continue;
+
+      const supplier = terms.get(plan.product_id) || null;
+      const quantity = Math.max(plan.reorder_point + plan.reorder_quantity - position, supplier?.min_order_quantity || 1);
+      const unitCost = supplier?.unit_cost !== null && supplier?.unit_cost !== undefined
+        ? parseFloat(supplier.unit_cost)
+        : (plan.cost_price !== null ? parseFloat(plan.cost_price) : null);
+
+      const key = supplier?.supplier_id || null;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          supplier_id: key,
+          supplier_name: supplier?.supplier_name || null,
+          lines: [],
+          total_quantity: 0,
+          total_cost: 0
+        });
+      }
+
+      const group = groups.get(key);
+      group.lines.push({
+        product_id: plan.product_id,
+        sku: plan.sku,
+        name: plan.name,
+        available,
+        on_order: incoming,
+        inventory_position: position,
+        avg_daily_demand: parseFloat(plan.avg_daily_demand),
+        lead_time_days: plan.lead_time_days,
+        safety_stock: plan.safety_stock,
+        reorder_point: plan.reorder_point,
+        suggested_quantity: quantity,
+        unit_cost: unitCost,
+        line_cost: unitCost !== null ? Math.round(unitCost * quantity * 100) / 100 : null
+      });
+      group.total_quantity += quantity;
+      group.total_cost = Math.round((group.total_cost + (unitCost || 0) * quantity) * 100) / 100;
+    }
+
+    return [...groups.values()]
+      .filter(group => !supplierId || String(group.supplier_id) === String(supplierId))
+      .sort((a, b) => (a.supplier_id === null) - (b.supplier_id === null) || b.total_cost - a.total_cost);
+  }
+
+  /**
+   * Turn suggestions into draft purchase orders, one per supplier
+   * supplierIds limits which suppliers are ordered from; quantities ({ productId: quantity })
+   * overrides suggested quantities, 0 drops a line
+   */
+  async acceptSuggestions({ supplierIds, quantities = {}, createdBy = null } = {}) {
+    if (quantities === null || typeof quantities !== 'object' || Array.isArray(quantities)) {
+      throw this.httpError(400, 'quantities must be an object of productId: quantity');
+    }
+    for (const [productId, quantity] of Object.entries(quantities)) {
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        throw this.httpError(400, `Quantity for product ${productId} must be a non-negative integer`);
+      }
+    }
+
+    const suggestions = await this.getSuggestions();
+    const purchaseOrders = [];
+    const skipped = [];
+
+    for (const group of suggestions) {
+      if (supplierIds && !supplierIds.map(String).includes(String(group.supplier_id))) continue;
+
+      if (!group.supplier_id) {
+        skipped.push(...group.lines.map(line => ({ sku: line.sku, reason: 'No supplier for this product' })));
+        continue;
+      }
+
+      const lines = group.lines
+        .map(line => ({
+          productId: line.product_id,
+          sku: line.sku,
+          quantity: quantities[line.product_id] !== undefined ? quantities[line.product_id] : line.suggested_quantity,
+          unitCost: line.unit_cost
+        }))
+        .filter(line => line.quantity > 0);
+      if (lines.length === 0) continue;
+
+      purchaseOrders.push(await this.purchasing.createDraftOrder({
+        supplierId: group.supplier_id,
+        lines,
+        source: 'replenishment',
+        notes: 'Created from replenishment suggestions',
+        createdBy
+      }));
+    }
+
+    return { purchaseOrders, skipped };
+  }
+
+  /**
+   * A product's reorder point calculation with its current stock position
+   */
+  async getProductPlan(sku) {
+    const product = await this.db.query('SELECT id::text as id, sku, name FROM products WHERE sku = $1', [sku]);
+    if (product.rows.length === 0) {
+      throw this.httpError(404, `Product not found: ${sku}`);
+    }
+
+    const { id } = product.rows[0];
+    const plan = await this.db.query('SELECT * FROM product_replenishment WHERE product_id::text = $1', [id]);
+    const pool = (await this.allocation.getPoolQuantities([id])).get(id);
+    const onOrder = (await this.purchasing.getOnOrder([id])).get(id) || 0;
+
+    return {
+      ...product.rows[0],
+      plan: plan.rows[0] || null,
+      pool,
+      on_order: onOrder,
+      inventory_position: pool.available + onOrder,
+      supplier: (await this.purchasing.getSupplierTerms([id])).get(id) || null
+    };
+  }
+
+  httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = ReplenishmentService;
@@ -1,16 +1,25 @@
 const { Pool } = require('pg');
+const channelRegistry = require('./channels/channelRegistry');
+const InventoryService = require('./inventoryService');
+const InventoryPushService = require('./inventoryPushService');
+const StockAllocationService = require('./stockAllocationService');
+const FulfillmentService = require('./fulfillmentService');
 
 /**
  * Sales Processing Engine - Core business logic for order processing
  * Handles multi-channel sales data processing, validation, and aggregation
  */
 class SalesProcessor {
-  constructor() {
-    this.db = new Pool({
+  constructor(db = null) {
+    this.db = db || new Pool({
       connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
       ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
     });
     
+    this.inventory = new InventoryService(this.db);
+    this.inventoryPush = new InventoryPushService(this.db);
+    this.allocation = new StockAllocationService(this.db);
+    this.fulfillment = new FulfillmentService(this.db);
     this.isInitialized = false;
     this.processingStats = {
       ordersProcessed: 0,
@@ -29,6 +38,7 @@ class SalesProcessor {
       
       // Create sales processing tables
       await this.createTables();
+      await this.inventory.initialize();
       
       this.isInitialized = true;
       console.log('✅ SalesProcessor initialized successfully');
@@ -48,7 +58,7 @@ class SalesProcessor {
       CREATE TABLE IF NOT EXISTS sales_processing_queue (
         id SERIAL PRIMARY KEY,
         order_id VARCHAR(255) NOT NULL,
-        channel_id INTEGER,
+        channel_id VARCHAR(100),
         channel_name VARCHAR(100),
         raw_order_data JSONB NOT NULL,
         processing_status VARCHAR(50) DEFAULT 'pending',
@@ -57,11 +67,40 @@ class SalesProcessor {
         max_retries INTEGER DEFAULT 3,
         error_message TEXT,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        processed_at TIMESTAMP,
-        UNIQUE(order_id, channel_name)
+        processed_at TIMESTAMP
       )
     `);
 
+    // Orders are unique per channel instance (two Shopify stores share channel_name 'shopify');
+    // queues created with integer channel IDs and a per-name constraint are migrated in place
+    // (only when needed - each ALTER would otherwise take an exclusive lock on every start)
+    const channelIdColumn = await this.db.query(`
+      SELECT 1 FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = 'sales_processing_queue'
+      AND column_name = 'channel_id'
+      AND NOT (data_type = 'character varying' AND character_maximum_length >= 100)
+    `);
+    if (channelIdColumn.rows.length > 0) {
+      await this.db.query(`
+        ALTER TABLE sales_processing_queue ALTER COLUMN channel_id TYPE VARCHAR(100) USING channel_id::text
+      `);
+    }
+
+    const perNameConstraint = await this.db.query(`
+      SELECT 1 FROM information_schema.table_constraints
+      WHERE table_schema = current_schema() AND table_name = 'sales_processing_queue'
+      AND constraint_name = 'sales_processing_queue_order_id_channel_name_key'
+    `);
+    if (perNameConstraint.rows.length > 0) {
+      await this.db.query(`
+        ALTER TABLE sales_processing_queue DROP CONSTRAINT sales_processing_queue_order_id_channel_name_key
+      `);
+    }
+    await this.db.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_queue_order_channel
+      ON sales_processing_queue(order_id, channel_name, (COALESCE(channel_id, '')))
+    `);
+
     // Sales processing logs table
     await this.db.query(`
       CREATE TABLE IF NOT EXISTS sales_processing_logs (
@@ -83,26 +122,40 @@ class SalesProcessor {
         id SERIAL PRIMARY KEY,
         date_key DATE NOT NULL,
         channel_name VARCHAR(100),
+        channel_id VARCHAR(100),
         total_orders INTEGER DEFAULT 0,
         total_revenue DECIMAL(12,2) DEFAULT 0,
         total_items INTEGER DEFAULT 0,
         avg_order_value DECIMAL(10,2) DEFAULT 0,
         processed_orders INTEGER DEFAULT 0,
         failed_orders INTEGER DEFAULT 0,
-        last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(date_key, channel_name)
+        last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
+    // Aggregated per channel instance as well as per channel type
+    await this.db.query(`
+      ALTER TABLE sales_aggregations ADD COLUMN IF NOT EXISTS channel_id VARCHAR(100)
+    `);
+    await this.db.query(`
+      ALTER TABLE sales_aggregations DROP CONSTRAINT IF EXISTS sales_aggregations_date_key_channel_name_key
+    `);
+    await this.db.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_aggregations_day_channel
+      ON sales_aggregations(date_key, channel_name, (COALESCE(channel_id, '')))
+    `);
+
     console.log('📊 Sales processing tables created successfully');
   }
 
   /**
    * Process a single sales order from any channel
+   * channelName selects the channel type's adapter; channelId identifies the store
    */
   async processOrder(orderData, channelName, channelId = null) {
     const startTime = Date.now();
     const orderId = this.extractOrderId(orderData, channelName);
+    channelId = channelId === null || channelId === undefined ? null : String(channelId);
     
     try {
       // Log processing start
@@ -123,14 +176,14 @@ class SalesProcessor {
       // Process order into sales_orders table
       const processedOrder = await this.insertProcessedOrder(standardizedOrder, channelId);
       
-      // Update inventory if needed
-      await this.updateInventoryFromOrder(standardizedOrder);
+      // Reserve, deduct or release the order's stock
+      await this.updateInventoryFromOrder(processedOrder);
       
       // Update aggregations
-      await this.updateSalesAggregations(standardizedOrder, channelName);
+      await this.updateSalesAggregations(standardizedOrder, channelName, channelId);
       
       // Mark as processed
-      await this.markOrderProcessed(orderId, channelName, 'completed');
+      await this.markOrderProcessed(orderId, channelName, 'completed', null, channelId);
       
       const processingTime = Date.now() - startTime;
       
@@ -159,7 +212,7 @@ class SalesProcessor {
       }, error.message, processingTime);
 
       // Mark as failed
-      await this.markOrderProcessed(orderId, channelName, 'failed', error.message);
+      await this.markOrderProcessed(orderId, channelName, 'failed', error.message, channelId);
 
       this.processingStats.errorsCount++;
 
@@ -176,17 +229,7 @@ class SalesProcessor {
    * Extract order ID from raw order data based on channel
    */
   extractOrderId(orderData, channelName) {
-    switch (channelName.toLowerCase()) {
-      case 'shopify':
-        return orderData.id || orderData.order_id || orderData.name;
-      case 'bestbuy':
-      case 'bestbuy_canada':
-        return orderData.order_id || orderData.id || orderData.commercial_id;
-      case 'amazon':
-        return orderData.AmazonOrderId || orderData.order_id;
-      default:
-        return orderData.id || orderData.order_id || `unknown_${Date.now()}`;
-    }
+    return channelRegistry.getOrGeneric(channelName).extractOrderId(orderData);
   }
 
   /**
@@ -202,28 +245,7 @@ class SalesProcessor {
     }
 
     // Channel-specific validation
-    switch (channelName.toLowerCase()) {
-      case 'shopify':
-        if (!orderData.id && !orderData.order_id) errors.push('Missing Shopify order ID');
-        if (!orderData.total_price && !orderData.current_total_price) errors.push('Missing order total');
-        if (!orderData.line_items || !Array.isArray(orderData.line_items)) errors.push('Missing or invalid line items');
-        break;
-        
-      case 'bestbuy':
-      case 'bestbuy_canada':
-        if (!orderData.order_id && !orderData.commercial_id) errors.push('Missing BestBuy order ID');
-        if (!orderData.total_price && !orderData.order_lines) errors.push('Missing order total or lines');
-        break;
-        
-      case 'amazon':
-        if (!orderData.AmazonOrderId) errors.push('Missing Amazon order ID');
-        if (!orderData.OrderTotal) errors.push('Missing order total');
-        break;
-        
-      default:
-        if (!orderData.id && !orderData.order_id) errors.push('Missing order ID');
-        if (!orderData.total && !orderData.total_price) errors.push('Missing order total');
-    }
+    errors.push(...channelRegistry.getOrGeneric(channelName).validateOrderData(orderData));
 
     return {
       isValid: errors.length === 0,
@@ -241,116 +263,17 @@ class SalesProcessor {
       raw_data: orderData
     };
 
-    switch (channelName.toLowerCase()) {
-      case 'shopify':
-        return {
-          ...baseOrder,
-          external_order_id: orderData.id || orderData.order_id,
-          order_number: orderData.name || orderData.order_number,
-          customer_email: orderData.email || orderData.contact_email,
-          customer_name: orderData.customer ? 
-            `${orderData.customer.first_name || ''} ${orderData.customer.last_name || ''}`.trim() : 
-            orderData.billing_address?.name || 'Unknown',
-          total_amount: parseFloat(orderData.total_price || orderData.current_total_price || 0),
-          currency: orderData.currency || 'USD',
-          order_status: this.mapOrderStatus(orderData.financial_status, 'shopify'),
-          fulfillment_status: orderData.fulfillment_status || 'unfulfilled',
-          order_date: new Date(orderData.created_at || orderData.processed_at || Date.now()),
-          items_count: orderData.line_items ? orderData.line_items.length : 0,
-          shipping_address: orderData.shipping_address,
-          billing_address: orderData.billing_address
-        };
-
-      case 'bestbuy':
-      case 'bestbuy_canada':
-        return {
-          ...baseOrder,
-          external_order_id: orderData.order_id || orderData.commercial_id,
-          order_number: orderData.commercial_id || orderData.order_id,
-          customer_email: orderData.customer?.email || orderData.customer_email,
-          customer_name: orderData.customer ? 
-            `${orderData.customer.firstname || ''} ${orderData.customer.lastname || ''}`.trim() : 
-            'Unknown',
-          total_amount: parseFloat(orderData.total_price || orderData.price || 0),
-          currency: orderData.currency_iso_code || 'CAD',
-          order_status: this.mapOrderStatus(orderData.state, 'bestbuy'),
-          fulfillment_status: orderData.state || 'pending',
-          order_date: new Date(orderData.created_date || orderData.date_created || Date.now()),
-          items_count: orderData.order_lines ? orderData.order_lines.length : 1,
-          shipping_address: orderData.shipping_address,
-          billing_address: orderData.billing_address
-        };
-
-      case 'amazon':
-        return {
-          ...baseOrder,
-          external_order_id: orderData.AmazonOrderId,
-          order_number: orderData.AmazonOrderId,
-          customer_email: orderData.BuyerEmail || 'unknown@amazon.com',
-          customer_name: orderData.BuyerName || 'Amazon Customer',
-          total_amount: parseFloat(orderData.OrderTotal?.Amount || 0),
-          currency: orderData.OrderTotal?.CurrencyCode || 'USD',
-          order_status: this.mapOrderStatus(orderData.OrderStatus, 'amazon'),
-          fulfillment_status: orderData.FulfillmentChannel || 'MFN',
-          order_date: new Date(orderData.PurchaseDate || Date.now()),
-          items_count: parseInt(orderData.NumberOfItemsShipped || 0) + parseInt(orderData.NumberOfItemsUnshipped || 0),
-          shipping_address: orderData.ShippingAddress,
-          billing_address: orderData.ShippingAddress
-        };
-
-      default:
-        return {
-          ...baseOrder,
-          external_order_id: orderData.id || orderData.order_id,
-          order_number: orderData.order_number || orderData.id,
-          customer_email: orderData.customer_email || orderData.email,
-          customer_name: orderData.customer_name || 'Unknown',
-          total_amount: parseFloat(orderData.total || orderData.total_price || 0),
-          currency: orderData.currency || 'USD',
-          order_status: orderData.status || 'pending',
-          fulfillment_status: orderData.fulfillment_status || 'unfulfilled',
-          order_date: new Date(orderData.created_at || orderData.order_date || Date.now()),
-          items_count: orderData.items_count || 1
-        };
-    }
+    return {
+      ...baseOrder,
+      ...channelRegistry.getOrGeneric(channelName).standardizeOrder(orderData)
+    };
   }
 
   /**
    * Map channel-specific order statuses to standard statuses
    */
   mapOrderStatus(status, channel) {
-    if (!status) return 'pending';
-    
-    const statusLower = status.toLowerCase();
-    
-    // Standard status mapping
-    const statusMap = {
-      // Shopify statuses
-      'paid': 'paid',
-      'pending': 'pending',
-      'authorized': 'authorized',
-      'partially_paid': 'partially_paid',
-      'refunded': 'refunded',
-      'voided': 'cancelled',
-      
-      // BestBuy statuses
-      'waiting_acceptance': 'pending',
-      'waiting_debit': 'authorized',
-      'shipping': 'processing',
-      'shipped': 'shipped',
-      'received': 'delivered',
-      'refused': 'cancelled',
-      'cancelled': 'cancelled',
-      
-      // Amazon statuses
-      'unshipped': 'pending',
-      'partiallyshipped': 'partially_shipped',
-      'shipped': 'shipped',
-      'canceled': 'cancelled',
-      'unfulfillable': 'failed'
-    };
-
-    return statusMap[statusLower] || statusLower;
+    return channelRegistry.getOrGeneric(channel).mapOrderStatus(status);
   }
 
   /**
@@ -397,24 +320,42 @@ class SalesProcessor {
 
   /**
    * Update inventory based on processed order
+   * Open orders hold a reservation, fulfilled ones are deducted, cancelled ones released
    */
-  async updateInventoryFromOrder(standardizedOrder) {
-    // This will integrate with inventory management in future milestones
-    // For now, just log the inventory impact
-    console.log(`📦 Inventory update needed for order ${standardizedOrder.external_order_id}`);
+  async updateInventoryFromOrder(processedOrder) {
+    // Place the order at the warehouses that hold its stock; the channel row covers the rest
+    let warehouseMovements = [];
+    try {
+      warehouseMovements = await this.fulfillment.syncOrder(processedOrder, 'sales_processor');
+    } catch (error) {
+      console.error(`Warehouse allocation failed for order ${processedOrder.external_order_id}:`, error.message);
+    }
+
+    const movements = [...warehouseMovements, ...await this.inventory.syncOrder(processedOrder, 'sales_processor')];
+
+    if (movements.length === 0) return;
+
+    console.log(`📦 ${movements.length} inventory movements for order ${processedOrder.external_order_id}`);
+    await this.allocation.checkOversold(processedOrder, movements);
+
+    // Every channel sells from the same pool - lower what the others advertise straight away
+    await this.inventoryPush.queuePush({
+      productIds: [...new Set(movements.map(movement => String(movement.product_id)))],
+      reason: `order ${processedOrder.external_order_id}`
+    });
   }
 
   /**
    * Update sales aggregations for reporting
    */
-  async updateSalesAggregations(standardizedOrder, channelName) {
+  async updateSalesAggregations(standardizedOrder, channelName, channelId = null) {
     const dateKey = standardizedOrder.order_date.toISOString().split('T')[0];
     
     const query = `
       INSERT INTO sales_aggregations (
-        date_key, channel_name, total_orders, total_revenue, total_items, processed_orders
-      ) VALUES ($1, $2, 1, $3, $4, 1)
-      ON CONFLICT (date_key, channel_name)
+        date_key, channel_name, channel_id, total_orders, total_revenue, total_items, processed_orders
+      ) VALUES ($1, $2, $5, 1, $3, $4, 1)
+      ON CONFLICT (date_key, channel_name, (COALESCE(channel_id, '')))
       DO UPDATE SET
         total_orders = sales_aggregations.total_orders + 1,
         total_revenue = sales_aggregations.total_revenue + EXCLUDED.total_revenue,
@@ -429,21 +370,22 @@ class SalesProcessor {
       dateKey,
       channelName,
       standardizedOrder.total_amount,
-      standardizedOrder.items_count
+      standardizedOrder.items_count,
+      channelId
     ]);
   }
 
   /**
    * Mark order as processed in queue
    */
-  async markOrderProcessed(orderId, channelName, status, errorMessage = null) {
+  async markOrderProcessed(orderId, channelName, status, errorMessage = null, channelId = null) {
     const query = `
       UPDATE sales_processing_queue 
       SET processing_status = $1, processed_at = CURRENT_TIMESTAMP, error_message = $2
-      WHERE order_id = $3 AND channel_name = $4
+      WHERE order_id = $3 AND channel_name = $4 AND COALESCE(channel_id, '') = COALESCE($5, '')
     `;
     
-    await this.db.query(query, [status, errorMessage, orderId, channelName]);
+    await this.db.query(query, [status, errorMessage, orderId, channelName, channelId]);
   }
 
   /**
@@ -511,6 +453,21 @@ class SalesProcessor {
     }
   }
 
+  /**
+   * Drain the processing queue periodically (webhooks also trigger a drain right after queueing)
+   */
+  startQueueProcessor(intervalMinutes = 5) {
+    console.log(`Starting sales queue processor with ${intervalMinutes} minute intervals`);
+
+    setInterval(async () => {
+      try {
+        await this.processQueue();
+      } catch (error) {
+        console.error('Sales queue processor error:', error);
+      }
+    }, intervalMinutes * 60 * 1000);
+  }
+
   /**
    * Add order to processing queue
    */
@@ -521,7 +478,7 @@ class SalesProcessor {
       INSERT INTO sales_processing_queue (
         order_id, channel_id, channel_name, raw_order_data, priority
       ) VALUES ($1, $2, $3, $4, $5)
-      ON CONFLICT (order_id, channel_name) 
+      ON CONFLICT (order_id, channel_name, (COALESCE(channel_id, '')))
       DO UPDATE SET
         raw_order_data = EXCLUDED.raw_order_data,
         priority = EXCLUDED.priority,
@@ -533,7 +490,7 @@ class SalesProcessor {
 
     const result = await this.db.query(query, [
       orderId,
-      channelId,
+      channelId === null || channelId === undefined ? null : String(channelId),
       channelName,
       JSON.stringify(orderData),
       priority
@@ -555,7 +512,7 @@ class SalesProcessor {
   /**
    * Get sales aggregations for reporting
    */
-  async getSalesAggregations(startDate, endDate, channelName = null) {
+  async getSalesAggregations(startDate, endDate, channelName = null, channelId = null) {
     let query = `
       SELECT * FROM sales_aggregations 
       WHERE date_key >= $1 AND date_key <= $2
@@ -563,8 +520,13 @@ class SalesProcessor {
     const params = [startDate, endDate];
 
     if (channelName) {
-      query += ` AND channel_name = $3`;
       params.push(channelName);
+      query += ` AND channel_name = $${params.length}`;
+    }
+
+    if (channelId) {
+      params.push(String(channelId));
+      query += ` AND channel_id = $${params.length}`;
     }
 
     query += ` ORDER BY date_key DESC, channel_name`;
@@ -577,6 +539,7 @@ class SalesProcessor {
    * Close database connection
    */
   async close() {
+    // Sub-services share this pool, so it is ended once
     await this.db.end();
   }
 }
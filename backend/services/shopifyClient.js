@@ -0,0 +1,286 @@
+const ChannelHttpClient = require('./channelHttpClient');
+
+/**
+ * Shopify Admin REST API client
+ * Driven by a channel's api_config (shop_domain, access_token, api_version)
+ * Handles Link header cursor pagination and call-limit backoff
+ */
+class ShopifyClient {
+  constructor(apiConfig = {}) {
+    this.shopDomain = apiConfig.shop_domain || process.env.SHOPIFY_SHOP_DOMAIN;
+    this.accessToken = apiConfig.access_token || process.env.SHOPIFY_ACCESS_TOKEN;
+    this.apiVersion = apiConfig.api_version || process.env.SHOPIFY_API_VERSION || '2024-01';
+
+    // base_url lets the client target a local stub server instead of the live shop
+    this.baseUrl = apiConfig.base_url || `https://${this.shopDomain}/admin/api/${this.apiVersion}`;
+
+    this.pageSize = apiConfig.page_size || 250;
+    this.maxRetries = apiConfig.max_retries || 5;
+    this.timeout = apiConfig.timeout || 30000;
+
+    if (!apiConfig.base_url && (!this.shopDomain || !this.accessToken)) {
+      throw new Error('Shopify configuration missing: shop_domain and access_token are required');
+    }
+
+    // Shopify REST is a leaky bucket of 40 calls draining at 2/s per shop
+    const rateLimit = apiConfig.rate_limit || {};
+    this.http = ChannelHttpClient.for(`shopify:${this.baseUrl}`, {
+      label: 'Shopify',
+      baseURL: this.baseUrl,
+      timeout: this.timeout,
+      maxRetries: this.maxRetries,
+      rateLimits: {
+        default: { rate: rateLimit.requests_per_second || 2, burst: rateLimit.burst || 40 }
+      },
+      headers: {
+        'X-Shopify-Access-Token': this.accessToken,
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  /**
+   * Perform a request through the shop's rate limiter (429 / 5xx retries happen there)
+   */
+  async request(method, url, { params, data, idempotent } = {}) {
+    try {
+      const response = await this.http.request({ method, url, params, data }, { idempotent });
+      await this.throttle(response.headers);
+      return response;
+    } catch (error) {
+      if (error.code === 'CIRCUIT_OPEN') throw error;
+
+      const detail = error.response?.data?.errors || error.message;
+      throw new Error(`Shopify API ${method.toUpperCase()} ${url} failed: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+    }
+  }
+
+  /**
+   * GET a resource, following Link rel="next" cursors until exhausted
+   */
+  async paginate(resource, rootKey, params = {}) {
+    const records = [];
+    let url = `/${resource}.json`;
+    let query = { limit: this.pageSize, ...params };
+
+    while (url) {
+      const response = await this.request('get', url, { params: query });
+      records.push(...(response.data[rootKey] || []));
+
+      // The next link already carries page_info and limit; other filters must not be resent
+      url = this.getNextPageUrl(response.headers.link);
+      query = undefined;
+    }
+
+    return records;
+  }
+
+  /**
+   * Get products, optionally only those updated since a timestamp
+   */
+  async getProducts({ updatedAtMin, ids } = {}) {
+    const params = {};
+    if (updatedAtMin) params.updated_at_min = new Date(updatedAtMin).toISOString();
+    if (ids && ids.length > 0) params.ids = ids.join(',');
+
+    return this.paginate('products', 'products', params);
+  }
+
+  /**
+   * Get orders of any status, optionally only those updated since a timestamp
+   */
+  async getOrders({ updatedAtMin, ids } = {}) {
+    const params = { status: 'any' };
+    if (updatedAtMin) params.updated_at_min = new Date(updatedAtMin).toISOString();
+    if (ids && ids.length > 0) params.ids = ids.join(',');
+
+    return this.paginate('orders', 'orders', params);
+  }
+
+  /**
+   * Get inventory levels joined to variant SKUs
+   * Shopify keys stock by inventory_item_id: levels are read for the given items (webhooks) or
+   * for every location, then only the items returned are resolved to SKUs
+   */
+  async getInventory({ updatedAtMin, inventoryItemIds } = {}) {
+    const filters = [];
+
+    // inventory_levels accepts at most 50 inventory_item_ids or location_ids per request
+    if (inventoryItemIds && inventoryItemIds.length > 0) {
+      for (let i = 0; i < inventoryItemIds.length; i += 50) {
+        filters.push({ inventory_item_ids: inventoryItemIds.slice(i, i + 50).join(',') });
+      }
+    } else {
+      const locationIds = (await this.getLocations()).map(location => location.id);
+      for (let i = 0; i < locationIds.length; i += 50) {
+        filters.push({ location_ids: locationIds.slice(i, i + 50).join(',') });
+      }
+    }
+
+    const levels = [];
+    for (const params of filters) {
+      if (updatedAtMin) params.updated_at_min = new Date(updatedAtMin).toISOString();
+      levels.push(...await this.paginate('inventory_levels', 'inventory_levels', params));
+    }
+
+    const skuByItemId = await this.getSkusByInventoryItemId(levels.map(level => level.inventory_item_id));
+
+    return levels
+      .filter(level => skuByItemId.has(String(level.inventory_item_id)))
+      .map(level => ({
+        ...level,
+        sku: skuByItemId.get(String(level.inventory_item_id))
+      }));
+  }
+
+  /**
+   * Resolve inventory_item_ids to variant SKUs (items without a SKU are left out)
+   */
+  async getSkusByInventoryItemId(itemIds) {
+    const ids = [...new Set(itemIds.map(String))];
+    const skuByItemId = new Map();
+
+    // inventory_items accepts at most 100 ids per request
+    for (let i = 0; i < ids.length; i += 100) {
+      const items = await this.paginate('inventory_items', 'inventory_items', { ids: ids.slice(i, i + 100).join(',') });
+      for (const item of items) {
+        if (item.sku) skuByItemId.set(String(item.id), item.sku);
+      }
+    }
+
+    return skuByItemId;
+  }
+
+  /**
+   * Resolve variant SKUs to inventory_item_ids
+   */
+  async getInventoryItemIdsBySku(skus = null) {
+    const wanted = skus ? new Set(skus) : null;
+    const itemIdBySku = new Map();
+
+    for (const product of await this.getProducts()) {
+      for (const variant of product.variants || []) {
+        if (variant.sku && variant.inventory_item_id && (!wanted || wanted.has(variant.sku))) {
+          itemIdBySku.set(variant.sku, variant.inventory_item_id);
+        }
+      }
+    }
+
+    return itemIdBySku;
+  }
+
+  /**
+   * Get the shop's locations
+   */
+  async getLocations() {
+    const response = await this.request('get', '/locations.json');
+    return response.data.locations || [];
+  }
+
+  /**
+   * Set the available quantity of an inventory item at a location
+   */
+  async setInventoryLevel(locationId, inventoryItemId, available) {
+    const response = await this.request('post', '/inventory_levels/set.json', {
+      data: {
+        location_id: locationId,
+        inventory_item_id: inventoryItemId,
+        available
+      },
+      // Sets an absolute level, so repeating it after a timeout is harmless
+      idempotent: true
+    });
+
+    return response.data.inventory_level;
+  }
+
+  /**
+   * Create a product with its options, variants and images
+   */
+  async createProduct(product) {
+    const response = await this.request('post', '/products.json', { data: { product } });
+    return response.data.product;
+  }
+
+  /**
+   * Update a product's own fields (variants are updated individually)
+   */
+  async updateProduct(productId, product) {
+    const response = await this.request('put', `/products/${encodeURIComponent(productId)}.json`, {
+      data: { product: { id: productId, ...product } },
+      idempotent: true
+    });
+    return response.data.product;
+  }
+
+  async updateVariant(variantId, variant) {
+    const response = await this.request('put', `/variants/${encodeURIComponent(variantId)}.json`, {
+      data: { variant: { id: variantId, ...variant } },
+      idempotent: true
+    });
+    return response.data.variant;
+  }
+
+  /**
+   * Shop details (used for connection tests)
+   */
+  async getShop() {
+    const response = await this.request('get', '/shop.json');
+    return response.data.shop;
+  }
+
+  /**
+   * Webhook subscriptions registered for this app
+   */
+  async getWebhooks() {
+    return this.paginate('webhooks', 'webhooks');
+  }
+
+  async createWebhook(topic, address) {
+    const response = await this.request('post', '/webhooks.json', {
+      data: { webhook: { topic, address, format: 'json' } }
+    });
+    return response.data.webhook;
+  }
+
+  async deleteWebhook(webhookId) {
+    await this.request('delete', `/webhooks/${encodeURIComponent(webhookId)}.json`, { idempotent: true });
+  }
+
+  /**
+   * Extract the rel="next" URL from a Link header
+   */
+  getNextPageUrl(linkHeader) {
+    if (!linkHeader) return null;
+
+    for (const part of linkHeader.split(',')) {
+      const match = part.match(/<([^>]+)>;\s*rel="next"/);
+      if (match) {
+        // Keep the path relative to baseURL so stub servers work the same as live shops
+        return match[1].startsWith(this.baseUrl) ? match[1].slice(this.baseUrl.length) : match[1];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Pause when the leaky bucket is nearly full (X-Shopify-Shop-Api-Call-Limit: used/limit)
+   */
+  async throttle(headers = {}) {
+    const callLimit = headers['x-shopify-shop-api-call-limit'];
+    if (!callLimit) return;
+
+    const [used, limit] = callLimit.split('/').map(Number);
+    if (limit && used / limit >= 0.8) {
+      await this.sleep(1000);
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = ShopifyClient;
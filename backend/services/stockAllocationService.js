@@ -0,0 +1,373 @@
+const { Pool } = require('pg');
+
+const DEFAULT_INVENTORY_RULES = {
+  overselling_prevention: true,
+  safety_stock_percentage: 0.10
+};
+
+/**
+ * Stock Allocation Service
+ * Every channel sells from one shared stock pool per SKU: the on-hand and reserved quantities
+ * summed over all of the product's inventory rows and warehouse bins (warehouse_stock, where
+ * order allocations count as reserved). A unit is held at one location only: order lines
+ * allocated to warehouses aren't reserved on the channel row as well (InventoryService).
+ * What a channel advertises is derived from the pool:
+ *
+ *   pool available - safety stock          (inventory_rules business rule, when overselling_prevention is on)
+ *   x allocation_percent / 100             (channel_stock_rules, optional)
+ *   - buffer_quantity                      (channel_stock_rules, optional)
+ *   capped at max_quantity                 (channel_stock_rules, optional)
+ *
+ * A channel rule with product_id set overrides the channel's default rule for that product.
+ * Orders reserve against the pool; an order that takes the pool below zero raises an
+ * 'overselling' alert in rule_violation_alerts.
+ */
+class StockAllocationService {
+  constructor(db = null) {
+    this.db = db || new Pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+
+    this.settingsCacheMs = 60 * 1000;
+    this.settings = null;
+    this.settingsLoadedAt = 0;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize stock allocation service
+   */
+  async initialize() {
+    try {
+      await this.db.query('SELECT NOW()');
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS channel_stock_rules (
+          id SERIAL PRIMARY KEY,
+          channel_id VARCHAR(100) NOT NULL,
+          product_id VARCHAR(100),
+          allocation_percent DECIMAL(5,2) CHECK (allocation_percent BETWEEN 0 AND 100),
+          max_quantity INTEGER CHECK (max_quantity >= 0),
+          buffer_quantity INTEGER NOT NULL DEFAULT 0 CHECK (buffer_quantity >= 0),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await this.db.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_channel_stock_rules_target
+        ON channel_stock_rules(channel_id, (COALESCE(product_id, '')))
+      `);
+
+      this.isInitialized = true;
+      console.log('✅ StockAllocationService initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ StockAllocationService initialization failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * The inventory_rules business rule (ValidationRuleEngine), cached briefly
+   */
+  async getSettings() {
+    if (this.settings && Date.now() - this.settingsLoadedAt < this.settingsCacheMs) {
+      return this.settings;
+    }
+
+    let settings = { ...DEFAULT_INVENTORY_RULES, applies_to_channels: null };
+    try {
+      const result = await this.db.query(`
+        SELECT config_values, applies_to_channels FROM business_rule_configs
+        WHERE config_name = 'inventory_rules' AND is_active = true
+      `);
+      if (result.rows[0]) {
+        settings = {
+          ...DEFAULT_INVENTORY_RULES,
+          ...result.rows[0].config_values,
+          applies_to_channels: result.rows[0].applies_to_channels
+        };
+      }
+    } catch (error) {
+      console.error('Inventory rules unavailable, using defaults:', error.message);
+    }
+
+    this.settings = settings;
+    this.settingsLoadedAt = Date.now();
+    return settings;
+  }
+
+  /**
+   * Pooled on-hand, reserved and available quantities per product id
+   * Inside a transaction pass its client, with lock to hold the stock rows until it ends
+   */
+  async getPoolQuantities(productIds, { client = this.db, lock = false } = {}) {
+    const pools = new Map(productIds.map(productId => [String(productId), { on_hand: 0, reserved: 0, available: 0 }]));
+    if (productIds.length === 0) return pools;
+
+    // Aggregates can't take FOR UPDATE, so inside a transaction the stock rows are locked first
+    if (lock) {
+      await client.query('SELECT 1 FROM inventory WHERE product_id::text = ANY($1) ORDER BY id FOR UPDATE', [productIds.map(String)]);
+      await client.query('SELECT 1 FROM warehouse_stock WHERE product_id::text = ANY($1) ORDER BY id FOR UPDATE', [productIds.map(String)]);
+    }
+
+    const channelStock = await client.query(`
+      SELECT product_id::text as product_id, SUM(quantity)::int as quantity, SUM(reserved_quantity)::int as reserved
+      FROM inventory
+      WHERE product_id::text = ANY($1)
+      GROUP BY product_id
+    `, [productIds.map(String)]);
+    const warehouseStock = await client.query(`
+      SELECT product_id::text as product_id, SUM(quantity)::int as quantity, SUM(allocated_quantity)::int as reserved
+      FROM warehouse_stock
+      WHERE product_id::text = ANY($1)
+      GROUP BY product_id
+    `, [productIds.map(String)]);
+
+    // Channel rows and warehouse bins hold separate stock, so the pool is their sum
+    for (const row of [...channelStock.rows, ...warehouseStock.rows]) {
+      if (!pools.has(row.product_id)) pools.set(row.product_id, { on_hand: 0, reserved: 0, available: 0 });
+      const pool = pools.get(row.product_id);
+      pool.on_hand += row.quantity;
+      pool.reserved += row.reserved;
+      pool.available = pool.on_hand - pool.reserved;
+    }
+
+    return pools;
+  }
+
+  /**
+   * Advertised quantity per product id for one channel
+   */
+  async getChannelQuantities(channelId, productIds) {
+    const channel = await this.db.query('SELECT name, channel_type FROM channels WHERE id::text = $1', [String(channelId)]);
+    const channelType = channel.rows[0]?.channel_type || channel.rows[0]?.name;
+
+    const [settings, pools, rules] = await Promise.all([
+      this.getSettings(),
+      this.getPoolQuantities(productIds),
+      this.getRules(channelId)
+    ]);
+
+    const channelDefault = rules.find(rule => !rule.product_id);
+    const productRules = new Map(rules.filter(rule => rule.product_id).map(rule => [rule.product_id, rule]));
+    const quantities = new Map();
+
+    for (const [productId, pool] of pools) {
+      const rule = productRules.get(productId) || channelDefault || null;
+      quantities.set(productId, this.advertisedQuantity(pool, rule, settings, channelType));
+    }
+
+    return quantities;
+  }
+
+  /**
+   * Derive a channel's quantity from the pool (see the class comment for the order of steps)
+   */
+  advertisedQuantity(pool, rule, settings, channelType) {
+    const appliesToChannel = !settings.applies_to_channels || settings.applies_to_channels.includes(channelType);
+    const safetyStock = settings.overselling_prevention && appliesToChannel
+      ? Math.ceil(Math.max(pool.on_hand, 0) * (parseFloat(settings.safety_stock_percentage) || 0))
+      : 0;
+
+    let quantity = Math.max(pool.available - safetyStock, 0);
+
+    if (rule) {
+      if (rule.allocation_percent !== null && rule.allocation_percent !== undefined) {
+        quantity = Math.floor(quantity * parseFloat(rule.allocation_percent) / 100);
+      }
+      quantity -= rule.buffer_quantity || 0;
+      if (rule.max_quantity !== null && rule.max_quantity !== undefined) {
+        quantity = Math.min(quantity, rule.max_quantity);
+      }
+    }
+
+    return Math.max(quantity, 0);
+  }
+
+  /**
+   * The pool for one SKU with what each listing channel advertises from it
+   */
+  async getPool(sku) {
+    const product = await this.db.query('SELECT id::text as id, sku, name FROM products WHERE sku = $1', [sku]);
+    if (product.rows.length === 0) {
+      throw this.httpError(404, `Product not found: ${sku}`);
+    }
+
+    const { id } = product.rows[0];
+    const pool = (await this.getPoolQuantities([id])).get(id);
+    const settings = await this.getSettings();
+
+    const locations = await this.db.query(`
+      SELECT i.channel_id::text as channel_id, c.name as channel_name, i.quantity, i.reserved_quantity, i.available_quantity
+      FROM inventory i
+      LEFT JOIN channels c ON c.id = i.channel_id
+      WHERE i.product_id::text = $1
+      ORDER BY c.name
+    `, [id]);
+
+    const warehouses = await this.db.query(`
+      SELECT ws.fulfillment_center_id, fc.name as fulfillment_center_name, ws.bin_location,
+             ws.quantity, ws.allocated_quantity, ws.quantity - ws.allocated_quantity as available_quantity
+      FROM warehouse_stock ws
+      JOIN fulfillment_centers fc ON fc.id = ws.fulfillment_center_id
+      WHERE ws.product_id::text = $1
+      ORDER BY fc.name, ws.bin_location
+    `, [id]);
+
+    const listings = await this.db.query(`
+      SELECT c.id::text as channel_id, c.name as channel_name
+      FROM channel_products cp
+      JOIN channels c ON c.id::text = cp.channel_id::text
+      WHERE cp.product_id::text = $1 AND c.is_active = true
+      ORDER BY c.name
+    `, [id]);
+
+    const channels = [];
+    for (const listing of listings.rows) {
+      const quantities = await this.getChannelQuantities(listing.channel_id, [id]);
+      channels.push({ ...listing, advertised_quantity: quantities.get(id) });
+    }
+
+    return {
+      ...product.rows[0],
+      pool,
+      settings: {
+        overselling_prevention: settings.overselling_prevention,
+        safety_stock_percentage: settings.safety_stock_percentage
+      },
+      locations: locations.rows,
+      warehouses: warehouses.rows,
+      channels
+    };
+  }
+
+  /**
+   * Raise an alert for each product an order reserved (or sold) beyond the pool
+   * movements: the order's InventoryService movements
+   */
+  async checkOversold(order, movements) {
+    const productIds = [...new Set(movements
+      .filter(movement => ['reserve', 'sale'].includes(movement.movement_type))
+      .map(movement => String(movement.product_id)))];
+    if (productIds.length === 0) return [];
+
+    const pools = await this.getPoolQuantities(productIds);
+    const alerts = [];
+
+    for (const productId of productIds) {
+      const pool = pools.get(productId);
+      if (pool.available >= 0) continue;
+
+      const product = await this.db.query('SELECT sku FROM products WHERE id::text = $1', [productId]);
+      const sku = product.rows[0]?.sku;
+      const alertData = {
+        order_id: String(order.id),
+        external_order_id: order.external_order_id,
+        channel_id: order.channel_id === null || order.channel_id === undefined ? null : String(order.channel_id),
+        sku,
+        on_hand: pool.on_hand,
+        reserved: pool.reserved,
+        shortfall: -pool.available
+      };
+
+      try {
+        const existing = await this.db.query(`
+          SELECT id FROM rule_violation_alerts
+          WHERE violation_type = 'overselling' AND entity_id::text = $1 AND alert_data->>'order_id' = $2
+        `, [productId, alertData.order_id]);
+        if (existing.rows.length > 0) continue;
+
+        const result = await this.db.query(`
+          INSERT INTO rule_violation_alerts (violation_type, entity_type, entity_id, severity, alert_message, alert_data)
+          VALUES ('overselling', 'inventory', $1, 'high', $2, $3)
+          RETURNING *
+        `, [
+          productId,
+          `Oversold ${sku}: order ${order.external_order_id || order.id} leaves the pool ${alertData.shortfall} short`,
+          JSON.stringify(alertData)
+        ]);
+        alerts.push(result.rows[0]);
+      } catch (error) {
+        console.error(`Failed to record oversell alert for ${sku}:`, error.message);
+      }
+
+      console.warn(`⚠️ Oversold ${sku} on order ${order.external_order_id || order.id}: ${alertData.shortfall} short`);
+    }
+
+    return alerts;
+  }
+
+  /**
+   * A channel's default rule (product_id null) and per-product rules
+   */
+  async getRules(channelId) {
+    const result = await this.db.query(`
+      SELECT r.*, p.sku
+      FROM channel_stock_rules r
+      LEFT JOIN products p ON p.id::text = r.product_id
+      WHERE r.channel_id = $1
+      ORDER BY r.product_id NULLS FIRST, p.sku
+    `, [String(channelId)]);
+
+    return result.rows;
+  }
+
+  /**
+   * Create or replace the channel's default rule, or a product's rule when productId is given
+   */
+  async setRule(channelId, { productId = null, allocationPercent = null, maxQuantity = null, bufferQuantity = 0 } = {}) {
+    if (allocationPercent !== null && !(allocationPercent >= 0 && allocationPercent <= 100)) {
+      throw this.httpError(400, 'allocationPercent must be between 0 and 100');
+    }
+    if (maxQuantity !== null && !(Number.isInteger(maxQuantity) && maxQuantity >= 0)) {
+      throw this.httpError(400, 'maxQuantity must be a non-negative integer');
+    }
+    if (!(Number.isInteger(bufferQuantity) && bufferQuantity >= 0)) {
+      throw this.httpError(400, 'bufferQuantity must be a non-negative integer');
+    }
+
+    const channel = await this.db.query('SELECT id FROM channels WHERE id::text = $1', [String(channelId)]);
+    if (channel.rows.length === 0) {
+      throw this.httpError(404, `Channel not found: ${channelId}`);
+    }
+    if (productId) {
+      const product = await this.db.query('SELECT id FROM products WHERE id::text = $1', [String(productId)]);
+      if (product.rows.length === 0) {
+        throw this.httpError(404, `Product not found: ${productId}`);
+      }
+    }
+
+    const result = await this.db.query(`
+      INSERT INTO channel_stock_rules (channel_id, product_id, allocation_percent, max_quantity, buffer_quantity)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (channel_id, (COALESCE(product_id, ''))) DO UPDATE SET
+        allocation_percent = EXCLUDED.allocation_percent,
+        max_quantity = EXCLUDED.max_quantity,
+        buffer_quantity = EXCLUDED.buffer_quantity,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [String(channelId), productId ? String(productId) : null, allocationPercent, maxQuantity, bufferQuantity]);
+
+    return result.rows[0];
+  }
+
+  async deleteRule(channelId, ruleId) {
+    const result = await this.db.query(`
+      DELETE FROM channel_stock_rules WHERE id::text = $1 AND channel_id = $2 RETURNING *
+    `, [String(ruleId), String(channelId)]);
+
+    if (result.rows.length === 0) {
+      throw this.httpError(404, 'Stock rule not found');
+    }
+    return result.rows[0];
+  }
+
+  httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = StockAllocationService;
@@ -1,5 +1,13 @@
-const axios = require('axios');
+const os = require('os');
 const { Pool } = require('pg');
+const DataMapper = require('./dataMapper');
+const ProductCatalogService = require('./productCatalogService');
+const InventoryPushService = require('./inventoryPushService');
+const CatalogReconciliationService = require('./catalogReconciliationService');
+const ListingPublisherService = require('./listingPublisherService');
+const OrderAcceptanceService = require('./orderAcceptanceService');
+const channelRegistry = require('./channels/channelRegistry');
+const channelCredentials = require('./channels/channelCredentials');
 
 /**
  * Data Synchronization Service for Multi-Channel E-commerce Portal
@@ -7,18 +15,39 @@ const { Pool } = require('pg');
  * Milestone 8: Data Sync Services
  */
 class SyncService {
-  constructor() {
-    this.db = new Pool({
+  constructor(db = null) {
+    this.db = db || new Pool({
       connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
       ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
     });
     
+    this.dataMapper = new DataMapper(this.db);
+    this.catalog = new ProductCatalogService(this.db);
+    this.inventoryPush = new InventoryPushService(this.db);
+    this.reconciliation = new CatalogReconciliationService(this.db);
+    this.publisher = new ListingPublisherService(this.db);
+    this.orderAcceptance = new OrderAcceptanceService(this.db);
     this.syncQueue = [];
     this.isProcessing = false;
+
+    // Queue worker: jobs are leased with FOR UPDATE SKIP LOCKED so several instances can share the queue
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.workerConcurrency = parseInt(process.env.SYNC_WORKER_CONCURRENCY) || 4;
+    this.defaultChannelConcurrency = parseInt(process.env.SYNC_CHANNEL_CONCURRENCY) || 1;
+    this.heartbeatIntervalMs = 30 * 1000;
+    this.stuckJobTimeoutMs = 5 * 60 * 1000;
+    this.maxRetryDelayMs = 60 * 60 * 1000;
+    this.incrementalSyncTypes = ['products', 'orders', 'inventory'];
+
+    // Re-read this much before the watermark to cover clock skew and late-indexed records
+    this.cursorOverlapMs = 5 * 60 * 1000;
     this.syncStats = {
       products: { success: 0, failed: 0, lastSync: null },
       orders: { success: 0, failed: 0, lastSync: null },
-      inventory: { success: 0, failed: 0, lastSync: null }
+      inventory: { success: 0, failed: 0, lastSync: null },
+      inventory_push: { success: 0, failed: 0, lastSync: null },
+      reconciliation: { success: 0, failed: 0, lastSync: null },
+      listing_publish: { success: 0, failed: 0, lastSync: null }
     };
   }
 
@@ -34,7 +63,7 @@ class SyncService {
       await this.db.query(`
         CREATE TABLE IF NOT EXISTS sync_logs (
           id SERIAL PRIMARY KEY,
-          channel_id INTEGER,
+          channel_id VARCHAR(100),
           sync_type VARCHAR(50) NOT NULL,
           status VARCHAR(20) NOT NULL,
           records_processed INTEGER DEFAULT 0,
@@ -50,7 +79,7 @@ class SyncService {
       await this.db.query(`
         CREATE TABLE IF NOT EXISTS sync_queue (
           id SERIAL PRIMARY KEY,
-          channel_id INTEGER,
+          channel_id VARCHAR(100),
           sync_type VARCHAR(50) NOT NULL,
           priority INTEGER DEFAULT 5,
           payload JSONB,
@@ -63,6 +92,52 @@ class SyncService {
         )
       `);
 
+      // Worker lease columns (added to queues created before leasing existed)
+      await this.db.query(`
+        ALTER TABLE sync_queue
+          ADD COLUMN IF NOT EXISTS worker_id VARCHAR(100),
+          ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS dead_lettered_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      `);
+
+      await this.db.query(`
+        CREATE INDEX IF NOT EXISTS idx_sync_queue_claim ON sync_queue(status, priority DESC, scheduled_at)
+      `);
+
+      // Jobs and logs reference channels by ID; tables created with integer IDs are widened for channel UUIDs
+      // (only when needed - the ALTER would otherwise take an exclusive lock on every start)
+      const channelIdColumns = await this.db.query(`
+        SELECT table_name FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name IN ('sync_queue', 'sync_logs')
+        AND column_name = 'channel_id'
+        AND NOT (data_type = 'character varying' AND character_maximum_length >= 100)
+      `);
+      for (const { table_name: table } of channelIdColumns.rows) {
+        await this.db.query(`ALTER TABLE ${table} ALTER COLUMN channel_id TYPE VARCHAR(100) USING channel_id::text`);
+      }
+
+      // Per-channel, per-sync-type watermarks for incremental fetches
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS sync_cursors (
+          id SERIAL PRIMARY KEY,
+          channel_id VARCHAR(100) NOT NULL,
+          sync_type VARCHAR(50) NOT NULL,
+          watermark TIMESTAMP,
+          cursor_data JSONB,
+          records_synced INTEGER DEFAULT 0,
+          last_success_at TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(channel_id, sync_type)
+        )
+      `);
+
+      await this.inventoryPush.initialize();
+      await this.reconciliation.initialize();
+      await this.publisher.initialize();
+      await this.orderAcceptance.initialize();
+
       console.log('SyncService initialized successfully');
       return true;
     } catch (error) {
@@ -93,6 +168,8 @@ class SyncService {
 
   /**
    * Process sync queue
+   * Leases batches of due jobs until the queue is drained; isProcessing only stops
+   * overlapping ticks within this instance, the row locks coordinate instances
    */
   async processSyncQueue() {
     if (this.isProcessing) {
@@ -104,37 +181,161 @@ class SyncService {
     console.log('Starting sync queue processing...');
 
     try {
-      // Get pending jobs ordered by priority and scheduled time
-      const result = await this.db.query(`
-        SELECT sq.*, c.name as channel_name, c.api_config
+      await this.recoverStuckJobs();
+
+      let jobs = await this.claimJobs(this.workerConcurrency);
+
+      while (jobs.length > 0) {
+        console.log(`Processing ${jobs.length} sync jobs`);
+
+        // Claimed jobs already respect per-channel limits, so they can run side by side
+        await Promise.all(jobs.map(job => this.processSyncJob(job)));
+
+        jobs = await this.claimJobs(this.workerConcurrency);
+      }
+
+    } catch (error) {
+      console.error('Error processing sync queue:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Lease up to `limit` due jobs for this worker
+   * Channels never run more jobs at once than api_config.max_concurrent_jobs (default 1)
+   */
+  async claimJobs(limit) {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Serialise the claim step across instances so per-channel counts can't race
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('sync_queue_claim'))`);
+
+      const running = await client.query(`
+        SELECT sq.channel_id::text as channel_id, COUNT(*)::int as running
+        FROM sync_queue sq
+        WHERE sq.status = 'processing'
+        GROUP BY sq.channel_id
+      `);
+      const runningByChannel = new Map(running.rows.map(row => [row.channel_id, row.running]));
+
+      const candidates = await client.query(`
+        SELECT sq.id, sq.channel_id::text as channel_id, c.api_config
         FROM sync_queue sq
         LEFT JOIN channels c ON sq.channel_id::text = c.id::text
-        WHERE sq.status = 'pending' 
+        WHERE sq.status = 'pending'
         AND sq.retry_count < sq.max_retries
         AND sq.scheduled_at <= CURRENT_TIMESTAMP
         ORDER BY sq.priority DESC, sq.scheduled_at ASC
-        LIMIT 10
-      `);
+        LIMIT $1
+        FOR UPDATE OF sq SKIP LOCKED
+      `, [limit * 10]);
+
+      const claimIds = [];
+      for (const row of candidates.rows) {
+        if (claimIds.length >= limit) break;
 
-      const jobs = result.rows;
-      console.log(`Processing ${jobs.length} sync jobs`);
+        // Only limits are read here - credentials stay encrypted until the job runs
+        const apiConfig = channelCredentials.parseStoredConfig(row.api_config);
+        const channelLimit = apiConfig.max_concurrent_jobs || this.defaultChannelConcurrency;
+        const channelRunning = runningByChannel.get(row.channel_id) || 0;
 
-      for (const job of jobs) {
-        await this.processSyncJob(job);
+        if (channelRunning >= channelLimit) continue;
+
+        runningByChannel.set(row.channel_id, channelRunning + 1);
+        claimIds.push(row.id);
+      }
+
+      if (claimIds.length === 0) {
+        await client.query('COMMIT');
+        return [];
       }
 
+      await client.query(`
+        UPDATE sync_queue
+        SET status = 'processing', worker_id = $1, processed_at = CURRENT_TIMESTAMP, heartbeat_at = CURRENT_TIMESTAMP
+        WHERE id = ANY($2)
+      `, [this.workerId, claimIds]);
+
+      const claimed = await client.query(`
+        SELECT sq.*, c.name as channel_name, c.channel_type, c.api_config
+        FROM sync_queue sq
+        LEFT JOIN channels c ON sq.channel_id::text = c.id::text
+        WHERE sq.id = ANY($1)
+        ORDER BY sq.priority DESC, sq.scheduled_at ASC
+      `, [claimIds]);
+
+      await client.query('COMMIT');
+      return claimed.rows;
+
     } catch (error) {
-      console.error('Error processing sync queue:', error);
+      await client.query('ROLLBACK');
+      throw error;
     } finally {
-      this.isProcessing = false;
+      client.release();
     }
   }
 
+  /**
+   * Return jobs whose worker stopped heartbeating to the queue (or dead-letter them)
+   */
+  async recoverStuckJobs() {
+    const stuckBefore = new Date(Date.now() - this.stuckJobTimeoutMs);
+
+    const result = await this.db.query(`
+      UPDATE sync_queue
+      SET retry_count = retry_count + 1,
+          status = CASE WHEN retry_count + 1 >= max_retries THEN 'dead_letter' ELSE 'pending' END,
+          dead_lettered_at = CASE WHEN retry_count + 1 >= max_retries THEN CURRENT_TIMESTAMP ELSE NULL END,
+          scheduled_at = CURRENT_TIMESTAMP,
+          worker_id = NULL,
+          error_message = 'Worker heartbeat lost (last seen ' || COALESCE(worker_id, 'unknown') || ')'
+      WHERE status = 'processing'
+      AND COALESCE(heartbeat_at, processed_at) < $1
+      RETURNING id, status
+    `, [stuckBefore]);
+
+    for (const job of result.rows) {
+      console.warn(`⚠️ Recovered stuck sync job ${job.id} -> ${job.status}`);
+    }
+
+    return result.rows;
+  }
+
+  /**
+   * Keep the lease alive while a job runs
+   */
+  startHeartbeat(job) {
+    const timer = setInterval(() => {
+      this.db.query(`
+        UPDATE sync_queue SET heartbeat_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND worker_id = $2 AND status = 'processing'
+      `, [job.id, this.workerId]).catch(error => {
+        console.error(`Heartbeat failed for sync job ${job.id}:`, error.message);
+      });
+    }, this.heartbeatIntervalMs);
+
+    timer.unref();
+    return timer;
+  }
+
+  /**
+   * Exponential backoff with jitter: 2^n minutes, capped at an hour
+   */
+  getRetryDelay(retryCount) {
+    const delay = Math.min(Math.pow(2, retryCount) * 60000, this.maxRetryDelayMs);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
   /**
    * Process individual sync job
    */
   async processSyncJob(job) {
     const startTime = Date.now();
+    const heartbeat = this.startHeartbeat(job);
     let logId = null;
 
     try {
@@ -147,12 +348,11 @@ class SyncService {
       
       logId = logResult.rows[0].id;
 
-      // Update job status to processing
-      await this.db.query(`
-        UPDATE sync_queue 
-        SET status = 'processing', processed_at = CURRENT_TIMESTAMP
-        WHERE id = $1
-      `, [job.id]);
+      // Changes are fetched from the last successful run onwards
+      const runStartedAt = new Date();
+      if (this.incrementalSyncTypes.includes(job.sync_type)) {
+        job.cursor = await this.getSyncCursor(job.channel_id, job.sync_type);
+      }
 
       // Process based on sync type
       let result;
@@ -166,6 +366,15 @@ class SyncService {
         case 'inventory':
           result = await this.syncInventory(job);
           break;
+        case 'inventory_push':
+          result = await this.pushInventory(job);
+          break;
+        case 'reconciliation':
+          result = await this.reconcileCatalog(job);
+          break;
+        case 'listing_publish':
+          result = await this.publishListings(job);
+          break;
         default:
           throw new Error(`Unknown sync type: ${job.sync_type}`);
       }
@@ -173,18 +382,31 @@ class SyncService {
       // Update successful completion
       const duration = Date.now() - startTime;
       
+      const errors = result.errors || [];
+
       await this.db.query(`
         UPDATE sync_logs 
-        SET status = 'completed', records_processed = $1, completed_at = CURRENT_TIMESTAMP, duration_ms = $2
-        WHERE id = $3
-      `, [result.processed || 0, duration, logId]);
+        SET status = 'completed', records_processed = $1, errors_count = $2, error_details = $3,
+            completed_at = CURRENT_TIMESTAMP, duration_ms = $4
+        WHERE id = $5
+      `, [result.processed || 0, errors.length, errors.length > 0 ? JSON.stringify({ errors }) : null, duration, logId]);
 
       await this.db.query(`
         UPDATE sync_queue 
-        SET status = 'completed'
+        SET status = 'completed', completed_at = CURRENT_TIMESTAMP, heartbeat_at = NULL
         WHERE id = $1
       `, [job.id]);
 
+      // Records that failed to store are fetched again next run - the watermark stays put
+      if (this.advancesCursor(job) && errors.length === 0) {
+        await this.saveSyncCursor(job.channel_id, job.sync_type, runStartedAt, {
+          since: this.getSyncOptions(job).updatedAtMin,
+          jobId: job.id
+        }, result.processed || 0);
+      } else if (this.advancesCursor(job)) {
+        console.warn(`⚠️ ${errors.length} ${job.sync_type} record(s) failed for ${job.channel_name}; sync cursor not advanced`);
+      }
+
       // Update stats
       this.syncStats[job.sync_type].success++;
       this.syncStats[job.sync_type].lastSync = new Date();
@@ -205,28 +427,45 @@ class SyncService {
         `, [JSON.stringify({ message: error.message, stack: error.stack }), duration, logId]);
       }
 
-      // Update job with retry logic
+      // Update job with retry logic - exhausted jobs move to the dead-letter state
       const retryCount = job.retry_count + 1;
-      if (retryCount >= job.max_retries) {
+      if (error.code === 'CIRCUIT_OPEN') {
+        // The channel is down, not the job - wait for the circuit without using up a retry
+        await this.db.query(`
+          UPDATE sync_queue
+          SET status = 'pending', scheduled_at = $1, error_message = $2,
+              worker_id = NULL, heartbeat_at = NULL
+          WHERE id = $3
+        `, [error.retryAt, error.message, job.id]);
+
+        console.warn(`⏳ Sync job ${job.id} deferred until ${error.retryAt.toISOString()}: ${error.message}`);
+      } else if (retryCount >= job.max_retries) {
         await this.db.query(`
           UPDATE sync_queue 
-          SET status = 'failed', retry_count = $1, error_message = $2
+          SET status = 'dead_letter', retry_count = $1, error_message = $2,
+              dead_lettered_at = CURRENT_TIMESTAMP, worker_id = NULL, heartbeat_at = NULL
           WHERE id = $3
         `, [retryCount, error.message, job.id]);
+
+        console.error(`☠️ Sync job ${job.id} moved to dead letter after ${retryCount} attempts`);
       } else {
         // Schedule retry with exponential backoff
-        const retryDelay = Math.pow(2, retryCount) * 60000; // 2^n minutes
-        const retryTime = new Date(Date.now() + retryDelay);
+        const retryTime = new Date(Date.now() + this.getRetryDelay(retryCount));
         
         await this.db.query(`
           UPDATE sync_queue 
-          SET status = 'pending', retry_count = $1, scheduled_at = $2, error_message = $3
+          SET status = 'pending', retry_count = $1, scheduled_at = $2, error_message = $3,
+              worker_id = NULL, heartbeat_at = NULL
           WHERE id = $4
         `, [retryCount, retryTime, error.message, job.id]);
       }
 
       // Update stats
-      this.syncStats[job.sync_type].failed++;
+      if (this.syncStats[job.sync_type]) {
+        this.syncStats[job.sync_type].failed++;
+      }
+    } finally {
+      clearInterval(heartbeat);
     }
   }
 
@@ -236,25 +475,13 @@ class SyncService {
   async syncProducts(job) {
     console.log(`Syncing products for channel: ${job.channel_name}`);
     
-    const apiConfig = JSON.parse(job.api_config);
-    let products = [];
+    const apiConfig = this.parseApiConfig(job.api_config);
+    const options = this.getSyncOptions(job);
+    const adapter = channelRegistry.resolve(job);
     let processed = 0;
 
-    // Get products based on channel type
-    switch (job.channel_name.toLowerCase()) {
-      case 'shopify':
-        products = await this.getShopifyProducts(apiConfig);
-        break;
-      case 'bestbuy':
-        products = await this.getBestBuyProducts(apiConfig);
-        break;
-      case 'amazon':
-        // Amazon integration placeholder
-        products = await this.getAmazonProducts(apiConfig);
-        break;
-      default:
-        throw new Error(`Unsupported channel: ${job.channel_name}`);
-    }
+    const rawProducts = await adapter.fetchProducts(apiConfig, options);
+    const { records: products, errors } = await this.mapChannelRecords(adapter.type, job.channel_id, 'product', rawProducts);
 
     // Process and store products
     for (const product of products) {
@@ -263,10 +490,11 @@ class SyncService {
         processed++;
       } catch (error) {
         console.error(`Failed to store product ${product.id}:`, error.message);
+        errors.push({ id: product.id, sku: product.sku, error: error.message });
       }
     }
 
-    return { processed, total: products.length };
+    return { processed, total: rawProducts.length, errors };
   }
 
   /**
@@ -275,24 +503,13 @@ class SyncService {
   async syncOrders(job) {
     console.log(`Syncing orders for channel: ${job.channel_name}`);
     
-    const apiConfig = JSON.parse(job.api_config);
-    let orders = [];
+    const apiConfig = this.parseApiConfig(job.api_config);
+    const options = this.getSyncOptions(job);
+    const adapter = channelRegistry.resolve(job);
     let processed = 0;
 
-    // Get orders based on channel type
-    switch (job.channel_name.toLowerCase()) {
-      case 'shopify':
-        orders = await this.getShopifyOrders(apiConfig);
-        break;
-      case 'bestbuy':
-        orders = await this.getBestBuyOrders(apiConfig);
-        break;
-      case 'amazon':
-        orders = await this.getAmazonOrders(apiConfig);
-        break;
-      default:
-        throw new Error(`Unsupported channel: ${job.channel_name}`);
-    }
+    const rawOrders = await adapter.fetchOrders(apiConfig, options);
+    const { records: orders, errors } = await this.mapChannelRecords(adapter.type, job.channel_id, 'order', rawOrders);
 
     // Process and store orders
     for (const order of orders) {
@@ -301,10 +518,18 @@ class SyncService {
         processed++;
       } catch (error) {
         console.error(`Failed to store order ${order.id}:`, error.message);
+        errors.push({ id: order.id, error: error.message });
       }
     }
 
-    return { processed, total: orders.length };
+    // Channel follow-up, e.g. answering Mirakl orders waiting for acceptance
+    await adapter.afterOrderSync(
+      { id: job.channel_id, name: job.channel_name, channel_type: job.channel_type },
+      apiConfig,
+      { orderAcceptance: this.orderAcceptance }
+    );
+
+    return { processed, total: rawOrders.length, errors };
   }
 
   /**
@@ -313,24 +538,13 @@ class SyncService {
   async syncInventory(job) {
     console.log(`Syncing inventory for channel: ${job.channel_name}`);
     
-    const apiConfig = JSON.parse(job.api_config);
-    let inventoryItems = [];
+    const apiConfig = this.parseApiConfig(job.api_config);
+    const options = this.getSyncOptions(job);
+    const adapter = channelRegistry.resolve(job);
     let processed = 0;
 
-    // Get inventory based on channel type
-    switch (job.channel_name.toLowerCase()) {
-      case 'shopify':
-        inventoryItems = await this.getShopifyInventory(apiConfig);
-        break;
-      case 'bestbuy':
-        inventoryItems = await this.getBestBuyInventory(apiConfig);
-        break;
-      case 'amazon':
-        inventoryItems = await this.getAmazonInventory(apiConfig);
-        break;
-      default:
-        throw new Error(`Unsupported channel: ${job.channel_name}`);
-    }
+    const rawInventory = await adapter.fetchInventory(apiConfig, options);
+    const { records: inventoryItems, errors } = await this.mapChannelRecords(adapter.type, job.channel_id, 'inventory', rawInventory);
 
     // Process and update inventory
     for (const item of inventoryItems) {
@@ -339,93 +553,428 @@ class SyncService {
         processed++;
       } catch (error) {
         console.error(`Failed to update inventory ${item.sku}:`, error.message);
+        errors.push({ sku: item.sku, error: error.message });
       }
     }
 
-    return { processed, total: inventoryItems.length };
+    return { processed, total: rawInventory.length, errors };
   }
 
   /**
-   * Get Shopify products
+   * Push portal stock levels to the channel
    */
-  async getShopifyProducts(apiConfig) {
-    // Implementation for Shopify products API
-    // This would use the Shopify API configuration
-    return [];
+  async pushInventory(job) {
+    const payload = this.parsePayload(job);
+    console.log(`Pushing inventory to channel: ${job.channel_name} (${payload.reason || 'manual'})`);
+
+    const result = await this.inventoryPush.pushChannelInventory({
+      id: job.channel_id,
+      name: job.channel_name,
+      channel_type: job.channel_type,
+      api_config: this.parseApiConfig(job.api_config)
+    }, {
+      productIds: payload.productIds,
+      skus: payload.skus,
+      force: payload.force
+    });
+
+    // Nothing accepted at all - fail the job so the queue retries it with backoff
+    if (result.total > 0 && result.processed === 0) {
+      throw new Error(`Inventory push failed for all ${result.total} products: ${result.errors[0].error}`);
+    }
+
+    return result;
   }
 
   /**
-   * Get BestBuy products (offers)
+   * Compare the channel's live listings with the master catalogue
+   * Jobs queued without a run (e.g. via /api/sync/trigger) get one created here
    */
-  async getBestBuyProducts(apiConfig) {
-    try {
-      const response = await axios.get('https://marketplace.bestbuy.ca/api/offers', {
-        headers: {
-          'Authorization': process.env.BESTBUY_CANADA_API_KEY,
-          'Accept': 'application/json'
-        },
-        timeout: 30000
+  async reconcileCatalog(job) {
+    const payload = this.parsePayload(job);
+    const channel = {
+      id: job.channel_id,
+      name: job.channel_name,
+      channel_type: job.channel_type,
+      api_config: this.parseApiConfig(job.api_config)
+    };
+
+    const runId = payload.runId || (await this.reconciliation.createRun(channel, 'sync_queue')).id;
+    console.log(`Reconciling catalog for channel: ${job.channel_name} (run ${runId})`);
+
+    return this.reconciliation.runReconciliation(channel, runId);
+  }
+
+  /**
+   * Publish master products to the channel, then push stock for what went live
+   */
+  async publishListings(job) {
+    const payload = this.parsePayload(job);
+    console.log(`Publishing ${(payload.productIds || []).length} listing(s) to channel: ${job.channel_name}`);
+
+    const result = await this.publisher.publishChannelListings({
+      id: job.channel_id,
+      name: job.channel_name,
+      channel_type: job.channel_type,
+      api_config: this.parseApiConfig(job.api_config)
+    }, payload);
+
+    if (result.published.length > 0) {
+      await this.inventoryPush.queuePush({
+        channelId: job.channel_id,
+        productIds: result.published,
+        force: true,
+        reason: 'listing published'
       });
+    }
 
-      return response.data.offers || [];
-    } catch (error) {
-      console.error('BestBuy products sync error:', error.message);
-      return [];
+    // Nothing accepted at all - fail the job so the queue retries it with backoff
+    if (result.total > 0 && result.processed === 0) {
+      throw new Error(`Listing publish failed for all ${result.total} products: ${result.errors[0].error}`);
     }
+
+    return result;
   }
 
   /**
-   * Get Amazon products (placeholder)
+   * Dry run: fetch and map a channel's products or inventory and diff them against
+   * the stored rows without writing anything
+   * payload accepts the same keys as a queued job (specificSKU, updatedAtMin, ...)
    */
-  async getAmazonProducts(apiConfig) {
-    // Amazon API integration placeholder
-    return [];
+  async previewSync(channelId, syncType, payload = {}) {
+    if (!['products', 'inventory'].includes(syncType)) {
+      throw new Error(`Dry run is not supported for sync type: ${syncType}`);
+    }
+
+    const channelResult = await this.db.query(`
+      SELECT id as channel_id, name as channel_name, channel_type, api_config
+      FROM channels
+      WHERE id::text = $1
+    `, [String(channelId)]);
+
+    if (channelResult.rows.length === 0) {
+      throw new Error(`Channel not found: ${channelId}`);
+    }
+
+    // No cursor is loaded, so the preview covers the full catalogue unless the payload narrows it
+    const job = { ...channelResult.rows[0], sync_type: syncType, payload };
+    const apiConfig = this.parseApiConfig(job.api_config);
+    const options = this.getSyncOptions(job);
+    const adapter = channelRegistry.resolve(job);
+
+    // Missing rows only mean something when the whole catalogue was fetched
+    const fullScope = !options.updatedAtMin && !options.updatedAtMax && !options.productIds &&
+      !options.inventoryItemIds && !options.offerIds && !options.skus;
+
+    const rawRecords = syncType === 'products'
+      ? await adapter.fetchProducts(apiConfig, options)
+      : await adapter.fetchInventory(apiConfig, options);
+
+    const dataType = syncType === 'products' ? 'product' : 'inventory';
+    const profile = await this.dataMapper.getActiveProfile(adapter.type, job.channel_id, dataType);
+    const mapped = this.dataMapper.batchMapData(adapter.type, dataType, rawRecords, profile);
+    const diff = syncType === 'products'
+      ? await this.diffProducts(mapped.success, job.channel_id, fullScope)
+      : await this.diffInventory(mapped.success, job.channel_id, fullScope);
+
+    return {
+      channel: { id: job.channel_id, name: job.channel_name, type: adapter.type },
+      syncType,
+      fullScope,
+      fetched: rawRecords.length,
+      mappingProfile: profile ? { id: profile.id, name: profile.name } : null,
+      mappingErrors: mapped.errors.map(({ index, error }) => ({ index, error })),
+      summary: Object.fromEntries(Object.entries(diff).map(([key, rows]) => [key, rows.length])),
+      ...diff
+    };
   }
 
   /**
-   * Store product in database
+   * Compare mapped products with products / channel_products as storeProduct would write them:
+   * each variant of a family is a listing of its own, and every listing goes through product
+   * matching (read-only here) to find the master it would land on
    */
-  async storeProduct(product, channelId) {
-    // Check if product exists
-    const existingProduct = await this.db.query(`
-      SELECT id FROM products WHERE sku = $1
-    `, [product.sku]);
+  async diffProducts(products, channelId, fullScope) {
+    const listings = [];
+    for (const product of products) {
+      for (const listing of this.catalog.toListings(product)) {
+        const match = await this.catalog.matching.findMatch(channelId, listing);
+        listings.push({ listing, match, parentSku: product.parent?.sku || null });
+      }
+    }
 
-    let productId;
+    const productIds = listings.filter(({ match }) => match.productId).map(({ match }) => String(match.productId));
+    const existing = await this.db.query(`
+      SELECT p.id::text as product_id, p.sku, p.name, p.description, p.brand, p.category, p.base_price,
+             cp.channel_sku, cp.channel_price
+      FROM products p
+      LEFT JOIN channel_products cp ON cp.product_id = p.id AND cp.channel_id::text = $2
+      WHERE p.id::text = ANY($1)
+    `, [productIds, String(channelId)]);
+    const byId = new Map(existing.rows.map(row => [row.product_id, row]));
 
-    if (existingProduct.rows.length > 0) {
-      // Update existing product
-      productId = existingProduct.rows[0].id;
-      await this.db.query(`
-        UPDATE products 
-        SET name = $1, description = $2, brand = $3, category = $4, 
-            base_price = $5, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $6
-      `, [product.name, product.description, product.brand, product.category, product.price, productId]);
-    } else {
-      // Insert new product
-      const result = await this.db.query(`
-        INSERT INTO products (sku, name, description, brand, category, base_price)
-        VALUES ($1, $2, $3, $4, $5, $6)
-        RETURNING id
-      `, [product.sku, product.name, product.description, product.brand, product.category, product.price]);
-      
-      productId = result.rows[0].id;
+    // matched: links to an existing master under another SKU, whose details are left alone
+    const diff = { new: [], changed: [], matched: [], unchanged: [], missing: [] };
+
+    for (const { listing, match, parentSku } of listings) {
+      const entry = { sku: listing.sku, parent_sku: parentSku };
+      const row = match.productId ? byId.get(String(match.productId)) : null;
+
+      if (!row) {
+        diff.new.push({
+          ...entry, name: listing.name, price: listing.price, channel_sku: listing.channelSku,
+          review_candidates: (match.candidates || []).length
+        });
+        continue;
+      }
+
+      const changes = this.diffFields({
+        ...(match.ownsSku ? {
+          name: [row.name, listing.name],
+          description: [row.description, listing.description],
+          brand: [row.brand, listing.brand],
+          category: [row.category, listing.category],
+          base_price: [this.toNumber(row.base_price), this.toNumber(listing.price)]
+        } : {}),
+        channel_sku: [row.channel_sku, listing.channelSku],
+        channel_price: [this.toNumber(row.channel_price), this.toNumber(listing.price)]
+      });
+
+      if (row.channel_sku === null) {
+        changes.channel_listing = { from: null, to: 'linked' };
+      }
+
+      if (!match.ownsSku && match.method !== 'linked') {
+        diff.matched.push({
+          ...entry, product_id: row.product_id, product_sku: row.sku,
+          method: match.method, confidence: match.confidence, changes
+        });
+      } else if (Object.keys(changes).length > 0) {
+        diff.changed.push({ ...entry, product_id: row.product_id, changes });
+      } else {
+        diff.unchanged.push({ ...entry, product_id: row.product_id });
+      }
+    }
+
+    if (fullScope) {
+      const fetchedIds = new Set(productIds);
+      const listed = await this.db.query(`
+        SELECT p.id::text as product_id, p.sku, p.name, cp.channel_sku
+        FROM channel_products cp
+        JOIN products p ON p.id = cp.product_id
+        WHERE cp.channel_id::text = $1
+      `, [String(channelId)]);
+
+      diff.missing = listed.rows.filter(row => !fetchedIds.has(row.product_id));
+    }
+
+    return diff;
+  }
+
+  /**
+   * Compare mapped inventory with what updateInventory would write: a channel's count only
+   * seeds stock for a product with no channel or warehouse stock rows yet
+   */
+  async diffInventory(items, channelId, fullScope) {
+    const existing = await this.db.query(`
+      SELECT p.id::text as product_id, p.sku,
+             EXISTS (SELECT 1 FROM inventory i WHERE i.product_id = p.id)
+               OR EXISTS (SELECT 1 FROM warehouse_stock ws WHERE ws.product_id = p.id) as stocked
+      FROM products p
+      WHERE p.sku = ANY($1)
+    `, [items.map(item => item.sku)]);
+    const bySku = new Map(existing.rows.map(row => [row.sku, row]));
+    const pools = await this.inventoryPush.allocation.getPoolQuantities(
+      existing.rows.filter(row => row.stocked).map(row => row.product_id)
+    );
+
+    // new: seeds the product's stock; pooled: the portal already holds stock, so only the
+    // channel's advertised quantity is recorded; unknownSku: no product, the row is skipped
+    const diff = { new: [], pooled: [], unknownSku: [], missing: [] };
+
+    for (const item of items) {
+      const row = bySku.get(item.sku);
+
+      if (!row) {
+        diff.unknownSku.push({ sku: item.sku, quantity: item.quantity });
+      } else if (!row.stocked) {
+        diff.new.push({ sku: item.sku, product_id: row.product_id, quantity: item.quantity });
+      } else {
+        const pool = pools.get(row.product_id);
+        diff.pooled.push({ sku: item.sku, product_id: row.product_id, channel_quantity: item.quantity, pool_on_hand: pool.on_hand, pool_available: pool.available });
+      }
+    }
+
+    if (fullScope) {
+      const fetchedSkus = new Set(items.map(item => item.sku));
+      const stocked = await this.db.query(`
+        SELECT p.id::text as product_id, p.sku, i.quantity
+        FROM inventory i
+        JOIN products p ON p.id = i.product_id
+        WHERE i.channel_id::text = $1
+      `, [String(channelId)]);
+
+      diff.missing = stocked.rows.filter(row => !fetchedSkus.has(row.sku));
+    }
+
+    return diff;
+  }
+
+  /**
+   * { field: [current, incoming] } -> { field: { from, to } } for the fields that differ
+   */
+  diffFields(fields) {
+    const changes = {};
+
+    for (const [field, [from, to]] of Object.entries(fields)) {
+      if ((from ?? null) !== (to ?? null)) {
+        changes[field] = { from: from ?? null, to: to ?? null };
+      }
     }
 
-    // Update channel-specific product mapping
+    return changes;
+  }
+
+  toNumber(value) {
+    return value === null || value === undefined ? null : parseFloat(value);
+  }
+
+  /**
+   * Parse channel api_config with its credentials decrypted
+   */
+  parseApiConfig(apiConfig) {
+    return channelCredentials.parseApiConfig(apiConfig);
+  }
+
+  /**
+   * Build fetch options from a job payload (incremental window, webhook-specific IDs)
+   */
+  getSyncOptions(job) {
+    const payload = this.parsePayload(job);
+
+    let updatedAtMin = payload.updatedAtMin || null;
+    if (!updatedAtMin && !payload.fullSync && job.cursor?.watermark) {
+      updatedAtMin = new Date(new Date(job.cursor.watermark).getTime() - this.cursorOverlapMs).toISOString();
+    }
+
+    return {
+      updatedAtMin,
+      updatedAtMax: payload.updatedAtMax || null,
+      orderStates: payload.orderStates || null,
+      productIds: payload.specificProductId ? [payload.specificProductId] : null,
+      orderIds: payload.specificOrderId ? [payload.specificOrderId] : null,
+      inventoryItemIds: payload.specificInventoryId ? [payload.specificInventoryId] : null,
+      offerIds: payload.specificOfferId ? [payload.specificOfferId] : null,
+      skus: payload.specificSKU ? [payload.specificSKU] : null
+    };
+  }
+
+  parsePayload(job) {
+    return typeof job.payload === 'string' ? JSON.parse(job.payload) : (job.payload || {});
+  }
+
+  /**
+   * Only full-scope runs move the watermark - webhook jobs for a single record
+   * or explicit time windows would otherwise skip changes
+   */
+  advancesCursor(job) {
+    if (!this.incrementalSyncTypes.includes(job.sync_type)) return false;
+
+    const payload = this.parsePayload(job);
+    return !payload.specificProductId && !payload.specificOrderId && !payload.specificInventoryId &&
+      !payload.specificOfferId && !payload.specificSKU && !payload.updatedAtMin && !payload.updatedAtMax;
+  }
+
+  /**
+   * Get the stored watermark for a channel and sync type
+   */
+  async getSyncCursor(channelId, syncType) {
+    const result = await this.db.query(`
+      SELECT * FROM sync_cursors WHERE channel_id = $1 AND sync_type = $2
+    `, [String(channelId), syncType]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Store the watermark after a successful run
+   */
+  async saveSyncCursor(channelId, syncType, watermark, cursorData = {}, recordsSynced = 0) {
     await this.db.query(`
-      INSERT INTO channel_products (product_id, channel_id, channel_sku, channel_price, status, sync_status)
-      VALUES ($1, $2, $3, $4, 'active', 'synced')
-      ON CONFLICT (product_id, channel_id) 
-      DO UPDATE SET 
-        channel_sku = EXCLUDED.channel_sku,
-        channel_price = EXCLUDED.channel_price,
-        sync_status = 'synced',
+      INSERT INTO sync_cursors (channel_id, sync_type, watermark, cursor_data, records_synced, last_success_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      ON CONFLICT (channel_id, sync_type)
+      DO UPDATE SET
+        watermark = EXCLUDED.watermark,
+        cursor_data = EXCLUDED.cursor_data,
+        records_synced = EXCLUDED.records_synced,
+        last_success_at = CURRENT_TIMESTAMP,
         updated_at = CURRENT_TIMESTAMP
-    `, [productId, channelId, product.channel_sku || product.sku, product.price]);
+    `, [String(channelId), syncType, watermark, JSON.stringify(cursorData), recordsSynced]);
+  }
 
-    return productId;
+  /**
+   * List stored watermarks
+   */
+  async getSyncCursors(channelId = null) {
+    const params = [];
+    let query = `
+      SELECT sc.*, c.name as channel_name
+      FROM sync_cursors sc
+      LEFT JOIN channels c ON sc.channel_id = c.id::text
+    `;
+
+    if (channelId) {
+      params.push(String(channelId));
+      query += ` WHERE sc.channel_id = $1`;
+    }
+
+    query += ` ORDER BY sc.channel_id, sc.sync_type`;
+
+    const result = await this.db.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Drop watermarks so the next run fetches everything
+   */
+  async resetSyncCursors(channelId, syncType = null) {
+    const params = [String(channelId)];
+    let query = `DELETE FROM sync_cursors WHERE channel_id = $1`;
+
+    if (syncType) {
+      params.push(syncType);
+      query += ` AND sync_type = $2`;
+    }
+
+    const result = await this.db.query(query + ' RETURNING sync_type', params);
+    console.log(`Sync cursors reset for channel ${channelId}: ${result.rows.map(row => row.sync_type).join(', ') || 'none'}`);
+
+    return result.rows.map(row => row.sync_type);
+  }
+
+  /**
+   * Map raw channel records with the channel's mapping profile
+   * Records that fail validation are dropped and returned as errors, so the job keeps its cursor
+   * and fetches them again once the profile is fixed
+   */
+  async mapChannelRecords(channelName, channelId, dataType, rawRecords) {
+    const profile = await this.dataMapper.getActiveProfile(channelName, channelId, dataType);
+    const result = this.dataMapper.batchMapData(channelName, dataType, rawRecords, profile);
+
+    const errors = result.errors.map(failure => {
+      console.error(`Failed to map ${channelName} ${dataType} at index ${failure.index}:`, failure.error);
+      return { index: failure.index, id: failure.data?.id ?? null, error: `Mapping failed: ${failure.error}` };
+    });
+
+    return { records: result.success, errors };
+  }
+
+  /**
+   * Store product in database
+   */
+  async storeProduct(product, channelId) {
+    return this.catalog.storeProduct(product, channelId);
   }
 
   /**
@@ -448,6 +997,8 @@ class SyncService {
 
   /**
    * Update inventory in database
+   * Channels advertise a share of the shared stock pool, so their counts only seed stock
+   * for products the portal holds no channel or warehouse stock rows for yet
    */
   async updateInventory(item, channelId) {
     await this.db.query(`
@@ -455,11 +1006,103 @@ class SyncService {
       SELECT p.id, $2, $3, CURRENT_TIMESTAMP
       FROM products p
       WHERE p.sku = $1
-      ON CONFLICT (product_id, channel_id)
-      DO UPDATE SET 
-        quantity = EXCLUDED.quantity,
-        last_updated = CURRENT_TIMESTAMP
+      AND NOT EXISTS (SELECT 1 FROM inventory i WHERE i.product_id = p.id)
+      AND NOT EXISTS (SELECT 1 FROM warehouse_stock ws WHERE ws.product_id = p.id)
+      ON CONFLICT (product_id, channel_id) DO NOTHING
     `, [item.sku, channelId, item.quantity]);
+
+    // The channel already shows this quantity - don't push it back
+    await this.inventoryPush.recordChannelQuantity(channelId, item.sku, item.quantity);
+  }
+
+  /**
+   * List queue jobs, optionally by status / channel
+   */
+  async getSyncJobs({ status, channelId, syncType, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    let query = `
+      SELECT sq.*, c.name as channel_name
+      FROM sync_queue sq
+      LEFT JOIN channels c ON sq.channel_id::text = c.id::text
+      WHERE 1=1
+    `;
+
+    if (status) {
+      params.push(status);
+      query += ` AND sq.status = $${params.length}`;
+    }
+
+    if (channelId) {
+      params.push(String(channelId));
+      query += ` AND sq.channel_id::text = $${params.length}`;
+    }
+
+    if (syncType) {
+      params.push(syncType);
+      query += ` AND sq.sync_type = $${params.length}`;
+    }
+
+    params.push(limit, offset);
+    query += ` ORDER BY sq.scheduled_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await this.db.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Get one queue job
+   */
+  async getSyncJob(jobId) {
+    const result = await this.db.query(`
+      SELECT sq.*, c.name as channel_name
+      FROM sync_queue sq
+      LEFT JOIN channels c ON sq.channel_id::text = c.id::text
+      WHERE sq.id = $1
+    `, [jobId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Put a dead-lettered or failed job back on the queue with a fresh retry budget
+   */
+  async requeueSyncJob(jobId) {
+    const result = await this.db.query(`
+      UPDATE sync_queue
+      SET status = 'pending', retry_count = 0, scheduled_at = CURRENT_TIMESTAMP,
+          dead_lettered_at = NULL, worker_id = NULL, heartbeat_at = NULL
+      WHERE id = $1 AND status IN ('dead_letter', 'failed', 'discarded')
+      RETURNING *
+    `, [jobId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Discard a job that should not run (kept for audit, removed by cleanup)
+   */
+  async discardSyncJob(jobId) {
+    const result = await this.db.query(`
+      UPDATE sync_queue
+      SET status = 'discarded', completed_at = CURRENT_TIMESTAMP, worker_id = NULL, heartbeat_at = NULL
+      WHERE id = $1 AND status IN ('pending', 'dead_letter', 'failed')
+      RETURNING *
+    `, [jobId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Job counts per status
+   */
+  async getQueueStats() {
+    const result = await this.db.query(`
+      SELECT status, COUNT(*)::int as count
+      FROM sync_queue
+      GROUP BY status
+    `);
+
+    return result.rows.reduce((stats, row) => ({ ...stats, [row.status]: row.count }), {});
   }
 
   /**
@@ -476,7 +1119,7 @@ class SyncService {
     const result = await this.db.query(`
       SELECT sl.*, c.name as channel_name
       FROM sync_logs sl
-      JOIN channels c ON sl.channel_id = c.id
+      JOIN channels c ON sl.channel_id = c.id::text
       ORDER BY sl.started_at DESC
       LIMIT $1
     `, [limit]);
@@ -492,6 +1135,7 @@ class SyncService {
     
     setInterval(async () => {
       try {
+        await this.inventoryPush.queueChangedInventory();
         await this.processSyncQueue();
       } catch (error) {
         console.error('Scheduler error:', error);
@@ -517,7 +1161,7 @@ class SyncService {
     // Clean completed sync queue jobs
     await this.db.query(`
       DELETE FROM sync_queue 
-      WHERE processed_at < $1 AND status IN ('completed', 'failed')
+      WHERE processed_at < $1 AND status IN ('completed', 'failed', 'discarded')
     `, [cutoffDate]);
 
     console.log(`Cleanup completed: removed logs older than ${daysToKeep} days`);
@@ -128,7 +128,11 @@ class ValidationRuleEngine {
           low_stock_threshold: 10,
           overselling_prevention: true,
           safety_stock_percentage: 0.10,
-          reorder_point_calculation: 'automatic'
+          reorder_point_calculation: 'automatic',
+          service_level: 0.95,
+          demand_window_days: 90,
+          default_lead_time_days: 14,
+          order_coverage_days: 30
         },
         applies_to_channels: ['shopify', 'amazon', 'bestbuy']
       },
@@ -285,6 +289,7 @@ class ValidationRuleEngine {
     ]);
   }
 
+  // Stored values win over the defaults, so edited settings survive restarts
   async upsertBusinessRuleConfig(config) {
     const query = `
       INSERT INTO business_rule_configs 
@@ -293,7 +298,7 @@ class ValidationRuleEngine {
       ON CONFLICT (config_name) 
       DO UPDATE SET 
         config_type = EXCLUDED.config_type,
-        config_values = EXCLUDED.config_values,
+        config_values = EXCLUDED.config_values || business_rule_configs.config_values,
         applies_to_channels = EXCLUDED.applies_to_channels,
         updated_at = CURRENT_TIMESTAMP
     `;
@@ -619,7 +624,7 @@ class ValidationRuleEngine {
         r.rule_name,
         r.rule_description
       FROM rule_violation_alerts a
-      JOIN custom_validation_rules r ON a.rule_id = r.id
+      LEFT JOIN custom_validation_rules r ON a.rule_id = r.id
       WHERE a.status = $1
       ORDER BY a.created_at DESC
       LIMIT $2
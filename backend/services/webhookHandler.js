@@ -1,397 +1,668 @@
 const crypto = require('crypto');
 const express = require('express');
+const { Pool } = require('pg');
+const channelRegistry = require('./channels/channelRegistry');
+const channelCredentials = require('./channels/channelCredentials');
 
 /**
  * Webhook Handler Service for Multi-Channel E-commerce Portal
  * Handles real-time updates from channel partners (Shopify, BestBuy, Amazon)
  * Part of Milestone 8: Data Sync Services
+ *
+ * Every delivery is stored in webhook_events (headers, raw body, verification result,
+ * processing outcome) and deduplicated by the channel's delivery ID, so redeliveries
+ * are ignored and failed events can be replayed once the cause is fixed. Rejected
+ * deliveries keep only their headers and a truncated hash of the body.
+ *
+ * Deliveries are rate limited per source address (WEBHOOK_RATE_LIMIT_PER_MINUTE) and
+ * bodies are capped at maxBodySize.
+ *
+ * Signatures are checked against the raw request bytes. Accepted events are only
+ * queued (sync_queue / sales_processing_queue) - the workers do the actual work.
+ *
+ * Several stores can share a channel type: each delivery is routed to the channel(s)
+ * it belongs to by ?channel=<id>, the store identity in the delivery (Shopify shop
+ * domain, Amazon seller ID), or the type's only active channel, and is verified with
+ * that channel's webhook secret.
  */
 class WebhookHandler {
-  constructor(syncService, dataMapper) {
+  constructor(syncService, dataMapper, salesProcessor = null) {
     this.syncService = syncService;
     this.dataMapper = dataMapper;
+    this.salesProcessor = salesProcessor;
+    this.drainTimer = null;
+
+    this.db = new Pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+
+    // Headers never worth keeping in the event log
+    this.redactedHeaders = ['authorization', 'cookie'];
+
+    this.maxBodySize = '1mb';
+    this.rateLimitPerMinute = parseInt(process.env.WEBHOOK_RATE_LIMIT_PER_MINUTE) || 120;
+    this.rateLimitWindows = new Map();
+    this.rateLimitWindowStart = 0;
+
+    // channel:topic -> processor, shared by live deliveries and replays
+    this.processors = {
+      'shopify:orders/create': this.processShopifyOrderCreate,
+      'shopify:orders/update': this.processShopifyOrderUpdate,
+      'shopify:products/create': this.processShopifyProductCreate,
+      'shopify:products/update': this.processShopifyProductUpdate,
+      'shopify:inventory/update': this.processShopifyInventoryUpdate,
+      'bestbuy:orders/create': this.processBestBuyOrderCreate,
+      'bestbuy:orders/update': this.processBestBuyOrderUpdate,
+      'bestbuy:offers/update': this.processBestBuyOfferUpdate,
+      'amazon:orders/create': this.processAmazonOrderCreate,
+      'amazon:inventory/update': this.processAmazonInventoryUpdate
+    };
+
     this.router = express.Router();
     this.setupRoutes();
   }
 
+  /**
+   * Create the webhook event log
+   */
+  async initialize() {
+    try {
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS webhook_events (
+          id SERIAL PRIMARY KEY,
+          channel_type VARCHAR(50) NOT NULL,
+          topic VARCHAR(100) NOT NULL,
+          delivery_id VARCHAR(200) NOT NULL,
+          headers JSONB,
+          raw_body TEXT,
+          verified BOOLEAN NOT NULL DEFAULT false,
+          status VARCHAR(20) NOT NULL DEFAULT 'received',
+          attempts INTEGER DEFAULT 0,
+          duplicate_count INTEGER DEFAULT 0,
+          result JSONB,
+          error_message TEXT,
+          received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          processed_at TIMESTAMP,
+          replayed_at TIMESTAMP
+        )
+      `);
+
+      // Channels the delivery was routed to (events logged before routing existed have none)
+      await this.db.query(`
+        ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS channel_ids TEXT[]
+      `);
+
+      // Only verified deliveries claim a delivery ID - a forged request can't block the real one
+      await this.db.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_events_delivery
+        ON webhook_events(channel_type, delivery_id) WHERE verified = true
+      `);
+
+      await this.db.query(`
+        CREATE INDEX IF NOT EXISTS idx_webhook_events_received ON webhook_events(received_at DESC)
+      `);
+
+      console.log('✅ WebhookHandler initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ WebhookHandler initialization failed:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Setup webhook routes
    */
   setupRoutes() {
-    // Shopify webhooks
-    this.router.post('/shopify/orders/create', this.handleShopifyOrderCreate.bind(this));
-    this.router.post('/shopify/orders/update', this.handleShopifyOrderUpdate.bind(this));
-    this.router.post('/shopify/products/create', this.handleShopifyProductCreate.bind(this));
-    this.router.post('/shopify/products/update', this.handleShopifyProductUpdate.bind(this));
-    this.router.post('/shopify/inventory/update', this.handleShopifyInventoryUpdate.bind(this));
-
-    // BestBuy (Mirakl) webhooks
-    this.router.post('/bestbuy/orders/create', this.handleBestBuyOrderCreate.bind(this));
-    this.router.post('/bestbuy/orders/update', this.handleBestBuyOrderUpdate.bind(this));
-    this.router.post('/bestbuy/offers/update', this.handleBestBuyOfferUpdate.bind(this));
-
-    // Amazon webhooks (placeholder)
-    this.router.post('/amazon/orders/create', this.handleAmazonOrderCreate.bind(this));
-    this.router.post('/amazon/inventory/update', this.handleAmazonInventoryUpdate.bind(this));
+    // The app-level JSON parser skips webhooks, so every body is read raw here under maxBodySize
+    this.router.use(this.rateLimit.bind(this));
+    this.router.use(express.raw({ type: () => true, limit: this.maxBodySize }), this.captureRawBody.bind(this));
+
+    for (const key of Object.keys(this.processors)) {
+      const [channelType, topic] = key.split(':');
+      this.router.post(`/${channelType}/${topic}`, this.receive(channelType, topic));
+    }
 
     // Generic webhook test endpoint
     this.router.post('/test', this.handleTestWebhook.bind(this));
   }
 
   /**
-   * Verify Shopify webhook signature
+   * Fixed one-minute window of requests per source address; over the limit gets a 429
    */
-  verifyShopifyWebhook(data, signature) {
-    if (!process.env.SHOPIFY_WEBHOOK_SECRET) {
-      console.warn('SHOPIFY_WEBHOOK_SECRET not configured');
-      return true; // Allow in development
+  rateLimit(req, res, next) {
+    const now = Date.now();
+    const windowStart = now - now % 60000;
+    const source = req.ip || req.socket?.remoteAddress || 'unknown';
+
+    // A new window starts every counter from zero
+    if (this.rateLimitWindowStart !== windowStart) {
+      this.rateLimitWindowStart = windowStart;
+      this.rateLimitWindows.clear();
     }
 
-    const hmac = crypto.createHmac('sha256', process.env.SHOPIFY_WEBHOOK_SECRET);
-    hmac.update(data, 'utf8');
-    const calculatedSignature = hmac.digest('base64');
+    const count = (this.rateLimitWindows.get(source) || 0) + 1;
+    this.rateLimitWindows.set(source, count);
 
-    return crypto.timingSafeEqual(
-      Buffer.from(signature, 'base64'),
-      Buffer.from(calculatedSignature, 'base64')
-    );
+    if (count > this.rateLimitPerMinute) {
+      res.set('Retry-After', String(Math.ceil((windowStart + 60000 - now) / 1000)));
+      return res.status(429).json({ error: 'Too many webhook requests' });
+    }
+
+    next();
   }
 
   /**
-   * Verify BestBuy (Mirakl) webhook signature
+   * Verify a webhook with the channel adapter's signature scheme and the channel's secret
    */
-  verifyBestBuyWebhook(data, signature) {
-    if (!process.env.BESTBUY_WEBHOOK_SECRET) {
-      console.warn('BESTBUY_WEBHOOK_SECRET not configured');
-      return true; // Allow in development
+  verifyWebhook(channelType, rawBody, headers, apiConfig = {}) {
+    return channelRegistry.require(channelType).verifyWebhook(rawBody, headers, apiConfig);
+  }
+
+  /**
+   * Active channels a delivery belongs to
+   * ?channel=<id> on the webhook address wins; otherwise the adapter's store identity is
+   * matched against the type's active channels, and a type with one active channel needs neither.
+   * More than one match is possible (an Amazon seller's FBA inventory spans marketplaces).
+   */
+  async resolveChannels(channelType, headers = {}, body = {}, query = {}) {
+    const adapter = channelRegistry.require(channelType);
+    const channels = await this.getChannelsOfType(adapter);
+
+    if (query.channel) {
+      return channels.filter(channel => String(channel.id) === String(query.channel));
     }
 
-    // Mirakl uses HMAC-SHA1 for webhook signatures
-    const hmac = crypto.createHmac('sha1', process.env.BESTBUY_WEBHOOK_SECRET);
-    hmac.update(data, 'utf8');
-    const calculatedSignature = hmac.digest('hex');
+    const identity = adapter.getWebhookStoreIdentity(headers, body || {});
+    if (identity) {
+      return channels.filter(channel => adapter.matchesWebhookStore(channel.api_config, identity));
+    }
 
-    return crypto.timingSafeEqual(
-      Buffer.from(signature, 'hex'),
-      Buffer.from(calculatedSignature, 'hex')
-    );
+    return channels.length === 1 ? channels : [];
+  }
+
+  async getChannelsOfType(adapter) {
+    const result = await this.db.query(`
+      SELECT id, name, channel_type, api_config FROM channels WHERE is_active = true ORDER BY created_at
+    `);
+
+    return result.rows
+      .filter(channel => (channelRegistry.get(channel.channel_type) || channelRegistry.get(channel.name)) === adapter)
+      .map(channel => ({ ...channel, api_config: channelCredentials.parseApiConfig(channel.api_config) }));
   }
 
   /**
-   * Handle Shopify order creation
+   * Channels an event was routed to, by ID (inactive channels included, so old events can be replayed)
    */
-  async handleShopifyOrderCreate(req, res) {
-    try {
-      const signature = req.get('X-Shopify-Hmac-Sha256');
-      const rawBody = JSON.stringify(req.body);
+  async getChannelsById(channelIds) {
+    const result = await this.db.query(`
+      SELECT id, name, channel_type, api_config FROM channels WHERE id::text = ANY($1)
+    `, [channelIds]);
+
+    return result.rows.map(channel => ({ ...channel, api_config: channelCredentials.parseApiConfig(channel.api_config) }));
+  }
 
-      if (!this.verifyShopifyWebhook(rawBody, signature)) {
-        return res.status(401).json({ error: 'Invalid webhook signature' });
+  /**
+   * Keep the bytes of bodies the JSON parser skipped, then parse them as JSON
+   */
+  captureRawBody(req, res, next) {
+    if (Buffer.isBuffer(req.body)) {
+      req.rawBody = req.body;
+
+      try {
+        req.body = req.body.length > 0 ? JSON.parse(req.body.toString('utf8')) : {};
+      } catch (error) {
+        req.body = {};
       }
+    }
 
-      console.log('📦 Shopify order created:', req.body.order_number);
+    next();
+  }
 
-      // Map Shopify order to standard format
-      const mappedOrder = this.dataMapper.mapData('shopify', 'order', req.body);
+  /**
+   * Body exactly as received, or null when the raw bytes were not captured
+   * (re-serialized JSON would not match the channel's signature)
+   */
+  getRawBody(req) {
+    if (Buffer.isBuffer(req.rawBody)) return req.rawBody.toString('utf8');
+    if (typeof req.rawBody === 'string') return req.rawBody;
+    return null;
+  }
 
-      // Get Shopify channel ID
-      const channelId = await this.getChannelId('shopify');
+  /**
+   * Express handler for one channel topic: verify, log, dedupe, process
+   */
+  receive(channelType, topic) {
+    return async (req, res) => {
+      let event = null;
+
+      try {
+        const rawBody = this.getRawBody(req);
+        const candidates = await this.resolveChannels(channelType, req.headers, req.body, req.query);
+
+        // Each candidate store is checked with its own secret; only stores whose signature matches get the event
+        const channels = rawBody === null
+          ? []
+          : candidates.filter(channel => this.verifyWebhook(channelType, rawBody, req.headers, channel.api_config));
+
+        const rejection = candidates.length === 0
+          ? `No active ${channelType} channel matches this webhook`
+          : 'Invalid webhook signature';
+
+        event = await this.recordEvent(channelType, topic, req.headers, rawBody ?? JSON.stringify(req.body || {}), req.body, {
+          verified: channels.length > 0,
+          channelIds: channels.map(channel => String(channel.id)),
+          rejection
+        });
+
+        if (channels.length === 0) {
+          return res.status(candidates.length === 0 ? 404 : 401).json({ error: rejection, eventId: event.id });
+        }
+
+        if (event.duplicate) {
+          console.log(`🔁 Duplicate ${channelType} ${topic} webhook ignored (event ${event.id})`);
+          return res.status(200).json({
+            success: true,
+            message: 'Duplicate webhook ignored',
+            eventId: event.id,
+            duplicate: true
+          });
+        }
+
+        const result = await this.processEvent(event, req.body, channels);
+        this.drainQueuesSoon();
+
+        res.status(200).json({
+          success: true,
+          eventId: event.id,
+          ...result
+        });
+
+      } catch (error) {
+        console.error(`${channelType} ${topic} webhook error:`, error);
+        res.status(error.statusCode || 500).json({
+          error: error.statusCode ? error.message : 'Webhook processing failed',
+          eventId: event?.id
+        });
+      }
+    };
+  }
 
-      // Queue immediate sync for this specific order
-      await this.syncService.addSyncJob(channelId, 'orders', {
-        specificOrderId: req.body.id,
-        webhook: true
-      }, 9); // Highest priority
+  /**
+   * Store an inbound delivery
+   * A verified redelivery is flagged as a duplicate unless the earlier attempt failed,
+   * in which case it is processed again
+   */
+  async recordEvent(channelType, topic, headers, rawBody, body, { verified, channelIds = [], rejection = 'Invalid webhook signature' }) {
+    const adapter = channelRegistry.require(channelType);
+    const bodyHash = crypto.createHash('sha256').update(rawBody).digest('hex');
 
-      res.status(200).json({ 
-        success: true, 
-        message: 'Order webhook processed',
-        orderId: req.body.id
-      });
+    const storedHeaders = Object.fromEntries(
+      Object.entries(headers || {}).filter(([name]) => !this.redactedHeaders.includes(name.toLowerCase()))
+    );
 
-    } catch (error) {
-      console.error('Shopify order webhook error:', error);
-      res.status(500).json({ error: 'Webhook processing failed' });
+    // Unverified bytes are whatever the sender chose - keep a fingerprint, not the body
+    if (!verified) {
+      const fingerprint = `sha256:${bodyHash.slice(0, 16)}`;
+      const result = await this.db.query(`
+        INSERT INTO webhook_events (channel_type, topic, delivery_id, headers, raw_body, verified, status, result, error_message)
+        VALUES ($1, $2, $3, $4, NULL, false, 'rejected', $5, $6)
+        RETURNING id, status
+      `, [channelType, topic, fingerprint, JSON.stringify(storedHeaders), JSON.stringify({
+        bodyHash: fingerprint,
+        bodyBytes: Buffer.byteLength(rawBody)
+      }), rejection]);
+
+      console.warn(`🚫 Rejected ${channelType} ${topic} webhook (event ${result.rows[0].id}): ${rejection}`);
+      return { ...result.rows[0], duplicate: false };
     }
+
+    const deliveryId = adapter.getWebhookDeliveryId(headers, body || {}) || `sha256:${bodyHash}`;
+    const result = await this.db.query(`
+      INSERT INTO webhook_events (channel_type, topic, delivery_id, headers, raw_body, verified, channel_ids)
+      VALUES ($1, $2, $3, $4, $5, true, $6)
+      ON CONFLICT (channel_type, delivery_id) WHERE verified = true
+      DO UPDATE SET
+        duplicate_count = webhook_events.duplicate_count + 1,
+        last_received_at = CURRENT_TIMESTAMP
+      RETURNING id, status, duplicate_count
+    `, [channelType, topic, deliveryId, JSON.stringify(storedHeaders), rawBody, channelIds]);
+
+    const event = result.rows[0];
+    return {
+      ...event,
+      channel_type: channelType,
+      topic,
+      duplicate: event.duplicate_count > 0 && event.status !== 'failed'
+    };
   }
 
   /**
-   * Handle Shopify order updates
+   * Run the topic's processor for each channel the event belongs to and record the outcome
    */
-  async handleShopifyOrderUpdate(req, res) {
-    try {
-      const signature = req.get('X-Shopify-Hmac-Sha256');
-      const rawBody = JSON.stringify(req.body);
-
-      if (!this.verifyShopifyWebhook(rawBody, signature)) {
-        return res.status(401).json({ error: 'Invalid webhook signature' });
-      }
+  async processEvent(event, body, channels) {
+    const processor = this.processors[`${event.channel_type}:${event.topic}`];
+    if (!processor) {
+      throw new Error(`No processor for ${event.channel_type} ${event.topic}`);
+    }
 
-      console.log('📝 Shopify order updated:', req.body.order_number);
+    await this.db.query(`
+      UPDATE webhook_events
+      SET status = 'processing', attempts = attempts + 1, error_message = NULL
+      WHERE id = $1
+    `, [event.id]);
 
-      const channelId = await this.getChannelId('shopify');
+    try {
+      const results = [];
+      for (const channel of channels) {
+        results.push({ channelId: channel.id, channel: channel.name, ...await processor.call(this, body, channel) });
+      }
 
-      // Queue sync for order update
-      await this.syncService.addSyncJob(channelId, 'orders', {
-        specificOrderId: req.body.id,
-        webhook: true,
-        action: 'update'
-      }, 8);
+      const result = results.length === 1
+        ? results[0]
+        : { message: `Webhook queued for ${results.length} channels`, channels: results };
 
-      res.status(200).json({ 
-        success: true, 
-        message: 'Order update webhook processed' 
-      });
+      await this.db.query(`
+        UPDATE webhook_events
+        SET status = 'processed', result = $1, processed_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [JSON.stringify(result), event.id]);
 
+      return result;
     } catch (error) {
-      console.error('Shopify order update webhook error:', error);
-      res.status(500).json({ error: 'Webhook processing failed' });
+      await this.db.query(`
+        UPDATE webhook_events
+        SET status = 'failed', error_message = $1
+        WHERE id = $2
+      `, [error.message, event.id]);
+
+      throw error;
     }
   }
 
   /**
-   * Handle Shopify product creation
+   * Reprocess a stored event from its raw body
+   * Rejected (unverified) events are never replayed
    */
-  async handleShopifyProductCreate(req, res) {
-    try {
-      const signature = req.get('X-Shopify-Hmac-Sha256');
-      const rawBody = JSON.stringify(req.body);
+  async replayEvent(eventId) {
+    const result = await this.db.query('SELECT * FROM webhook_events WHERE id = $1', [eventId]);
+    const event = result.rows[0];
 
-      if (!this.verifyShopifyWebhook(rawBody, signature)) {
-        return res.status(401).json({ error: 'Invalid webhook signature' });
-      }
+    if (!event) {
+      throw this.httpError(404, 'Webhook event not found');
+    }
+    if (!event.verified) {
+      throw this.httpError(409, 'Unverified webhook events cannot be replayed');
+    }
+    if (event.status === 'processing') {
+      throw this.httpError(409, 'Webhook event is already being processed');
+    }
 
-      console.log('🆕 Shopify product created:', req.body.title);
+    const body = JSON.parse(event.raw_body);
+    const channels = event.channel_ids?.length
+      ? await this.getChannelsById(event.channel_ids)
+      : await this.resolveChannels(event.channel_type, event.headers || {}, body);
 
-      const channelId = await this.getChannelId('shopify');
+    if (channels.length === 0) {
+      throw this.httpError(409, `No ${event.channel_type} channel to replay this webhook to`);
+    }
 
-      await this.syncService.addSyncJob(channelId, 'products', {
-        specificProductId: req.body.id,
-        webhook: true
-      }, 7);
+    await this.db.query('UPDATE webhook_events SET replayed_at = CURRENT_TIMESTAMP, channel_ids = $2 WHERE id = $1', [
+      event.id, channels.map(channel => String(channel.id))
+    ]);
+    console.log(`🔁 Replaying ${event.channel_type} ${event.topic} webhook (event ${event.id})`);
 
-      res.status(200).json({ 
-        success: true, 
-        message: 'Product webhook processed' 
-      });
+    const processed = await this.processEvent(event, body, channels);
+    this.drainQueuesSoon();
 
-    } catch (error) {
-      console.error('Shopify product webhook error:', error);
-      res.status(500).json({ error: 'Webhook processing failed' });
-    }
+    return { eventId: event.id, ...processed };
   }
 
   /**
-   * Handle Shopify product updates
+   * List stored events, newest first (bodies and headers omitted)
    */
-  async handleShopifyProductUpdate(req, res) {
-    try {
-      const signature = req.get('X-Shopify-Hmac-Sha256');
-      const rawBody = JSON.stringify(req.body);
+  async getEvents({ channelType, channelId, topic, status, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    const conditions = [];
 
-      if (!this.verifyShopifyWebhook(rawBody, signature)) {
-        return res.status(401).json({ error: 'Invalid webhook signature' });
-      }
-
-      console.log('📝 Shopify product updated:', req.body.title);
-
-      const channelId = await this.getChannelId('shopify');
+    if (channelType) {
+      params.push(channelType);
+      conditions.push(`channel_type = $${params.length}`);
+    }
+    if (channelId) {
+      params.push(String(channelId));
+      conditions.push(`$${params.length} = ANY(channel_ids)`);
+    }
+    if (topic) {
+      params.push(topic);
+      conditions.push(`topic = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
 
-      await this.syncService.addSyncJob(channelId, 'products', {
-        specificProductId: req.body.id,
-        webhook: true,
-        action: 'update'
-      }, 7);
+    params.push(limit, offset);
 
-      res.status(200).json({ 
-        success: true, 
-        message: 'Product update webhook processed' 
-      });
+    const result = await this.db.query(`
+      SELECT id, channel_type, channel_ids, topic, delivery_id, verified, status, attempts, duplicate_count,
+             error_message, received_at, last_received_at, processed_at, replayed_at
+      FROM webhook_events
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY received_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
 
-    } catch (error) {
-      console.error('Shopify product update webhook error:', error);
-      res.status(500).json({ error: 'Webhook processing failed' });
-    }
+    return result.rows;
   }
 
   /**
-   * Handle Shopify inventory updates
+   * Full stored event, including headers and raw body
    */
-  async handleShopifyInventoryUpdate(req, res) {
-    try {
-      const signature = req.get('X-Shopify-Hmac-Sha256');
-      const rawBody = JSON.stringify(req.body);
+  async getEvent(eventId) {
+    const result = await this.db.query('SELECT * FROM webhook_events WHERE id = $1', [eventId]);
+    return result.rows[0] || null;
+  }
 
-      if (!this.verifyShopifyWebhook(rawBody, signature)) {
-        return res.status(401).json({ error: 'Invalid webhook signature' });
+  /**
+   * Run the sync and sales queues shortly after events were queued instead of
+   * waiting for the next scheduler tick; bursts of deliveries share one run
+   */
+  drainQueuesSoon(delayMs = 2000) {
+    if (this.drainTimer) return;
+
+    this.drainTimer = setTimeout(async () => {
+      this.drainTimer = null;
+
+      try {
+        if (this.salesProcessor) {
+          await this.salesProcessor.processQueue();
+        }
+        await this.syncService.processSyncQueue();
+      } catch (error) {
+        console.error('Webhook queue drain error:', error.message);
       }
+    }, delayMs);
+  }
 
-      console.log('📊 Shopify inventory updated for item:', req.body.inventory_item_id);
+  httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
 
-      const channelId = await this.getChannelId('shopify');
+  /**
+   * Shopify order creation
+   */
+  async processShopifyOrderCreate(body, channel) {
+    if (!body.id) {
+      throw this.httpError(400, 'Order id missing from webhook');
+    }
 
-      await this.syncService.addSyncJob(channelId, 'inventory', {
-        specificInventoryId: req.body.inventory_item_id,
-        webhook: true
-      }, 8);
+    console.log('📦 Shopify order created:', body.order_number);
 
-      res.status(200).json({ 
-        success: true, 
-        message: 'Inventory webhook processed' 
-      });
+    // The payload is the full order - hand it to the sales processing queue
+    const queued = await this.queueSalesOrder(body, 'shopify', channel.id, 9);
 
-    } catch (error) {
-      console.error('Shopify inventory webhook error:', error);
-      res.status(500).json({ error: 'Webhook processing failed' });
-    }
+    // Queue immediate sync for this specific order
+    const jobId = await this.syncService.addSyncJob(channel.id, 'orders', {
+      specificOrderId: body.id,
+      webhook: true
+    }, 9); // Highest priority
+
+    return { message: 'Order webhook queued', orderId: body.id, jobId, salesQueueId: queued?.id || null };
   }
 
   /**
-   * Handle BestBuy order creation
+   * Shopify order updates
    */
-  async handleBestBuyOrderCreate(req, res) {
-    try {
-      const signature = req.get('X-Mirakl-Signature');
-      const rawBody = JSON.stringify(req.body);
+  async processShopifyOrderUpdate(body, channel) {
+    console.log('📝 Shopify order updated:', body.order_number);
 
-      if (!this.verifyBestBuyWebhook(rawBody, signature)) {
-        return res.status(401).json({ error: 'Invalid webhook signature' });
-      }
+    const queued = await this.queueSalesOrder(body, 'shopify', channel.id, 8);
 
-      console.log('📦 BestBuy order created:', req.body.order_id);
+    // Queue sync for order update
+    const jobId = await this.syncService.addSyncJob(channel.id, 'orders', {
+      specificOrderId: body.id,
+      webhook: true,
+      action: 'update'
+    }, 8);
 
-      const channelId = await this.getChannelId('bestbuy');
+    return { message: 'Order update webhook queued', jobId, salesQueueId: queued?.id || null };
+  }
 
-      await this.syncService.addSyncJob(channelId, 'orders', {
-        specificOrderId: req.body.order_id,
-        webhook: true
-      }, 9);
+  /**
+   * Add a full order payload to the sales processing queue (when a SalesProcessor is wired in)
+   */
+  async queueSalesOrder(orderData, channelName, channelId, priority) {
+    if (!this.salesProcessor) return null;
+    return this.salesProcessor.queueOrder(orderData, channelName, channelId, priority);
+  }
 
-      res.status(200).json({ 
-        success: true, 
-        message: 'BestBuy order webhook processed' 
-      });
+  /**
+   * Shopify product creation
+   */
+  async processShopifyProductCreate(body, channel) {
+    console.log('🆕 Shopify product created:', body.title);
 
-    } catch (error) {
-      console.error('BestBuy order webhook error:', error);
-      res.status(500).json({ error: 'Webhook processing failed' });
-    }
+    const jobId = await this.syncService.addSyncJob(channel.id, 'products', {
+      specificProductId: body.id,
+      webhook: true
+    }, 7);
+
+    return { message: 'Product webhook queued', jobId };
   }
 
   /**
-   * Handle BestBuy order updates
+   * Shopify product updates
    */
-  async handleBestBuyOrderUpdate(req, res) {
-    try {
-      const signature = req.get('X-Mirakl-Signature');
-      const rawBody = JSON.stringify(req.body);
-
-      if (!this.verifyBestBuyWebhook(rawBody, signature)) {
-        return res.status(401).json({ error: 'Invalid webhook signature' });
-      }
+  async processShopifyProductUpdate(body, channel) {
+    console.log('📝 Shopify product updated:', body.title);
 
-      console.log('📝 BestBuy order updated:', req.body.order_id);
+    const jobId = await this.syncService.addSyncJob(channel.id, 'products', {
+      specificProductId: body.id,
+      webhook: true,
+      action: 'update'
+    }, 7);
 
-      const channelId = await this.getChannelId('bestbuy');
+    return { message: 'Product update webhook queued', jobId };
+  }
 
-      await this.syncService.addSyncJob(channelId, 'orders', {
-        specificOrderId: req.body.order_id,
-        webhook: true,
-        action: 'update'
-      }, 8);
+  /**
+   * Shopify inventory updates
+   */
+  async processShopifyInventoryUpdate(body, channel) {
+    console.log('📊 Shopify inventory updated for item:', body.inventory_item_id);
 
-      res.status(200).json({ 
-        success: true, 
-        message: 'BestBuy order update webhook processed' 
-      });
+    const jobId = await this.syncService.addSyncJob(channel.id, 'inventory', {
+      specificInventoryId: body.inventory_item_id,
+      webhook: true
+    }, 8);
 
-    } catch (error) {
-      console.error('BestBuy order update webhook error:', error);
-      res.status(500).json({ error: 'Webhook processing failed' });
-    }
+    return { message: 'Inventory webhook queued', jobId };
   }
 
   /**
-   * Handle BestBuy offer updates
+   * BestBuy order creation
    */
-  async handleBestBuyOfferUpdate(req, res) {
-    try {
-      const signature = req.get('X-Mirakl-Signature');
-      const rawBody = JSON.stringify(req.body);
+  async processBestBuyOrderCreate(body, channel) {
+    console.log('📦 BestBuy order created:', body.order_id);
 
-      if (!this.verifyBestBuyWebhook(rawBody, signature)) {
-        return res.status(401).json({ error: 'Invalid webhook signature' });
-      }
+    const jobId = await this.syncService.addSyncJob(channel.id, 'orders', {
+      specificOrderId: body.order_id,
+      webhook: true
+    }, 9);
 
-      console.log('📝 BestBuy offer updated:', req.body.offer_id);
-
-      const channelId = await this.getChannelId('bestbuy');
+    return { message: 'BestBuy order webhook queued', jobId };
+  }
 
-      await this.syncService.addSyncJob(channelId, 'products', {
-        specificOfferId: req.body.offer_id,
-        webhook: true,
-        action: 'update'
-      }, 7);
+  /**
+   * BestBuy order updates
+   */
+  async processBestBuyOrderUpdate(body, channel) {
+    console.log('📝 BestBuy order updated:', body.order_id);
 
-      res.status(200).json({ 
-        success: true, 
-        message: 'BestBuy offer update webhook processed' 
-      });
+    const jobId = await this.syncService.addSyncJob(channel.id, 'orders', {
+      specificOrderId: body.order_id,
+      webhook: true,
+      action: 'update'
+    }, 8);
 
-    } catch (error) {
-      console.error('BestBuy offer webhook error:', error);
-      res.status(500).json({ error: 'Webhook processing failed' });
-    }
+    return { message: 'BestBuy order update webhook queued', jobId };
   }
 
   /**
-   * Handle Amazon order creation (placeholder)
+   * BestBuy offer updates
    */
-  async handleAmazonOrderCreate(req, res) {
-    try {
-      console.log('📦 Amazon order created:', req.body.AmazonOrderId);
+  async processBestBuyOfferUpdate(body, channel) {
+    console.log('📝 BestBuy offer updated:', body.offer_id);
 
-      const channelId = await this.getChannelId('amazon');
+    const jobId = await this.syncService.addSyncJob(channel.id, 'products', {
+      specificOfferId: body.offer_id,
+      webhook: true,
+      action: 'update'
+    }, 7);
 
-      await this.syncService.addSyncJob(channelId, 'orders', {
-        specificOrderId: req.body.AmazonOrderId,
-        webhook: true
-      }, 9);
+    return { message: 'BestBuy offer update webhook queued', jobId };
+  }
 
-      res.status(200).json({ 
-        success: true, 
-        message: 'Amazon order webhook processed' 
-      });
+  /**
+   * Amazon ORDER_CHANGE notification
+   */
+  async processAmazonOrderCreate(body, channel) {
+    // Accept both the raw SP-API notification envelope and a flattened relay body
+    const notification = body.Payload?.OrderChangeNotification || body;
+    const amazonOrderId = notification.AmazonOrderId;
 
-    } catch (error) {
-      console.error('Amazon order webhook error:', error);
-      res.status(500).json({ error: 'Webhook processing failed' });
+    if (!amazonOrderId) {
+      throw this.httpError(400, 'AmazonOrderId missing from notification');
     }
+
+    console.log('📦 Amazon order changed:', amazonOrderId, notification.Summary?.OrderStatus || '');
+
+    // The notification only carries a summary; the sync job pulls the full order and items
+    const jobId = await this.syncService.addSyncJob(channel.id, 'orders', {
+      specificOrderId: amazonOrderId,
+      webhook: true
+    }, 9);
+
+    return { message: 'Amazon order webhook queued', orderId: amazonOrderId, jobId };
   }
 
   /**
-   * Handle Amazon inventory updates (placeholder)
+   * Amazon FBA inventory updates
    */
-  async handleAmazonInventoryUpdate(req, res) {
-    try {
-      console.log('📊 Amazon inventory updated for SKU:', req.body.SellerSKU);
-
-      const channelId = await this.getChannelId('amazon');
+  async processAmazonInventoryUpdate(body, channel) {
+    console.log('📊 Amazon inventory updated for SKU:', body.SellerSKU);
 
-      await this.syncService.addSyncJob(channelId, 'inventory', {
-        specificSKU: req.body.SellerSKU,
-        webhook: true
-      }, 8);
+    const jobId = await this.syncService.addSyncJob(channel.id, 'inventory', {
+      specificSKU: body.SellerSKU,
+      webhook: true
+    }, 8);
 
-      res.status(200).json({ 
-        success: true, 
-        message: 'Amazon inventory webhook processed' 
-      });
-
-    } catch (error) {
-      console.error('Amazon inventory webhook error:', error);
-      res.status(500).json({ error: 'Webhook processing failed' });
-    }
+    return { message: 'Amazon inventory webhook queued', jobId };
   }
 
   /**
@@ -401,8 +672,8 @@ class WebhookHandler {
     try {
       console.log('🧪 Test webhook received:', req.body);
 
-      res.status(200).json({ 
-        success: true, 
+      res.status(200).json({
+        success: true,
         message: 'Test webhook processed successfully',
         timestamp: new Date().toISOString(),
         data: req.body
@@ -415,59 +686,43 @@ class WebhookHandler {
   }
 
   /**
-   * Get channel ID by name
-   */
-  async getChannelId(channelName) {
-    // This would typically query the database
-    // For now, return mock IDs based on channel name
-    const channelMap = {
-      'shopify': 1,
-      'bestbuy': 2,
-      'amazon': 3
-    };
-
-    return channelMap[channelName.toLowerCase()] || null;
-  }
-
-  /**
-   * Log webhook activity
+   * Get webhook statistics from the event log
    */
-  async logWebhookActivity(channel, event, data, success = true, error = null) {
-    try {
-      // This would log to database or monitoring service
-      const logEntry = {
-        timestamp: new Date().toISOString(),
-        channel: channel,
-        event: event,
-        success: success,
-        error: error,
-        dataSize: JSON.stringify(data).length
+  async getWebhookStats() {
+    const result = await this.db.query(`
+      SELECT
+        channel_type,
+        COUNT(*)::int as total,
+        COUNT(*) FILTER (WHERE status = 'processed')::int as success,
+        COUNT(*) FILTER (WHERE status IN ('failed', 'rejected'))::int as failed,
+        COALESCE(SUM(duplicate_count), 0)::int as duplicates,
+        MAX(last_received_at) as last_webhook
+      FROM webhook_events
+      GROUP BY channel_type
+    `);
+
+    const channelBreakdown = {};
+    let lastWebhook = null;
+
+    for (const row of result.rows) {
+      channelBreakdown[row.channel_type] = {
+        total: row.total,
+        success: row.success,
+        failed: row.failed,
+        duplicates: row.duplicates
       };
 
-      console.log('📋 Webhook activity:', logEntry);
-
-      // TODO: Store in database webhook_logs table
-      
-    } catch (logError) {
-      console.error('Failed to log webhook activity:', logError);
+      if (!lastWebhook || row.last_webhook > lastWebhook) {
+        lastWebhook = row.last_webhook;
+      }
     }
-  }
 
-  /**
-   * Get webhook statistics
-   */
-  getWebhookStats() {
-    // This would return statistics from database
     return {
-      totalWebhooks: 0,
-      successfulWebhooks: 0,
-      failedWebhooks: 0,
-      lastWebhook: null,
-      channelBreakdown: {
-        shopify: { total: 0, success: 0, failed: 0 },
-        bestbuy: { total: 0, success: 0, failed: 0 },
-        amazon: { total: 0, success: 0, failed: 0 }
-      }
+      totalWebhooks: result.rows.reduce((sum, row) => sum + row.total, 0),
+      successfulWebhooks: result.rows.reduce((sum, row) => sum + row.success, 0),
+      failedWebhooks: result.rows.reduce((sum, row) => sum + row.failed, 0),
+      lastWebhook,
+      channelBreakdown
     };
   }
 
@@ -0,0 +1,330 @@
+const { Pool } = require('pg');
+const channelRegistry = require('./channels/channelRegistry');
+const channelCredentials = require('./channels/channelCredentials');
+
+/**
+ * Webhook Subscription Service
+ * Keeps each channel's webhook subscriptions pointed at the portal's /api/webhooks routes.
+ *
+ * Desired subscriptions come from the channels table (active channels x the adapter's
+ * webhookTopics) and the public base URL (api_config.webhooks.base_url or WEBHOOK_BASE_URL).
+ * Verification compares them with what the channel reports and stores the result in
+ * webhook_subscriptions, which /api/webhooks/status reads.
+ */
+class WebhookSubscriptionService {
+  constructor() {
+    this.db = new Pool({
+      connectionString: process.env.DATABASE_URL || process.env.NEON_DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize webhook subscription service
+   */
+  async initialize() {
+    try {
+      await this.db.query('SELECT NOW()');
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+          id SERIAL PRIMARY KEY,
+          channel_id VARCHAR(100) NOT NULL,
+          topic VARCHAR(100) NOT NULL,
+          channel_topic VARCHAR(100),
+          address TEXT,
+          external_id VARCHAR(100),
+          status VARCHAR(20) NOT NULL,
+          last_error TEXT,
+          last_verified_at TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(channel_id, topic)
+        )
+      `);
+
+      this.isInitialized = true;
+      console.log('✅ WebhookSubscriptionService initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ WebhookSubscriptionService initialization failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Load a channel row with parsed api_config
+   */
+  async getChannel(channelId) {
+    const result = await this.db.query(`
+      SELECT id, name, channel_type, api_config, is_active
+      FROM channels
+      WHERE id::text = $1
+    `, [String(channelId)]);
+
+    return result.rows[0] ? this.parseChannel(result.rows[0]) : null;
+  }
+
+  async getActiveChannels() {
+    const result = await this.db.query(`
+      SELECT id, name, channel_type, api_config, is_active
+      FROM channels
+      WHERE is_active = true
+      ORDER BY name
+    `);
+
+    return result.rows
+      .map(row => this.parseChannel(row))
+      .filter(channel => channelRegistry.get(channel.channel_type) || channelRegistry.get(channel.name));
+  }
+
+  parseChannel(row) {
+    return {
+      ...row,
+      api_config: channelCredentials.parseApiConfig(row.api_config)
+    };
+  }
+
+  /**
+   * Subscriptions the channel should have: [{ topic, channelTopic, address }]
+   * Channels whose deliveries don't identify the store get ?channel=<id> so the handler can route them
+   */
+  getDesiredSubscriptions(channel) {
+    const adapter = channelRegistry.resolve(channel);
+    const baseUrl = this.getBaseUrl(channel);
+    const query = adapter.identifiesWebhookStore() ? '' : `?channel=${channel.id}`;
+
+    return Object.entries(adapter.webhookTopics).map(([topic, channelTopic]) => ({
+      topic,
+      channelTopic,
+      address: baseUrl ? `${baseUrl}/api/webhooks/${adapter.type}/${topic}${query}` : null
+    }));
+  }
+
+  getBaseUrl(channel) {
+    const baseUrl = channel.api_config.webhooks?.base_url || process.env.WEBHOOK_BASE_URL;
+    return baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+  }
+
+  /**
+   * Compare desired and actual subscriptions
+   * Subscriptions pointing at this portal's webhook routes that match nothing desired are 'unexpected'
+   */
+  diffSubscriptions(adapter, desired, actual) {
+    const ownPath = `/api/webhooks/${adapter.type}/`;
+    const matched = new Set();
+
+    const subscriptions = desired.map(want => {
+      const exact = actual.find(have => have.topic === want.channelTopic && have.address === want.address);
+      if (exact) {
+        matched.add(exact);
+        return { ...want, externalId: exact.id, status: 'active' };
+      }
+
+      const sameTopic = actual.find(have => have.topic === want.channelTopic && have.address?.includes(ownPath));
+      if (sameTopic) {
+        return { ...want, externalId: sameTopic.id, status: 'mismatched', actualAddress: sameTopic.address };
+      }
+
+      return { ...want, externalId: null, status: 'missing' };
+    });
+
+    const unexpected = actual.filter(have => !matched.has(have) && have.address?.includes(ownPath));
+
+    return { subscriptions, unexpected };
+  }
+
+  /**
+   * Check one channel's subscriptions against the channel and store the result
+   */
+  async verifyChannel(channel) {
+    const adapter = channelRegistry.resolve(channel);
+    const desired = this.getDesiredSubscriptions(channel);
+
+    let report;
+
+    if (!adapter.canManageWebhooks()) {
+      // Configured in the channel's own console - list what to set up
+      report = {
+        status: 'manual',
+        message: `${adapter.displayName} webhooks are configured in the channel's console`,
+        subscriptions: desired.map(want => ({ ...want, externalId: null, status: 'manual' })),
+        unexpected: []
+      };
+    } else if (!this.getBaseUrl(channel)) {
+      report = {
+        status: 'unconfigured',
+        message: 'Set WEBHOOK_BASE_URL (or api_config.webhooks.base_url) to the portal\'s public URL',
+        subscriptions: desired.map(want => ({ ...want, externalId: null, status: 'unconfigured' })),
+        unexpected: []
+      };
+    } else {
+      try {
+        const actual = await adapter.listWebhookSubscriptions(channel.api_config);
+        const { subscriptions, unexpected } = this.diffSubscriptions(adapter, desired, actual);
+        const inSync = unexpected.length === 0 && subscriptions.every(subscription => subscription.status === 'active');
+
+        report = { status: inSync ? 'in_sync' : 'drift', subscriptions, unexpected };
+      } catch (error) {
+        report = {
+          status: 'error',
+          message: error.message,
+          subscriptions: desired.map(want => ({ ...want, externalId: null, status: 'error' })),
+          unexpected: []
+        };
+      }
+    }
+
+    await this.storeReport(channel, report);
+
+    return { channelId: channel.id, channel: channel.name, channelType: adapter.type, ...report };
+  }
+
+  /**
+   * Create missing subscriptions and remove stale ones, then re-verify
+   */
+  async registerChannel(channel) {
+    const adapter = channelRegistry.resolve(channel);
+    const before = await this.verifyChannel(channel);
+
+    if (!['drift', 'in_sync'].includes(before.status)) {
+      return before;
+    }
+
+    const errors = [];
+
+    // Stale subscriptions first (including outdated addresses of mismatched topics), so they can be recreated
+    for (const subscription of before.unexpected) {
+      try {
+        await adapter.deleteWebhookSubscription(channel.api_config, subscription.id);
+      } catch (error) {
+        errors.push({ topic: subscription.topic, action: 'delete', error: error.message });
+      }
+    }
+
+    for (const subscription of before.subscriptions.filter(sub => sub.status !== 'active')) {
+      try {
+        await adapter.createWebhookSubscription(channel.api_config, {
+          topic: subscription.channelTopic,
+          address: subscription.address
+        });
+        console.log(`✅ Registered ${adapter.displayName} webhook ${subscription.channelTopic} -> ${subscription.address}`);
+      } catch (error) {
+        errors.push({ topic: subscription.topic, action: 'create', error: error.message });
+      }
+    }
+
+    const after = await this.verifyChannel(channel);
+    return { ...after, errors };
+  }
+
+  /**
+   * Remove the portal's subscriptions from a channel (optionally one portal topic)
+   */
+  async removeChannel(channel, topic = null) {
+    const adapter = channelRegistry.resolve(channel);
+
+    if (!adapter.canManageWebhooks()) {
+      throw new Error(`${adapter.displayName} webhooks are configured in the channel's console`);
+    }
+
+    const ownPath = `/api/webhooks/${adapter.type}/`;
+    const channelTopic = topic ? adapter.webhookTopics[topic] : null;
+    if (topic && !channelTopic) {
+      throw new Error(`Unknown webhook topic for ${adapter.displayName}: ${topic}`);
+    }
+
+    const actual = await adapter.listWebhookSubscriptions(channel.api_config);
+    const removed = [];
+
+    for (const subscription of actual) {
+      if (!subscription.address?.includes(ownPath)) continue;
+      if (channelTopic && subscription.topic !== channelTopic) continue;
+
+      await adapter.deleteWebhookSubscription(channel.api_config, subscription.id);
+      removed.push(subscription);
+    }
+
+    const params = [String(channel.id)];
+    let query = 'DELETE FROM webhook_subscriptions WHERE channel_id = $1';
+    if (topic) {
+      params.push(topic);
+      query += ' AND topic = $2';
+    }
+    await this.db.query(query, params);
+
+    console.log(`🗑️ Removed ${removed.length} ${adapter.displayName} webhook subscriptions`);
+    return removed;
+  }
+
+  /**
+   * Persist the latest verification for each desired topic
+   */
+  async storeReport(channel, report) {
+    for (const subscription of report.subscriptions) {
+      await this.db.query(`
+        INSERT INTO webhook_subscriptions (channel_id, topic, channel_topic, address, external_id, status, last_error, last_verified_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        ON CONFLICT (channel_id, topic)
+        DO UPDATE SET
+          channel_topic = EXCLUDED.channel_topic,
+          address = EXCLUDED.address,
+          external_id = EXCLUDED.external_id,
+          status = EXCLUDED.status,
+          last_error = EXCLUDED.last_error,
+          last_verified_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      `, [
+        String(channel.id), subscription.topic, subscription.channelTopic, subscription.address,
+        subscription.externalId, subscription.status, report.status === 'error' ? report.message : null
+      ]);
+    }
+  }
+
+  /**
+   * Subscription state for every active channel
+   * verify: ask each channel now instead of reading the last stored verification
+   */
+  async getStatus({ verify = false } = {}) {
+    const channels = await this.getActiveChannels();
+    const stored = await this.db.query('SELECT * FROM webhook_subscriptions ORDER BY channel_id, topic');
+    const report = [];
+
+    for (const channel of channels) {
+      if (verify) {
+        report.push(await this.verifyChannel(channel));
+        continue;
+      }
+
+      const adapter = channelRegistry.resolve(channel);
+      const rows = stored.rows.filter(row => row.channel_id === String(channel.id));
+      const desired = this.getDesiredSubscriptions(channel);
+
+      // Desired topics that were never verified show as 'unverified'
+      const subscriptions = desired.map(want => {
+        const row = rows.find(candidate => candidate.topic === want.topic);
+        return {
+          ...want,
+          externalId: row?.external_id || null,
+          status: row && row.address === want.address ? row.status : 'unverified',
+          lastVerifiedAt: row?.last_verified_at || null,
+          lastError: row?.last_error || null
+        };
+      });
+
+      const statuses = new Set(subscriptions.map(subscription => subscription.status));
+      let status = 'drift';
+      if (statuses.size === 1 && statuses.has('active')) {
+        status = 'in_sync';
+      } else if (statuses.size === 1 && ['manual', 'unconfigured', 'unverified', 'error'].some(value => statuses.has(value))) {
+        status = [...statuses][0];
+      }
+
+      report.push({ channelId: channel.id, channel: channel.name, channelType: adapter.type, status, subscriptions });
+    }
+
+    return report;
+  }
+}
+
+module.exports = WebhookSubscriptionService;